@@ -1,10 +1,131 @@
 /**
- * Calculate the distance between two coordinate points using the Haversine formula
+ * Check whether a bounding box contains a coordinate or another bounding box
+ * @param {Object} box - Bounding box {south, west, north, east}
+ * @param {Object} target - Coordinate {lat: number, lng: number} or bounding box {south, west, north, east}
+ * @returns {boolean} True if the target is inside or on the edge of the box
+ * @throws {Error} If the box or target is invalid
+ *
+ * @example
+ * const box = getBoundingBoxAroundPoint(depot, 25, 'km');
+ * const candidates = parcels.filter((parcel) => boundingBoxContains(box, parcel));
+ */
+export function boundingBoxContains(box: any, target: any): boolean;
+/**
+ * Check whether two bounding boxes overlap
+ * @param {Object} box1 - First bounding box {south, west, north, east}
+ * @param {Object} box2 - Second bounding box {south, west, north, east}
+ * @returns {boolean} True if the boxes share any point, including along an edge
+ * @throws {Error} If either box is invalid
+ *
+ * @example
+ * const overlapping = zones.filter((zone) => boundingBoxesIntersect(getBoundingBox([zone]), viewport));
+ */
+export function boundingBoxesIntersect(box1: any, box2: any): boolean;
+/**
+ * Grow or shrink a geofence by a ground distance
+ *
+ * A positive distance adds every point within distance of the geofence, rounding its outside
+ * corners; a negative distance removes every point within distance of its boundary, which can
+ * split it into several polygons or remove it entirely. Holes shrink as the geofence grows and
+ * grow as it shrinks. The buffer is computed on the sphere, so widths stay accurate at high
+ * latitudes and across the antimeridian. Circles stay circles with an adjusted radius.
+ *
+ * The geofence should be valid (see validateGeofence), and the result is expected to stay
+ * within a hemisphere.
+ *
+ * @param {Array|Object} geofence - Geofence ring [{lat: number, lng: number}, ...], polygon with holes, multipolygon or circle
+ * @param {number} distance - Buffer distance; negative to shrink
+ * @param {string} [unit='km'] - Distance unit ('km', 'miles', 'meters')
+ * @param {Object} [options={}] - Buffer options
+ * @param {number} [options.steps=64] - Vertices per full circle of rounding
+ * @param {string} [options.interior='smaller'] - Side of each ring enclosed ('smaller', 'winding', 'left', 'right')
+ * @returns {Array|Object|null} Buffered multipolygon, following the GeoJSON right-hand rule, or a circle
+ * {center, radius, unit} for a circle; null if shrinking removes the whole geofence
+ * @throws {Error} If the geofence, distance or options are invalid or unit is not supported
+ *
+ * @example
+ * // Alert zone 200 m beyond the site boundary, and a safe zone 50 m inside it
+ * const alertZone = bufferGeofence(site, 200, 'meters');
+ * const safeZone = bufferGeofence(site, -50, 'meters');
+ */
+export function bufferGeofence(geofence: any[] | any, distance: number, unit?: string, options?: {
+    steps?: number;
+    interior?: string;
+}): any[] | any | null;
+/**
+ * Create a corridor geofence around a path, covering every point within a ground distance of it
+ *
+ * The corridor is computed on the sphere, so its width stays accurate at high latitudes and
+ * across the antimeridian. Its ends and outside corners are rounded. A path that crosses
+ * itself gives a corridor with holes wherever it encloses land further than distance away.
+ *
+ * @param {Array<Object>} path - Path vertices in order [{lat: number, lng: number}, ...]
+ * @param {number} distance - Buffer distance either side of the path
+ * @param {string} [unit='km'] - Distance unit ('km', 'miles', 'meters')
+ * @param {Object} [options={}] - Buffer options
+ * @param {number} [options.steps=64] - Vertices per full circle of rounding
+ * @returns {Array<Array<Array<Object>>>} Corridor as a multipolygon
+ * @throws {Error} If the path, distance or options are invalid or unit is not supported
+ *
+ * @example
+ * const corridor = bufferPath(route, 500, 'meters');
+ * const onRoute = isCoordinateInGeofence(vehiclePosition, corridor);
+ */
+export function bufferPath(path: Array<any>, distance: number, unit?: string, options?: {
+    steps?: number;
+}): Array<Array<Array<any>>>;
+/**
+ * Create a geofence ring around a point, with every vertex a fixed ground distance from it
+ *
+ * The ring is a geodesic circle, so it stays round on the ground at any latitude and can be
+ * used anywhere a polygon geofence is accepted. For a true circle geofence use {center, radius}.
+ *
+ * @param {Object} center - Center coordinate {lat: number, lng: number}
+ * @param {number} distance - Buffer distance
+ * @param {string} [unit='km'] - Distance unit ('km', 'miles', 'meters')
+ * @param {Object} [options={}] - Buffer options
+ * @param {number} [options.steps=64] - Number of vertices
+ * @returns {Array<Object>} Ring of coordinates, counter-clockwise
+ * @throws {Error} If the center, distance or options are invalid or unit is not supported
+ *
+ * @example
+ * const exclusionZone = bufferPoint({lat: 51.47, lng: -0.4543}, 5, 'km');
+ */
+export function bufferPoint(center: any, distance: number, unit?: string, options?: {
+    steps?: number;
+}): Array<any>;
+/**
+ * Calculate the bearing of the great circle from one coordinate to another
+ *
+ * The bearing changes along a great circle, so the initial bearing (heading when leaving
+ * coord1) and the final bearing (heading when arriving at coord2) generally differ.
+ *
+ * @param {Object} coord1 - Start coordinate {lat: number, lng: number}
+ * @param {Object} coord2 - End coordinate {lat: number, lng: number}
+ * @param {string} [type='initial'] - Which bearing to return ('initial', 'final')
+ * @returns {number} Bearing in degrees clockwise from north (0 to 360); 0 for identical coordinates
+ * @throws {Error} If coordinates are invalid or type is not supported
+ *
+ * @example
+ * const heading = calculateBearing(
+ *   {lat: 40.7128, lng: -74.0060}, // New York City
+ *   {lat: 51.5074, lng: -0.1278} // London
+ * );
+ * console.log(`Depart on ${heading.toFixed(0)}°`); // ~51°
+ */
+export function calculateBearing(coord1: any, coord2: any, type?: string): number;
+/**
+ * Calculate the distance between two coordinate points
+ *
+ * Uses the spherical Haversine formula by default. Pass method 'vincenty' to compute the
+ * geodesic distance on the WGS84 ellipsoid instead, which is accurate to within a millimetre.
+ *
  * @param {Object} coord1 - First coordinate {lat: number, lng: number}
  * @param {Object} coord2 - Second coordinate {lat: number, lng: number}
  * @param {string} [unit='km'] - Distance unit ('km', 'miles', 'meters')
+ * @param {string} [method='haversine'] - Distance method ('haversine', 'vincenty')
  * @returns {number} Distance in specified unit
- * @throws {Error} If coordinates are invalid or unit is not supported
+ * @throws {Error} If coordinates are invalid or unit or method is not supported
  *
  * @example
  * const distance = calculateDistance(
@@ -13,14 +134,33 @@
  *   'km'
  * );
  * console.log(`Distance: ${distance.toFixed(2)} km`);
+ *
+ * @example
+ * const surveyed = calculateDistance(
+ *   {lat: 40.7128, lng: -74.0060},
+ *   {lat: 34.0522, lng: -118.2437},
+ *   'meters',
+ *   'vincenty'
+ * );
  */
-export function calculateDistance(coord1: any, coord2: any, unit?: string): number;
+export function calculateDistance(coord1: any, coord2: any, unit?: string, method?: string): number;
 /**
  * Calculate the area of a geofence polygon using spherical geometry
- * @param {Array<Object>} coordinates - Array of coordinates [{lat: number, lng: number}, ...]
+ *
+ * Accepts a single ring, a polygon with holes [[outer], [hole], ...], a multipolygon
+ * [[[outer], [hole], ...], ...] or a circle {center, radius, unit}. Holes are subtracted
+ * from the area of their polygon, and a circle's area is its exact spherical cap.
+ *
+ * A ring divides the globe into two regions. By default the smaller one is its interior,
+ * which suits everything up to a hemisphere, including rings around a pole. Pass interior
+ * 'winding' to follow the GeoJSON right-hand rule (outer rings counter-clockwise, holes
+ * clockwise), or 'left' / 'right' to choose the side of travel along every ring.
+ *
+ * @param {Array|Object} coordinates - Geofence ring [{lat: number, lng: number}, ...], polygon with holes, multipolygon or circle
  * @param {string} [unit='km2'] - Area unit ('km2', 'miles2', 'meters2')
+ * @param {string} [interior='smaller'] - Side of each ring enclosed ('smaller', 'winding', 'left', 'right')
  * @returns {number} Area in specified unit
- * @throws {Error} If coordinates are invalid or unit is not supported
+ * @throws {Error} If coordinates are invalid or unit or interior is not supported
  *
  * @example
  * const area = calculateGeofenceArea([
@@ -30,16 +170,392 @@ export function calculateDistance(coord1: any, coord2: any, unit?: string): numb
  *   {lat: 40.7128, lng: -74.0060} // Close the polygon
  * ], 'km2');
  * console.log(`Area: ${area.toFixed(2)} km²`);
+ *
+ * @example
+ * // City zone with the airport cut out
+ * const zoneArea = calculateGeofenceArea([cityRing, airportRing], 'km2');
+ *
+ * @example
+ * // Around the South Pole inside a ring on 60°S, running westward so the pole is on its left.
+ * // Edges follow great circles, which bend south of the parallel between vertices.
+ * const southernOcean = calculateGeofenceArea([
+ *   {lat: -60, lng: 0},
+ *   {lat: -60, lng: -90},
+ *   {lat: -60, lng: 180},
+ *   {lat: -60, lng: 90}
+ * ], 'km2', 'left');
+ */
+export function calculateGeofenceArea(coordinates: any[] | any, unit?: string, interior?: string): number;
+/**
+ * Calculate the perimeter of a geofence
+ *
+ * The perimeter is the total length of every ring's boundary, holes included, with each
+ * ring closed back to its first vertex. A circle's perimeter is the circumference of its
+ * spherical cap, measured on the sphere whatever the method.
+ *
+ * @param {Array|Object} geofence - Geofence ring [{lat: number, lng: number}, ...], polygon with holes, multipolygon or circle
+ * @param {string} [unit='km'] - Distance unit ('km', 'miles', 'meters')
+ * @param {string} [method='haversine'] - Distance method ('haversine', 'vincenty')
+ * @returns {number} Perimeter in specified unit
+ * @throws {Error} If the geofence is invalid or unit or method is not supported
+ *
+ * @example
+ * const fenceLength = calculateGeofencePerimeter(paddock, 'meters');
+ */
+export function calculateGeofencePerimeter(geofence: any[] | any, unit?: string, method?: string): number;
+/**
+ * Calculate the total length of a path (polyline) through a sequence of coordinates
+ * @param {Array<Object>} coordinates - Path vertices in order [{lat: number, lng: number}, ...]
+ * @param {string} [unit='km'] - Distance unit ('km', 'miles', 'meters')
+ * @param {string} [method='haversine'] - Distance method ('haversine', 'vincenty')
+ * @returns {number} Sum of the distances between consecutive coordinates; 0 for fewer than 2 coordinates
+ * @throws {Error} If coordinates are invalid or unit or method is not supported
+ *
+ * @example
+ * const mileage = calculatePathLength(gpsTrack, 'miles');
+ * console.log(`Trip: ${mileage.toFixed(1)} miles`);
+ */
+export function calculatePathLength(coordinates: Array<any>, unit?: string, method?: string): number;
+/**
+ * Group coordinates into clusters by proximity
+ *
+ * The 'dbscan' algorithm links every pair of coordinates within options.epsilon of each other.
+ * A coordinate with at least options.minPoints coordinates within epsilon, itself included, is
+ * a core point; each cluster is a set of linked core points plus the coordinates within epsilon
+ * of them. Neighbours are found with a KD-tree, so clustering does not compare every pair.
+ *
+ * The 'grid' algorithm is a faster choice for map display. It splits the Web Mercator map at
+ * options.zoom into square cells of options.gridSize pixels, with 256 pixel tiles, and makes a
+ * cluster of each cell holding at least options.minPoints coordinates.
+ *
+ * Coordinates in no cluster are returned as noise. Members and noise keep every property of the
+ * original coordinates. Each cluster's centroid is the mean position of its members on the
+ * sphere, and its radius is the distance from the centroid to the furthest member.
+ *
+ * @param {Array<Object>} coordinates - Array of coordinates to cluster [{lat: number, lng: number}, ...]
+ * @param {Object} options - Clustering options
+ * @param {string} [options.algorithm='dbscan'] - Clustering algorithm ('dbscan', 'grid')
+ * @param {number} [options.epsilon] - Neighbour distance for 'dbscan'; required for that algorithm
+ * @param {number} [options.minPoints=2] - Fewest coordinates that form a cluster
+ * @param {number} [options.zoom] - Map zoom level for 'grid'; required for that algorithm
+ * @param {number} [options.gridSize=60] - Cell size in pixels for 'grid'
+ * @param {string} [options.unit='km'] - Unit of epsilon and of each cluster's radius ('km', 'miles', 'meters')
+ * @param {string} [options.method='haversine'] - Distance method ('haversine', 'vincenty')
+ * @returns {{clusters: Array<{members: Array<Object>, centroid: Object, radius: number}>, noise: Array<Object>}}
+ *   Clusters ordered by their first member, and noise, each in the original order of the coordinates
+ * @throws {Error} If coordinates or options are invalid or unit, method or algorithm is not supported
+ *
+ * @example
+ * const { clusters, noise } = clusterCoordinates(
+ *   [
+ *     {lat: 40.7614, lng: -73.9776, id: 'p1'},
+ *     {lat: 40.7580, lng: -73.9855, id: 'p2'},
+ *     {lat: 40.7505, lng: -73.9934, id: 'p3'},
+ *     {lat: 34.0522, lng: -118.2437, id: 'p4'}
+ *   ],
+ *   {epsilon: 1, minPoints: 2, unit: 'km'}
+ * );
+ * console.log(`${clusters.length} cluster(s), ${noise.length} lone pickup(s)`);
+ */
+export function clusterCoordinates(coordinates: Array<any>, options?: {
+    algorithm?: string;
+    epsilon?: number;
+    minPoints?: number;
+    zoom?: number;
+    gridSize?: number;
+    unit?: string;
+    method?: string;
+}): {
+    clusters: Array<{
+        members: Array<any>;
+        centroid: any;
+        radius: number;
+    }>;
+    noise: Array<any>;
+};
+/**
+ * Convert a coordinate to pixel coordinates on a Web Mercator map at a zoom level
+ *
+ * Pixels are counted from the map's north-west corner, as by slippy map libraries; the whole
+ * world is tileSize × 2^zoom pixels across. Latitudes are clamped to ±85.0511° as in
+ * toWebMercator, and zoom may be fractional.
+ *
+ * @param {Object} coord - Coordinate to convert {lat: number, lng: number}
+ * @param {number} zoom - Zoom level (0 to 30)
+ * @param {number} [tileSize=256] - Tile size in pixels
+ * @returns {Object} Pixel position {x, y}, not rounded
+ * @throws {Error} If the coordinate, zoom or tile size is invalid
+ *
+ * @example
+ * const pixel = coordinateToPixel({lat: 40.7128, lng: -74.0060}, 10);
+ * // {x: 77182.47..., y: 98561.11...}
+ */
+export function coordinateToPixel(coord: any, zoom: number, tileSize?: number): any;
+/**
+ * Find the map tile containing a coordinate at a zoom level
+ *
+ * Tiles are numbered as in the XYZ slippy map scheme, with x growing eastward from the
+ * antimeridian and y southward from the top of the map. Latitudes beyond ±85.0511° fall in the
+ * top or bottom row, and longitude 180 in the first column.
+ *
+ * @param {Object} coord - Coordinate to locate {lat: number, lng: number}
+ * @param {number} zoom - Zoom level (integer from 0 to 30)
+ * @returns {Object} Tile {x, y, z}
+ * @throws {Error} If the coordinate or zoom is invalid
+ *
+ * @example
+ * const tile = coordinateToTile({lat: 40.7128, lng: -74.0060}, 12); // {x: 1205, y: 1540, z: 12}
+ * const url = `https://tile.example.com/${tile.z}/${tile.x}/${tile.y}.png`;
+ */
+export function coordinateToTile(coord: any, zoom: number): any;
+/**
+ * Create a stateful monitor that turns position updates into geofence events
+ *
+ * The monitor holds a set of named geofences and, for every tracked entity, whether it is
+ * inside each of them. Each position update is compared with that state and produces
+ * 'enter' and 'exit' events on transitions, and a 'dwell' event once an entity has stayed
+ * inside a geofence for dwellTime. Events are both returned from update and passed to
+ * listeners registered with on.
+ *
+ * A buffer adds hysteresis at the border: an entity only enters once it is more than buffer
+ * inside a geofence and only exits once it is more than buffer outside, so GPS jitter near the
+ * boundary does not fire repeated events. The first update for an entity uses plain containment.
+ *
+ * @param {Object} [geofences={}] - Geofences keyed by name; each may be any geofence shape
+ * @param {Object} [options={}] - Monitor options
+ * @param {number} [options.buffer=0] - Hysteresis distance either side of each boundary
+ * @param {string} [options.unit='km'] - Unit of buffer and of event distances ('km', 'miles', 'meters')
+ * @param {number} [options.dwellTime] - Time inside a geofence, in milliseconds, before a dwell event; no dwell events if omitted
+ * @param {string} [options.method='haversine'] - Distance method ('haversine', 'vincenty')
+ * @param {string} [options.interior='smaller'] - Side of each ring enclosed ('smaller', 'winding', 'left', 'right')
+ * @returns {Object} Monitor with addGeofence, removeGeofence, on, update, getGeofencesContaining, removeEntity, saveState and restoreState methods
+ * @throws {Error} If a geofence or option is invalid
+ *
+ * @example
+ * const monitor = createGeofenceMonitor(
+ *   {depot: depotPolygon, city: cityPolygon},
+ *   {buffer: 25, unit: 'meters', dwellTime: 5 * 60 * 1000}
+ * );
+ * monitor.on('enter', (event) => console.log(`${event.entityId} entered ${event.geofence}`));
+ * monitor.update('van-7', {lat: 40.7128, lng: -74.0060}, Date.now());
  */
-export function calculateGeofenceArea(coordinates: Array<any>, unit?: string): number;
+export function createGeofenceMonitor(geofences?: any, options?: {
+    buffer?: number;
+    unit?: string;
+    dwellTime?: number;
+    method?: string;
+    interior?: string;
+}): any;
+/**
+ * Create a reusable spatial index over a fixed set of coordinates
+ *
+ * Coordinates are validated once and stored in a KD-tree over their positions on the unit
+ * sphere, where chord length orders points exactly like great-circle distance. Each branch
+ * keeps the bounding box of its points, so queries skip branches that cannot contain a match,
+ * even for furthest searches over clustered points. Queries return the same result shape as
+ * the array helpers, including the added distance property.
+ *
+ * @param {Array<Object>} coordinates - Array of coordinates to index [{lat: number, lng: number}, ...]
+ * @returns {Object} Index with getCoordinatesWithinDistance, getClosestCoordinate, getFurthestCoordinate and getCoordinatesInGeofence methods
+ * @throws {Error} If coordinates are invalid
+ *
+ * @example
+ * const stores = createSpatialIndex([
+ *   {lat: 40.7614, lng: -73.9776, name: 'Central Park'},
+ *   {lat: 34.0522, lng: -118.2437, name: 'Los Angeles'},
+ *   {lat: 41.8781, lng: -87.6298, name: 'Chicago'}
+ * ]);
+ * const nearby = stores.getCoordinatesWithinDistance({lat: 40.7128, lng: -74.0060}, 50, 'km');
+ * const closest = stores.getClosestCoordinate({lat: 40.7128, lng: -74.0060}, 'km');
+ */
+export function createSpatialIndex(coordinates: Array<any>): any;
+/**
+ * Decode a geohash to the center and bounds of its cell
+ * @param {string} hash - Geohash (case-insensitive)
+ * @returns {Object} {lat, lng, bounds: {south, west, north, east}}
+ * @throws {Error} If the geohash is invalid
+ *
+ * @example
+ * const { lat, lng, bounds } = decodeGeohash('dr5regw');
+ */
+export function decodeGeohash(hash: string): any;
+/**
+ * Decode an MGRS grid reference to the center of its grid square
+ *
+ * Spaces are ignored and letters may be lower case. Zone numbers may have a leading zero.
+ *
+ * @param {string} mgrs - MGRS reference, such as "38SMB4414084706" or "38S MB 44140 84706"
+ * @returns {Object} Coordinate {lat, lng} of the center of the grid square
+ * @throws {Error} If the reference is invalid
+ *
+ * @example
+ * const { lat, lng } = decodeMGRS('38S MB 44140 84706');
+ */
+export function decodeMGRS(mgrs: string): any;
+/**
+ * Encode a coordinate as a geohash
+ * @param {Object} coord - Coordinate to encode {lat: number, lng: number}
+ * @param {number} [precision=9] - Number of characters (1 to 12); 9 characters is a cell of about 5 m
+ * @returns {string} Geohash of the cell containing the coordinate
+ * @throws {Error} If the coordinate or precision is invalid
+ *
+ * @example
+ * const key = encodeGeohash({lat: 40.7128, lng: -74.0060}, 7); // 'dr5regw'
+ */
+export function encodeGeohash(coord: any, precision?: number): string;
+/**
+ * Encode a coordinate as an MGRS grid reference
+ *
+ * The reference is the UTM or UPS zone and band, two letters naming the 100 km square and
+ * the easting and northing within it, truncated to the given number of digits each, as in
+ * "38SMB4414084706". Five digits locate a 1 m square and zero digits the 100 km square itself.
+ *
+ * @param {Object} coord - Coordinate to encode {lat: number, lng: number}
+ * @param {number} [precision=5] - Digits of easting and of northing (0 to 5)
+ * @returns {string} MGRS reference of the grid square containing the coordinate, without spaces
+ * @throws {Error} If the coordinate or precision is invalid
+ *
+ * @example
+ * const reference = encodeMGRS({lat: 33.3, lng: 44.4}); // '38SMB4414084706'
+ * const square = encodeMGRS({lat: 33.3, lng: 44.4}, 2); // '38SMB4484'
+ */
+export function encodeMGRS(coord: any, precision?: number): string;
+/**
+ * Format a coordinate as text for display
+ *
+ * The 'dd' format writes decimal degrees ("40.712800, -74.006000"), 'ddm' degrees and
+ * decimal minutes (`40°42.7680'N, 74°00.3600'W`) and 'dms' degrees, minutes and seconds
+ * (`40°42'46.08"N, 74°00'21.60"W`). Latitude always comes first. Values are rounded once,
+ * so seconds or minutes that round up to 60 carry into the next component. The result reads
+ * back with parseCoordinate to within the chosen precision.
+ *
+ * @param {Object} coord - Coordinate {lat: number, lng: number}
+ * @param {Object} [options] - Formatting options
+ * @param {string} [options.format='dd'] - Coordinate format ('dd', 'ddm', 'dms')
+ * @param {number} [options.precision] - Decimal places of the last component; defaults to 6 for 'dd', 4 for 'ddm' and 2 for 'dms'
+ * @param {boolean} [options.hemisphere] - Write N, S, E and W instead of a sign; defaults to false for 'dd' and true otherwise
+ * @returns {string} Formatted coordinate
+ * @throws {Error} If the coordinate or options are invalid or format is not supported
+ *
+ * @example
+ * formatCoordinate({lat: 40.7128, lng: -74.0060}, {format: 'dms'}); // `40°42'46.08"N, 74°00'21.60"W`
+ * formatCoordinate({lat: 40.7128, lng: -74.0060}, {precision: 4}); // "40.7128, -74.0060"
+ */
+export function formatCoordinate(coord: any, options?: {
+    format?: string;
+    precision?: number;
+    hemisphere?: boolean;
+}): string;
+/**
+ * Format a distance as text with a unit suited to its size
+ *
+ * Metric distances are written in meters below 1 km and in kilometers from there on ("850 m",
+ * "1.2 km"); imperial distances are written in miles ("3.4 miles"). Unless options.precision is
+ * given, values from 10 up are rounded to whole units, values from 1 to 10 to one decimal
+ * place and smaller values to two significant digits, and trailing zeros are dropped.
+ *
+ * @param {number} distance - Distance in the given unit; may be negative, as for signed distances
+ * @param {Object} [options] - Formatting options
+ * @param {string} [options.unit='km'] - Unit of the distance ('km', 'miles', 'meters')
+ * @param {string} [options.system] - Units to write ('metric', 'imperial'); defaults to 'imperial' for miles and 'metric' otherwise
+ * @param {number} [options.precision] - Fixed number of decimal places
+ * @returns {string} Formatted distance, such as "850 m"
+ * @throws {Error} If the distance or options are invalid or unit or system is not supported
+ *
+ * @example
+ * formatDistance(0.85); // "850 m"
+ * formatDistance(1234, {unit: 'meters'}); // "1.2 km"
+ * formatDistance(5.5, {system: 'imperial'}); // "3.4 miles"
+ */
+export function formatDistance(distance: number, options?: {
+    unit?: string;
+    system?: string;
+    precision?: number;
+}): string;
+/**
+ * Convert a UTM or UPS position to a coordinate
+ *
+ * The position is an object like the ones toUTM returns, needing only one of band and
+ * hemisphere, or a string of zone and band, easting and northing such as "18S 323487 4306483".
+ * UPS positions have zone 0, written as just the band in strings ("Z 2000000 2000000").
+ *
+ * @param {Object|string} utm - UTM or UPS position {zone, band, hemisphere, easting, northing}
+ * @returns {Object} Coordinate {lat, lng}
+ * @throws {Error} If the position is invalid
+ *
+ * @example
+ * const incident = fromUTM('18T 583960 4507523');
+ * const distance = calculateDistance(incident, {lat: 40.7128, lng: -74.0060});
+ */
+export function fromUTM(utm: any | string): any;
+/**
+ * Convert Web Mercator (EPSG:3857) meters to a coordinate
+ * @param {Object} point - Position {x, y} in meters east of the prime meridian and north of the equator
+ * @returns {Object} Coordinate {lat, lng}, with the longitude wrapped to -180 to 180
+ * @throws {Error} If the point is invalid
+ *
+ * @example
+ * const coord = fromWebMercator({x: -8238310.23, y: 4970071.58});
+ * // {lat: 40.7128..., lng: -74.0060...}
+ */
+export function fromWebMercator(point: any): any;
+/**
+ * Check whether a geofence covers the whole of another
+ *
+ * Circles are compared exactly. A target that touches the geofence's boundary from inside is
+ * still contained.
+ *
+ * @param {Array|Object} geofence - Containing geofence ring [{lat: number, lng: number}, ...], polygon with holes, multipolygon or circle
+ * @param {Array|Object} target - Geofence to test, in any of the same shapes
+ * @param {string} [interior='smaller'] - Side of each ring enclosed ('smaller', 'winding', 'left', 'right')
+ * @returns {boolean} True if every point of target is inside geofence
+ * @throws {Error} If either geofence or interior is invalid
+ *
+ * @example
+ * const withinTerritory = geofenceContains(franchiseTerritory, deliveryZone);
+ */
+export function geofenceContains(geofence: any[] | any, target: any[] | any, interior?: string): boolean;
+/**
+ * Check whether two geofences share no area
+ *
+ * The opposite of geofencesIntersect; geofences that only touch along their boundaries are
+ * disjoint.
+ *
+ * @param {Array|Object} geofence1 - First geofence ring [{lat: number, lng: number}, ...], polygon with holes, multipolygon or circle
+ * @param {Array|Object} geofence2 - Second geofence, in any of the same shapes
+ * @param {string} [interior='smaller'] - Side of each ring enclosed ('smaller', 'winding', 'left', 'right')
+ * @returns {boolean} True if the geofences do not overlap
+ * @throws {Error} If either geofence or interior is invalid
+ *
+ * @example
+ * const canAssign = geofencesDisjoint(newZone, existingZone);
+ */
+export function geofencesDisjoint(geofence1: any[] | any, geofence2: any[] | any, interior?: string): boolean;
+/**
+ * Check whether two geofences share any area
+ *
+ * Circles are compared exactly. Geofences that only touch along their boundaries do not
+ * intersect.
+ *
+ * @param {Array|Object} geofence1 - First geofence ring [{lat: number, lng: number}, ...], polygon with holes, multipolygon or circle
+ * @param {Array|Object} geofence2 - Second geofence, in any of the same shapes
+ * @param {string} [interior='smaller'] - Side of each ring enclosed ('smaller', 'winding', 'left', 'right')
+ * @returns {boolean} True if the geofences overlap
+ * @throws {Error} If either geofence or interior is invalid
+ *
+ * @example
+ * const conflicting = geofencesIntersect(franchiseA, franchiseB);
+ */
+export function geofencesIntersect(geofence1: any[] | any, geofence2: any[] | any, interior?: string): boolean;
 /**
  * Find coordinates within a specified distance from a reference point
  * @param {Object} fromCoord - Reference coordinate {lat: number, lng: number}
  * @param {Array<Object>} coordinates - Array of coordinates to check [{lat: number, lng: number}, ...]
  * @param {number} maxDistance - Maximum distance to filter by
  * @param {string} [unit='km'] - Distance unit ('km', 'miles', 'meters')
+ * @param {string} [method='haversine'] - Distance method ('haversine', 'vincenty')
  * @returns {Array<Object>} Array of coordinates within the specified distance, with distance property added
- * @throws {Error} If coordinates are invalid or unit is not supported
+ * @throws {Error} If coordinates are invalid or unit or method is not supported
  *
  * @example
  * const nearby = getCoordinatesWithinDistance(
@@ -53,14 +569,15 @@ export function calculateGeofenceArea(coordinates: Array<any>, unit?: string): n
  * );
  * console.log(`Found ${nearby.length} locations within 50km`);
  */
-export function getCoordinatesWithinDistance(fromCoord: any, coordinates: Array<any>, maxDistance: number, unit?: string): Array<any>;
+export function getCoordinatesWithinDistance(fromCoord: any, coordinates: Array<any>, maxDistance: number, unit?: string, method?: string): Array<any>;
 /**
  * Find the closest coordinate from an array of coordinates
  * @param {Object} fromCoord - Reference coordinate {lat: number, lng: number}
  * @param {Array<Object>} coordinates - Array of coordinates to check [{lat: number, lng: number}, ...]
  * @param {string} [unit='km'] - Distance unit ('km', 'miles', 'meters')
+ * @param {string} [method='haversine'] - Distance method ('haversine', 'vincenty')
  * @returns {Object|null} Closest coordinate with distance property, or null if array is empty
- * @throws {Error} If coordinates are invalid or unit is not supported
+ * @throws {Error} If coordinates are invalid or unit or method is not supported
  *
  * @example
  * const closest = getClosestCoordinate(
@@ -74,14 +591,15 @@ export function getCoordinatesWithinDistance(fromCoord: any, coordinates: Array<
  * );
  * console.log(`Closest: ${closest.name} at ${closest.distance.toFixed(2)} km`);
  */
-export function getClosestCoordinate(fromCoord: any, coordinates: Array<any>, unit?: string): any | null;
+export function getClosestCoordinate(fromCoord: any, coordinates: Array<any>, unit?: string, method?: string): any | null;
 /**
  * Find the furthest coordinate from an array of coordinates
  * @param {Object} fromCoord - Reference coordinate {lat: number, lng: number}
  * @param {Array<Object>} coordinates - Array of coordinates to check [{lat: number, lng: number}, ...]
  * @param {string} [unit='km'] - Distance unit ('km', 'miles', 'meters')
+ * @param {string} [method='haversine'] - Distance method ('haversine', 'vincenty')
  * @returns {Object|null} Furthest coordinate with distance property, or null if array is empty
- * @throws {Error} If coordinates are invalid or unit is not supported
+ * @throws {Error} If coordinates are invalid or unit or method is not supported
  *
  * @example
  * const furthest = getFurthestCoordinate(
@@ -95,13 +613,452 @@ export function getClosestCoordinate(fromCoord: any, coordinates: Array<any>, un
  * );
  * console.log(`Furthest: ${furthest.name} at ${furthest.distance.toFixed(2)} km`);
  */
-export function getFurthestCoordinate(fromCoord: any, coordinates: Array<any>, unit?: string): any | null;
+export function getFurthestCoordinate(fromCoord: any, coordinates: Array<any>, unit?: string, method?: string): any | null;
+/**
+ * Find the k coordinates nearest to a reference point
+ * @param {Object} fromCoord - Reference coordinate {lat: number, lng: number}
+ * @param {Array<Object>} coordinates - Array of coordinates to check [{lat: number, lng: number}, ...]
+ * @param {number} k - Number of nearest coordinates to find, or the page size when paginating
+ * @param {Object} [options] - Query options
+ * @param {number} [options.maxDistance] - Only consider coordinates within this distance
+ * @param {Function} [options.filter] - Predicate called with (coord, index); only coordinates it returns true for are considered
+ * @param {number} [options.offset=0] - Number of nearest coordinates to skip before the k returned, for pagination
+ * @param {string} [options.unit='km'] - Distance unit ('km', 'miles', 'meters')
+ * @param {string} [options.method='haversine'] - Distance method ('haversine', 'vincenty')
+ * @returns {Array<Object>} Coordinates with distance property added, closest first
+ * @throws {Error} If coordinates or options are invalid or unit or method is not supported
+ *
+ * @example
+ * const drivers = getKNearestCoordinates(
+ *   {lat: 40.7128, lng: -74.0060}, // New York City
+ *   [
+ *     {lat: 40.7614, lng: -73.9776, id: 'd1', available: true},
+ *     {lat: 40.6892, lng: -74.0445, id: 'd2', available: false},
+ *     {lat: 40.7505, lng: -73.9934, id: 'd3', available: true}
+ *   ],
+ *   10,
+ *   {maxDistance: 20, filter: p => p.available, unit: 'km'}
+ * );
+ * console.log(`Showing ${drivers.length} closest drivers`);
+ *
+ * // The next 10: drivers 11 to 20 by distance
+ * const next = getKNearestCoordinates({lat: 40.7128, lng: -74.0060}, allDrivers, 10, {offset: 10});
+ */
+export function getKNearestCoordinates(fromCoord: any, coordinates: Array<any>, k: number, options?: {
+    maxDistance?: number;
+    filter?: Function;
+    offset?: number;
+    unit?: string;
+    method?: string;
+}): Array<any>;
+/**
+ * Calculate the bounding box of a set of coordinates or a geofence
+ *
+ * Boxes are {south, west, north, east} in degrees. A box crossing the antimeridian has west
+ * greater than east, and the longitude range is always the narrowest that covers the input.
+ * A flat array is a set of points. Polygons with holes, multipolygons, circles and GeoJSON
+ * Polygons and MultiPolygons are geofences, whose box also covers the poleward bulge of their
+ * great-circle edges and spans every longitude if they enclose a pole. Use getGeofenceBoundingBox
+ * for any geofence, including a single ring.
+ *
+ * @param {Array|Object} input - Coordinates [{lat: number, lng: number}, ...] or a geofence
+ * @param {string} [interior='smaller'] - Side of each ring enclosed ('smaller', 'winding', 'left', 'right')
+ * @returns {Object|null} Bounding box {south, west, north, east}, or null for an empty set of coordinates
+ * @throws {Error} If the input is invalid or interior is not supported
+ *
+ * @example
+ * const box = getBoundingBox([
+ *   {lat: -16.5, lng: 179.2}, // Fiji
+ *   {lat: -17.8, lng: -178.9}
+ * ]);
+ * // {south: -17.8, west: 179.2, north: -16.5, east: -178.9}
+ */
+export function getBoundingBox(input: any[] | any, interior?: string): any | null;
+/**
+ * Calculate the bounding box of every point within a distance of a center coordinate
+ *
+ * The box is exact for the sphere: its east and west edges touch the circle where it is
+ * widest, not at the center's latitude. Circles reaching a pole span every longitude.
+ *
+ * @param {Object} center - Center coordinate {lat: number, lng: number}
+ * @param {number} radius - Radius around the center
+ * @param {string} [unit='km'] - Distance unit ('km', 'miles', 'meters')
+ * @returns {Object} Bounding box {south, west, north, east}
+ * @throws {Error} If the center or radius is invalid or unit is not supported
+ *
+ * @example
+ * const box = getBoundingBoxAroundPoint({lat: 40.7128, lng: -74.0060}, 10, 'km');
+ * // Use as a cheap database prefilter before measuring exact distances
+ */
+export function getBoundingBoxAroundPoint(center: any, radius: number, unit?: string): any;
+/**
+ * Find the convex hull of a set of coordinates on the sphere
+ *
+ * The hull is the smallest convex region with great-circle edges that contains every
+ * coordinate. It is returned as a ring that follows the GeoJSON right-hand rule, ready to use
+ * as a geofence, so it can turn a cluster of addresses into a service area. Coordinates on
+ * an edge of the hull are left out. The coordinates must all lie within 90 degrees of their
+ * average position; sets that spread further have no well-defined hull.
+ *
+ * @param {Array<Object>} coordinates - Array of coordinates [{lat: number, lng: number}, ...]
+ * @returns {Array<Object>} Copies of the hull's vertices in counter-clockwise order; fewer than 3
+ * if the coordinates are all on one great circle
+ * @throws {Error} If coordinates are invalid or spread too far to have a hull
+ *
+ * @example
+ * const serviceArea = getConvexHull(customerAddresses);
+ * const coverage = calculateGeofenceArea(serviceArea, 'km2');
+ */
+export function getConvexHull(coordinates: Array<any>): Array<any>;
+/**
+ * Calculate the distance along a path to each of its vertices
+ * @param {Array<Object>} coordinates - Path vertices in order [{lat: number, lng: number}, ...]
+ * @param {string} [unit='km'] - Distance unit ('km', 'miles', 'meters')
+ * @param {string} [method='haversine'] - Distance method ('haversine', 'vincenty')
+ * @returns {Array<Object>} Copies of the coordinates with a cumulative distance property; the first is 0
+ * @throws {Error} If coordinates are invalid or unit or method is not supported
+ *
+ * @example
+ * const stops = getCumulativeDistances(route, 'km');
+ * stops.forEach((stop) => console.log(`${stop.name}: ${stop.distance.toFixed(1)} km`));
+ */
+export function getCumulativeDistances(coordinates: Array<any>, unit?: string, method?: string): Array<any>;
+/**
+ * Calculate the coordinate reached by travelling a distance along a great circle from a start
+ * coordinate on an initial bearing
+ * @param {Object} start - Start coordinate {lat: number, lng: number}
+ * @param {number} bearing - Initial bearing in degrees clockwise from north
+ * @param {number} distance - Distance to travel
+ * @param {string} [unit='km'] - Distance unit ('km', 'miles', 'meters')
+ * @returns {Object} Destination coordinate {lat, lng}
+ * @throws {Error} If the start coordinate, bearing or distance is invalid or unit is not supported
+ *
+ * @example
+ * // Project a vehicle 30 seconds ahead at 50 km/h, heading 120°
+ * const ahead = getDestinationPoint(vehicle, 120, 50 * (30 / 3600), 'km');
+ */
+export function getDestinationPoint(start: any, bearing: number, distance: number, unit?: string): any;
+/**
+ * Calculate the bounding box of a geofence
+ *
+ * Unlike getBoundingBox, a flat array is read as a ring, so the box covers the poleward bulge
+ * of its great-circle edges and spans every longitude if the ring encloses a pole.
+ *
+ * @param {Array|Object} geofence - Geofence ring [{lat: number, lng: number}, ...], polygon with holes, multipolygon or circle
+ * @param {string} [interior='smaller'] - Side of each ring enclosed ('smaller', 'winding', 'left', 'right')
+ * @returns {Object} Bounding box {south, west, north, east}
+ * @throws {Error} If the geofence is invalid or interior is not supported
+ *
+ * @example
+ * const box = getGeofenceBoundingBox([
+ *   {lat: 60, lng: 0},
+ *   {lat: 60, lng: 90},
+ *   {lat: 55, lng: 45}
+ * ]);
+ * // {south: 55, west: 0, north: 67.79..., east: 90}: the edge along 60°N bends north of the parallel
+ */
+export function getGeofenceBoundingBox(geofence: any[] | any, interior?: string): any;
+/**
+ * Calculate the centroid of a geofence on the sphere
+ *
+ * The centroid is the center of mass of the enclosed surface, projected back onto the sphere.
+ * Unlike the average of the vertices it does not depend on how densely the boundary is drawn,
+ * and it stays correct across the antimeridian and around the poles. It may lie outside a
+ * concave geofence; use getPoleOfInaccessibility for a point guaranteed to be inside.
+ *
+ * @param {Array|Object} geofence - Geofence ring [{lat: number, lng: number}, ...], polygon with holes, multipolygon or circle
+ * @param {string} [interior='smaller'] - Side of each ring enclosed ('smaller', 'winding', 'left', 'right')
+ * @returns {Object|null} Centroid {lat, lng}, or null if the enclosed surface is balanced around Earth's center
+ * @throws {Error} If the geofence is invalid or interior is not supported
+ *
+ * @example
+ * const { lat, lng } = getGeofenceCentroid(deliveryZone);
+ */
+export function getGeofenceCentroid(geofence: any[] | any, interior?: string): any | null;
+/**
+ * Find the area covered by the first geofence but not the second
+ *
+ * Accepts any geofence shape, as for getGeofenceIntersection. Removing a zone inside the
+ * first geofence leaves a hole; removing one along its boundary cuts a notch.
+ *
+ * @param {Array|Object} geofence1 - Geofence to subtract from, as a ring [{lat: number, lng: number}, ...], polygon with holes, multipolygon or circle
+ * @param {Array|Object} geofence2 - Geofence to remove, in any of the same shapes
+ * @param {Object} [options={}] - Boolean operation options
+ * @param {number} [options.steps=64] - Vertices used for a circle
+ * @param {string} [options.interior='smaller'] - Side of each ring enclosed ('smaller', 'winding', 'left', 'right')
+ * @returns {Array<Array<Array<Object>>>|null} Difference as a multipolygon following the GeoJSON
+ * right-hand rule, or null if the second geofence covers the first
+ * @throws {Error} If either geofence or the options are invalid
+ *
+ * @example
+ * // Delivery zone with the no-go zones removed
+ * const deliverable = noGoZones.reduce(
+ *   (zone, noGo) => zone && getGeofenceDifference(zone, noGo),
+ *   deliveryZone
+ * );
+ */
+export function getGeofenceDifference(geofence1: any[] | any, geofence2: any[] | any, options?: {
+    steps?: number;
+    interior?: string;
+}): Array<Array<Array<any>>> | null;
+/**
+ * Find the area covered by both of two geofences
+ *
+ * Accepts any geofence shape: a single ring, a polygon with holes, a multipolygon or a
+ * circle. Boundaries are great circles and the result is exact up to floating point; circles
+ * are first replaced by a ring of options.steps vertices. Vertices within a few millimetres of
+ * each other are treated as the same point, so geofences drawn against a shared boundary
+ * combine cleanly. Geofences that only touch along their boundaries have no intersection.
+ * Use calculateGeofenceArea on the result to measure the overlap.
+ *
+ * @param {Array|Object} geofence1 - First geofence ring [{lat: number, lng: number}, ...], polygon with holes, multipolygon or circle
+ * @param {Array|Object} geofence2 - Second geofence, in any of the same shapes
+ * @param {Object} [options={}] - Boolean operation options
+ * @param {number} [options.steps=64] - Vertices used for a circle
+ * @param {string} [options.interior='smaller'] - Side of each ring enclosed ('smaller', 'winding', 'left', 'right')
+ * @returns {Array<Array<Array<Object>>>|null} Intersection as a multipolygon following the GeoJSON
+ * right-hand rule, or null if the geofences do not overlap
+ * @throws {Error} If either geofence or the options are invalid
+ *
+ * @example
+ * // Which part of a delivery zone lies in a franchise territory, and how large is it?
+ * const shared = getGeofenceIntersection(deliveryZone, territory);
+ * const sharedArea = shared ? calculateGeofenceArea(shared, 'km2') : 0;
+ */
+export function getGeofenceIntersection(geofence1: any[] | any, geofence2: any[] | any, options?: {
+    steps?: number;
+    interior?: string;
+}): Array<Array<Array<any>>> | null;
+/**
+ * Find the area covered by exactly one of two geofences (XOR)
+ *
+ * Accepts any geofence shape, as for getGeofenceIntersection. The result is both differences
+ * together, so its polygons can touch where the geofences' boundaries cross.
+ *
+ * @param {Array|Object} geofence1 - First geofence ring [{lat: number, lng: number}, ...], polygon with holes, multipolygon or circle
+ * @param {Array|Object} geofence2 - Second geofence, in any of the same shapes
+ * @param {Object} [options={}] - Boolean operation options
+ * @param {number} [options.steps=64] - Vertices used for a circle
+ * @param {string} [options.interior='smaller'] - Side of each ring enclosed ('smaller', 'winding', 'left', 'right')
+ * @returns {Array<Array<Array<Object>>>|null} Symmetric difference as a multipolygon following the
+ * GeoJSON right-hand rule, or null if the geofences cover the same area
+ * @throws {Error} If either geofence or the options are invalid
+ *
+ * @example
+ * // Area that changes hands when a territory is redrawn
+ * const changed = getGeofenceSymmetricDifference(oldTerritory, newTerritory);
+ */
+export function getGeofenceSymmetricDifference(geofence1: any[] | any, geofence2: any[] | any, options?: {
+    steps?: number;
+    interior?: string;
+}): Array<Array<Array<any>>> | null;
+/**
+ * Find the area covered by either of two geofences
+ *
+ * Accepts any geofence shape, as for getGeofenceIntersection. Geofences that share an edge
+ * are merged into one polygon.
+ *
+ * @param {Array|Object} geofence1 - First geofence ring [{lat: number, lng: number}, ...], polygon with holes, multipolygon or circle
+ * @param {Array|Object} geofence2 - Second geofence, in any of the same shapes
+ * @param {Object} [options={}] - Boolean operation options
+ * @param {number} [options.steps=64] - Vertices used for a circle
+ * @param {string} [options.interior='smaller'] - Side of each ring enclosed ('smaller', 'winding', 'left', 'right')
+ * @returns {Array<Array<Array<Object>>>|null} Union as a multipolygon following the GeoJSON right-hand
+ * rule, or null if both geofences are empty
+ * @throws {Error} If either geofence or the options are invalid, or the union is larger than a hemisphere
+ *
+ * @example
+ * const serviceArea = getGeofenceUnion(northZone, southZone);
+ */
+export function getGeofenceUnion(geofence1: any[] | any, geofence2: any[] | any, options?: {
+    steps?: number;
+    interior?: string;
+}): Array<Array<Array<any>>> | null;
+/**
+ * Find the geohashes whose cells together cover every point within a distance of a center
+ *
+ * Only cells that actually reach the circle are returned, so the result can be used directly
+ * as a set of database prefix lookups before measuring exact distances. Without a precision,
+ * the finest one whose cells over the circle's bounding box number at most 32 is used.
+ *
+ * @param {Object} center - Center coordinate {lat: number, lng: number}
+ * @param {number} radius - Radius around the center
+ * @param {string} [unit='km'] - Distance unit ('km', 'miles', 'meters')
+ * @param {number} [precision] - Number of geohash characters (1 to 12)
+ * @returns {Array<string>} Geohashes, sorted
+ * @throws {Error} If the center, radius or precision is invalid or unit is not supported
+ *
+ * @example
+ * const prefixes = getGeohashesCoveringRadius({lat: 40.7128, lng: -74.0060}, 2, 'km');
+ * // SELECT * FROM stores WHERE geohash LIKE 'dr5re%' OR ...
+ */
+export function getGeohashesCoveringRadius(center: any, radius: number, unit?: string, precision?: number): Array<string>;
+/**
+ * Find the eight geohashes of the same precision surrounding a geohash
+ *
+ * Neighbours wrap around the antimeridian. Cells in the top or bottom row touch a pole and
+ * have no neighbours beyond it, so those directions are null.
+ *
+ * @param {string} hash - Geohash (case-insensitive)
+ * @returns {Object} {north, northeast, east, southeast, south, southwest, west, northwest}
+ * @throws {Error} If the geohash is invalid
+ *
+ * @example
+ * const neighbors = getGeohashNeighbors('dr5regw');
+ * const keys = ['dr5regw', ...Object.values(neighbors).filter(Boolean)];
+ */
+export function getGeohashNeighbors(hash: string): any;
+/**
+ * Calculate the midpoint of the great circle between two coordinates
+ * @param {Object} coord1 - First coordinate {lat: number, lng: number}
+ * @param {Object} coord2 - Second coordinate {lat: number, lng: number}
+ * @returns {Object} Midpoint coordinate {lat, lng}
+ * @throws {Error} If coordinates are invalid
+ *
+ * @example
+ * const meetingPoint = getMidpoint(
+ *   {lat: 40.7128, lng: -74.0060}, // New York City
+ *   {lat: 34.0522, lng: -118.2437} // Los Angeles
+ * );
+ */
+export function getMidpoint(coord1: any, coord2: any): any;
+/**
+ * Find the point a given distance along a path
+ *
+ * The leg holding the point is found from the measured leg lengths, and the point is placed
+ * that fraction of the way along the leg's great circle.
+ *
+ * @param {Array<Object>} path - Path vertices in order [{lat: number, lng: number}, ...]
+ * @param {number} distance - Distance along the path from its first vertex
+ * @param {string} [unit='km'] - Distance unit ('km', 'miles', 'meters')
+ * @param {string} [method='haversine'] - Distance method ('haversine', 'vincenty')
+ * @returns {Object|null} {lat, lng, segmentIndex, fraction}, where fraction is how far along leg segmentIndex the point lies (0 to 1), or null if the path is empty or shorter than distance
+ * @throws {Error} If coordinates are invalid, distance is negative or unit or method is not supported
+ *
+ * @example
+ * // Kilometre markers along a delivery route
+ * const length = calculatePathLength(route, 'km');
+ * const markers = [];
+ * for (let km = 1; km <= length; km++) {
+ *   markers.push(getPointAlongPath(route, km, 'km'));
+ * }
+ */
+export function getPointAlongPath(path: Array<any>, distance: number, unit?: string, method?: string): any | null;
+/**
+ * Find the point inside a geofence that is furthest from its boundary
+ *
+ * This pole of inaccessibility is always inside the geofence, which makes it the natural place
+ * for a map label even when the centroid falls outside a concave shape. The search refines a
+ * grid of cells over the geofence's bounding box, discarding cells that cannot beat the best
+ * point found, until no remaining cell can improve on it by more than the precision. For a
+ * multipolygon the point lies in whichever polygon has room for the largest inscribed circle.
+ *
+ * @param {Array|Object} geofence - Geofence ring [{lat: number, lng: number}, ...], polygon with holes, multipolygon or circle
+ * @param {Object} [options={}] - Search options
+ * @param {number} [options.precision] - Largest acceptable shortfall from the true furthest distance;
+ * defaults to a thousandth of the larger side of the geofence's bounding box
+ * @param {string} [options.unit='km'] - Unit of precision and of the returned distance ('km', 'miles', 'meters')
+ * @param {string} [options.interior='smaller'] - Side of each ring enclosed ('smaller', 'winding', 'left', 'right')
+ * @returns {Object} {lat, lng, distance}, where distance is the distance from the point to the nearest boundary
+ * @throws {Error} If the geofence or options are invalid
+ *
+ * @example
+ * const label = getPoleOfInaccessibility(zone, {precision: 10, unit: 'meters'});
+ * map.addLabel(label.lat, label.lng, 'Zone A');
+ */
+export function getPoleOfInaccessibility(geofence: any[] | any, options?: {
+    precision?: number;
+    unit?: string;
+    interior?: string;
+}): any;
+/**
+ * Calculate the signed distance from a coordinate to a geofence boundary
+ *
+ * The distance is negative inside the geofence and positive outside, so a single value
+ * tells both which side of the border a coordinate is on and how far from it. Accepts
+ * every geofence shape that isCoordinateInGeofence does.
+ *
+ * @param {Object} coord - Coordinate to check {lat: number, lng: number}
+ * @param {Array|Object} geofence - Geofence ring [{lat: number, lng: number}, ...], polygon with holes, multipolygon or circle
+ * @param {string} [unit='km'] - Distance unit ('km', 'miles', 'meters')
+ * @param {string} [method='haversine'] - Distance method ('haversine', 'vincenty')
+ * @param {string} [interior='smaller'] - Side of each ring enclosed ('smaller', 'winding', 'left', 'right')
+ * @returns {Object} Object with {distance: number, isInside: boolean, closestPoint: {lat, lng}, closestEdge: Object|null}
+ * @throws {Error} If coordinates are invalid or unit, method or interior is not supported
+ *
+ * @example
+ * const result = getSignedDistanceToGeofence(courierPosition, deliveryZone, 'meters');
+ * if (result.distance < 0 && result.distance > -200) {
+ *   console.log('Courier is within 200 m of leaving the zone');
+ * }
+ */
+export function getSignedDistanceToGeofence(coord: any, geofence: any[] | any, unit?: string, method?: string, interior?: string): any;
+/**
+ * Find the map tiles covering a geofence at a zoom level
+ *
+ * Returns every tile sharing a point with the geofence, found by splitting tiles from zoom 0
+ * down and testing each against the geofence's edges, so only tiles along the boundary are
+ * examined closely. Tile edges are meridians and parallels, and geofence edges great circles.
+ * Tiles that only touch the boundary are included, and the top and bottom rows cover the
+ * polar caps beyond ±85.0511°, as in coordinateToTile.
+ *
+ * Accepts any geofence isCoordinateInGeofence does, circles included, and the interior option
+ * works as there. The number of tiles grows fourfold with each zoom level, so an error is
+ * thrown once the covering would hold more than options.maxTiles tiles.
+ *
+ * @param {Array|Object} geofence - Geofence ring [{lat: number, lng: number}, ...], polygon with holes, multipolygon or circle
+ * @param {number} zoom - Zoom level (integer from 0 to 30)
+ * @param {Object} [options={}] - Covering options
+ * @param {string} [options.interior='smaller'] - Side of each ring enclosed ('smaller', 'winding', 'left', 'right')
+ * @param {number} [options.maxTiles=100000] - Most tiles to return
+ * @returns {Array<Object>} Tiles {x, y, z}, ordered by row and then by column
+ * @throws {Error} If the geofence, zoom or options are invalid, interior is not supported or the
+ *   covering has more than options.maxTiles tiles
+ *
+ * @example
+ * const zone = [
+ *   {lat: 40.7128, lng: -74.0060},
+ *   {lat: 40.7614, lng: -73.9776},
+ *   {lat: 40.7505, lng: -73.9934}
+ * ];
+ * const tiles = getTilesCoveringGeofence(zone, 14);
+ * tiles.forEach(({x, y, z}) => renderOverlay(z, x, y));
+ */
+export function getTilesCoveringGeofence(geofence: any[] | any, zoom: number, options?: {
+    interior?: string;
+    maxTiles?: number;
+}): Array<any>;
+/**
+ * Calculate the point a given fraction of the way along the great circle between two coordinates
+ * @param {Object} coord1 - Start coordinate {lat: number, lng: number}
+ * @param {Object} coord2 - End coordinate {lat: number, lng: number}
+ * @param {number} fraction - Fraction of the way from coord1 to coord2 (0 to 1)
+ * @returns {Object} Interpolated coordinate {lat, lng}
+ * @throws {Error} If coordinates are invalid or fraction is not between 0 and 1
+ *
+ * @example
+ * // Ten evenly spaced markers on the way from New York City to London
+ * const markers = Array.from({length: 10}, (_, i) =>
+ *   interpolateGreatCircle({lat: 40.7128, lng: -74.0060}, {lat: 51.5074, lng: -0.1278}, (i + 1) / 11)
+ * );
+ */
+export function interpolateGreatCircle(coord1: any, coord2: any, fraction: number): any;
 /**
- * Check if a coordinate is inside a geofence polygon using ray casting algorithm
+ * Check if a coordinate is inside a geofence polygon
+ *
+ * Edges are great circles, and the test is done on the sphere, so geofences may cross the
+ * antimeridian or enclose a pole.
+ *
+ * Accepts a single ring, a polygon with holes [[outer], [hole], ...], a multipolygon
+ * [[[outer], [hole], ...], ...] or a circle {center, radius, unit}. A coordinate inside a
+ * hole is outside the geofence. The interior option works as in calculateGeofenceArea and
+ * does not apply to circles.
+ *
  * @param {Object} coord - Coordinate to check {lat: number, lng: number}
- * @param {Array<Object>} geofence - Array of coordinates defining the polygon [{lat: number, lng: number}, ...]
+ * @param {Array|Object} geofence - Geofence ring [{lat: number, lng: number}, ...], polygon with holes, multipolygon or circle
+ * @param {string} [interior='smaller'] - Side of each ring enclosed ('smaller', 'winding', 'left', 'right')
  * @returns {boolean} True if coordinate is inside the geofence, false otherwise
- * @throws {Error} If coordinates are invalid
+ * @throws {Error} If coordinates are invalid or interior is not supported
  *
  * @example
  * const isInside = isCoordinateInGeofence(
@@ -115,15 +1072,25 @@ export function getFurthestCoordinate(fromCoord: any, coordinates: Array<any>, u
  * );
  * console.log(`Coordinate is ${isInside ? 'inside' : 'outside'} the geofence`);
  */
-export function isCoordinateInGeofence(coord: any, geofence: Array<any>): boolean;
+export function isCoordinateInGeofence(coord: any, geofence: any[] | any, interior?: string): boolean;
 /**
  * Check if a coordinate is within a specified distance from a geofence polygon's perimeter
+ *
+ * Accepts a single ring, a polygon with holes [[outer], [hole], ...], a multipolygon
+ * [[[outer], [hole], ...], ...] or a circle {center, radius, unit}. The perimeter includes
+ * the boundary of every ring. For a circle the distance to its boundary is exact and
+ * closestEdge is null.
+ *
+ * Edges are great circles. The closest point is found by cross-track projection onto
+ * each edge, so it is exact at every latitude and can be used to draw snap lines.
+ *
  * @param {Object} coord - Coordinate to check {lat: number, lng: number}
- * @param {Array<Object>} geofence - Array of coordinates defining the polygon [{lat: number, lng: number}, ...]
+ * @param {Array|Object} geofence - Geofence ring [{lat: number, lng: number}, ...], polygon with holes, multipolygon or circle
  * @param {number} maxDistance - Maximum distance from geofence perimeter
  * @param {string} [unit='km'] - Distance unit ('km', 'miles', 'meters')
- * @returns {Object} Object with {isNear: boolean, distance: number, closestPoint: {lat, lng}}
- * @throws {Error} If coordinates are invalid or unit is not supported
+ * @param {string} [method='haversine'] - Distance method ('haversine', 'vincenty')
+ * @returns {Object} Object with {isNear: boolean, distance: number, closestPoint: {lat, lng}, closestEdge: {edgeStart, edgeEnd, polygonIndex, ringIndex, edgeIndex, fraction}}
+ * @throws {Error} If coordinates are invalid or unit or method is not supported
  *
  * @example
  * const result = isCoordinateNearGeofence(
@@ -139,4 +1106,261 @@ export function isCoordinateInGeofence(coord: any, geofence: Array<any>): boolea
  * console.log(`Point is ${result.isNear ? 'near' : 'not near'} the geofence`);
  * console.log(`Distance to geofence: ${result.distance.toFixed(2)} km`);
  */
-export function isCoordinateNearGeofence(coord: any, geofence: Array<any>, maxDistance: number, unit?: string): any;
+export function isCoordinateNearGeofence(coord: any, geofence: any[] | any, maxDistance: number, unit?: string, method?: string): any;
+/**
+ * Parse a coordinate from a string, array or object with alternative keys
+ *
+ * Accepts:
+ * - Objects with lat or latitude and lng, lon, long or longitude properties. Values may be
+ *   numbers or strings in any of the forms below, and other properties are kept.
+ * - Arrays [lng, lat], in GeoJSON order, with an optional altitude that is dropped.
+ * - Strings of two values in decimal degrees ("40.7128,-74.0060"), degrees and decimal minutes
+ *   (`40°42.767'N`) or degrees, minutes and seconds (`40°42'46"N 74°0'22"W`), separated by a
+ *   comma, semicolon or whitespace. Hemisphere letters may come before or after each value.
+ * - GeoJSON Point geometries and Point Features, as everywhere else.
+ *
+ * Values with a hemisphere letter go on its axis whichever order they come in. Otherwise
+ * strings are read latitude first and arrays longitude first, unless options.order says
+ * otherwise. Input that could mean more than one coordinate is rejected rather than guessed,
+ * for example two latitudes, a sign together with a hemisphere, or a string without a
+ * separator that splits into two values more than one way.
+ *
+ * @param {*} input - Coordinate in any of the accepted forms
+ * @param {Object} [options] - Parsing options
+ * @param {string} [options.order] - Order of arrays and of string values without hemisphere letters ('latlng', 'lnglat')
+ * @returns {Object} Coordinate {lat, lng}, plus any other properties of an input object
+ * @throws {Error} If the input is invalid or ambiguous, or the coordinate is out of range
+ *
+ * @example
+ * parseCoordinate('40.7128,-74.0060'); // {lat: 40.7128, lng: -74.006}
+ * parseCoordinate(`40°42'46"N 74°0'22"W`); // {lat: 40.71277..., lng: -74.00611...}
+ * parseCoordinate([-74.0060, 40.7128]); // {lat: 40.7128, lng: -74.006}
+ * parseCoordinate({latitude: 40.7128, lon: -74.0060, id: 7}); // {id: 7, lat: 40.7128, lng: -74.006}
+ */
+export function parseCoordinate(input: any, options?: {
+    order?: string;
+}): any;
+/**
+ * Convert pixel coordinates on a Web Mercator map at a zoom level to a coordinate
+ * @param {Object} pixel - Pixel position {x, y}, counted from the map's north-west corner
+ * @param {number} zoom - Zoom level (0 to 30)
+ * @param {number} [tileSize=256] - Tile size in pixels
+ * @returns {Object} Coordinate {lat, lng}, with the longitude wrapped to -180 to 180
+ * @throws {Error} If the pixel, zoom or tile size is invalid
+ *
+ * @example
+ * const coord = pixelToCoordinate({x: 77182, y: 98561}, 10);
+ */
+export function pixelToCoordinate(pixel: any, zoom: number, tileSize?: number): any;
+/**
+ * Repair the problems validateGeofence finds within each ring of a geofence
+ *
+ * Consecutive duplicate vertices and zero-area spikes are removed, and rings left with fewer
+ * than 3 vertices are dropped along with the holes of a dropped outer ring. A ring that
+ * crosses itself is split at each crossing into simple rings, each enclosing its smaller side,
+ * so a bow-tie outer ring becomes two polygons. Every ring is then wound by the GeoJSON
+ * right-hand rule around the region it encloses, and each hole is kept with the first outer
+ * ring it reaches into; holes entirely outside every outer ring exclude nothing and are dropped.
+ *
+ * Crossings between different rings are left as they are; validateGeofence still reports them.
+ * Since splitting a ring can turn one polygon into several, the result is always a multipolygon.
+ *
+ * @param {Array} geofence - Geofence ring [{lat: number, lng: number}, ...], polygon with holes or multipolygon
+ * @param {string} [interior='smaller'] - Side of each ring enclosed ('smaller', 'winding', 'left', 'right')
+ * @returns {Array<Array<Array<Object>>>} Repaired multipolygon, without closing vertices
+ * @throws {Error} If the geofence or interior is invalid, the geofence is a circle or no ring survives repair
+ *
+ * @example
+ * const zone = repairGeofence(userDrawnRing);
+ * validateGeofence(zone).valid; // true unless separate rings cross each other
+ */
+export function repairGeofence(geofence: any[], interior?: string): Array<Array<Array<any>>>;
+/**
+ * Simplify a geofence by removing vertices that lie within a ground distance of the result
+ *
+ * Every removed vertex lies within tolerance of its simplified ring. Each ring keeps at least
+ * 3 vertices, and no simplified edge crosses another edge of the geofence, so a valid geofence
+ * stays valid. With maxAreaChange set, the tolerance is reduced as far as needed to keep
+ * calculateGeofenceArea within that fraction of the original area.
+ *
+ * @param {Array} geofence - Geofence ring [{lat: number, lng: number}, ...], polygon with holes or multipolygon
+ * @param {number} tolerance - Maximum distance from any removed vertex to its simplified ring
+ * @param {Object} [options={}] - Simplification options
+ * @param {string} [options.unit='km'] - Unit of tolerance ('km', 'miles', 'meters')
+ * @param {string} [options.algorithm='douglas-peucker'] - Algorithm ('douglas-peucker', 'visvalingam')
+ * @param {number} [options.maxAreaChange] - Largest allowed change in area, as a fraction of the original area
+ * @param {string} [options.interior='smaller'] - Side of each ring enclosed, for the area check ('smaller', 'winding', 'left', 'right')
+ * @returns {Array} Simplified geofence, nested like the input (GeoJSON input gives a multipolygon)
+ * @throws {Error} If the geofence, tolerance or options are invalid, or the geofence is a circle
+ *
+ * @example
+ * const zone = simplifyGeofence(handDrawnZone, 20, {unit: 'meters', maxAreaChange: 0.01});
+ */
+export function simplifyGeofence(geofence: any[], tolerance: number, options?: {
+    unit?: string;
+    algorithm?: string;
+    maxAreaChange?: number;
+    interior?: string;
+}): any[];
+/**
+ * Simplify a path (polyline) by removing vertices that lie within a ground distance of the result
+ *
+ * Every removed vertex lies within tolerance of the simplified path, and the first and last
+ * vertices are always kept.
+ *
+ * @param {Array<Object>} coordinates - Path vertices in order [{lat: number, lng: number}, ...]
+ * @param {number} tolerance - Maximum distance from any removed vertex to the simplified path
+ * @param {Object} [options={}] - Simplification options
+ * @param {string} [options.unit='km'] - Unit of tolerance ('km', 'miles', 'meters')
+ * @param {string} [options.algorithm='douglas-peucker'] - Algorithm ('douglas-peucker', 'visvalingam')
+ * @returns {Array<Object>} Copies of the kept coordinates, in order
+ * @throws {Error} If coordinates, tolerance or options are invalid
+ *
+ * @example
+ * const track = simplifyPath(gpsTrack, 5, {unit: 'meters'});
+ * console.log(`Kept ${track.length} of ${gpsTrack.length} points`);
+ */
+export function simplifyPath(coordinates: Array<any>, tolerance: number, options?: {
+    unit?: string;
+    algorithm?: string;
+}): Array<any>;
+/**
+ * Calculate the bounding box of a map tile
+ * @param {Object} tile - Tile {x, y, z} as returned by coordinateToTile
+ * @returns {Object} Bounding box {south, west, north, east}
+ * @throws {Error} If the tile is invalid
+ *
+ * @example
+ * const box = tileToBoundingBox({x: 1205, y: 1540, z: 12});
+ * const isOnTile = boundingBoxContains(box, {lat: 40.7128, lng: -74.0060}); // true
+ */
+export function tileToBoundingBox(tile: any): any;
+/**
+ * Convert a coordinate to a GeoJSON Point Feature
+ *
+ * Every property other than lat and lng becomes a Feature property, so results such as
+ * {lat, lng, name, distance} keep their extra fields. Coordinates that came from a GeoJSON
+ * Feature get their original properties and id back.
+ *
+ * @param {Object} coord - Coordinate {lat: number, lng: number, ...}
+ * @returns {Object} GeoJSON Feature with a Point geometry
+ * @throws {Error} If the coordinate is invalid
+ *
+ * @example
+ * const feature = toGeoJSONFeature({lat: 40.7614, lng: -73.9776, name: 'Central Park'});
+ * // {type: 'Feature', geometry: {type: 'Point', coordinates: [-73.9776, 40.7614]}, properties: {name: 'Central Park'}}
+ */
+export function toGeoJSONFeature(coord: any): any;
+/**
+ * Convert an array of coordinates to a GeoJSON FeatureCollection of Points
+ * @param {Array<Object>} coordinates - Array of coordinates [{lat: number, lng: number, ...}, ...]
+ * @returns {Object} GeoJSON FeatureCollection
+ * @throws {Error} If coordinates are invalid
+ *
+ * @example
+ * const nearby = getCoordinatesWithinDistance(depot, storesFeatureCollection, 10, 'km');
+ * const output = toGeoJSONFeatureCollection(nearby);
+ * // Each Feature keeps its original properties and gains a distance property
+ */
+export function toGeoJSONFeatureCollection(coordinates: Array<any>): any;
+/**
+ * Convert a geofence to a GeoJSON geometry
+ *
+ * A geofence with a single polygon becomes a Polygon and one with several becomes a
+ * MultiPolygon. Rings are closed by repeating their first position, as GeoJSON requires.
+ *
+ * @param {Array|Object} geofence - Geofence ring [{lat: number, lng: number}, ...], polygon with holes or multipolygon
+ * @returns {Object} GeoJSON Polygon or MultiPolygon geometry
+ * @throws {Error} If the geofence is invalid or is a circle, which GeoJSON cannot represent
+ *
+ * @example
+ * const geometry = toGeoJSONGeometry([
+ *   {lat: 40.7, lng: -74.0},
+ *   {lat: 40.7, lng: -73.9},
+ *   {lat: 40.8, lng: -73.9}
+ * ]);
+ * // {type: 'Polygon', coordinates: [[[-74, 40.7], [-73.9, 40.7], [-73.9, 40.8], [-74, 40.7]]]}
+ */
+export function toGeoJSONGeometry(geofence: any[] | any): any;
+/**
+ * Convert a coordinate to UTM, or to UPS near the poles
+ *
+ * Coordinates from 80°S to 84°N use the Universal Transverse Mercator zone they fall in,
+ * including the widened zone 32 over southwest Norway and the Svalbard zones 31, 33, 35 and 37.
+ * Coordinates further north or south use the Universal Polar Stereographic projection, which
+ * is reported as zone 0 with band A or B in the south and Y or Z in the north. Easting and
+ * northing are in meters on the WGS84 ellipsoid, accurate to well under a millimetre.
+ *
+ * @param {Object} coord - Coordinate {lat: number, lng: number}
+ * @returns {Object} {zone, band, hemisphere, easting, northing}, with hemisphere 'N' or 'S'
+ * @throws {Error} If the coordinate is invalid
+ *
+ * @example
+ * const utm = toUTM({lat: 33.3, lng: 44.4});
+ * // {zone: 38, band: 'S', hemisphere: 'N', easting: 444140.54..., northing: 3684706.36...}
+ */
+export function toUTM(coord: any): any;
+/**
+ * Convert a coordinate to Web Mercator (EPSG:3857) meters
+ *
+ * Latitudes beyond ±85.0511°, where the square Web Mercator map ends, are clamped to that limit.
+ *
+ * @param {Object} coord - Coordinate to project {lat: number, lng: number}
+ * @returns {Object} Position {x, y} in meters east of the prime meridian and north of the equator
+ * @throws {Error} If the coordinate is invalid
+ *
+ * @example
+ * const { x, y } = toWebMercator({lat: 40.7128, lng: -74.0060});
+ * // x: -8238310.23..., y: 4970071.57...
+ */
+export function toWebMercator(coord: any): any;
+/**
+ * Check a geofence for problems that make containment and area results unreliable
+ *
+ * Each ring is checked for consecutive duplicate vertices, fewer than 3 distinct vertices,
+ * zero-area spikes where the ring doubles back on itself, edges that cross each other and
+ * winding that does not follow the GeoJSON right-hand rule (outer rings counter-clockwise,
+ * holes clockwise) around the region the ring encloses. Edges of different rings must not
+ * cross, and every hole must lie inside its outer ring. An explicit closing vertex repeating
+ * the first is not a problem.
+ *
+ * Problems give the polygon and ring they were found in, as indices into the geofence
+ * normalized to a multipolygon, and the indices of the vertices involved in that ring.
+ *
+ * @param {Array|Object} geofence - Geofence ring [{lat: number, lng: number}, ...], polygon with holes, multipolygon or circle
+ * @param {string} [interior='smaller'] - Side of each ring enclosed ('smaller', 'winding', 'left', 'right')
+ * @returns {Object} {valid, problems}: each problem is {type, message, polygon, ring, vertices}, with the
+ * crossing point for 'self-intersection' and 'ring-intersection' and the other ring {polygon, ring, vertices}
+ * for 'ring-intersection'. Types are 'duplicate-vertex', 'too-few-vertices', 'spike', 'self-intersection',
+ * 'winding', 'ring-intersection' and 'hole-outside'.
+ * @throws {Error} If the geofence is not a geofence shape, a coordinate is invalid or interior is not supported
+ *
+ * @example
+ * const { valid, problems } = validateGeofence([
+ *   {lat: 0, lng: 0},
+ *   {lat: 1, lng: 1},
+ *   {lat: 1, lng: 0},
+ *   {lat: 0, lng: 1}
+ * ]);
+ * // valid === false, problems[0].type === 'self-intersection', problems[0].vertices === [0, 1, 2, 3]
+ */
+export function validateGeofence(geofence: any[] | any, interior?: string): any;
+/**
+ * Get the functions of the package with coordinate parsing turned on
+ *
+ * Every function returned passes each coordinate argument, list element, circle center and
+ * geofence vertex through parseCoordinate before it is validated, so strings, [lng, lat] arrays
+ * and objects with latitude/longitude keys are accepted wherever {lat, lng} is. The package's
+ * own exports are not affected, so callers with different needs can share it. Geofence vertices
+ * cannot be arrays, since arrays there mark rings and polygons; pass a GeoJSON Polygon instead.
+ *
+ * @param {boolean|Object} [options] - true, or the options for parseCoordinate
+ * @param {string} [options.order] - Order of arrays and of string values without hemisphere letters ('latlng', 'lnglat')
+ * @returns {Object} The package's functions, keyed by name, with parsing turned on
+ * @throws {Error} If options are invalid
+ *
+ * @example
+ * const parsed = withCoordinateParsing();
+ * parsed.calculateDistance('40.7128,-74.0060', {latitude: 34.0522, longitude: -118.2437});
+ */
+export function withCoordinateParsing(options?: boolean | any): any;
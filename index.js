@@ -27,6 +27,580 @@ function validateCoordinate(coord, paramName = 'coordinate') {
   }
 }
 
+// Parsing options of the withCoordinateParsing function running now, or null outside of one
+let coordinateParsing = null;
+
+// One latitude or longitude: decimal degrees or degrees, minutes and seconds, signed or with
+// a hemisphere letter before or after
+const ANGLE_PATTERN = new RegExp(
+  [
+    /^([NSEW])?\s*([+-])?(\d+(?:\.\d+)?)\s*(?:[°º˚]\s*)?/, // Hemisphere, sign and degrees
+    /(?:(\d+(?:\.\d+)?)\s*['′’]\s*)?/, // Minutes
+    /(?:(\d+(?:\.\d+)?)\s*(?:"|″|”|'')\s*)?([NSEW])?$/, // Seconds and hemisphere
+  ]
+    .map((part) => part.source)
+    .join(''),
+  'i'
+);
+
+const LATITUDE_KEYS = ['lat', 'latitude'];
+const LONGITUDE_KEYS = ['lng', 'lon', 'long', 'longitude'];
+
+/**
+ * Validates and normalizes a coordinate order
+ * @param {string} order - Order string to validate
+ * @returns {string|null} Normalized order, or null if none was given
+ * @throws {Error} If order is invalid
+ */
+function validateCoordinateOrder(order) {
+  if (!order) return null;
+
+  if (typeof order !== 'string') {
+    throw new Error('Order must be a string');
+  }
+
+  const normalizedOrder = order.toLowerCase();
+  const validOrders = ['latlng', 'lnglat'];
+
+  if (!validOrders.includes(normalizedOrder)) {
+    throw new Error(`Invalid order: ${order}. Valid orders are: ${validOrders.join(', ')}`);
+  }
+
+  return normalizedOrder;
+}
+
+/**
+ * Parses a single latitude or longitude written as text
+ * @param {string} text - Decimal degrees or degrees, minutes and seconds, e.g. `40°42'46"N`
+ * @returns {Object} {value, axis}, where axis is 'lat' or 'lng' if a hemisphere letter names it, else null;
+ *   or {error} describing why the text is not a valid angle
+ */
+function parseAngle(text) {
+  const trimmed = text.trim();
+  const match = ANGLE_PATTERN.exec(trimmed);
+  if (!match) {
+    return { error: `has an invalid value: "${trimmed}"` };
+  }
+
+  const [, leading, sign, degrees, minutes, seconds, trailing] = match;
+
+  if (leading && trailing) {
+    return { error: `has two hemisphere letters in one value: "${trimmed}"` };
+  }
+
+  const hemisphere = (leading || trailing || '').toUpperCase();
+  if (hemisphere && sign) {
+    return { error: `has both a sign and a hemisphere: "${trimmed}"` };
+  }
+
+  if ((minutes !== undefined || seconds !== undefined) && degrees.includes('.')) {
+    return { error: `has fractional degrees followed by minutes or seconds: "${trimmed}"` };
+  }
+
+  if (Number(minutes) >= 60 || Number(seconds) >= 60) {
+    return { error: `has minutes or seconds of 60 or more: "${trimmed}"` };
+  }
+
+  const magnitude = Number(degrees) + Number(minutes || 0) / 60 + Number(seconds || 0) / 3600;
+  const negative = sign === '-' || hemisphere === 'S' || hemisphere === 'W';
+
+  return {
+    value: negative ? -magnitude : magnitude,
+    axis: hemisphere === 'N' || hemisphere === 'S' ? 'lat' : hemisphere ? 'lng' : null,
+  };
+}
+
+/**
+ * Parses a coordinate written as text, such as "40.7128,-74.0060" or `40°42'46"N 74°0'22"W`
+ * @param {string} text - Two values separated by a comma, semicolon or whitespace
+ * @param {string} order - Order of values without a hemisphere letter ('latlng', 'lnglat')
+ * @param {string} paramName - Parameter name for error messages
+ * @returns {Object} Coordinate {lat, lng}
+ * @throws {Error} If the text cannot be read as exactly one coordinate
+ */
+function parseCoordinateString(text, order, paramName) {
+  const trimmed = text.trim();
+  if (trimmed === '') {
+    throw new Error(`${paramName} is an empty string`);
+  }
+
+  let angles;
+
+  if (/[,;]/.test(trimmed)) {
+    const parts = trimmed.split(/[,;]/);
+    if (parts.length !== 2) {
+      throw new Error(`${paramName} must contain exactly two values`);
+    }
+    angles = parts.map(parseAngle);
+
+    const invalid = angles.find((angle) => angle.error);
+    if (invalid) {
+      throw new Error(`${paramName} ${invalid.error}`);
+    }
+  } else {
+    // Without a separator, try every split between words and require exactly one to parse
+    const words = trimmed.split(/\s+/);
+    const splits = [];
+
+    for (let i = 1; i < words.length; i++) {
+      const split = [words.slice(0, i).join(' '), words.slice(i).join(' ')].map(parseAngle);
+      if (!split.some((angle) => angle.error)) {
+        splits.push(split);
+      }
+    }
+
+    if (splits.length === 0) {
+      if (words.length === 1) {
+        throw new Error(`${paramName} must contain exactly two values`);
+      }
+      throw new Error(`${paramName} could not be read as two values: "${trimmed}"`);
+    }
+
+    if (splits.length > 1) {
+      throw new Error(`${paramName} is ambiguous: "${trimmed}" can be split into two values in more than one way`);
+    }
+
+    angles = splits[0];
+  }
+
+  const [first, second] = angles;
+
+  if (first.axis && first.axis === second.axis) {
+    throw new Error(`${paramName} has two ${first.axis === 'lat' ? 'latitude' : 'longitude'} values`);
+  }
+
+  // A hemisphere letter on either value decides both axes; otherwise the order does
+  const firstAxis = first.axis || (second.axis ? (second.axis === 'lat' ? 'lng' : 'lat') : order.slice(0, 3));
+  return firstAxis === 'lat' ? { lat: first.value, lng: second.value } : { lat: second.value, lng: first.value };
+}
+
+/**
+ * Converts one of the accepted coordinate shapes to {lat, lng} without checking its range
+ * @param {*} value - Coordinate object, [lng, lat] array or string
+ * @param {string|null} order - Normalized order for arrays and unlabelled strings, or null for the defaults
+ * @param {string} paramName - Parameter name for error messages
+ * @returns {Object} Coordinate with numeric lat and lng; objects keep their other properties
+ * @throws {Error} If the value is not a coordinate or is ambiguous
+ */
+function parseCoordinateValue(value, order, paramName) {
+  if (typeof value === 'string') {
+    return parseCoordinateString(value, order || 'latlng', paramName);
+  }
+
+  if (Array.isArray(value)) {
+    if (value.length < 2 || value.length > 3 || !value.every((item) => typeof item === 'number')) {
+      throw new Error(`${paramName} must be an array of two numbers (and an optional altitude)`);
+    }
+    return (order || 'lnglat') === 'lnglat' ? { lat: value[1], lng: value[0] } : { lat: value[0], lng: value[1] };
+  }
+
+  if (!value || typeof value !== 'object') {
+    throw new Error(`${paramName} must be a coordinate object, array or string`);
+  }
+
+  const readAxis = (keys, axis, name) => {
+    const present = keys.filter((key) => value[key] !== undefined);
+    if (present.length > 1) {
+      throw new Error(`${paramName} has more than one ${name} property (${present.join(', ')})`);
+    }
+    if (present.length === 0) {
+      throw new Error(`${paramName} must have lat and lng properties`);
+    }
+
+    const raw = value[present[0]];
+    if (typeof raw === 'number') return raw;
+    if (typeof raw !== 'string') {
+      throw new Error(`${paramName}.${present[0]} must be a number or string`);
+    }
+
+    const angle = parseAngle(raw);
+    if (angle.error) {
+      throw new Error(`${paramName}.${present[0]} ${angle.error}`);
+    }
+    if (angle.axis && angle.axis !== axis) {
+      throw new Error(`${paramName}.${present[0]} has a ${angle.axis === 'lat' ? 'latitude' : 'longitude'} hemisphere`);
+    }
+    return angle.value;
+  };
+
+  const lat = readAxis(LATITUDE_KEYS, 'lat', 'latitude');
+  const lng = readAxis(LONGITUDE_KEYS, 'lng', 'longitude');
+
+  const rest = { ...value };
+  [...LATITUDE_KEYS, ...LONGITUDE_KEYS].forEach((key) => delete rest[key]);
+  return { ...rest, lat, lng };
+}
+
+/**
+ * Applies the parsing of the withCoordinateParsing function running now to a coordinate input, if any
+ * @param {*} value - Coordinate input
+ * @param {string} paramName - Parameter name for error messages
+ * @returns {*} Parsed coordinate, or the value unchanged while parsing is off
+ * @throws {Error} If parsing is on and the value is not a coordinate
+ */
+function normalizeCoordinate(value, paramName) {
+  return coordinateParsing ? parseCoordinateValue(value, coordinateParsing.order, paramName) : value;
+}
+
+/**
+ * Parse a coordinate from a string, array or object with alternative keys
+ *
+ * Accepts:
+ * - Objects with lat or latitude and lng, lon, long or longitude properties. Values may be
+ *   numbers or strings in any of the forms below, and other properties are kept.
+ * - Arrays [lng, lat], in GeoJSON order, with an optional altitude that is dropped.
+ * - Strings of two values in decimal degrees ("40.7128,-74.0060"), degrees and decimal minutes
+ *   (`40°42.767'N`) or degrees, minutes and seconds (`40°42'46"N 74°0'22"W`), separated by a
+ *   comma, semicolon or whitespace. Hemisphere letters may come before or after each value.
+ * - GeoJSON Point geometries and Point Features, as everywhere else.
+ *
+ * Values with a hemisphere letter go on its axis whichever order they come in. Otherwise
+ * strings are read latitude first and arrays longitude first, unless options.order says
+ * otherwise. Input that could mean more than one coordinate is rejected rather than guessed,
+ * for example two latitudes, a sign together with a hemisphere, or a string without a
+ * separator that splits into two values more than one way.
+ *
+ * @param {*} input - Coordinate in any of the accepted forms
+ * @param {Object} [options] - Parsing options
+ * @param {string} [options.order] - Order of arrays and of string values without hemisphere letters ('latlng', 'lnglat')
+ * @returns {Object} Coordinate {lat, lng}, plus any other properties of an input object
+ * @throws {Error} If the input is invalid or ambiguous, or the coordinate is out of range
+ *
+ * @example
+ * parseCoordinate('40.7128,-74.0060'); // {lat: 40.7128, lng: -74.006}
+ * parseCoordinate(`40°42'46"N 74°0'22"W`); // {lat: 40.71277..., lng: -74.00611...}
+ * parseCoordinate([-74.0060, 40.7128]); // {lat: 40.7128, lng: -74.006}
+ * parseCoordinate({latitude: 40.7128, lon: -74.0060, id: 7}); // {id: 7, lat: 40.7128, lng: -74.006}
+ */
+function parseCoordinate(input, options = {}) {
+  // Validate inputs
+  if (!options || typeof options !== 'object') {
+    throw new Error('Options must be an object');
+  }
+
+  const order = validateCoordinateOrder(options.order);
+
+  const coord = isGeoJSON(input, 'Feature', 'Point')
+    ? fromGeoJSONCoordinate(input, 'coordinate')
+    : parseCoordinateValue(input, order, 'coordinate');
+  validateCoordinate(coord, 'coordinate');
+
+  return coord;
+}
+
+/**
+ * Wraps a function so that it runs with the given parsing options
+ *
+ * Function arguments, such as event listeners, run with the caller's options instead, and
+ * methods of a returned object, such as a spatial index or monitor, are wrapped in turn.
+ *
+ * @param {Object} parsing - Parsing options, {order}
+ * @param {Function} fn - Function to wrap
+ * @returns {Function} Wrapped function
+ */
+function wrapWithParsing(parsing, fn) {
+  return function (...args) {
+    const previous = coordinateParsing;
+    const callArgs = args.map((arg) => (typeof arg === 'function' ? wrapWithParsing(previous, arg) : arg));
+
+    coordinateParsing = parsing;
+    try {
+      const result = fn.apply(this, callArgs);
+      if (typeof result === 'function') {
+        return wrapWithParsing(parsing, result);
+      }
+      if (!result || typeof result !== 'object' || Array.isArray(result)) {
+        return result;
+      }
+      if (!Object.values(result).some((value) => typeof value === 'function')) {
+        return result;
+      }
+
+      const wrapped = {};
+      Object.keys(result).forEach((key) => {
+        wrapped[key] = typeof result[key] === 'function' ? wrapWithParsing(parsing, result[key]) : result[key];
+      });
+      return wrapped;
+    } finally {
+      coordinateParsing = previous;
+    }
+  };
+}
+
+/**
+ * Get the functions of the package with coordinate parsing turned on
+ *
+ * Every function returned passes each coordinate argument, list element, circle center and
+ * geofence vertex through parseCoordinate before it is validated, so strings, [lng, lat] arrays
+ * and objects with latitude/longitude keys are accepted wherever {lat, lng} is. The package's
+ * own exports are not affected, so callers with different needs can share it. Geofence vertices
+ * cannot be arrays, since arrays there mark rings and polygons; pass a GeoJSON Polygon instead.
+ *
+ * @param {boolean|Object} [options] - true, or the options for parseCoordinate
+ * @param {string} [options.order] - Order of arrays and of string values without hemisphere letters ('latlng', 'lnglat')
+ * @returns {Object} The package's functions, keyed by name, with parsing turned on
+ * @throws {Error} If options are invalid
+ *
+ * @example
+ * const parsed = withCoordinateParsing();
+ * parsed.calculateDistance('40.7128,-74.0060', {latitude: 34.0522, longitude: -118.2437});
+ */
+function withCoordinateParsing(options = true) {
+  // Validate inputs
+  if (options !== true && (!options || typeof options !== 'object')) {
+    throw new Error('Options must be true or an object');
+  }
+
+  const parsing = { order: options === true ? null : validateCoordinateOrder(options.order) };
+
+  const functions = {};
+  Object.keys(module.exports).forEach((name) => {
+    if (name !== 'withCoordinateParsing') {
+      functions[name] = wrapWithParsing(parsing, module.exports[name]);
+    }
+  });
+
+  return functions;
+}
+
+/**
+ * Validates and normalizes a coordinate format
+ * @param {string} format - Format string to validate
+ * @returns {string} Normalized format
+ * @throws {Error} If format is invalid
+ */
+function validateCoordinateFormat(format) {
+  if (!format) return 'dd';
+
+  if (typeof format !== 'string') {
+    throw new Error('Format must be a string');
+  }
+
+  const normalizedFormat = format.toLowerCase();
+  const validFormats = ['dd', 'ddm', 'dms'];
+
+  if (!validFormats.includes(normalizedFormat)) {
+    throw new Error(`Invalid format: ${format}. Valid formats are: ${validFormats.join(', ')}`);
+  }
+
+  return normalizedFormat;
+}
+
+/**
+ * Formats a latitude or longitude in one of the coordinate formats
+ * @param {number} value - Angle in degrees
+ * @param {string} format - Normalized format ('dd', 'ddm', 'dms')
+ * @param {number} precision - Decimal places of the last component
+ * @param {string|null} hemispheres - Letters for positive and negative values ('NS' or 'EW'), or null for a sign
+ * @returns {string} Formatted angle
+ */
+function formatAngle(value, format, precision, hemispheres) {
+  // Round once in units of the last component so that 59.999" carries into the minutes
+  const parts = format === 'dms' ? 3 : format === 'ddm' ? 2 : 1;
+  const factor = Math.pow(10, precision);
+  const scale = Math.pow(60, parts - 1) * factor;
+  const scaled = Math.round(Math.abs(value) * scale);
+  const negative = value < 0 && scaled > 0;
+
+  // Minutes and seconds always have two digits before the decimal point
+  const pad = (number, decimals) => {
+    const text = number.toFixed(decimals);
+    return /^\d(\.|$)/.test(text) ? `0${text}` : text;
+  };
+
+  let text;
+  if (format === 'dd') {
+    text = (scaled / factor).toFixed(precision);
+  } else if (format === 'ddm') {
+    const degrees = Math.floor(scaled / scale);
+    text = `${degrees}°${pad((scaled - degrees * scale) / factor, precision)}'`;
+  } else {
+    const degrees = Math.floor(scaled / scale);
+    const rest = scaled - degrees * scale;
+    const minutes = Math.floor(rest / (60 * factor));
+    text = `${degrees}°${pad(minutes, 0)}'${pad((rest - minutes * 60 * factor) / factor, precision)}"`;
+  }
+
+  if (!hemispheres) {
+    return negative ? `-${text}` : text;
+  }
+  return `${text}${format === 'dd' ? '°' : ''}${hemispheres[negative ? 1 : 0]}`;
+}
+
+/**
+ * Format a coordinate as text for display
+ *
+ * The 'dd' format writes decimal degrees ("40.712800, -74.006000"), 'ddm' degrees and
+ * decimal minutes (`40°42.7680'N, 74°00.3600'W`) and 'dms' degrees, minutes and seconds
+ * (`40°42'46.08"N, 74°00'21.60"W`). Latitude always comes first. Values are rounded once,
+ * so seconds or minutes that round up to 60 carry into the next component. The result reads
+ * back with parseCoordinate to within the chosen precision.
+ *
+ * @param {Object} coord - Coordinate {lat: number, lng: number}
+ * @param {Object} [options] - Formatting options
+ * @param {string} [options.format='dd'] - Coordinate format ('dd', 'ddm', 'dms')
+ * @param {number} [options.precision] - Decimal places of the last component; defaults to 6 for 'dd', 4 for 'ddm' and 2 for 'dms'
+ * @param {boolean} [options.hemisphere] - Write N, S, E and W instead of a sign; defaults to false for 'dd' and true otherwise
+ * @returns {string} Formatted coordinate
+ * @throws {Error} If the coordinate or options are invalid or format is not supported
+ *
+ * @example
+ * formatCoordinate({lat: 40.7128, lng: -74.0060}, {format: 'dms'}); // `40°42'46.08"N, 74°00'21.60"W`
+ * formatCoordinate({lat: 40.7128, lng: -74.0060}, {precision: 4}); // "40.7128, -74.0060"
+ */
+function formatCoordinate(coord, options = {}) {
+  // Accept GeoJSON input
+  coord = fromGeoJSONCoordinate(coord, 'coord');
+
+  // Validate inputs
+  validateCoordinate(coord, 'coord');
+
+  if (!options || typeof options !== 'object') {
+    throw new Error('Options must be an object');
+  }
+
+  const format = validateCoordinateFormat(options.format);
+  const { precision = { dd: 6, ddm: 4, dms: 2 }[format], hemisphere = format !== 'dd' } = options;
+
+  if (!Number.isInteger(precision) || precision < 0 || precision > 10) {
+    throw new Error('Precision must be an integer between 0 and 10');
+  }
+
+  if (typeof hemisphere !== 'boolean') {
+    throw new Error('Hemisphere must be a boolean');
+  }
+
+  const lat = formatAngle(coord.lat, format, precision, hemisphere ? 'NS' : null);
+  const lng = formatAngle(coord.lng, format, precision, hemisphere ? 'EW' : null);
+  return `${lat}, ${lng}`;
+}
+
+/**
+ * Returns true if a value is a GeoJSON object of one of the given types
+ * @param {*} value - Value to inspect
+ * @param {...string} types - GeoJSON type names to accept
+ * @returns {boolean} True if the value is a GeoJSON object of one of the types
+ */
+function isGeoJSON(value, ...types) {
+  return !!value && typeof value === 'object' && !Array.isArray(value) && types.includes(value.type);
+}
+
+/**
+ * Converts a GeoJSON position [lng, lat] to a coordinate {lat, lng}
+ * @param {*} position - GeoJSON position; anything else is returned unchanged for validation to reject
+ * @returns {*} Coordinate object
+ */
+function fromGeoJSONPosition(position) {
+  return Array.isArray(position) ? { lat: position[1], lng: position[0] } : position;
+}
+
+/**
+ * Converts a GeoJSON Point geometry or Point Feature to a coordinate. A Feature keeps its
+ * properties (and id, if it has one) so results can be turned back into Features.
+ * Anything that is not GeoJSON is returned unchanged, or parsed inside a withCoordinateParsing function.
+ * @param {*} value - Coordinate, Point geometry or Point Feature
+ * @param {string} paramName - Parameter name for error messages
+ * @returns {*} Coordinate object
+ * @throws {Error} If the value is a Point or Feature without a Point geometry
+ */
+function fromGeoJSONCoordinate(value, paramName = 'coordinate') {
+  if (isGeoJSON(value, 'Feature')) {
+    if (!isGeoJSON(value.geometry, 'Point')) {
+      throw new Error(`${paramName} must be a GeoJSON Point`);
+    }
+
+    const coord = {
+      ...fromGeoJSONCoordinate(value.geometry, paramName),
+      properties: { ...value.properties },
+    };
+    if (value.id !== undefined) coord.id = value.id;
+    return coord;
+  }
+
+  if (isGeoJSON(value, 'Point')) {
+    if (!Array.isArray(value.coordinates)) {
+      throw new Error(`${paramName} must be a GeoJSON Point`);
+    }
+    return fromGeoJSONPosition(value.coordinates);
+  }
+
+  return normalizeCoordinate(value, paramName);
+}
+
+/**
+ * Converts a GeoJSON FeatureCollection, MultiPoint or LineString geometry, or MultiPoint or
+ * LineString Feature to an array of coordinates. Arrays have each element converted; anything
+ * else is returned unchanged.
+ * @param {*} value - Coordinates in any accepted form
+ * @param {string} paramName - Parameter name for error messages
+ * @returns {*} Array of coordinate objects
+ */
+function fromGeoJSONCoordinates(value, paramName = 'coordinates') {
+  if (isGeoJSON(value, 'FeatureCollection')) {
+    return fromGeoJSONCoordinates(value.features, `${paramName}.features`);
+  }
+
+  if (isGeoJSON(value, 'Feature') && isGeoJSON(value.geometry, 'MultiPoint')) {
+    return fromGeoJSONCoordinates(value.geometry, paramName).map((coord) => {
+      const withProperties = { ...coord, properties: { ...value.properties } };
+      if (value.id !== undefined) withProperties.id = value.id;
+      return withProperties;
+    });
+  }
+
+  if (isGeoJSON(value, 'Feature') && isGeoJSON(value.geometry, 'LineString')) {
+    return fromGeoJSONCoordinates(value.geometry, paramName);
+  }
+
+  if (isGeoJSON(value, 'MultiPoint', 'LineString')) {
+    return Array.isArray(value.coordinates) ? value.coordinates.map(fromGeoJSONPosition) : value.coordinates;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((coord, index) => fromGeoJSONCoordinate(coord, `${paramName}[${index}]`));
+  }
+
+  return value;
+}
+
+/**
+ * Converts a GeoJSON Polygon or MultiPolygon geometry or Feature to the multipolygon array
+ * form. The repeated closing position of each GeoJSON ring is dropped.
+ * Anything that is not GeoJSON is returned unchanged.
+ * @param {*} value - Geofence in any accepted form
+ * @param {string} paramName - Parameter name for error messages
+ * @returns {*} Geofence array
+ * @throws {Error} If the value is GeoJSON but not a Polygon or MultiPolygon
+ */
+function fromGeoJSONGeofence(value, paramName) {
+  if (isGeoJSON(value, 'Feature')) {
+    return fromGeoJSONGeofence(value.geometry, paramName);
+  }
+
+  if (!value || typeof value !== 'object' || Array.isArray(value) || !('type' in value)) {
+    return value;
+  }
+
+  if (!isGeoJSON(value, 'Polygon', 'MultiPolygon') || !Array.isArray(value.coordinates)) {
+    throw new Error(`${paramName} must be a GeoJSON Polygon or MultiPolygon`);
+  }
+
+  const toRing = (positions) => {
+    if (!Array.isArray(positions)) return positions;
+
+    const ring = positions.map(fromGeoJSONPosition);
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    if (ring.length > 1 && first && last && first.lat === last.lat && first.lng === last.lng) {
+      ring.pop();
+    }
+    return ring;
+  };
+  const toPolygon = (rings) => (Array.isArray(rings) ? rings.map(toRing) : rings);
+
+  return value.type === 'Polygon' ? [toPolygon(value.coordinates)] : value.coordinates.map(toPolygon);
+}
+
 /**
  * Validates and normalizes distance/area unit
  * @param {string} unit - Unit string to validate
@@ -35,555 +609,6680 @@ function validateCoordinate(coord, paramName = 'coordinate') {
  * @returns {string} Normalized unit
  * @throws {Error} If unit is invalid
  */
-function validateUnit(unit, validUnits, defaultUnit) {
-  if (!unit) return defaultUnit;
+function validateUnit(unit, validUnits, defaultUnit) {
+  if (!unit) return defaultUnit;
+
+  if (typeof unit !== 'string') {
+    throw new Error('Unit must be a string');
+  }
+
+  const normalizedUnit = unit.toLowerCase();
+  if (!validUnits.includes(normalizedUnit)) {
+    throw new Error(`Invalid unit: ${unit}. Valid units are: ${validUnits.join(', ')}`);
+  }
+
+  return normalizedUnit;
+}
+
+/**
+ * Converts degrees to radians
+ * @param {number} degrees - Degrees to convert
+ * @returns {number} Radians
+ */
+function toRadians(degrees) {
+  return degrees * (Math.PI / 180);
+}
+
+/**
+ * Converts radians to degrees
+ * @param {number} radians - Radians to convert
+ * @returns {number} Degrees
+ */
+function toDegrees(radians) {
+  return radians * (180 / Math.PI);
+}
+
+/**
+ * Wraps a longitude into the range [-180, 180]
+ * @param {number} lng - Longitude in degrees
+ * @returns {number} Equivalent longitude between -180 and 180 degrees
+ */
+function wrapLongitude(lng) {
+  if (lng >= -180 && lng <= 180) {
+    return lng;
+  }
+  const wrapped = ((((lng + 180) % 360) + 360) % 360) - 180;
+  return wrapped === -180 && lng > 0 ? 180 : wrapped;
+}
+
+/**
+ * Longitude difference from one longitude to another, the short way around the globe
+ * @param {number} fromLng - Starting longitude in degrees
+ * @param {number} toLng - Ending longitude in degrees
+ * @returns {number} Signed difference in degrees, between -180 and 180
+ */
+function longitudeDelta(fromLng, toLng) {
+  return wrapLongitude(toLng - fromLng);
+}
+
+/**
+ * Validates and normalizes a distance calculation method
+ * @param {string} method - Method string to validate
+ * @returns {string} Normalized method
+ * @throws {Error} If method is invalid
+ */
+function validateMethod(method) {
+  if (!method) return 'haversine';
+
+  if (typeof method !== 'string') {
+    throw new Error('Method must be a string');
+  }
+
+  const validMethods = ['haversine', 'vincenty'];
+  const normalizedMethod = method.toLowerCase();
+  if (!validMethods.includes(normalizedMethod)) {
+    throw new Error(`Invalid method: ${method}. Valid methods are: ${validMethods.join(', ')}`);
+  }
+
+  return normalizedMethod;
+}
+
+// WGS84 ellipsoid parameters
+const WGS84_A = 6378137; // Semi-major axis in meters
+const WGS84_F = 1 / 298.257223563; // Flattening
+const WGS84_B = WGS84_A * (1 - WGS84_F); // Semi-minor axis in meters
+
+/**
+ * Geodesic distance on the WGS84 ellipsoid for points on the auxiliary sphere
+ * @private
+ * @param {number} sigma - Angular distance on the auxiliary sphere
+ * @param {number} sinSigma - Sine of sigma
+ * @param {number} cosSigma - Cosine of sigma
+ * @param {number} cos2SigmaM - Cosine of twice the midpoint angular distance from the equator
+ * @param {number} cosSqAlpha - Squared cosine of the geodesic's azimuth at the equator
+ * @returns {number} Distance in meters
+ */
+function ellipsoidalArcLength(sigma, sinSigma, cosSigma, cos2SigmaM, cosSqAlpha) {
+  const uSq = (cosSqAlpha * (WGS84_A * WGS84_A - WGS84_B * WGS84_B)) / (WGS84_B * WGS84_B);
+  const A = 1 + (uSq / 16384) * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+  const B = (uSq / 1024) * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+  const deltaSigma =
+    B *
+    sinSigma *
+    (cos2SigmaM +
+      (B / 4) *
+        (cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM) -
+          (B / 6) * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)));
+
+  return WGS84_B * A * (sigma - deltaSigma);
+}
+
+/**
+ * Difference between the ellipsoidal and auxiliary sphere longitude along a geodesic
+ * @private
+ * @param {number} sigma - Angular distance on the auxiliary sphere
+ * @param {number} sinSigma - Sine of sigma
+ * @param {number} cosSigma - Cosine of sigma
+ * @param {number} cos2SigmaM - Cosine of twice the midpoint angular distance from the equator
+ * @param {number} sinAlpha - Sine of the geodesic's azimuth at the equator
+ * @returns {number} Longitude correction in radians
+ */
+function ellipsoidalLongitudeCorrection(sigma, sinSigma, cosSigma, cos2SigmaM, sinAlpha) {
+  const cosSqAlpha = 1 - sinAlpha * sinAlpha;
+  const C = (WGS84_F / 16) * cosSqAlpha * (4 + WGS84_F * (4 - 3 * cosSqAlpha));
+
+  return (
+    (1 - C) *
+    WGS84_F *
+    sinAlpha *
+    (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)))
+  );
+}
+
+/**
+ * Solve the inverse geodesic problem for nearly antipodal points, where Vincenty's
+ * iteration does not converge, by bisecting on the starting azimuth
+ * @private
+ * @param {number} U1 - Reduced latitude of the first point in radians
+ * @param {number} U2 - Reduced latitude of the second point in radians
+ * @param {number} L - Longitude difference in radians
+ * @returns {number} Distance in meters
+ */
+function antipodalGeodesicDistance(U1, U2, L) {
+  // Reduce to the canonical case: |U1| >= |U2|, U1 <= 0 and 0 <= L <= PI.
+  // Distance is unchanged by these reflections and swaps.
+  let beta1 = U1;
+  let beta2 = U2;
+  if (Math.abs(beta2) > Math.abs(beta1)) {
+    [beta1, beta2] = [beta2, beta1];
+  }
+  if (beta1 >= 0) {
+    // Also turns +0 into -0 so an equatorial start measures sigma from the correct side
+    beta1 = -beta1;
+    beta2 = -beta2;
+  }
+  const lambda12 = Math.abs(L);
+
+  const sinBeta1 = Math.sin(beta1);
+  const cosBeta1 = Math.cos(beta1);
+  const sinBeta2 = Math.sin(beta2);
+  const cosBeta2 = Math.cos(beta2);
+
+  // Trace the geodesic leaving point 1 with the given azimuth until it reaches
+  // the latitude of point 2, and report where it gets there
+  const trace = (alpha1) => {
+    const sinAlpha1 = Math.sin(alpha1);
+    const cosAlpha1 = Math.cos(alpha1);
+    const sinAlpha = sinAlpha1 * cosBeta1;
+
+    let cosAlpha2;
+    if (Math.abs(beta2) === Math.abs(beta1)) {
+      cosAlpha2 = Math.abs(cosAlpha1);
+    } else {
+      const cosSq =
+        cosAlpha1 * cosAlpha1 * cosBeta1 * cosBeta1 + (cosBeta2 - cosBeta1) * (cosBeta2 + cosBeta1);
+      cosAlpha2 = Math.sqrt(Math.max(0, cosSq)) / cosBeta2;
+    }
+
+    const sigma1 = Math.atan2(sinBeta1, cosAlpha1 * cosBeta1);
+    const sigma2 = Math.atan2(sinBeta2, cosAlpha2 * cosBeta2);
+    const sigma = sigma2 - sigma1;
+
+    let omega =
+      Math.atan2(sinAlpha * Math.sin(sigma2), Math.cos(sigma2)) -
+      Math.atan2(sinAlpha * Math.sin(sigma1), Math.cos(sigma1));
+    if (omega < 0) {
+      omega += 2 * Math.PI;
+    }
+
+    const cos2SigmaM = Math.cos(sigma1 + sigma2);
+    const lambda =
+      omega - ellipsoidalLongitudeCorrection(sigma, Math.sin(sigma), Math.cos(sigma), cos2SigmaM, sinAlpha);
+
+    return { lambda, sigma, cos2SigmaM, cosSqAlpha: 1 - sinAlpha * sinAlpha };
+  };
+
+  // The longitude reached grows monotonically with the starting azimuth
+  let low = 0;
+  let high = Math.PI;
+  let result = trace(Math.PI / 2);
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    result = trace(mid);
+    if (result.lambda < lambda12) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+    if (high - low < 1e-15) break;
+  }
+
+  const { sigma, cos2SigmaM, cosSqAlpha } = result;
+  return ellipsoidalArcLength(sigma, Math.sin(sigma), Math.cos(sigma), cos2SigmaM, cosSqAlpha);
+}
+
+/**
+ * Calculate the geodesic distance between two coordinates on the WGS84 ellipsoid
+ * using Vincenty's inverse formula, with a bisection fallback for nearly antipodal points
+ * @private
+ * @param {Object} coord1 - First coordinate {lat: number, lng: number}
+ * @param {Object} coord2 - Second coordinate {lat: number, lng: number}
+ * @returns {number} Distance in meters
+ */
+function vincentyDistance(coord1, coord2) {
+  const L = toRadians(longitudeDelta(coord1.lng, coord2.lng));
+  const U1 = Math.atan((1 - WGS84_F) * Math.tan(toRadians(coord1.lat)));
+  const U2 = Math.atan((1 - WGS84_F) * Math.tan(toRadians(coord2.lat)));
+  const sinU1 = Math.sin(U1);
+  const cosU1 = Math.cos(U1);
+  const sinU2 = Math.sin(U2);
+  const cosU2 = Math.cos(U2);
+
+  let lambda = L;
+  let lambdaPrev;
+  let iterations = 0;
+  let sinSigma, cosSigma, sigma, cosSqAlpha, cos2SigmaM;
+
+  do {
+    const sinLambda = Math.sin(lambda);
+    const cosLambda = Math.cos(lambda);
+    sinSigma = Math.sqrt(
+      (cosU2 * sinLambda) * (cosU2 * sinLambda) +
+        (cosU1 * sinU2 - sinU1 * cosU2 * cosLambda) * (cosU1 * sinU2 - sinU1 * cosU2 * cosLambda)
+    );
+
+    // Coincident points
+    if (sinSigma === 0) {
+      return 0;
+    }
+
+    cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+    sigma = Math.atan2(sinSigma, cosSigma);
+    const sinAlpha = (cosU1 * cosU2 * sinLambda) / sinSigma;
+    cosSqAlpha = 1 - sinAlpha * sinAlpha;
+
+    // Both points on the equator
+    cos2SigmaM = cosSqAlpha !== 0 ? cosSigma - (2 * sinU1 * sinU2) / cosSqAlpha : 0;
+
+    lambdaPrev = lambda;
+    lambda = L + ellipsoidalLongitudeCorrection(sigma, sinSigma, cosSigma, cos2SigmaM, sinAlpha);
+    iterations++;
+  } while (Math.abs(lambda - lambdaPrev) > 1e-12 && iterations < 200 && Math.abs(lambda) <= Math.PI);
+
+  if (Math.abs(lambda - lambdaPrev) > 1e-12) {
+    // Did not converge: the points are nearly antipodal
+    let wrappedL = Math.abs(L) % (2 * Math.PI);
+    if (wrappedL > Math.PI) {
+      wrappedL = 2 * Math.PI - wrappedL;
+    }
+    return antipodalGeodesicDistance(U1, U2, wrappedL);
+  }
+
+  return ellipsoidalArcLength(sigma, sinSigma, cosSigma, cos2SigmaM, cosSqAlpha);
+}
+
+/**
+ * Converts a distance in kilometers to the requested unit
+ * @param {number} distance - Distance in kilometers
+ * @param {string} unit - Normalized distance unit ('km', 'miles', 'meters')
+ * @returns {number} Distance in the requested unit
+ */
+function convertDistance(distance, unit) {
+  switch (unit) {
+    case 'miles':
+      return distance * 0.621371; // km to miles
+    case 'meters':
+      return distance * 1000; // km to meters
+    default:
+      return distance; // 'km' is already in kilometers
+  }
+}
+
+/**
+ * Calculate the distance between two coordinate points
+ *
+ * Uses the spherical Haversine formula by default. Pass method 'vincenty' to compute the
+ * geodesic distance on the WGS84 ellipsoid instead, which is accurate to within a millimetre.
+ *
+ * @param {Object} coord1 - First coordinate {lat: number, lng: number}
+ * @param {Object} coord2 - Second coordinate {lat: number, lng: number}
+ * @param {string} [unit='km'] - Distance unit ('km', 'miles', 'meters')
+ * @param {string} [method='haversine'] - Distance method ('haversine', 'vincenty')
+ * @returns {number} Distance in specified unit
+ * @throws {Error} If coordinates are invalid or unit or method is not supported
+ *
+ * @example
+ * const distance = calculateDistance(
+ *   {lat: 40.7128, lng: -74.0060}, // New York City
+ *   {lat: 34.0522, lng: -118.2437}, // Los Angeles
+ *   'km'
+ * );
+ * console.log(`Distance: ${distance.toFixed(2)} km`);
+ *
+ * @example
+ * const surveyed = calculateDistance(
+ *   {lat: 40.7128, lng: -74.0060},
+ *   {lat: 34.0522, lng: -118.2437},
+ *   'meters',
+ *   'vincenty'
+ * );
+ */
+function calculateDistance(coord1, coord2, unit = 'km', method = 'haversine') {
+  // Accept GeoJSON input
+  coord1 = fromGeoJSONCoordinate(coord1, 'coord1');
+  coord2 = fromGeoJSONCoordinate(coord2, 'coord2');
+
+  // Validate inputs
+  validateCoordinate(coord1, 'coord1');
+  validateCoordinate(coord2, 'coord2');
+
+  const validUnits = ['km', 'miles', 'meters'];
+  const normalizedUnit = validateUnit(unit, validUnits, 'km');
+  const normalizedMethod = validateMethod(method);
+
+  if (normalizedMethod === 'vincenty') {
+    return convertDistance(vincentyDistance(coord1, coord2) / 1000, normalizedUnit);
+  }
+
+  // Earth's radius in kilometers
+  const R = 6371;
+
+  // Convert coordinates to radians
+  const lat1Rad = toRadians(coord1.lat);
+  const lat2Rad = toRadians(coord2.lat);
+  const deltaLatRad = toRadians(coord2.lat - coord1.lat);
+  const deltaLngRad = toRadians(coord2.lng - coord1.lng);
+
+  // Haversine formula
+  const a =
+    Math.sin(deltaLatRad / 2) * Math.sin(deltaLatRad / 2) +
+    Math.cos(lat1Rad) * Math.cos(lat2Rad) * Math.sin(deltaLngRad / 2) * Math.sin(deltaLngRad / 2);
+
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+
+  // Distance in kilometers
+  const distance = R * c;
+
+  return convertDistance(distance, normalizedUnit);
+}
+
+/**
+ * Format a distance as text with a unit suited to its size
+ *
+ * Metric distances are written in meters below 1 km and in kilometers from there on ("850 m",
+ * "1.2 km"); imperial distances are written in miles ("3.4 miles"). Unless options.precision is
+ * given, values from 10 up are rounded to whole units, values from 1 to 10 to one decimal
+ * place and smaller values to two significant digits, and trailing zeros are dropped.
+ *
+ * @param {number} distance - Distance in the given unit; may be negative, as for signed distances
+ * @param {Object} [options] - Formatting options
+ * @param {string} [options.unit='km'] - Unit of the distance ('km', 'miles', 'meters')
+ * @param {string} [options.system] - Units to write ('metric', 'imperial'); defaults to 'imperial' for miles and 'metric' otherwise
+ * @param {number} [options.precision] - Fixed number of decimal places
+ * @returns {string} Formatted distance, such as "850 m"
+ * @throws {Error} If the distance or options are invalid or unit or system is not supported
+ *
+ * @example
+ * formatDistance(0.85); // "850 m"
+ * formatDistance(1234, {unit: 'meters'}); // "1.2 km"
+ * formatDistance(5.5, {system: 'imperial'}); // "3.4 miles"
+ */
+function formatDistance(distance, options = {}) {
+  // Validate inputs
+  if (typeof distance !== 'number' || !Number.isFinite(distance)) {
+    throw new Error('Distance must be a finite number');
+  }
+
+  if (!options || typeof options !== 'object') {
+    throw new Error('Options must be an object');
+  }
+
+  const { unit = 'km', system, precision } = options;
+
+  const validUnits = ['km', 'miles', 'meters'];
+  const normalizedUnit = validateUnit(unit, validUnits, 'km');
+
+  const validSystems = ['metric', 'imperial'];
+  const normalizedSystem = system ? String(system).toLowerCase() : normalizedUnit === 'miles' ? 'imperial' : 'metric';
+  if (!validSystems.includes(normalizedSystem)) {
+    throw new Error(`Invalid system: ${system}. Valid systems are: ${validSystems.join(', ')}`);
+  }
+
+  if (precision !== undefined && (!Number.isInteger(precision) || precision < 0 || precision > 10)) {
+    throw new Error('Precision must be an integer between 0 and 10');
+  }
+
+  const km = toKilometers(distance, normalizedUnit);
+  let value;
+  let label;
+
+  if (normalizedSystem === 'imperial') {
+    value = convertDistance(km, 'miles');
+    label = 'miles';
+  } else if (Math.abs(km) < 1) {
+    value = convertDistance(km, 'meters');
+    label = 'm';
+  } else {
+    value = km;
+    label = 'km';
+  }
+
+  let text;
+  if (precision !== undefined) {
+    text = value.toFixed(precision);
+  } else {
+    const size = Math.abs(value);
+    const decimals = size >= 10 || size === 0 ? 0 : size >= 1 ? 1 : 1 - Math.floor(Math.log10(size));
+    text = String(Number(value.toFixed(decimals)));
+  }
+
+  // Rounding can take 999.6 m up to "1000 m"; write that as kilometers instead
+  if (label === 'm' && Math.abs(Number(text)) >= 1000) {
+    return formatDistance(Math.sign(km), { unit: 'km', system: 'metric', precision });
+  }
+
+  if (label === 'miles' && Math.abs(Number(text)) === 1) {
+    label = 'mile';
+  }
+
+  // Negative values that round to zero lose their sign
+  return `${/^-[0.]+$/.test(text) ? text.slice(1) : text} ${label}`;
+}
+
+/**
+ * Validates and normalizes a bearing type
+ * @param {string} type - Bearing type string to validate
+ * @returns {string} Normalized bearing type
+ * @throws {Error} If type is invalid
+ */
+function validateBearingType(type) {
+  if (!type) return 'initial';
+
+  if (typeof type !== 'string') {
+    throw new Error('Bearing type must be a string');
+  }
+
+  const normalizedType = type.toLowerCase();
+  const validTypes = ['initial', 'final'];
+
+  if (!validTypes.includes(normalizedType)) {
+    throw new Error(`Invalid bearing type: ${type}. Valid bearing types are: ${validTypes.join(', ')}`);
+  }
+
+  return normalizedType;
+}
+
+/**
+ * Calculate the bearing of the great circle from one coordinate to another
+ *
+ * The bearing changes along a great circle, so the initial bearing (heading when leaving
+ * coord1) and the final bearing (heading when arriving at coord2) generally differ.
+ *
+ * @param {Object} coord1 - Start coordinate {lat: number, lng: number}
+ * @param {Object} coord2 - End coordinate {lat: number, lng: number}
+ * @param {string} [type='initial'] - Which bearing to return ('initial', 'final')
+ * @returns {number} Bearing in degrees clockwise from north (0 to 360); 0 for identical coordinates
+ * @throws {Error} If coordinates are invalid or type is not supported
+ *
+ * @example
+ * const heading = calculateBearing(
+ *   {lat: 40.7128, lng: -74.0060}, // New York City
+ *   {lat: 51.5074, lng: -0.1278} // London
+ * );
+ * console.log(`Depart on ${heading.toFixed(0)}°`); // ~51°
+ */
+function calculateBearing(coord1, coord2, type = 'initial') {
+  // Accept GeoJSON input
+  coord1 = fromGeoJSONCoordinate(coord1, 'coord1');
+  coord2 = fromGeoJSONCoordinate(coord2, 'coord2');
+
+  // Validate inputs
+  validateCoordinate(coord1, 'coord1');
+  validateCoordinate(coord2, 'coord2');
+
+  const normalizedType = validateBearingType(type);
+
+  if (calculateDistance(coord1, coord2) === 0) {
+    return 0;
+  }
+
+  if (normalizedType === 'final') {
+    // The final bearing is the reverse of the initial bearing from the end back to the start
+    return (initialBearing(coord2, coord1) + 180) % 360;
+  }
+
+  return initialBearing(coord1, coord2);
+}
+
+/**
+ * Calculate the coordinate reached by travelling a distance along a great circle from a start
+ * coordinate on an initial bearing
+ * @param {Object} start - Start coordinate {lat: number, lng: number}
+ * @param {number} bearing - Initial bearing in degrees clockwise from north
+ * @param {number} distance - Distance to travel
+ * @param {string} [unit='km'] - Distance unit ('km', 'miles', 'meters')
+ * @returns {Object} Destination coordinate {lat, lng}
+ * @throws {Error} If the start coordinate, bearing or distance is invalid or unit is not supported
+ *
+ * @example
+ * // Project a vehicle 30 seconds ahead at 50 km/h, heading 120°
+ * const ahead = getDestinationPoint(vehicle, 120, 50 * (30 / 3600), 'km');
+ */
+function getDestinationPoint(start, bearing, distance, unit = 'km') {
+  // Accept GeoJSON input
+  start = fromGeoJSONCoordinate(start, 'start');
+
+  // Validate inputs
+  validateCoordinate(start, 'start');
+
+  if (typeof bearing !== 'number' || !Number.isFinite(bearing)) {
+    throw new Error('Bearing must be a finite number');
+  }
+
+  if (typeof distance !== 'number' || !(distance >= 0) || distance === Infinity) {
+    throw new Error('Distance must be a non-negative number');
+  }
+
+  const validUnits = ['km', 'miles', 'meters'];
+  const normalizedUnit = validateUnit(unit, validUnits, 'km');
+
+  // Earth's radius in kilometers
+  const R = 6371;
+
+  return destinationPoint(start, bearing, toKilometers(distance, normalizedUnit) / R);
+}
+
+/**
+ * Calculate the point a given fraction of the way along the great circle between two coordinates
+ * @param {Object} coord1 - Start coordinate {lat: number, lng: number}
+ * @param {Object} coord2 - End coordinate {lat: number, lng: number}
+ * @param {number} fraction - Fraction of the way from coord1 to coord2 (0 to 1)
+ * @returns {Object} Interpolated coordinate {lat, lng}
+ * @throws {Error} If coordinates are invalid or fraction is not between 0 and 1
+ *
+ * @example
+ * // Ten evenly spaced markers on the way from New York City to London
+ * const markers = Array.from({length: 10}, (_, i) =>
+ *   interpolateGreatCircle({lat: 40.7128, lng: -74.0060}, {lat: 51.5074, lng: -0.1278}, (i + 1) / 11)
+ * );
+ */
+function interpolateGreatCircle(coord1, coord2, fraction) {
+  // Accept GeoJSON input
+  coord1 = fromGeoJSONCoordinate(coord1, 'coord1');
+  coord2 = fromGeoJSONCoordinate(coord2, 'coord2');
+
+  // Validate inputs
+  validateCoordinate(coord1, 'coord1');
+  validateCoordinate(coord2, 'coord2');
+
+  if (typeof fraction !== 'number' || !(fraction >= 0 && fraction <= 1)) {
+    throw new Error('Fraction must be a number between 0 and 1');
+  }
+
+  return interpolateOnGreatCircle(coord1, coord2, fraction);
+}
+
+/**
+ * Calculate the midpoint of the great circle between two coordinates
+ * @param {Object} coord1 - First coordinate {lat: number, lng: number}
+ * @param {Object} coord2 - Second coordinate {lat: number, lng: number}
+ * @returns {Object} Midpoint coordinate {lat, lng}
+ * @throws {Error} If coordinates are invalid
+ *
+ * @example
+ * const meetingPoint = getMidpoint(
+ *   {lat: 40.7128, lng: -74.0060}, // New York City
+ *   {lat: 34.0522, lng: -118.2437} // Los Angeles
+ * );
+ */
+function getMidpoint(coord1, coord2) {
+  return interpolateGreatCircle(coord1, coord2, 0.5);
+}
+
+/**
+ * Validates a bounding box object
+ * @param {Object} box - Bounding box {south, west, north, east}
+ * @param {string} paramName - Parameter name for error messages
+ * @throws {Error} If the bounding box is invalid
+ */
+function validateBoundingBox(box, paramName) {
+  if (!box || typeof box !== 'object') {
+    throw new Error(`${paramName} must be an object with south, west, north and east properties`);
+  }
+
+  if (['south', 'west', 'north', 'east'].some((edge) => typeof box[edge] !== 'number')) {
+    throw new Error(`${paramName} must have numeric south, west, north and east properties`);
+  }
+
+  if (box.south < -90 || box.north > 90 || box.south > box.north) {
+    throw new Error(`${paramName} latitudes must be between -90 and 90 degrees with south not above north`);
+  }
+
+  if (box.west < -180 || box.west > 180 || box.east < -180 || box.east > 180) {
+    throw new Error(`${paramName} longitudes must be between -180 and 180 degrees`);
+  }
+}
+
+/**
+ * Calculate the bounding box of a set of coordinates or a geofence
+ *
+ * Boxes are {south, west, north, east} in degrees. A box crossing the antimeridian has west
+ * greater than east, and the longitude range is always the narrowest that covers the input.
+ * A flat array is a set of points. Polygons with holes, multipolygons, circles and GeoJSON
+ * Polygons and MultiPolygons are geofences, whose box also covers the poleward bulge of their
+ * great-circle edges and spans every longitude if they enclose a pole. Use getGeofenceBoundingBox
+ * for any geofence, including a single ring.
+ *
+ * @param {Array|Object} input - Coordinates [{lat: number, lng: number}, ...] or a geofence
+ * @param {string} [interior='smaller'] - Side of each ring enclosed ('smaller', 'winding', 'left', 'right')
+ * @returns {Object|null} Bounding box {south, west, north, east}, or null for an empty set of coordinates
+ * @throws {Error} If the input is invalid or interior is not supported
+ *
+ * @example
+ * const box = getBoundingBox([
+ *   {lat: -16.5, lng: 179.2}, // Fiji
+ *   {lat: -17.8, lng: -178.9}
+ * ]);
+ * // {south: -17.8, west: 179.2, north: -16.5, east: -178.9}
+ */
+function getBoundingBox(input, interior = 'smaller') {
+  const normalizedInterior = validateInterior(interior);
+
+  // Geofences
+  const isGeofence =
+    isCircleGeofence(input) ||
+    isGeoJSON(input, 'Polygon', 'MultiPolygon') ||
+    (isGeoJSON(input, 'Feature') && isGeoJSON(input.geometry, 'Polygon', 'MultiPolygon')) ||
+    (Array.isArray(input) && Array.isArray(input[0]));
+
+  if (isGeofence) {
+    return geofenceBox(prepareGeofence(input, 'input'), normalizedInterior);
+  }
+
+  // Points
+  const coordinates = fromGeoJSONCoordinates(input, 'input');
+
+  if (!Array.isArray(coordinates)) {
+    throw new Error('Input must be an array of coordinates or a geofence');
+  }
+
+  coordinates.forEach((coord, index) => {
+    validateCoordinate(coord, `input[${index}]`);
+  });
+
+  if (coordinates.length === 0) {
+    return null;
+  }
+
+  const { west, east } = coverLongitudes(coordinates.map((coord) => [coord.lng, 0]));
+  return {
+    south: coordinates.reduce((min, coord) => Math.min(min, coord.lat), 90),
+    west,
+    north: coordinates.reduce((max, coord) => Math.max(max, coord.lat), -90),
+    east,
+  };
+}
+
+/**
+ * Calculate the bounding box of a geofence
+ *
+ * Unlike getBoundingBox, a flat array is read as a ring, so the box covers the poleward bulge
+ * of its great-circle edges and spans every longitude if the ring encloses a pole.
+ *
+ * @param {Array|Object} geofence - Geofence ring [{lat: number, lng: number}, ...], polygon with holes, multipolygon or circle
+ * @param {string} [interior='smaller'] - Side of each ring enclosed ('smaller', 'winding', 'left', 'right')
+ * @returns {Object} Bounding box {south, west, north, east}
+ * @throws {Error} If the geofence is invalid or interior is not supported
+ *
+ * @example
+ * const box = getGeofenceBoundingBox([
+ *   {lat: 60, lng: 0},
+ *   {lat: 60, lng: 90},
+ *   {lat: 55, lng: 45}
+ * ]);
+ * // {south: 55, west: 0, north: 67.79..., east: 90}: the edge along 60°N bends north of the parallel
+ */
+function getGeofenceBoundingBox(geofence, interior = 'smaller') {
+  // Validate inputs
+  const prepared = prepareGeofence(geofence, 'geofence');
+  const normalizedInterior = validateInterior(interior);
+
+  return geofenceBox(prepared, normalizedInterior);
+}
+
+/**
+ * Calculate the bounding box of every point within a distance of a center coordinate
+ *
+ * The box is exact for the sphere: its east and west edges touch the circle where it is
+ * widest, not at the center's latitude. Circles reaching a pole span every longitude.
+ *
+ * @param {Object} center - Center coordinate {lat: number, lng: number}
+ * @param {number} radius - Radius around the center
+ * @param {string} [unit='km'] - Distance unit ('km', 'miles', 'meters')
+ * @returns {Object} Bounding box {south, west, north, east}
+ * @throws {Error} If the center or radius is invalid or unit is not supported
+ *
+ * @example
+ * const box = getBoundingBoxAroundPoint({lat: 40.7128, lng: -74.0060}, 10, 'km');
+ * // Use as a cheap database prefilter before measuring exact distances
+ */
+function getBoundingBoxAroundPoint(center, radius, unit = 'km') {
+  // Accept GeoJSON input
+  center = fromGeoJSONCoordinate(center, 'center');
+
+  // Validate inputs
+  validateCoordinate(center, 'center');
+
+  if (typeof radius !== 'number' || !(radius >= 0)) {
+    throw new Error('Radius must be a non-negative number');
+  }
+
+  const validUnits = ['km', 'miles', 'meters'];
+  const normalizedUnit = validateUnit(unit, validUnits, 'km');
+
+  // Earth's radius in kilometers
+  const R = 6371;
+
+  return expandBox(
+    { south: center.lat, west: center.lng, north: center.lat, east: center.lng },
+    Math.min(Math.PI, toKilometers(radius, normalizedUnit) / R)
+  );
+}
+
+/**
+ * Check whether a bounding box contains a coordinate or another bounding box
+ * @param {Object} box - Bounding box {south, west, north, east}
+ * @param {Object} target - Coordinate {lat: number, lng: number} or bounding box {south, west, north, east}
+ * @returns {boolean} True if the target is inside or on the edge of the box
+ * @throws {Error} If the box or target is invalid
+ *
+ * @example
+ * const box = getBoundingBoxAroundPoint(depot, 25, 'km');
+ * const candidates = parcels.filter((parcel) => boundingBoxContains(box, parcel));
+ */
+function boundingBoxContains(box, target) {
+  // Validate inputs
+  validateBoundingBox(box, 'box');
+
+  if (target && typeof target === 'object' && 'south' in target) {
+    validateBoundingBox(target, 'target');
+
+    if (target.south < box.south || target.north > box.north) return false;
+
+    const width = boxWidth(box);
+    const offset = (((target.west - box.west) % 360) + 360) % 360;
+    return width === 360 || offset + boxWidth(target) <= width;
+  }
+
+  target = fromGeoJSONCoordinate(target, 'target');
+  validateCoordinate(target, 'target');
+
+  return boxContainsCoordinate(box, target);
+}
+
+/**
+ * Check whether two bounding boxes overlap
+ * @param {Object} box1 - First bounding box {south, west, north, east}
+ * @param {Object} box2 - Second bounding box {south, west, north, east}
+ * @returns {boolean} True if the boxes share any point, including along an edge
+ * @throws {Error} If either box is invalid
+ *
+ * @example
+ * const overlapping = zones.filter((zone) => boundingBoxesIntersect(getBoundingBox([zone]), viewport));
+ */
+function boundingBoxesIntersect(box1, box2) {
+  // Validate inputs
+  validateBoundingBox(box1, 'box1');
+  validateBoundingBox(box2, 'box2');
+
+  if (box1.south > box2.north || box2.south > box1.north) return false;
+
+  // Either box's west edge must fall within the other's longitude range
+  const offset = (from, to) => (((to - from) % 360) + 360) % 360;
+  return offset(box1.west, box2.west) <= boxWidth(box1) || offset(box2.west, box1.west) <= boxWidth(box2);
+}
+
+// Geohash alphabet: base 32 without a, i, l and o
+const GEOHASH_BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+/**
+ * Validates a geohash precision
+ * @param {number} precision - Number of geohash characters
+ * @throws {Error} If precision is invalid
+ */
+function validateGeohashPrecision(precision) {
+  if (!Number.isInteger(precision) || precision < 1 || precision > 12) {
+    throw new Error('Precision must be an integer between 1 and 12');
+  }
+}
+
+/**
+ * Returns the size of a geohash cell at a precision
+ * @param {number} precision - Number of geohash characters
+ * @returns {Object} {height, width, rows, columns}: cell size in degrees and number of cells in the grid
+ */
+function geohashGrid(precision) {
+  const bits = precision * 5;
+  const rows = 2 ** Math.floor(bits / 2);
+  const columns = 2 ** Math.ceil(bits / 2);
+  return { height: 180 / rows, width: 360 / columns, rows, columns };
+}
+
+/**
+ * Encode a coordinate as a geohash
+ * @param {Object} coord - Coordinate to encode {lat: number, lng: number}
+ * @param {number} [precision=9] - Number of characters (1 to 12); 9 characters is a cell of about 5 m
+ * @returns {string} Geohash of the cell containing the coordinate
+ * @throws {Error} If the coordinate or precision is invalid
+ *
+ * @example
+ * const key = encodeGeohash({lat: 40.7128, lng: -74.0060}, 7); // 'dr5regw'
+ */
+function encodeGeohash(coord, precision = 9) {
+  // Accept GeoJSON input
+  coord = fromGeoJSONCoordinate(coord, 'coord');
+
+  // Validate inputs
+  validateCoordinate(coord, 'coord');
+  validateGeohashPrecision(precision);
+
+  let south = -90;
+  let north = 90;
+  let west = -180;
+  let east = 180;
+  let hash = '';
+  let value = 0;
+
+  // Bits alternate between longitude and latitude, starting with longitude
+  for (let bit = 0; bit < precision * 5; bit++) {
+    if (bit % 2 === 0) {
+      const middle = (west + east) / 2;
+      if (coord.lng >= middle) {
+        value = value * 2 + 1;
+        west = middle;
+      } else {
+        value *= 2;
+        east = middle;
+      }
+    } else {
+      const middle = (south + north) / 2;
+      if (coord.lat >= middle) {
+        value = value * 2 + 1;
+        south = middle;
+      } else {
+        value *= 2;
+        north = middle;
+      }
+    }
+
+    if (bit % 5 === 4) {
+      hash += GEOHASH_BASE32[value];
+      value = 0;
+    }
+  }
+
+  return hash;
+}
+
+/**
+ * Decode a geohash to the center and bounds of its cell
+ * @param {string} hash - Geohash (case-insensitive)
+ * @returns {Object} {lat, lng, bounds: {south, west, north, east}}
+ * @throws {Error} If the geohash is invalid
+ *
+ * @example
+ * const { lat, lng, bounds } = decodeGeohash('dr5regw');
+ */
+function decodeGeohash(hash) {
+  // Validate inputs
+  if (typeof hash !== 'string' || hash.length === 0) {
+    throw new Error('Geohash must be a non-empty string');
+  }
+
+  let south = -90;
+  let north = 90;
+  let west = -180;
+  let east = 180;
+  let bit = 0;
+
+  hash
+    .toLowerCase()
+    .split('')
+    .forEach((character) => {
+      const value = GEOHASH_BASE32.indexOf(character);
+      if (value === -1) {
+        throw new Error(`Invalid geohash character: ${character} in ${hash}`);
+      }
+
+      for (let shift = 4; shift >= 0; shift--, bit++) {
+        const set = (value >> shift) & 1;
+        if (bit % 2 === 0) {
+          const middle = (west + east) / 2;
+          if (set) west = middle;
+          else east = middle;
+        } else {
+          const middle = (south + north) / 2;
+          if (set) south = middle;
+          else north = middle;
+        }
+      }
+    });
+
+  return {
+    lat: (south + north) / 2,
+    lng: (west + east) / 2,
+    bounds: { south, west, north, east },
+  };
+}
+
+/**
+ * Find the eight geohashes of the same precision surrounding a geohash
+ *
+ * Neighbours wrap around the antimeridian. Cells in the top or bottom row touch a pole and
+ * have no neighbours beyond it, so those directions are null.
+ *
+ * @param {string} hash - Geohash (case-insensitive)
+ * @returns {Object} {north, northeast, east, southeast, south, southwest, west, northwest}
+ * @throws {Error} If the geohash is invalid
+ *
+ * @example
+ * const neighbors = getGeohashNeighbors('dr5regw');
+ * const keys = ['dr5regw', ...Object.values(neighbors).filter(Boolean)];
+ */
+function getGeohashNeighbors(hash) {
+  const { lat, lng, bounds } = decodeGeohash(hash);
+  const height = bounds.north - bounds.south;
+  const width = bounds.east - bounds.west;
+
+  const neighbor = (rows, columns) => {
+    const neighborLat = lat + rows * height;
+    if (neighborLat < -90 || neighborLat > 90) return null;
+    return encodeGeohash({ lat: neighborLat, lng: wrapLongitude(lng + columns * width) }, hash.length);
+  };
+
+  return {
+    north: neighbor(1, 0),
+    northeast: neighbor(1, 1),
+    east: neighbor(0, 1),
+    southeast: neighbor(-1, 1),
+    south: neighbor(-1, 0),
+    southwest: neighbor(-1, -1),
+    west: neighbor(0, -1),
+    northwest: neighbor(1, -1),
+  };
+}
+
+/**
+ * Distance from a coordinate to the nearest point of a latitude and longitude box. Inside the
+ * box's longitude range that point is due north or south; otherwise it is on a meridian edge,
+ * a great circle.
+ * @param {Object} center - Coordinate to measure from {lat: number, lng: number}
+ * @param {number} south - South edge latitude
+ * @param {number} west - West edge longitude
+ * @param {number} north - North edge latitude
+ * @param {number} east - East edge longitude, at most 360 degrees east of the west edge
+ * @returns {number} Distance in kilometers
+ */
+function distanceToCell(center, south, west, north, east) {
+  const lat = Math.max(south, Math.min(north, center.lat));
+  if ((((center.lng - west) % 360) + 360) % 360 <= east - west) {
+    return calculateDistance(center, { lat, lng: center.lng });
+  }
+  return Math.min(
+    ...[west, east].map((lng) =>
+      calculateDistance(center, closestPointOnSegment(center, { lat: south, lng }, { lat: north, lng }).point)
+    )
+  );
+}
+
+/**
+ * Find the geohashes whose cells together cover every point within a distance of a center
+ *
+ * Only cells that actually reach the circle are returned, so the result can be used directly
+ * as a set of database prefix lookups before measuring exact distances. Without a precision,
+ * the finest one whose cells over the circle's bounding box number at most 32 is used.
+ *
+ * @param {Object} center - Center coordinate {lat: number, lng: number}
+ * @param {number} radius - Radius around the center
+ * @param {string} [unit='km'] - Distance unit ('km', 'miles', 'meters')
+ * @param {number} [precision] - Number of geohash characters (1 to 12)
+ * @returns {Array<string>} Geohashes, sorted
+ * @throws {Error} If the center, radius or precision is invalid or unit is not supported
+ *
+ * @example
+ * const prefixes = getGeohashesCoveringRadius({lat: 40.7128, lng: -74.0060}, 2, 'km');
+ * // SELECT * FROM stores WHERE geohash LIKE 'dr5re%' OR ...
+ */
+function getGeohashesCoveringRadius(center, radius, unit = 'km', precision) {
+  // Accept GeoJSON input
+  center = fromGeoJSONCoordinate(center, 'center');
+
+  // Validate inputs
+  validateCoordinate(center, 'center');
+
+  if (typeof radius !== 'number' || !(radius >= 0)) {
+    throw new Error('Radius must be a non-negative number');
+  }
+
+  if (precision !== undefined) {
+    validateGeohashPrecision(precision);
+  }
+
+  const validUnits = ['km', 'miles', 'meters'];
+  const normalizedUnit = validateUnit(unit, validUnits, 'km');
+  const radiusKm = toKilometers(radius, normalizedUnit);
+
+  const box = expandBoxByDistance(coordinateBox(center), radiusKm, 'haversine');
+
+  // Rows and column ranges of the grid cells overlapping the box
+  const cellsInBox = (grid) => {
+    const row = (lat) => Math.min(grid.rows - 1, Math.floor((lat + 90) / grid.height));
+    const column = (lng) => Math.min(grid.columns - 1, Math.floor((lng + 180) / grid.width));
+    const rows = [row(box.south), row(box.north)];
+    const columnRanges =
+      boxWidth(box) === 360
+        ? [[0, grid.columns - 1]]
+        : box.west <= box.east
+          ? [[column(box.west), column(box.east)]]
+          : [
+              [column(box.west), grid.columns - 1],
+              [0, column(box.east)],
+            ];
+    const count = (rows[1] - rows[0] + 1) * columnRanges.reduce((total, [from, to]) => total + to - from + 1, 0);
+    return { rows, columnRanges, count };
+  };
+
+  let chosen = precision;
+  if (chosen === undefined) {
+    chosen = 1;
+    for (let candidate = 2; candidate <= 12 && cellsInBox(geohashGrid(candidate)).count <= 32; candidate++) {
+      chosen = candidate;
+    }
+  }
+
+  const grid = geohashGrid(chosen);
+  const { rows, columnRanges } = cellsInBox(grid);
+
+  const hashes = [];
+  for (let r = rows[0]; r <= rows[1]; r++) {
+    const south = -90 + r * grid.height;
+    columnRanges.forEach(([from, to]) => {
+      for (let c = from; c <= to; c++) {
+        const west = -180 + c * grid.width;
+        if (distanceToCell(center, south, west, south + grid.height, west + grid.width) <= radiusKm * (1 + 1e-9)) {
+          hashes.push(encodeGeohash({ lat: south + grid.height / 2, lng: west + grid.width / 2 }, chosen));
+        }
+      }
+    });
+  }
+
+  return hashes.sort();
+}
+
+// UTM latitude bands, 8° each from 80°S; X is stretched to 84°N
+const UTM_BANDS = 'CDEFGHJKLMNPQRSTUVWX';
+
+// MGRS 100 km square letters. UTM columns cycle through three sets by zone and rows repeat
+// every 2,000 km; UPS columns and rows count from fixed offsets, in units of 100 km.
+const MGRS_UTM_COLUMNS = ['ABCDEFGH', 'JKLMNPQR', 'STUVWXYZ'];
+const MGRS_UTM_ROWS = 'ABCDEFGHJKLMNPQRSTUV';
+const MGRS_UPS = {
+  A: { columns: 'JKLPQRSTUXYZ', columnOffset: 8, rows: 'ABCDEFGHJKLMNPQRSTUVWXYZ', rowOffset: 8 },
+  B: { columns: 'ABCFGHJKLPQR', columnOffset: 20, rows: 'ABCDEFGHJKLMNPQRSTUVWXYZ', rowOffset: 8 },
+  Y: { columns: 'RSTUXYZ', columnOffset: 13, rows: 'ABCDEFGHJKLMNP', rowOffset: 13 },
+  Z: { columns: 'ABCFGHJ', columnOffset: 20, rows: 'ABCDEFGHJKLMNP', rowOffset: 13 },
+};
+
+/**
+ * Returns the constants of the Krüger series for the transverse Mercator projection on WGS84
+ * @returns {Object} {A, alpha, beta, e}: rectifying radius in meters, forward and reverse
+ *   series coefficients (1-indexed) and first eccentricity
+ */
+function transverseMercatorSeries() {
+  const n = WGS84_F / (2 - WGS84_F);
+  const [n2, n3, n4, n5, n6] = [n ** 2, n ** 3, n ** 4, n ** 5, n ** 6];
+
+  return {
+    A: (WGS84_A / (1 + n)) * (1 + n2 / 4 + n4 / 64 + n6 / 256),
+    alpha: [
+      0,
+      n / 2 - (2 / 3) * n2 + (5 / 16) * n3 + (41 / 180) * n4 - (127 / 288) * n5 + (7891 / 37800) * n6,
+      (13 / 48) * n2 - (3 / 5) * n3 + (557 / 1440) * n4 + (281 / 630) * n5 - (1983433 / 1935360) * n6,
+      (61 / 240) * n3 - (103 / 140) * n4 + (15061 / 26880) * n5 + (167603 / 181440) * n6,
+      (49561 / 161280) * n4 - (179 / 168) * n5 + (6601661 / 7257600) * n6,
+      (34729 / 80640) * n5 - (3418889 / 1995840) * n6,
+      (212378941 / 319334400) * n6,
+    ],
+    beta: [
+      0,
+      n / 2 - (2 / 3) * n2 + (37 / 96) * n3 - (1 / 360) * n4 - (81 / 512) * n5 + (96199 / 604800) * n6,
+      (1 / 48) * n2 + (1 / 15) * n3 - (437 / 1440) * n4 + (46 / 105) * n5 - (1118711 / 3870720) * n6,
+      (17 / 480) * n3 - (37 / 840) * n4 - (209 / 4480) * n5 + (5569 / 90720) * n6,
+      (4397 / 161280) * n4 - (11 / 504) * n5 - (830251 / 7257600) * n6,
+      (4583 / 161280) * n5 - (108847 / 3991680) * n6,
+      (20648693 / 638668800) * n6,
+    ],
+    e: Math.sqrt(WGS84_F * (2 - WGS84_F)),
+  };
+}
+
+/**
+ * Converts a geodetic latitude to the conformal latitude, as tangents
+ * @param {number} tau - Tangent of the geodetic latitude
+ * @param {number} e - First eccentricity
+ * @returns {number} Tangent of the conformal latitude
+ */
+function conformalTangent(tau, e) {
+  const sigma = Math.sinh(e * Math.atanh((e * tau) / Math.sqrt(1 + tau * tau)));
+  return tau * Math.sqrt(1 + sigma * sigma) - sigma * Math.sqrt(1 + tau * tau);
+}
+
+/**
+ * Converts a conformal latitude back to the geodetic latitude, as tangents, by Newton's method
+ * @param {number} tauPrime - Tangent of the conformal latitude
+ * @param {number} e - First eccentricity
+ * @returns {number} Tangent of the geodetic latitude
+ */
+function geodeticTangent(tauPrime, e) {
+  const e2 = e * e;
+  let tau = tauPrime;
+
+  for (let i = 0; i < 10; i++) {
+    const tauI = conformalTangent(tau, e);
+    const delta =
+      ((tauPrime - tauI) / Math.sqrt(1 + tauI * tauI)) *
+      ((1 + (1 - e2) * tau * tau) / ((1 - e2) * Math.sqrt(1 + tau * tau)));
+    tau += delta;
+    if (Math.abs(delta) < 1e-12) break;
+  }
+
+  return tau;
+}
+
+/**
+ * Returns the UTM zone of a coordinate, including the Norway and Svalbard exceptions
+ * @param {Object} coord - Coordinate {lat, lng} between 80°S and 84°N
+ * @returns {number} Zone from 1 to 60
+ */
+function utmZone(coord) {
+  const lng = wrapLongitude(coord.lng);
+  const zone = Math.min(60, Math.floor((lng + 180) / 6) + 1);
+
+  // Southwest Norway: zone 32 is widened west over the sea to 3°E
+  if (coord.lat >= 56 && coord.lat < 64 && lng >= 3 && lng < 12) {
+    return 32;
+  }
+
+  // Svalbard: zones 32, 34 and 36 are dropped and their neighbours widened to 12°
+  if (coord.lat >= 72 && lng >= 0 && lng < 42) {
+    return lng < 9 ? 31 : lng < 21 ? 33 : lng < 33 ? 35 : 37;
+  }
+
+  return zone;
+}
+
+/**
+ * Projects a coordinate to easting and northing in a UTM zone
+ * @param {Object} coord - Coordinate {lat, lng}, away from the poles
+ * @param {number} zone - UTM zone from 1 to 60
+ * @returns {Object} {easting, northing} in meters, with the false northing of the coordinate's hemisphere
+ */
+function projectUTM(coord, zone) {
+  const { A, alpha, e } = transverseMercatorSeries();
+  const k0 = 0.9996;
+
+  const lambda = toRadians(longitudeDelta((zone - 1) * 6 - 177, coord.lng));
+  const tauPrime = conformalTangent(Math.tan(toRadians(coord.lat)), e);
+
+  const xiPrime = Math.atan2(tauPrime, Math.cos(lambda));
+  const etaPrime = Math.asinh(Math.sin(lambda) / Math.hypot(tauPrime, Math.cos(lambda)));
+
+  let xi = xiPrime;
+  let eta = etaPrime;
+  for (let j = 1; j <= 6; j++) {
+    xi += alpha[j] * Math.sin(2 * j * xiPrime) * Math.cosh(2 * j * etaPrime);
+    eta += alpha[j] * Math.cos(2 * j * xiPrime) * Math.sinh(2 * j * etaPrime);
+  }
+
+  return {
+    easting: 500000 + k0 * A * eta,
+    northing: k0 * A * xi + (coord.lat < 0 ? 10000000 : 0),
+  };
+}
+
+/**
+ * Converts easting and northing in a UTM zone back to a coordinate
+ * @param {number} zone - UTM zone from 1 to 60
+ * @param {boolean} north - Whether the northing is for the northern hemisphere
+ * @param {number} easting - Easting in meters
+ * @param {number} northing - Northing in meters
+ * @returns {Object} Coordinate {lat, lng}
+ */
+function unprojectUTM(zone, north, easting, northing) {
+  const { A, beta, e } = transverseMercatorSeries();
+  const k0 = 0.9996;
+
+  const eta = (easting - 500000) / (k0 * A);
+  const xi = (northing - (north ? 0 : 10000000)) / (k0 * A);
+
+  let xiPrime = xi;
+  let etaPrime = eta;
+  for (let j = 1; j <= 6; j++) {
+    xiPrime -= beta[j] * Math.sin(2 * j * xi) * Math.cosh(2 * j * eta);
+    etaPrime -= beta[j] * Math.cos(2 * j * xi) * Math.sinh(2 * j * eta);
+  }
+
+  const sinhEtaPrime = Math.sinh(etaPrime);
+  const tauPrime = Math.sin(xiPrime) / Math.hypot(sinhEtaPrime, Math.cos(xiPrime));
+  const lambda = Math.atan2(sinhEtaPrime, Math.cos(xiPrime));
+
+  return {
+    lat: toDegrees(Math.atan(geodeticTangent(tauPrime, e))),
+    lng: wrapLongitude((zone - 1) * 6 - 177 + toDegrees(lambda)),
+  };
+}
+
+/**
+ * Returns the scale of the UPS polar stereographic projection, in meters per unit of the
+ * conformal colatitude's tangent
+ * @returns {Object} {scale, e}: scale in meters and first eccentricity
+ */
+function polarStereographicScale() {
+  const e = Math.sqrt(WGS84_F * (2 - WGS84_F));
+  const k0 = 0.994;
+  return { scale: (2 * WGS84_A * k0) / Math.sqrt((1 + e) ** (1 + e) * (1 - e) ** (1 - e)), e };
+}
+
+/**
+ * Projects a coordinate to UPS easting and northing
+ * @param {Object} coord - Coordinate {lat, lng}
+ * @returns {Object} {easting, northing} in meters, about the pole of the coordinate's hemisphere
+ */
+function projectUPS(coord) {
+  const { scale, e } = polarStereographicScale();
+  const north = coord.lat >= 0;
+  const phi = toRadians(Math.abs(coord.lat));
+  const lambda = toRadians(coord.lng);
+
+  const sinPhi = Math.sin(phi);
+  const t = Math.tan(Math.PI / 4 - phi / 2) / ((1 - e * sinPhi) / (1 + e * sinPhi)) ** (e / 2);
+  const rho = scale * t;
+
+  return {
+    easting: 2000000 + rho * Math.sin(lambda),
+    northing: 2000000 + (north ? -1 : 1) * rho * Math.cos(lambda),
+  };
+}
+
+/**
+ * Converts UPS easting and northing back to a coordinate
+ * @param {boolean} north - Whether the position is about the North Pole
+ * @param {number} easting - Easting in meters
+ * @param {number} northing - Northing in meters
+ * @returns {Object} Coordinate {lat, lng}
+ */
+function unprojectUPS(north, easting, northing) {
+  const { scale, e } = polarStereographicScale();
+  const dx = easting - 2000000;
+  const dy = northing - 2000000;
+  const t = Math.hypot(dx, dy) / scale;
+
+  // Solve phi = 90° - 2 atan(t * ((1 - e sin phi) / (1 + e sin phi))^(e/2)) by fixed-point iteration
+  let phi = Math.PI / 2 - 2 * Math.atan(t);
+  for (let i = 0; i < 20; i++) {
+    const sinPhi = Math.sin(phi);
+    const next = Math.PI / 2 - 2 * Math.atan(t * ((1 - e * sinPhi) / (1 + e * sinPhi)) ** (e / 2));
+    if (Math.abs(next - phi) < 1e-14) {
+      phi = next;
+      break;
+    }
+    phi = next;
+  }
+
+  const lat = toDegrees(phi);
+  return {
+    lat: north ? lat : -lat,
+    lng: dx === 0 && dy === 0 ? 0 : toDegrees(Math.atan2(dx, north ? -dy : dy)),
+  };
+}
+
+/**
+ * Convert a coordinate to UTM, or to UPS near the poles
+ *
+ * Coordinates from 80°S to 84°N use the Universal Transverse Mercator zone they fall in,
+ * including the widened zone 32 over southwest Norway and the Svalbard zones 31, 33, 35 and 37.
+ * Coordinates further north or south use the Universal Polar Stereographic projection, which
+ * is reported as zone 0 with band A or B in the south and Y or Z in the north. Easting and
+ * northing are in meters on the WGS84 ellipsoid, accurate to well under a millimetre.
+ *
+ * @param {Object} coord - Coordinate {lat: number, lng: number}
+ * @returns {Object} {zone, band, hemisphere, easting, northing}, with hemisphere 'N' or 'S'
+ * @throws {Error} If the coordinate is invalid
+ *
+ * @example
+ * const utm = toUTM({lat: 33.3, lng: 44.4});
+ * // {zone: 38, band: 'S', hemisphere: 'N', easting: 444140.54..., northing: 3684706.36...}
+ */
+function toUTM(coord) {
+  // Accept GeoJSON input
+  coord = fromGeoJSONCoordinate(coord, 'coord');
+
+  // Validate inputs
+  validateCoordinate(coord, 'coord');
+
+  const hemisphere = coord.lat >= 0 ? 'N' : 'S';
+
+  if (coord.lat < -80 || coord.lat >= 84) {
+    const { easting, northing } = projectUPS(coord);
+    const east = easting >= 2000000;
+    const band = hemisphere === 'N' ? (east ? 'Z' : 'Y') : east ? 'B' : 'A';
+    return { zone: 0, band, hemisphere, easting, northing };
+  }
+
+  const zone = utmZone(coord);
+  const { easting, northing } = projectUTM(coord, zone);
+  const band = UTM_BANDS[Math.min(19, Math.floor((coord.lat + 80) / 8))];
+  return { zone, band, hemisphere, easting, northing };
+}
+
+/**
+ * Parses and validates a UTM or UPS position
+ * @param {Object|string} utm - {zone, band or hemisphere, easting, northing} or a string such as "18S 323487 4306483"
+ * @param {string} paramName - Parameter name for error messages
+ * @returns {Object} {zone, north, band, easting, northing}, with band null if only the hemisphere was given
+ * @throws {Error} If the position is invalid
+ */
+function readUTM(utm, paramName) {
+  if (typeof utm === 'string') {
+    const match = /^\s*(\d{1,2})?\s*([A-Z])\s+(\d+(?:\.\d+)?)\s*m?E?\s+(\d+(?:\.\d+)?)\s*m?N?\s*$/i.exec(utm);
+    if (!match) {
+      throw new Error(`${paramName} must be a UTM position such as "18S 323487 4306483"`);
+    }
+    utm = {
+      zone: match[1] === undefined ? 0 : Number(match[1]),
+      band: match[2].toUpperCase(),
+      easting: Number(match[3]),
+      northing: Number(match[4]),
+    };
+  }
+
+  if (!utm || typeof utm !== 'object') {
+    throw new Error(`${paramName} must be an object or string`);
+  }
+
+  const { zone, band, hemisphere, easting, northing } = utm;
+
+  if (!Number.isInteger(zone) || zone < 0 || zone > 60) {
+    throw new Error(`${paramName}.zone must be an integer from 1 to 60, or 0 for UPS`);
+  }
+
+  const validBands = zone === 0 ? Object.keys(MGRS_UPS).join('') : UTM_BANDS;
+  const isValidBand = typeof band === 'string' && band.length === 1 && validBands.includes(band.toUpperCase());
+  if (band !== undefined && !isValidBand) {
+    throw new Error(`${paramName}.band must be one of ${validBands.split('').join(', ')} in zone ${zone}`);
+  }
+
+  if (hemisphere !== undefined && !['N', 'S'].includes(String(hemisphere).toUpperCase())) {
+    throw new Error(`${paramName}.hemisphere must be 'N' or 'S'`);
+  }
+
+  if (band === undefined && hemisphere === undefined) {
+    throw new Error(`${paramName} must have a band or a hemisphere`);
+  }
+
+  const normalizedBand = band === undefined ? null : band.toUpperCase();
+  const bandNorth = normalizedBand === null ? null : zone === 0 ? 'YZ'.includes(normalizedBand) : normalizedBand >= 'N';
+  const north = hemisphere === undefined ? bandNorth : String(hemisphere).toUpperCase() === 'N';
+
+  if (bandNorth !== null && bandNorth !== north) {
+    throw new Error(`${paramName} band ${normalizedBand} is not in hemisphere ${hemisphere}`);
+  }
+
+  // Limits allow for positions a little outside the zone, as when a point is given in a neighbouring zone
+  const limit = zone === 0 ? 4000000 : 1000000;
+  if (typeof easting !== 'number' || !(easting >= 0 && easting <= limit)) {
+    throw new Error(`${paramName}.easting must be a number from 0 to ${limit}`);
+  }
+
+  const northingLimit = zone === 0 ? 4000000 : 10000000;
+  if (typeof northing !== 'number' || !(northing >= 0 && northing <= northingLimit)) {
+    throw new Error(`${paramName}.northing must be a number from 0 to ${northingLimit}`);
+  }
+
+  return { zone, north, band: normalizedBand, easting, northing };
+}
+
+/**
+ * Convert a UTM or UPS position to a coordinate
+ *
+ * The position is an object like the ones toUTM returns, needing only one of band and
+ * hemisphere, or a string of zone and band, easting and northing such as "18S 323487 4306483".
+ * UPS positions have zone 0, written as just the band in strings ("Z 2000000 2000000").
+ *
+ * @param {Object|string} utm - UTM or UPS position {zone, band, hemisphere, easting, northing}
+ * @returns {Object} Coordinate {lat, lng}
+ * @throws {Error} If the position is invalid
+ *
+ * @example
+ * const incident = fromUTM('18T 583960 4507523');
+ * const distance = calculateDistance(incident, {lat: 40.7128, lng: -74.0060});
+ */
+function fromUTM(utm) {
+  // Validate inputs
+  const { zone, north, easting, northing } = readUTM(utm, 'utm');
+
+  return zone === 0 ? unprojectUPS(north, easting, northing) : unprojectUTM(zone, north, easting, northing);
+}
+
+/**
+ * Encode a coordinate as an MGRS grid reference
+ *
+ * The reference is the UTM or UPS zone and band, two letters naming the 100 km square and
+ * the easting and northing within it, truncated to the given number of digits each, as in
+ * "38SMB4414084706". Five digits locate a 1 m square and zero digits the 100 km square itself.
+ *
+ * @param {Object} coord - Coordinate to encode {lat: number, lng: number}
+ * @param {number} [precision=5] - Digits of easting and of northing (0 to 5)
+ * @returns {string} MGRS reference of the grid square containing the coordinate, without spaces
+ * @throws {Error} If the coordinate or precision is invalid
+ *
+ * @example
+ * const reference = encodeMGRS({lat: 33.3, lng: 44.4}); // '38SMB4414084706'
+ * const square = encodeMGRS({lat: 33.3, lng: 44.4}, 2); // '38SMB4484'
+ */
+function encodeMGRS(coord, precision = 5) {
+  // Accept GeoJSON input
+  coord = fromGeoJSONCoordinate(coord, 'coord');
+
+  // Validate inputs
+  validateCoordinate(coord, 'coord');
+
+  if (!Number.isInteger(precision) || precision < 0 || precision > 5) {
+    throw new Error('Precision must be an integer between 0 and 5');
+  }
+
+  const { zone, band, easting, northing } = toUTM(coord);
+  const column = Math.floor(easting / 100000);
+  const row = Math.floor(northing / 100000);
+
+  let square;
+  if (zone === 0) {
+    const { columns, columnOffset, rows, rowOffset } = MGRS_UPS[band];
+    square = columns[column - columnOffset] + rows[row - rowOffset];
+  } else {
+    square = MGRS_UTM_COLUMNS[(zone - 1) % 3][column - 1] + MGRS_UTM_ROWS[(row + ((zone - 1) % 2) * 5) % 20];
+  }
+
+  // Truncate rather than round, so the reference names the square the coordinate is in
+  const digits = (value) =>
+    String(Math.floor((value % 100000) / 10 ** (5 - precision)))
+      .padStart(precision, '0')
+      .slice(0, precision);
+
+  return `${zone === 0 ? '' : zone}${band}${square}${digits(easting)}${digits(northing)}`;
+}
+
+/**
+ * Decode an MGRS grid reference to the center of its grid square
+ *
+ * Spaces are ignored and letters may be lower case. Zone numbers may have a leading zero.
+ *
+ * @param {string} mgrs - MGRS reference, such as "38SMB4414084706" or "38S MB 44140 84706"
+ * @returns {Object} Coordinate {lat, lng} of the center of the grid square
+ * @throws {Error} If the reference is invalid
+ *
+ * @example
+ * const { lat, lng } = decodeMGRS('38S MB 44140 84706');
+ */
+function decodeMGRS(mgrs) {
+  // Validate inputs
+  if (typeof mgrs !== 'string') {
+    throw new Error('MGRS reference must be a string');
+  }
+
+  const match = /^(\d{1,2})?([A-Z])([A-Z])([A-Z])(\d*)$/.exec(mgrs.replace(/\s+/g, '').toUpperCase());
+  if (!match) {
+    throw new Error(`Invalid MGRS reference: ${mgrs}`);
+  }
+
+  const [, zoneText, band, columnLetter, rowLetter, digits] = match;
+  const zone = zoneText === undefined ? 0 : Number(zoneText);
+
+  if (digits.length % 2 !== 0 || digits.length > 10) {
+    throw new Error(
+      `Invalid MGRS reference: ${mgrs} must have the same number of easting and northing digits, up to 5 each`
+    );
+  }
+
+  if (zone > 60 || (zone === 0) !== 'ABYZ'.includes(band) || (zone !== 0 && !UTM_BANDS.includes(band))) {
+    throw new Error(`Invalid MGRS reference: ${mgrs} has no zone ${zoneText || ''}${band}`);
+  }
+
+  // Offset to the center of the square named by the digits
+  const precision = digits.length / 2;
+  const size = 10 ** (5 - precision);
+  const within = (text) => (text === '' ? 0 : Number(text) * size) + size / 2;
+  const eastingWithin = within(digits.slice(0, precision));
+  const northingWithin = within(digits.slice(precision));
+
+  if (zone === 0) {
+    const { columns, columnOffset, rows, rowOffset } = MGRS_UPS[band];
+    const column = columns.indexOf(columnLetter);
+    const row = rows.indexOf(rowLetter);
+    if (column === -1 || row === -1) {
+      throw new Error(
+        `Invalid MGRS reference: ${mgrs} has no 100 km square ${columnLetter}${rowLetter} in band ${band}`
+      );
+    }
+
+    return unprojectUPS(
+      'YZ'.includes(band),
+      (column + columnOffset) * 100000 + eastingWithin,
+      (row + rowOffset) * 100000 + northingWithin
+    );
+  }
+
+  const column = MGRS_UTM_COLUMNS[(zone - 1) % 3].indexOf(columnLetter);
+  const row = MGRS_UTM_ROWS.indexOf(rowLetter);
+  if (column === -1 || row === -1) {
+    throw new Error(`Invalid MGRS reference: ${mgrs} has no 100 km square ${columnLetter}${rowLetter} in zone ${zone}`);
+  }
+
+  // Row letters repeat every 2,000 km; take the repeat that lands in the band
+  const north = band >= 'N';
+  const easting = (column + 1) * 100000 + eastingWithin;
+  const rowNorthing = ((row - ((zone - 1) % 2) * 5 + 20) % 20) * 100000 + northingWithin;
+  const bandIndex = UTM_BANDS.indexOf(band);
+  const south = -80 + bandIndex * 8;
+  const northEdge = band === 'X' ? 84 : south + 8;
+
+  let best = null;
+  for (let northing = rowNorthing; northing <= 10000000; northing += 2000000) {
+    const coord = unprojectUTM(zone, north, easting, northing);
+    const miss = Math.max(0, south - coord.lat, coord.lat - northEdge);
+    if (!best || miss < best.miss) {
+      best = { coord, miss };
+    }
+  }
+
+  return best.coord;
+}
+
+// Latitude limit of the square Web Mercator world used by map tiles
+const MERCATOR_MAX_LATITUDE = 85.0511287798066;
+
+// Web Mercator projects the sphere with the WGS84 semi-major axis as its radius
+const MERCATOR_CIRCUMFERENCE = 2 * Math.PI * WGS84_A;
+
+// Deepest zoom level the tile helpers accept
+const MAX_TILE_ZOOM = 30;
+
+/**
+ * Projects a coordinate onto the Web Mercator world square
+ * @param {Object} coord - Coordinate {lat: number, lng: number}
+ * @returns {Object} Position {x, y}, each from 0 to 1, with y growing southwards
+ */
+function projectWebMercator(coord) {
+  const lat = Math.max(-MERCATOR_MAX_LATITUDE, Math.min(MERCATOR_MAX_LATITUDE, coord.lat));
+  const sinLat = Math.sin(toRadians(lat));
+  return {
+    x: (wrapLongitude(coord.lng) + 180) / 360,
+    y: 0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI),
+  };
+}
+
+/**
+ * Converts a position on the Web Mercator world square back to a coordinate
+ * @param {number} x - Position from west to east, 0 to 1 across the map
+ * @param {number} y - Position from north to south, 0 to 1 down the map
+ * @returns {Object} Coordinate {lat, lng}
+ */
+function unprojectWebMercator(x, y) {
+  return {
+    lat: toDegrees(Math.atan(Math.sinh(Math.PI * (1 - 2 * y)))),
+    lng: wrapLongitude(x * 360 - 180),
+  };
+}
+
+/**
+ * Validates a map zoom level
+ * @param {number} zoom - Zoom level to validate
+ * @param {boolean} integer - Whether the zoom level must be a whole number, as for tiles
+ * @throws {Error} If zoom is invalid
+ */
+function validateZoom(zoom, integer) {
+  const isValid = integer ? Number.isInteger(zoom) : typeof zoom === 'number';
+  if (!isValid || !(zoom >= 0 && zoom <= MAX_TILE_ZOOM)) {
+    throw new Error(`Zoom must be ${integer ? 'an integer' : 'a number'} from 0 to ${MAX_TILE_ZOOM}`);
+  }
+}
+
+/**
+ * Validates a tile size in pixels
+ * @param {number} tileSize - Tile size to validate
+ * @throws {Error} If tileSize is invalid
+ */
+function validateTileSize(tileSize) {
+  if (typeof tileSize !== 'number' || !(tileSize > 0) || tileSize === Infinity) {
+    throw new Error('Tile size must be a positive number');
+  }
+}
+
+/**
+ * Validates an {x, y} point of finite numbers
+ * @param {Object} point - Point to validate
+ * @param {string} paramName - Parameter name for error messages
+ * @throws {Error} If the point is invalid
+ */
+function validatePoint(point, paramName) {
+  if (!point || typeof point !== 'object' || !Number.isFinite(point.x) || !Number.isFinite(point.y)) {
+    throw new Error(`${paramName} must be an object with numeric x and y`);
+  }
+}
+
+/**
+ * Validates a map tile
+ * @param {Object} tile - Tile {x, y, z}
+ * @param {string} paramName - Parameter name for error messages
+ * @throws {Error} If the tile is invalid
+ */
+function validateTile(tile, paramName) {
+  if (!tile || typeof tile !== 'object') {
+    throw new Error(`${paramName} must be an object {x, y, z}`);
+  }
+
+  if (!Number.isInteger(tile.z) || tile.z < 0 || tile.z > MAX_TILE_ZOOM) {
+    throw new Error(`${paramName}.z must be an integer from 0 to ${MAX_TILE_ZOOM}`);
+  }
+
+  const last = Math.pow(2, tile.z) - 1;
+  ['x', 'y'].forEach((axis) => {
+    if (!Number.isInteger(tile[axis]) || tile[axis] < 0 || tile[axis] > last) {
+      throw new Error(`${paramName}.${axis} must be an integer from 0 to ${last} at zoom ${tile.z}`);
+    }
+  });
+}
+
+/**
+ * Convert a coordinate to Web Mercator (EPSG:3857) meters
+ *
+ * Latitudes beyond ±85.0511°, where the square Web Mercator map ends, are clamped to that limit.
+ *
+ * @param {Object} coord - Coordinate to project {lat: number, lng: number}
+ * @returns {Object} Position {x, y} in meters east of the prime meridian and north of the equator
+ * @throws {Error} If the coordinate is invalid
+ *
+ * @example
+ * const { x, y } = toWebMercator({lat: 40.7128, lng: -74.0060});
+ * // x: -8238310.23..., y: 4970071.57...
+ */
+function toWebMercator(coord) {
+  // Accept GeoJSON input
+  coord = fromGeoJSONCoordinate(coord, 'coord');
+
+  // Validate inputs
+  validateCoordinate(coord, 'coord');
+
+  const { x, y } = projectWebMercator(coord);
+  return { x: (x - 0.5) * MERCATOR_CIRCUMFERENCE, y: (0.5 - y) * MERCATOR_CIRCUMFERENCE };
+}
+
+/**
+ * Convert Web Mercator (EPSG:3857) meters to a coordinate
+ * @param {Object} point - Position {x, y} in meters east of the prime meridian and north of the equator
+ * @returns {Object} Coordinate {lat, lng}, with the longitude wrapped to -180 to 180
+ * @throws {Error} If the point is invalid
+ *
+ * @example
+ * const coord = fromWebMercator({x: -8238310.23, y: 4970071.58});
+ * // {lat: 40.7128..., lng: -74.0060...}
+ */
+function fromWebMercator(point) {
+  // Validate inputs
+  validatePoint(point, 'point');
+
+  return unprojectWebMercator(point.x / MERCATOR_CIRCUMFERENCE + 0.5, 0.5 - point.y / MERCATOR_CIRCUMFERENCE);
+}
+
+/**
+ * Convert a coordinate to pixel coordinates on a Web Mercator map at a zoom level
+ *
+ * Pixels are counted from the map's north-west corner, as by slippy map libraries; the whole
+ * world is tileSize × 2^zoom pixels across. Latitudes are clamped to ±85.0511° as in
+ * toWebMercator, and zoom may be fractional.
+ *
+ * @param {Object} coord - Coordinate to convert {lat: number, lng: number}
+ * @param {number} zoom - Zoom level (0 to 30)
+ * @param {number} [tileSize=256] - Tile size in pixels
+ * @returns {Object} Pixel position {x, y}, not rounded
+ * @throws {Error} If the coordinate, zoom or tile size is invalid
+ *
+ * @example
+ * const pixel = coordinateToPixel({lat: 40.7128, lng: -74.0060}, 10);
+ * // {x: 77182.47..., y: 98561.11...}
+ */
+function coordinateToPixel(coord, zoom, tileSize = 256) {
+  // Accept GeoJSON input
+  coord = fromGeoJSONCoordinate(coord, 'coord');
+
+  // Validate inputs
+  validateCoordinate(coord, 'coord');
+  validateZoom(zoom, false);
+  validateTileSize(tileSize);
+
+  const size = tileSize * Math.pow(2, zoom);
+  const { x, y } = projectWebMercator(coord);
+  return { x: x * size, y: y * size };
+}
+
+/**
+ * Convert pixel coordinates on a Web Mercator map at a zoom level to a coordinate
+ * @param {Object} pixel - Pixel position {x, y}, counted from the map's north-west corner
+ * @param {number} zoom - Zoom level (0 to 30)
+ * @param {number} [tileSize=256] - Tile size in pixels
+ * @returns {Object} Coordinate {lat, lng}, with the longitude wrapped to -180 to 180
+ * @throws {Error} If the pixel, zoom or tile size is invalid
+ *
+ * @example
+ * const coord = pixelToCoordinate({x: 77182, y: 98561}, 10);
+ */
+function pixelToCoordinate(pixel, zoom, tileSize = 256) {
+  // Validate inputs
+  validatePoint(pixel, 'pixel');
+  validateZoom(zoom, false);
+  validateTileSize(tileSize);
+
+  const size = tileSize * Math.pow(2, zoom);
+  return unprojectWebMercator(pixel.x / size, pixel.y / size);
+}
+
+/**
+ * Find the map tile containing a coordinate at a zoom level
+ *
+ * Tiles are numbered as in the XYZ slippy map scheme, with x growing eastward from the
+ * antimeridian and y southward from the top of the map. Latitudes beyond ±85.0511° fall in the
+ * top or bottom row, and longitude 180 in the first column.
+ *
+ * @param {Object} coord - Coordinate to locate {lat: number, lng: number}
+ * @param {number} zoom - Zoom level (integer from 0 to 30)
+ * @returns {Object} Tile {x, y, z}
+ * @throws {Error} If the coordinate or zoom is invalid
+ *
+ * @example
+ * const tile = coordinateToTile({lat: 40.7128, lng: -74.0060}, 12); // {x: 1205, y: 1540, z: 12}
+ * const url = `https://tile.example.com/${tile.z}/${tile.x}/${tile.y}.png`;
+ */
+function coordinateToTile(coord, zoom) {
+  // Accept GeoJSON input
+  coord = fromGeoJSONCoordinate(coord, 'coord');
+
+  // Validate inputs
+  validateCoordinate(coord, 'coord');
+  validateZoom(zoom, true);
+
+  const tiles = Math.pow(2, zoom);
+  const { x, y } = projectWebMercator(coord);
+  const row = Math.max(0, Math.min(tiles - 1, Math.floor(y * tiles)));
+  return { x: Math.floor((x % 1) * tiles), y: row, z: zoom };
+}
+
+/**
+ * Calculate the bounding box of a map tile
+ * @param {Object} tile - Tile {x, y, z} as returned by coordinateToTile
+ * @returns {Object} Bounding box {south, west, north, east}
+ * @throws {Error} If the tile is invalid
+ *
+ * @example
+ * const box = tileToBoundingBox({x: 1205, y: 1540, z: 12});
+ * const isOnTile = boundingBoxContains(box, {lat: 40.7128, lng: -74.0060}); // true
+ */
+function tileToBoundingBox(tile) {
+  // Validate inputs
+  validateTile(tile, 'tile');
+
+  const tiles = Math.pow(2, tile.z);
+  const northWest = unprojectWebMercator(tile.x / tiles, tile.y / tiles);
+  const southEast = unprojectWebMercator((tile.x + 1) / tiles, (tile.y + 1) / tiles);
+
+  // The last column's east edge is the antimeridian, which wraps to -180
+  return {
+    south: southEast.lat,
+    west: northWest.lng,
+    north: northWest.lat,
+    east: tile.x === tiles - 1 ? 180 : southEast.lng,
+  };
+}
+
+/**
+ * Returns true if a great-circle edge touches a latitude and longitude box that does not cross
+ * the antimeridian, counting the box's own edges
+ * @param {Object} edge - Edge {start, end, a, b, normal}, with unit vectors a and b of its
+ *   endpoints and the unit normal of its great circle, or null if it has no length
+ * @param {Object} cell - Box {south, west, north, east}, with west less than east
+ * @returns {boolean} True if the edge and box share a point
+ */
+function edgeMeetsCell(edge, cell) {
+  const { start, end, a, b, normal } = edge;
+  if (boxContainsCoordinate(cell, start) || boxContainsCoordinate(cell, end)) return true;
+  if (!normal) return false;
+
+  // Otherwise the edge must cross one of the box's sides
+  const onEdge = (point) =>
+    dotProduct(crossProduct(a, point), normal) >= -1e-12 && dotProduct(crossProduct(point, b), normal) >= -1e-12;
+  const cornersOnEdge = (corners) => corners.some((corner) => onEdge(toUnitVector(corner)));
+
+  // Meridian sides are great-circle arcs
+  const meridians = cell.east - cell.west >= 360 ? [cell.west] : [cell.west, cell.east];
+  const crossesMeridian = meridians.some((lng) => {
+    const lambda = toRadians(lng);
+    const meet = crossProduct(normal, [-Math.sin(lambda), Math.cos(lambda), 0]);
+    const length = vectorLength(meet);
+
+    // An edge along the side's great circle reaches the side only by passing over a corner
+    if (length < 1e-12) {
+      return cornersOnEdge([
+        { lat: cell.south, lng },
+        { lat: cell.north, lng },
+      ]);
+    }
+
+    return [1, -1].some((sign) => {
+      const point = meet.map((component) => (sign * component) / length);
+      const lat = toDegrees(Math.asin(Math.max(-1, Math.min(1, point[2]))));
+      return (
+        point[0] * Math.cos(lambda) + point[1] * Math.sin(lambda) >= -1e-12 &&
+        lat >= cell.south - 1e-9 &&
+        lat <= cell.north + 1e-9 &&
+        onEdge(point)
+      );
+    });
+  });
+  if (crossesMeridian) return true;
+
+  // Parallel sides are small circles, met where the edge's great circle reaches their height
+  const parallels = [cell.south, cell.north].filter((lat) => Math.abs(lat) < 90);
+  return parallels.some((lat) => {
+    const height = Math.sin(toRadians(lat));
+    const tilt = Math.sqrt(Math.max(0, 1 - normal[2] * normal[2]));
+
+    // An edge along the equator meets an equator side only by passing over a corner
+    if (tilt < 1e-12) {
+      return (
+        Math.abs(height) < 1e-12 &&
+        cornersOnEdge([
+          { lat, lng: cell.west },
+          { lat, lng: cell.east },
+        ])
+      );
+    }
+
+    // Write the great circle as top·cos(t) + across·sin(t), where top is its most northern point
+    const cosT = height / tilt;
+    if (Math.abs(cosT) > 1) return false;
+    const sinT = Math.sqrt(1 - cosT * cosT);
+    const top = [0, 0, 1].map((component, i) => (component - normal[2] * normal[i]) / tilt);
+    const across = crossProduct(normal, top);
+
+    return [sinT, -sinT].some((sin) => {
+      const point = top.map((component, i) => component * cosT + across[i] * sin);
+      const offset = (((fromUnitVector(point).lng - cell.west) % 360) + 360) % 360;
+      const isBetweenSides = offset <= cell.east - cell.west + 1e-9 || offset >= 360 - 1e-9;
+      return isBetweenSides && onEdge(point);
+    });
+  });
+}
+
+/**
+ * Find the map tiles covering a geofence at a zoom level
+ *
+ * Returns every tile sharing a point with the geofence, found by splitting tiles from zoom 0
+ * down and testing each against the geofence's edges, so only tiles along the boundary are
+ * examined closely. Tile edges are meridians and parallels, and geofence edges great circles.
+ * Tiles that only touch the boundary are included, and the top and bottom rows cover the
+ * polar caps beyond ±85.0511°, as in coordinateToTile.
+ *
+ * Accepts any geofence isCoordinateInGeofence does, circles included, and the interior option
+ * works as there. The number of tiles grows fourfold with each zoom level, so an error is
+ * thrown once the covering would hold more than options.maxTiles tiles.
+ *
+ * @param {Array|Object} geofence - Geofence ring [{lat: number, lng: number}, ...], polygon with holes, multipolygon or circle
+ * @param {number} zoom - Zoom level (integer from 0 to 30)
+ * @param {Object} [options={}] - Covering options
+ * @param {string} [options.interior='smaller'] - Side of each ring enclosed ('smaller', 'winding', 'left', 'right')
+ * @param {number} [options.maxTiles=100000] - Most tiles to return
+ * @returns {Array<Object>} Tiles {x, y, z}, ordered by row and then by column
+ * @throws {Error} If the geofence, zoom or options are invalid, interior is not supported or the
+ *   covering has more than options.maxTiles tiles
+ *
+ * @example
+ * const zone = [
+ *   {lat: 40.7128, lng: -74.0060},
+ *   {lat: 40.7614, lng: -73.9776},
+ *   {lat: 40.7505, lng: -73.9934}
+ * ];
+ * const tiles = getTilesCoveringGeofence(zone, 14);
+ * tiles.forEach(({x, y, z}) => renderOverlay(z, x, y));
+ */
+function getTilesCoveringGeofence(geofence, zoom, options = {}) {
+  // Validate inputs
+  const { circle, polygons } = prepareGeofence(geofence, 'geofence');
+  validateZoom(zoom, true);
+
+  if (!options || typeof options !== 'object') {
+    throw new Error('Options must be an object');
+  }
+
+  const { interior = 'smaller', maxTiles = 100000 } = options;
+  const normalizedInterior = validateInterior(interior);
+
+  if (!Number.isInteger(maxTiles) || maxTiles < 1) {
+    throw new Error('Max tiles must be a positive integer');
+  }
+
+  const edges = [];
+  polygons.forEach((rings) => {
+    rings.forEach((ring) => {
+      ring.forEach((start, i) => {
+        const end = ring[(i + 1) % ring.length];
+        const a = toUnitVector(start);
+        const b = toUnitVector(end);
+        const normal = crossProduct(a, b);
+        const length = vectorLength(normal);
+        edges.push({ start, end, a, b, normal: length < 1e-15 ? null : normal.map((component) => component / length) });
+      });
+    });
+  });
+
+  // Latitude of a tile row's north edge; the outermost rows reach the poles
+  const rowLatitude = (row, tiles) => {
+    if (row === 0) return 90;
+    if (row === tiles) return -90;
+    return unprojectWebMercator(0, row / tiles).lat;
+  };
+
+  const tiles = [];
+  const reserve = (count) => {
+    if (tiles.length + count > maxTiles) {
+      throw new Error(`Geofence is covered by more than ${maxTiles} tiles at zoom ${zoom}`);
+    }
+  };
+
+  // Split each tile the geofence reaches, passing down the edges that reach it
+  const visit = (x, y, z, nearbyEdges) => {
+    const count = Math.pow(2, z);
+    const cell = {
+      south: rowLatitude(y + 1, count),
+      west: (x / count) * 360 - 180,
+      north: rowLatitude(y, count),
+      east: ((x + 1) / count) * 360 - 180,
+    };
+
+    let reachingEdges = nearbyEdges;
+    if (circle) {
+      const distance = distanceToCell(circle.center, cell.south, cell.west, cell.north, cell.east);
+      if (distance > circle.radiusKm * (1 + 1e-9)) return;
+    } else {
+      reachingEdges = nearbyEdges.filter((edge) => edgeMeetsCell(edge, cell));
+
+      // With no edge reaching it, the tile is wholly inside or wholly outside
+      if (reachingEdges.length === 0) {
+        const middle = { lat: (cell.south + cell.north) / 2, lng: (cell.west + cell.east) / 2 };
+        if (!isCoordinateInPolygons(middle, polygons, normalizedInterior)) return;
+
+        const scale = Math.pow(2, zoom - z);
+        reserve(scale * scale);
+        for (let row = y * scale; row < (y + 1) * scale; row++) {
+          for (let column = x * scale; column < (x + 1) * scale; column++) {
+            tiles.push({ x: column, y: row, z: zoom });
+          }
+        }
+        return;
+      }
+    }
+
+    if (z === zoom) {
+      reserve(1);
+      tiles.push({ x, y, z });
+      return;
+    }
+
+    for (let row = 2 * y; row <= 2 * y + 1; row++) {
+      for (let column = 2 * x; column <= 2 * x + 1; column++) {
+        visit(column, row, z + 1, reachingEdges);
+      }
+    }
+  };
+
+  visit(0, 0, 0, edges);
+
+  return tiles.sort((a, b) => a.y - b.y || a.x - b.x);
+}
+
+/**
+ * Find coordinates within a specified distance from a reference point
+ * @param {Object} fromCoord - Reference coordinate {lat: number, lng: number}
+ * @param {Array<Object>} coordinates - Array of coordinates to check [{lat: number, lng: number}, ...]
+ * @param {number} maxDistance - Maximum distance to filter by
+ * @param {string} [unit='km'] - Distance unit ('km', 'miles', 'meters')
+ * @param {string} [method='haversine'] - Distance method ('haversine', 'vincenty')
+ * @returns {Array<Object>} Array of coordinates within the specified distance, with distance property added
+ * @throws {Error} If coordinates are invalid or unit or method is not supported
+ *
+ * @example
+ * const nearby = getCoordinatesWithinDistance(
+ *   {lat: 40.7128, lng: -74.0060}, // New York City
+ *   [
+ *     {lat: 40.7614, lng: -73.9776, name: 'Central Park'},
+ *     {lat: 34.0522, lng: -118.2437, name: 'Los Angeles'}
+ *   ],
+ *   50, // 50 km radius
+ *   'km'
+ * );
+ * console.log(`Found ${nearby.length} locations within 50km`);
+ */
+function getCoordinatesWithinDistance(fromCoord, coordinates, maxDistance, unit = 'km', method = 'haversine') {
+  // Accept GeoJSON input
+  fromCoord = fromGeoJSONCoordinate(fromCoord, 'fromCoord');
+  coordinates = fromGeoJSONCoordinates(coordinates);
+
+  // Validate inputs
+  validateCoordinate(fromCoord, 'fromCoord');
+
+  if (!Array.isArray(coordinates)) {
+    throw new Error('Coordinates must be an array');
+  }
+
+  if (typeof maxDistance !== 'number' || maxDistance < 0) {
+    throw new Error('Max distance must be a non-negative number');
+  }
+
+  const validUnits = ['km', 'miles', 'meters'];
+  const normalizedUnit = validateUnit(unit, validUnits, 'km');
+  const normalizedMethod = validateMethod(method);
+
+  // Skip coordinates outside a box around the search circle without measuring them
+  const box = expandBoxByDistance(
+    coordinateBox(fromCoord),
+    toKilometers(maxDistance, normalizedUnit),
+    normalizedMethod
+  );
+
+  // Validate each coordinate and calculate distances
+  const results = [];
+
+  coordinates.forEach((coord, index) => {
+    validateCoordinate(coord, `coordinates[${index}]`);
+
+    if (!boxContainsCoordinate(box, coord)) {
+      return;
+    }
+
+    const distance = calculateDistance(fromCoord, coord, normalizedUnit, normalizedMethod);
+
+    if (distance <= maxDistance) {
+      results.push({
+        ...coord,
+        distance: distance,
+      });
+    }
+  });
+
+  // Sort by distance (closest first)
+  results.sort((a, b) => a.distance - b.distance);
+
+  return results;
+}
+
+/**
+ * Find the closest coordinate from an array of coordinates
+ * @param {Object} fromCoord - Reference coordinate {lat: number, lng: number}
+ * @param {Array<Object>} coordinates - Array of coordinates to check [{lat: number, lng: number}, ...]
+ * @param {string} [unit='km'] - Distance unit ('km', 'miles', 'meters')
+ * @param {string} [method='haversine'] - Distance method ('haversine', 'vincenty')
+ * @returns {Object|null} Closest coordinate with distance property, or null if array is empty
+ * @throws {Error} If coordinates are invalid or unit or method is not supported
+ *
+ * @example
+ * const closest = getClosestCoordinate(
+ *   {lat: 40.7128, lng: -74.0060}, // New York City
+ *   [
+ *     {lat: 40.7614, lng: -73.9776, name: 'Central Park'},
+ *     {lat: 34.0522, lng: -118.2437, name: 'Los Angeles'},
+ *     {lat: 41.8781, lng: -87.6298, name: 'Chicago'}
+ *   ],
+ *   'km'
+ * );
+ * console.log(`Closest: ${closest.name} at ${closest.distance.toFixed(2)} km`);
+ */
+function getClosestCoordinate(fromCoord, coordinates, unit = 'km', method = 'haversine') {
+  // Accept GeoJSON input
+  fromCoord = fromGeoJSONCoordinate(fromCoord, 'fromCoord');
+  coordinates = fromGeoJSONCoordinates(coordinates);
+
+  // Validate inputs
+  validateCoordinate(fromCoord, 'fromCoord');
+
+  if (!Array.isArray(coordinates)) {
+    throw new Error('Coordinates must be an array');
+  }
+
+  if (coordinates.length === 0) {
+    return null;
+  }
+
+  const validUnits = ['km', 'miles', 'meters'];
+  const normalizedUnit = validateUnit(unit, validUnits, 'km');
+  const normalizedMethod = validateMethod(method);
+
+  let closestCoord = null;
+  let minDistance = Infinity;
+
+  // Coordinates outside a box around the closest distance so far cannot be closer
+  let box = null;
+
+  coordinates.forEach((coord, index) => {
+    validateCoordinate(coord, `coordinates[${index}]`);
+
+    if (box && !boxContainsCoordinate(box, coord)) {
+      return;
+    }
+
+    const distance = calculateDistance(fromCoord, coord, normalizedUnit, normalizedMethod);
+
+    if (distance < minDistance) {
+      minDistance = distance;
+      box = expandBoxByDistance(coordinateBox(fromCoord), toKilometers(distance, normalizedUnit), normalizedMethod);
+      closestCoord = {
+        ...coord,
+        distance: distance,
+      };
+    }
+  });
+
+  return closestCoord;
+}
+
+/**
+ * Find the furthest coordinate from an array of coordinates
+ * @param {Object} fromCoord - Reference coordinate {lat: number, lng: number}
+ * @param {Array<Object>} coordinates - Array of coordinates to check [{lat: number, lng: number}, ...]
+ * @param {string} [unit='km'] - Distance unit ('km', 'miles', 'meters')
+ * @param {string} [method='haversine'] - Distance method ('haversine', 'vincenty')
+ * @returns {Object|null} Furthest coordinate with distance property, or null if array is empty
+ * @throws {Error} If coordinates are invalid or unit or method is not supported
+ *
+ * @example
+ * const furthest = getFurthestCoordinate(
+ *   {lat: 40.7128, lng: -74.0060}, // New York City
+ *   [
+ *     {lat: 40.7614, lng: -73.9776, name: 'Central Park'},
+ *     {lat: 34.0522, lng: -118.2437, name: 'Los Angeles'},
+ *     {lat: 41.8781, lng: -87.6298, name: 'Chicago'}
+ *   ],
+ *   'km'
+ * );
+ * console.log(`Furthest: ${furthest.name} at ${furthest.distance.toFixed(2)} km`);
+ */
+function getFurthestCoordinate(fromCoord, coordinates, unit = 'km', method = 'haversine') {
+  // Accept GeoJSON input
+  fromCoord = fromGeoJSONCoordinate(fromCoord, 'fromCoord');
+  coordinates = fromGeoJSONCoordinates(coordinates);
+
+  // Validate inputs
+  validateCoordinate(fromCoord, 'fromCoord');
+
+  if (!Array.isArray(coordinates)) {
+    throw new Error('Coordinates must be an array');
+  }
+
+  if (coordinates.length === 0) {
+    return null;
+  }
+
+  const validUnits = ['km', 'miles', 'meters'];
+  const normalizedUnit = validateUnit(unit, validUnits, 'km');
+  const normalizedMethod = validateMethod(method);
+
+  let furthestCoord = null;
+  let maxDistance = -1;
+
+  coordinates.forEach((coord, index) => {
+    validateCoordinate(coord, `coordinates[${index}]`);
+
+    const distance = calculateDistance(fromCoord, coord, normalizedUnit, normalizedMethod);
+
+    if (distance > maxDistance) {
+      maxDistance = distance;
+      furthestCoord = {
+        ...coord,
+        distance: distance,
+      };
+    }
+  });
+
+  return furthestCoord;
+}
+
+/**
+ * Find the k coordinates nearest to a reference point
+ * @param {Object} fromCoord - Reference coordinate {lat: number, lng: number}
+ * @param {Array<Object>} coordinates - Array of coordinates to check [{lat: number, lng: number}, ...]
+ * @param {number} k - Number of nearest coordinates to find, or the page size when paginating
+ * @param {Object} [options] - Query options
+ * @param {number} [options.maxDistance] - Only consider coordinates within this distance
+ * @param {Function} [options.filter] - Predicate called with (coord, index); only coordinates it returns true for are considered
+ * @param {number} [options.offset=0] - Number of nearest coordinates to skip before the k returned, for pagination
+ * @param {string} [options.unit='km'] - Distance unit ('km', 'miles', 'meters')
+ * @param {string} [options.method='haversine'] - Distance method ('haversine', 'vincenty')
+ * @returns {Array<Object>} Coordinates with distance property added, closest first
+ * @throws {Error} If coordinates or options are invalid or unit or method is not supported
+ *
+ * @example
+ * const drivers = getKNearestCoordinates(
+ *   {lat: 40.7128, lng: -74.0060}, // New York City
+ *   [
+ *     {lat: 40.7614, lng: -73.9776, id: 'd1', available: true},
+ *     {lat: 40.6892, lng: -74.0445, id: 'd2', available: false},
+ *     {lat: 40.7505, lng: -73.9934, id: 'd3', available: true}
+ *   ],
+ *   10,
+ *   {maxDistance: 20, filter: p => p.available, unit: 'km'}
+ * );
+ * console.log(`Showing ${drivers.length} closest drivers`);
+ *
+ * // The next 10: drivers 11 to 20 by distance
+ * const next = getKNearestCoordinates({lat: 40.7128, lng: -74.0060}, allDrivers, 10, {offset: 10});
+ */
+function getKNearestCoordinates(fromCoord, coordinates, k, options = {}) {
+  // Accept GeoJSON input
+  fromCoord = fromGeoJSONCoordinate(fromCoord, 'fromCoord');
+  coordinates = fromGeoJSONCoordinates(coordinates);
+
+  // Validate inputs
+  validateCoordinate(fromCoord, 'fromCoord');
+
+  if (!Array.isArray(coordinates)) {
+    throw new Error('Coordinates must be an array');
+  }
+
+  if (!Number.isInteger(k) || k < 0) {
+    throw new Error('k must be a non-negative integer');
+  }
+
+  if (!options || typeof options !== 'object') {
+    throw new Error('Options must be an object');
+  }
+
+  const { maxDistance = Infinity, filter, offset = 0, unit = 'km', method = 'haversine' } = options;
+
+  if (typeof maxDistance !== 'number' || maxDistance < 0) {
+    throw new Error('Max distance must be a non-negative number');
+  }
+
+  if (filter !== undefined && typeof filter !== 'function') {
+    throw new Error('Filter must be a function');
+  }
+
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new Error('Offset must be a non-negative integer');
+  }
+
+  const validUnits = ['km', 'miles', 'meters'];
+  const normalizedUnit = validateUnit(unit, validUnits, 'km');
+  const normalizedMethod = validateMethod(method);
+
+  // Skip coordinates outside a box around the maximum distance without measuring them
+  const box =
+    maxDistance === Infinity
+      ? null
+      : expandBoxByDistance(coordinateBox(fromCoord), toKilometers(maxDistance, normalizedUnit), normalizedMethod);
+
+  const results = [];
+
+  coordinates.forEach((coord, index) => {
+    validateCoordinate(coord, `coordinates[${index}]`);
+
+    if (filter && !filter(coord, index)) {
+      return;
+    }
+
+    if (box && !boxContainsCoordinate(box, coord)) {
+      return;
+    }
+
+    const distance = calculateDistance(fromCoord, coord, normalizedUnit, normalizedMethod);
+
+    if (distance <= maxDistance) {
+      results.push({
+        ...coord,
+        distance: distance,
+      });
+    }
+  });
+
+  // Sort by distance (closest first)
+  results.sort((a, b) => a.distance - b.distance);
+
+  return results.slice(offset, offset + k);
+}
+
+/**
+ * Validates a path and measures the length of each of its legs
+ * @param {Array<Object>} path - Array of coordinates
+ * @param {string} paramName - Parameter name for error messages
+ * @param {string} unit - Normalized distance unit
+ * @param {string} method - Normalized distance method
+ * @returns {Array<number>} Length of each leg; one fewer than the number of coordinates
+ * @throws {Error} If the path or any of its coordinates are invalid
+ */
+function measurePathLegs(path, paramName, unit, method) {
+  path.forEach((coord, index) => {
+    validateCoordinate(coord, `${paramName}[${index}]`);
+  });
+
+  return path.slice(1).map((coord, index) => calculateDistance(path[index], coord, unit, method));
+}
+
+/**
+ * Calculate the total length of a path (polyline) through a sequence of coordinates
+ * @param {Array<Object>} coordinates - Path vertices in order [{lat: number, lng: number}, ...]
+ * @param {string} [unit='km'] - Distance unit ('km', 'miles', 'meters')
+ * @param {string} [method='haversine'] - Distance method ('haversine', 'vincenty')
+ * @returns {number} Sum of the distances between consecutive coordinates; 0 for fewer than 2 coordinates
+ * @throws {Error} If coordinates are invalid or unit or method is not supported
+ *
+ * @example
+ * const mileage = calculatePathLength(gpsTrack, 'miles');
+ * console.log(`Trip: ${mileage.toFixed(1)} miles`);
+ */
+function calculatePathLength(coordinates, unit = 'km', method = 'haversine') {
+  // Accept GeoJSON input
+  coordinates = fromGeoJSONCoordinates(coordinates);
+
+  // Validate inputs
+  if (!Array.isArray(coordinates)) {
+    throw new Error('Coordinates must be an array');
+  }
+
+  const validUnits = ['km', 'miles', 'meters'];
+  const normalizedUnit = validateUnit(unit, validUnits, 'km');
+  const normalizedMethod = validateMethod(method);
+
+  return measurePathLegs(coordinates, 'coordinates', normalizedUnit, normalizedMethod).reduce(
+    (total, leg) => total + leg,
+    0
+  );
+}
+
+/**
+ * Calculate the distance along a path to each of its vertices
+ * @param {Array<Object>} coordinates - Path vertices in order [{lat: number, lng: number}, ...]
+ * @param {string} [unit='km'] - Distance unit ('km', 'miles', 'meters')
+ * @param {string} [method='haversine'] - Distance method ('haversine', 'vincenty')
+ * @returns {Array<Object>} Copies of the coordinates with a cumulative distance property; the first is 0
+ * @throws {Error} If coordinates are invalid or unit or method is not supported
+ *
+ * @example
+ * const stops = getCumulativeDistances(route, 'km');
+ * stops.forEach((stop) => console.log(`${stop.name}: ${stop.distance.toFixed(1)} km`));
+ */
+function getCumulativeDistances(coordinates, unit = 'km', method = 'haversine') {
+  // Accept GeoJSON input
+  coordinates = fromGeoJSONCoordinates(coordinates);
+
+  // Validate inputs
+  if (!Array.isArray(coordinates)) {
+    throw new Error('Coordinates must be an array');
+  }
+
+  const validUnits = ['km', 'miles', 'meters'];
+  const normalizedUnit = validateUnit(unit, validUnits, 'km');
+  const normalizedMethod = validateMethod(method);
+
+  const legs = measurePathLegs(coordinates, 'coordinates', normalizedUnit, normalizedMethod);
+
+  let total = 0;
+  return coordinates.map((coord, index) => {
+    if (index > 0) total += legs[index - 1];
+    return {
+      ...coord,
+      distance: total,
+    };
+  });
+}
+
+/**
+ * Find the point a given distance along a path
+ *
+ * The leg holding the point is found from the measured leg lengths, and the point is placed
+ * that fraction of the way along the leg's great circle.
+ *
+ * @param {Array<Object>} path - Path vertices in order [{lat: number, lng: number}, ...]
+ * @param {number} distance - Distance along the path from its first vertex
+ * @param {string} [unit='km'] - Distance unit ('km', 'miles', 'meters')
+ * @param {string} [method='haversine'] - Distance method ('haversine', 'vincenty')
+ * @returns {Object|null} {lat, lng, segmentIndex, fraction}, where fraction is how far along leg segmentIndex the point lies (0 to 1), or null if the path is empty or shorter than distance
+ * @throws {Error} If coordinates are invalid, distance is negative or unit or method is not supported
+ *
+ * @example
+ * // Kilometre markers along a delivery route
+ * const length = calculatePathLength(route, 'km');
+ * const markers = [];
+ * for (let km = 1; km <= length; km++) {
+ *   markers.push(getPointAlongPath(route, km, 'km'));
+ * }
+ */
+function getPointAlongPath(path, distance, unit = 'km', method = 'haversine') {
+  // Accept GeoJSON input
+  path = fromGeoJSONCoordinates(path, 'path');
+
+  // Validate inputs
+  if (!Array.isArray(path)) {
+    throw new Error('Path must be an array');
+  }
+
+  if (typeof distance !== 'number' || !(distance >= 0)) {
+    throw new Error('Distance must be a non-negative number');
+  }
+
+  const validUnits = ['km', 'miles', 'meters'];
+  const normalizedUnit = validateUnit(unit, validUnits, 'km');
+  const normalizedMethod = validateMethod(method);
+
+  const legs = measurePathLegs(path, 'path', normalizedUnit, normalizedMethod);
+
+  if (path.length === 0) {
+    return null;
+  }
+
+  let remaining = distance;
+  for (let i = 0; i < legs.length; i++) {
+    if (remaining <= legs[i]) {
+      const fraction = legs[i] > 0 ? remaining / legs[i] : 0;
+      return { ...interpolateOnGreatCircle(path[i], path[i + 1], fraction), segmentIndex: i, fraction };
+    }
+    remaining -= legs[i];
+  }
+
+  // Allow for rounding in the sum of the legs at the very end of the path
+  const length = distance - remaining;
+  if (remaining > length * 1e-12) {
+    return null;
+  }
+
+  const last = path[path.length - 1];
+  return legs.length === 0
+    ? { lat: last.lat, lng: last.lng, segmentIndex: 0, fraction: 0 }
+    : { lat: last.lat, lng: last.lng, segmentIndex: legs.length - 1, fraction: 1 };
+}
+
+/**
+ * Converts an area in square kilometers to the requested unit
+ * @param {number} area - Area in square kilometers
+ * @param {string} unit - Normalized area unit ('km2', 'miles2', 'meters2')
+ * @returns {number} Area in the requested unit
+ */
+function convertArea(area, unit) {
+  switch (unit) {
+    case 'miles2':
+      return area * 0.386102; // km² to miles²
+    case 'meters2':
+      return area * 1000000; // km² to m²
+    default:
+      return area; // 'km2' is already in square kilometers
+  }
+}
+
+/**
+ * Converts a distance in the given unit to kilometers
+ * @param {number} distance - Distance in the given unit
+ * @param {string} unit - Normalized distance unit ('km', 'miles', 'meters')
+ * @returns {number} Distance in kilometers
+ */
+function toKilometers(distance, unit) {
+  return distance / convertDistance(1, unit);
+}
+
+/**
+ * Converts a coordinate to a unit vector in Earth-centered Cartesian space
+ * @param {Object} coord - Coordinate {lat: number, lng: number}
+ * @returns {number[]} Unit vector [x, y, z]
+ */
+function toUnitVector(coord) {
+  const lat = toRadians(coord.lat);
+  const lng = toRadians(coord.lng);
+  return [Math.cos(lat) * Math.cos(lng), Math.cos(lat) * Math.sin(lng), Math.sin(lat)];
+}
+
+/**
+ * Converts a unit vector in Earth-centered Cartesian space back to a coordinate
+ * @param {number[]} vector - Unit vector [x, y, z]
+ * @returns {Object} Coordinate {lat, lng}
+ */
+function fromUnitVector(vector) {
+  const [x, y, z] = vector;
+  return {
+    lat: toDegrees(Math.atan2(z, Math.sqrt(x * x + y * y))),
+    lng: toDegrees(Math.atan2(y, x)),
+  };
+}
+
+/**
+ * Cross product of two 3D vectors
+ * @param {number[]} a - First vector
+ * @param {number[]} b - Second vector
+ * @returns {number[]} a × b
+ */
+function crossProduct(a, b) {
+  return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+/**
+ * Dot product of two 3D vectors
+ * @param {number[]} a - First vector
+ * @param {number[]} b - Second vector
+ * @returns {number} a · b
+ */
+function dotProduct(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+/**
+ * Length of a 3D vector
+ * @param {number[]} vector - Vector
+ * @returns {number} Euclidean length
+ */
+function vectorLength(vector) {
+  return Math.sqrt(dotProduct(vector, vector));
+}
+
+/**
+ * Converts a great-circle distance on the 6371 km sphere to the chord length between unit vectors
+ * @param {number} distanceKm - Distance in kilometers
+ * @returns {number} Chord length (between 0 and 2)
+ */
+function distanceToChord(distanceKm) {
+  const angle = distanceKm / 6371;
+  return angle >= Math.PI ? 2 : 2 * Math.sin(angle / 2);
+}
+
+// Relative bound on how far WGS84 geodesic distances stray from spherical ones.
+// The true maximum is about 0.56%, so 1% leaves room for rounding.
+const ELLIPSOID_TOLERANCE = 0.01;
+
+/**
+ * Squared chord length between two unit vectors
+ * @param {number[]} a - First unit vector
+ * @param {number[]} b - Second unit vector
+ * @returns {number} Squared straight-line distance (between 0 and 4)
+ */
+function squaredChord(a, b) {
+  const dx = a[0] - b[0];
+  const dy = a[1] - b[1];
+  const dz = a[2] - b[2];
+  return dx * dx + dy * dy + dz * dz;
+}
+
+/**
+ * Builds a KD-tree over unit vectors for chord-length range and nearest-neighbour searches
+ * @param {Array<number[]>} vectors - Unit vectors to index
+ * @returns {Object} Tree with rangeSearch(query, maxChord), returning the indices of every vector
+ *   within maxChord of query, and nearestChord(query), returning the smallest chord to any vector
+ */
+function createKdTree(vectors) {
+  // Implicit KD-tree: the node for the range [lo, hi) is order[mid], with the
+  // left subtree in [lo, mid) and the right subtree in [mid + 1, hi)
+  const order = vectors.map((_, index) => index);
+
+  // Bounding box of each subtree, stored at its node's position as min x, y, z then max x, y, z.
+  // Split planes alone cannot prune a search whose query is far from every point.
+  const bounds = new Float64Array(vectors.length * 6);
+
+  const build = (lo, hi, axis) => {
+    if (lo >= hi) return;
+
+    const mid = (lo + hi) >> 1;
+
+    // Quickselect the median along the axis into order[mid]
+    let left = lo;
+    let right = hi - 1;
+    while (left < right) {
+      const pivot = vectors[order[(left + right) >> 1]][axis];
+      let i = left;
+      let j = right;
+      while (i <= j) {
+        while (vectors[order[i]][axis] < pivot) i++;
+        while (vectors[order[j]][axis] > pivot) j--;
+        if (i <= j) {
+          [order[i], order[j]] = [order[j], order[i]];
+          i++;
+          j--;
+        }
+      }
+      if (mid <= j) right = j;
+      else if (mid >= i) left = i;
+      else break;
+    }
+
+    build(lo, mid, (axis + 1) % 3);
+    build(mid + 1, hi, (axis + 1) % 3);
+
+    // Grow the node's own point into a box holding both children
+    const vector = vectors[order[mid]];
+    const children = [lo < mid ? (lo + mid) >> 1 : -1, mid + 1 < hi ? (mid + 1 + hi) >> 1 : -1];
+    for (let k = 0; k < 3; k++) {
+      let min = vector[k];
+      let max = vector[k];
+      children.forEach((child) => {
+        if (child === -1) return;
+        min = Math.min(min, bounds[child * 6 + k]);
+        max = Math.max(max, bounds[child * 6 + 3 + k]);
+      });
+      bounds[mid * 6 + k] = min;
+      bounds[mid * 6 + 3 + k] = max;
+    }
+  };
+  build(0, order.length, 0);
+
+  // Smallest squared distance from the query vector to the box of the subtree in [lo, hi)
+  const boxSquared = (query, lo, hi) => {
+    const node = ((lo + hi) >> 1) * 6;
+    let total = 0;
+    for (let k = 0; k < 3; k++) {
+      const gap = Math.max(0, bounds[node + k] - query[k], query[k] - bounds[node + 3 + k]);
+      total += gap * gap;
+    }
+    return total;
+  };
+
+  // Collect the indices of every point within the given chord length of the query vector
+  const rangeSearch = (query, maxChord) => {
+    const maxSquared = maxChord * maxChord;
+    const found = [];
+
+    const visit = (lo, hi, axis) => {
+      if (lo >= hi || boxSquared(query, lo, hi) > maxSquared) return;
+
+      const mid = (lo + hi) >> 1;
+      const index = order[mid];
+      if (squaredChord(query, vectors[index]) <= maxSquared) {
+        found.push(index);
+      }
+
+      const diff = query[axis] - vectors[index][axis];
+      const nextAxis = (axis + 1) % 3;
+      if (diff <= 0 || diff * diff <= maxSquared) visit(lo, mid, nextAxis);
+      if (diff >= 0 || diff * diff <= maxSquared) visit(mid + 1, hi, nextAxis);
+    };
+    visit(0, order.length, 0);
+
+    return found;
+  };
+
+  // Find the smallest chord length from the query vector to any indexed point
+  const nearestChord = (query) => {
+    let bestSquared = Infinity;
+
+    const visit = (lo, hi, axis) => {
+      if (lo >= hi || boxSquared(query, lo, hi) >= bestSquared) return;
+
+      const mid = (lo + hi) >> 1;
+      const index = order[mid];
+      bestSquared = Math.min(bestSquared, squaredChord(query, vectors[index]));
+
+      const diff = query[axis] - vectors[index][axis];
+      const nextAxis = (axis + 1) % 3;
+      const [near, far] = diff <= 0 ? [[lo, mid], [mid + 1, hi]] : [[mid + 1, hi], [lo, mid]];
+
+      visit(near[0], near[1], nextAxis);
+      if (diff * diff < bestSquared) visit(far[0], far[1], nextAxis);
+    };
+    visit(0, order.length, 0);
+
+    return Math.sqrt(bestSquared);
+  };
+
+  return { rangeSearch, nearestChord };
+}
+
+/**
+ * Create a reusable spatial index over a fixed set of coordinates
+ *
+ * Coordinates are validated once and stored in a KD-tree over their positions on the unit
+ * sphere, where chord length orders points exactly like great-circle distance. Each branch
+ * keeps the bounding box of its points, so queries skip branches that cannot contain a match,
+ * even for furthest searches over clustered points. Queries return the same result shape as
+ * the array helpers, including the added distance property.
+ *
+ * @param {Array<Object>} coordinates - Array of coordinates to index [{lat: number, lng: number}, ...]
+ * @returns {Object} Index with getCoordinatesWithinDistance, getClosestCoordinate, getFurthestCoordinate and getCoordinatesInGeofence methods
+ * @throws {Error} If coordinates are invalid
+ *
+ * @example
+ * const stores = createSpatialIndex([
+ *   {lat: 40.7614, lng: -73.9776, name: 'Central Park'},
+ *   {lat: 34.0522, lng: -118.2437, name: 'Los Angeles'},
+ *   {lat: 41.8781, lng: -87.6298, name: 'Chicago'}
+ * ]);
+ * const nearby = stores.getCoordinatesWithinDistance({lat: 40.7128, lng: -74.0060}, 50, 'km');
+ * const closest = stores.getClosestCoordinate({lat: 40.7128, lng: -74.0060}, 'km');
+ */
+function createSpatialIndex(coordinates) {
+  // Accept GeoJSON input
+  coordinates = fromGeoJSONCoordinates(coordinates);
+
+  // Validate inputs
+  if (!Array.isArray(coordinates)) {
+    throw new Error('Coordinates must be an array');
+  }
+
+  coordinates.forEach((coord, index) => {
+    validateCoordinate(coord, `coordinates[${index}]`);
+  });
+
+  const points = coordinates.map((coord) => ({ ...coord }));
+  const vectors = points.map(toUnitVector);
+
+  const { rangeSearch, nearestChord } = createKdTree(vectors);
+
+  // Measure candidates exactly and return them in result shape, sorted by distance
+  // and then by their position in the original array
+  const measure = (fromCoord, candidates, unit, method) =>
+    candidates
+      .map((index) => ({ index, distance: calculateDistance(fromCoord, points[index], unit, method) }))
+      .sort((a, b) => a.distance - b.distance || a.index - b.index);
+
+  const validateQuery = (fromCoord, unit, method) => {
+    validateCoordinate(fromCoord, 'fromCoord');
+    const validUnits = ['km', 'miles', 'meters'];
+    return {
+      normalizedUnit: validateUnit(unit, validUnits, 'km'),
+      normalizedMethod: validateMethod(method),
+    };
+  };
+
+  // Chord distances are exact for the sphere, so only rounding needs slack there
+  const slack = (method) => (method === 'vincenty' ? ELLIPSOID_TOLERANCE : 1e-9);
+
+  return {
+    /**
+     * Number of indexed coordinates
+     * @type {number}
+     */
+    size: points.length,
+
+    /**
+     * Find indexed coordinates within a specified distance from a reference point
+     * @param {Object} fromCoord - Reference coordinate {lat: number, lng: number}
+     * @param {number} maxDistance - Maximum distance to filter by
+     * @param {string} [unit='km'] - Distance unit ('km', 'miles', 'meters')
+     * @param {string} [method='haversine'] - Distance method ('haversine', 'vincenty')
+     * @returns {Array<Object>} Coordinates within the specified distance, with distance property added, closest first
+     * @throws {Error} If the reference coordinate is invalid or unit or method is not supported
+     */
+    getCoordinatesWithinDistance(fromCoord, maxDistance, unit = 'km', method = 'haversine') {
+      fromCoord = fromGeoJSONCoordinate(fromCoord, 'fromCoord');
+      const { normalizedUnit, normalizedMethod } = validateQuery(fromCoord, unit, method);
+
+      if (typeof maxDistance !== 'number' || maxDistance < 0) {
+        throw new Error('Max distance must be a non-negative number');
+      }
+
+      const searchKm = toKilometers(maxDistance, normalizedUnit) / (1 - slack(normalizedMethod));
+      const candidates = rangeSearch(toUnitVector(fromCoord), distanceToChord(searchKm));
+
+      return measure(fromCoord, candidates, normalizedUnit, normalizedMethod)
+        .filter((result) => result.distance <= maxDistance)
+        .map((result) => ({ ...points[result.index], distance: result.distance }));
+    },
+
+    /**
+     * Find the indexed coordinate closest to a reference point
+     * @param {Object} fromCoord - Reference coordinate {lat: number, lng: number}
+     * @param {string} [unit='km'] - Distance unit ('km', 'miles', 'meters')
+     * @param {string} [method='haversine'] - Distance method ('haversine', 'vincenty')
+     * @returns {Object|null} Closest coordinate with distance property, or null if the index is empty
+     * @throws {Error} If the reference coordinate is invalid or unit or method is not supported
+     */
+    getClosestCoordinate(fromCoord, unit = 'km', method = 'haversine') {
+      fromCoord = fromGeoJSONCoordinate(fromCoord, 'fromCoord');
+      const { normalizedUnit, normalizedMethod } = validateQuery(fromCoord, unit, method);
+
+      if (points.length === 0) {
+        return null;
+      }
+
+      const query = toUnitVector(fromCoord);
+      const factor = (1 + slack(normalizedMethod)) / (1 - slack(normalizedMethod));
+      const candidates = rangeSearch(query, Math.min(2, nearestChord(query) * factor));
+
+      const [best] = measure(fromCoord, candidates, normalizedUnit, normalizedMethod);
+      return { ...points[best.index], distance: best.distance };
+    },
+
+    /**
+     * Find the indexed coordinate furthest from a reference point
+     * @param {Object} fromCoord - Reference coordinate {lat: number, lng: number}
+     * @param {string} [unit='km'] - Distance unit ('km', 'miles', 'meters')
+     * @param {string} [method='haversine'] - Distance method ('haversine', 'vincenty')
+     * @returns {Object|null} Furthest coordinate with distance property, or null if the index is empty
+     * @throws {Error} If the reference coordinate is invalid or unit or method is not supported
+     */
+    getFurthestCoordinate(fromCoord, unit = 'km', method = 'haversine') {
+      fromCoord = fromGeoJSONCoordinate(fromCoord, 'fromCoord');
+      const { normalizedUnit, normalizedMethod } = validateQuery(fromCoord, unit, method);
+
+      if (points.length === 0) {
+        return null;
+      }
+
+      // The furthest point from a query is the nearest point to its antipode,
+      // since the squared chords to a point and to its antipode sum to 4
+      const query = toUnitVector(fromCoord);
+      const antipode = query.map((component) => -component);
+      const furthestChord = Math.sqrt(Math.max(0, 4 - nearestChord(antipode) ** 2));
+
+      const factor = (1 + slack(normalizedMethod)) / (1 - slack(normalizedMethod));
+      const minChord = furthestChord / factor;
+      const candidates = rangeSearch(antipode, Math.sqrt(Math.max(0, 4 - minChord * minChord)));
+
+      const best = measure(fromCoord, candidates, normalizedUnit, normalizedMethod).reduce((furthest, result) =>
+        result.distance > furthest.distance ? result : furthest
+      );
+      return { ...points[best.index], distance: best.distance };
+    },
+
+    /**
+     * Find indexed coordinates inside a geofence
+     *
+     * Circles are answered with a radius search. Polygons are prefiltered with the smallest
+     * cap around their vertices when that is under a hemisphere and the interior is 'smaller'.
+     *
+     * @param {Array|Object} geofence - Geofence ring [{lat: number, lng: number}, ...], polygon with holes, multipolygon or circle
+     * @param {string} [interior='smaller'] - Side of each ring enclosed ('smaller', 'winding', 'left', 'right')
+     * @returns {Array<Object>} Coordinates inside the geofence, in their original order
+     * @throws {Error} If the geofence is invalid or interior is not supported
+     */
+    getCoordinatesInGeofence(geofence, interior = 'smaller') {
+      let candidates;
+      let isInside;
+
+      if (isCircleGeofence(geofence)) {
+        const { center, radiusKm } = validateCircle(geofence, 'geofence');
+        validateInterior(interior);
+
+        candidates = rangeSearch(toUnitVector(center), distanceToChord(radiusKm * (1 + slack('haversine'))));
+        isInside = (coord) => calculateDistance(coord, center, 'km') <= radiusKm;
+      } else {
+        const polygons = normalizeGeofence(
+          geofence,
+          'geofence',
+          'Geofence must be an array of coordinates',
+          'At least 3 coordinates are required to form a geofence polygon'
+        );
+        const normalizedInterior = validateInterior(interior);
+        const box = geofenceBox({ circle: null, polygons }, normalizedInterior);
+        isInside = (coord) =>
+          boxContainsCoordinate(box, coord) && isCoordinateInPolygons(coord, polygons, normalizedInterior);
+
+        // Cap around the outer ring vertices; great-circle edges between them stay inside it
+        const vertices = polygons.flatMap(([outer]) => outer.map(toUnitVector));
+        const sum = vertices.reduce((total, v) => [total[0] + v[0], total[1] + v[1], total[2] + v[2]], [0, 0, 0]);
+        const length = Math.sqrt(sum[0] * sum[0] + sum[1] * sum[1] + sum[2] * sum[2]);
+        const center = length > 0 ? sum.map((component) => component / length) : null;
+        const capChord = center
+          ? Math.sqrt(vertices.reduce((max, v) => Math.max(max, squaredChord(center, v)), 0))
+          : 2;
+
+        if (normalizedInterior === 'smaller' && capChord < Math.SQRT2) {
+          candidates = rangeSearch(center, capChord * (1 + slack('haversine')));
+        } else {
+          candidates = points.map((_, index) => index);
+        }
+      }
+
+      return candidates
+        .sort((a, b) => a - b)
+        .filter((index) => isInside(points[index]))
+        .map((index) => ({ ...points[index] }));
+    },
+  };
+}
+
+/**
+ * Validates and normalizes a clustering algorithm
+ * @param {string} algorithm - Algorithm string to validate
+ * @returns {string} Normalized algorithm
+ * @throws {Error} If algorithm is invalid
+ */
+function validateClustering(algorithm) {
+  if (!algorithm) return 'dbscan';
+
+  if (typeof algorithm !== 'string') {
+    throw new Error('Algorithm must be a string');
+  }
+
+  const normalizedAlgorithm = algorithm.toLowerCase();
+  const validAlgorithms = ['dbscan', 'grid'];
+
+  if (!validAlgorithms.includes(normalizedAlgorithm)) {
+    throw new Error(`Invalid algorithm: ${algorithm}. Valid algorithms are: ${validAlgorithms.join(', ')}`);
+  }
+
+  return normalizedAlgorithm;
+}
+
+/**
+ * Summarizes a group of coordinates as a cluster
+ * @param {Array<Object>} members - Coordinates in the cluster
+ * @param {string} unit - Normalized distance unit
+ * @param {string} method - Normalized distance method
+ * @returns {Object} Cluster {members, centroid, radius}
+ */
+function describeCluster(members, unit, method) {
+  const sum = [0, 0, 0];
+  members.forEach((coord) => {
+    toUnitVector(coord).forEach((component, axis) => {
+      sum[axis] += component;
+    });
+  });
+
+  // Members spread evenly around the globe have no meaningful center; fall back to the first
+  const length = vectorLength(sum);
+  const centroid = length > members.length * 1e-12 ? fromUnitVector(sum) : { lat: members[0].lat, lng: members[0].lng };
+
+  const radius = members.reduce((max, coord) => Math.max(max, calculateDistance(centroid, coord, unit, method)), 0);
+
+  return { members: members.map((coord) => ({ ...coord })), centroid, radius };
+}
+
+/**
+ * Group coordinates into clusters by proximity
+ *
+ * The 'dbscan' algorithm links every pair of coordinates within options.epsilon of each other.
+ * A coordinate with at least options.minPoints coordinates within epsilon, itself included, is
+ * a core point; each cluster is a set of linked core points plus the coordinates within epsilon
+ * of them. Neighbours are found with a KD-tree, so clustering does not compare every pair.
+ *
+ * The 'grid' algorithm is a faster choice for map display. It splits the Web Mercator map at
+ * options.zoom into square cells of options.gridSize pixels, with 256 pixel tiles, and makes a
+ * cluster of each cell holding at least options.minPoints coordinates.
+ *
+ * Coordinates in no cluster are returned as noise. Members and noise keep every property of the
+ * original coordinates. Each cluster's centroid is the mean position of its members on the
+ * sphere, and its radius is the distance from the centroid to the furthest member.
+ *
+ * @param {Array<Object>} coordinates - Array of coordinates to cluster [{lat: number, lng: number}, ...]
+ * @param {Object} options - Clustering options
+ * @param {string} [options.algorithm='dbscan'] - Clustering algorithm ('dbscan', 'grid')
+ * @param {number} [options.epsilon] - Neighbour distance for 'dbscan'; required for that algorithm
+ * @param {number} [options.minPoints=2] - Fewest coordinates that form a cluster
+ * @param {number} [options.zoom] - Map zoom level for 'grid'; required for that algorithm
+ * @param {number} [options.gridSize=60] - Cell size in pixels for 'grid'
+ * @param {string} [options.unit='km'] - Unit of epsilon and of each cluster's radius ('km', 'miles', 'meters')
+ * @param {string} [options.method='haversine'] - Distance method ('haversine', 'vincenty')
+ * @returns {{clusters: Array<{members: Array<Object>, centroid: Object, radius: number}>, noise: Array<Object>}}
+ *   Clusters ordered by their first member, and noise, each in the original order of the coordinates
+ * @throws {Error} If coordinates or options are invalid or unit, method or algorithm is not supported
+ *
+ * @example
+ * const { clusters, noise } = clusterCoordinates(
+ *   [
+ *     {lat: 40.7614, lng: -73.9776, id: 'p1'},
+ *     {lat: 40.7580, lng: -73.9855, id: 'p2'},
+ *     {lat: 40.7505, lng: -73.9934, id: 'p3'},
+ *     {lat: 34.0522, lng: -118.2437, id: 'p4'}
+ *   ],
+ *   {epsilon: 1, minPoints: 2, unit: 'km'}
+ * );
+ * console.log(`${clusters.length} cluster(s), ${noise.length} lone pickup(s)`);
+ */
+function clusterCoordinates(coordinates, options = {}) {
+  // Accept GeoJSON input
+  coordinates = fromGeoJSONCoordinates(coordinates);
+
+  // Validate inputs
+  if (!Array.isArray(coordinates)) {
+    throw new Error('Coordinates must be an array');
+  }
+
+  coordinates.forEach((coord, index) => {
+    validateCoordinate(coord, `coordinates[${index}]`);
+  });
+
+  if (!options || typeof options !== 'object') {
+    throw new Error('Options must be an object');
+  }
+
+  const { algorithm, epsilon, minPoints = 2, zoom, gridSize = 60, unit = 'km', method = 'haversine' } = options;
+  const normalizedAlgorithm = validateClustering(algorithm);
+
+  if (!Number.isInteger(minPoints) || minPoints < 1) {
+    throw new Error('Min points must be a positive integer');
+  }
+
+  const validUnits = ['km', 'miles', 'meters'];
+  const normalizedUnit = validateUnit(unit, validUnits, 'km');
+  const normalizedMethod = validateMethod(method);
+
+  // Cluster label of each coordinate, or -1 for noise
+  const labels = new Array(coordinates.length).fill(-1);
+  let clusterCount = 0;
+
+  if (normalizedAlgorithm === 'dbscan') {
+    if (typeof epsilon !== 'number' || epsilon < 0) {
+      throw new Error('Epsilon must be a non-negative number');
+    }
+
+    // Chord distances are exact for the sphere, so only rounding needs slack there
+    const vectors = coordinates.map(toUnitVector);
+    const { rangeSearch } = createKdTree(vectors);
+    const slack = normalizedMethod === 'vincenty' ? ELLIPSOID_TOLERANCE : 1e-9;
+    const searchChord = distanceToChord(toKilometers(epsilon, normalizedUnit) / (1 - slack));
+
+    const neighbours = (index) =>
+      rangeSearch(vectors[index], searchChord).filter(
+        (other) =>
+          other === index ||
+          calculateDistance(coordinates[index], coordinates[other], normalizedUnit, normalizedMethod) <= epsilon
+      );
+
+    const visited = new Array(coordinates.length).fill(false);
+    const queued = new Array(coordinates.length).fill(false);
+
+    coordinates.forEach((_, index) => {
+      if (visited[index]) return;
+      visited[index] = true;
+
+      const reached = neighbours(index);
+      if (reached.length < minPoints) return;
+
+      // Grow the cluster outwards from each core point it reaches, queueing each point once
+      // so that dense clusters do not queue every neighbour of every point
+      const label = clusterCount++;
+      const seeds = [];
+      const reach = (other) => {
+        if (labels[other] === -1) labels[other] = label;
+        if (!visited[other] && !queued[other]) {
+          queued[other] = true;
+          seeds.push(other);
+        }
+      };
+      reached.forEach(reach);
+
+      for (let i = 0; i < seeds.length; i++) {
+        const other = seeds[i];
+        visited[other] = true;
+
+        const next = neighbours(other);
+        if (next.length >= minPoints) next.forEach(reach);
+      }
+    });
+  } else {
+    if (typeof zoom !== 'number' || zoom < 0) {
+      throw new Error('Zoom must be a non-negative number');
+    }
+
+    if (typeof gridSize !== 'number' || gridSize <= 0) {
+      throw new Error('Grid size must be a positive number');
+    }
+
+    const cellsAcross = (256 * Math.pow(2, zoom)) / gridSize;
+    const cells = new Map();
+
+    coordinates.forEach((coord, index) => {
+      const { x, y } = projectWebMercator(coord);
+
+      // Longitude 180 is the same meridian as -180, so it falls in the first column
+      const key = `${Math.floor((x % 1) * cellsAcross)}:${Math.floor(y * cellsAcross)}`;
+
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(index);
+    });
+
+    cells.forEach((members) => {
+      if (members.length < minPoints) return;
+
+      const label = clusterCount++;
+      members.forEach((index) => {
+        labels[index] = label;
+      });
+    });
+  }
+
+  // Collect members in their original order, numbering clusters by their first member
+  const groups = [];
+  const order = new Map();
+  const noise = [];
+
+  coordinates.forEach((coord, index) => {
+    if (labels[index] === -1) {
+      noise.push({ ...coord });
+      return;
+    }
+
+    if (!order.has(labels[index])) {
+      order.set(labels[index], groups.length);
+      groups.push([]);
+    }
+    groups[order.get(labels[index])].push(coord);
+  });
+
+  return {
+    clusters: groups.map((members) => describeCluster(members, normalizedUnit, normalizedMethod)),
+    noise,
+  };
+}
+
+/**
+ * Returns true if a geofence is a circle {center, radius, unit} rather than an array of rings
+ * @param {*} geofence - Geofence to inspect
+ * @returns {boolean} True if the geofence is a circle object
+ */
+function isCircleGeofence(geofence) {
+  return !!geofence && typeof geofence === 'object' && !Array.isArray(geofence) && 'center' in geofence;
+}
+
+/**
+ * Validates a circle geofence and converts its radius to kilometers
+ * @param {Object} circle - Circle geofence {center: {lat, lng}, radius: number, unit?: string}
+ * @param {string} paramName - Parameter name for error messages
+ * @returns {Object} {center, radiusKm}
+ * @throws {Error} If the circle is invalid
+ */
+function validateCircle(circle, paramName) {
+  const center = fromGeoJSONCoordinate(circle.center, `${paramName}.center`);
+  validateCoordinate(center, `${paramName}.center`);
+
+  if (typeof circle.radius !== 'number' || !(circle.radius >= 0)) {
+    throw new Error(`${paramName}.radius must be a non-negative number`);
+  }
+
+  const validUnits = ['km', 'miles', 'meters'];
+  const normalizedUnit = validateUnit(circle.unit, validUnits, 'km');
+
+  return { center: center, radiusKm: toKilometers(circle.radius, normalizedUnit) };
+}
+
+/**
+ * Validates a geofence and normalizes it to a list of polygons, each a list of rings.
+ * The first ring of each polygon is its outer boundary and any further rings are holes.
+ *
+ * Accepts a single ring [{lat, lng}, ...], a polygon with holes [[outer], [hole], ...],
+ * a multipolygon [[[outer], [hole], ...], ...] or a GeoJSON Polygon or MultiPolygon.
+ *
+ * @param {Array} geofence - Geofence in any of the accepted shapes
+ * @param {string} paramName - Parameter name for error messages
+ * @param {string} notArrayMessage - Error message if the geofence is not an array
+ * @param {string} tooFewMessage - Error message if a ring has fewer than 3 coordinates
+ * @returns {Array<Array<Array<Object>>>} Array of polygons, each an array of rings
+ * @throws {Error} If the geofence or any of its coordinates are invalid
+ */
+function normalizeGeofence(geofence, paramName, notArrayMessage, tooFewMessage) {
+  geofence = fromGeoJSONGeofence(geofence, paramName);
+
+  if (!Array.isArray(geofence)) {
+    throw new Error(notArrayMessage);
+  }
+
+  const validateRing = (ring, ringName) => {
+    if (!Array.isArray(ring)) {
+      throw new Error(`${ringName} must be an array of coordinates`);
+    }
+
+    if (ring.length < 3) {
+      throw new Error(tooFewMessage);
+    }
+
+    return ring.map((coord, index) => {
+      const parsed = normalizeCoordinate(coord, `${ringName}[${index}]`);
+      validateCoordinate(parsed, `${ringName}[${index}]`);
+      return parsed;
+    });
+  };
+
+  const validatePolygon = (rings, polygonName) => {
+    if (!Array.isArray(rings) || rings.length === 0) {
+      throw new Error(`${polygonName} must be a non-empty array of rings`);
+    }
+
+    return rings.map((ring, index) => validateRing(ring, `${polygonName}[${index}]`));
+  };
+
+  // Single ring
+  if (geofence.length === 0 || !Array.isArray(geofence[0])) {
+    return [[validateRing(geofence, paramName)]];
+  }
+
+  // Polygon with holes
+  if (geofence[0].length === 0 || !Array.isArray(geofence[0][0])) {
+    return [validatePolygon(geofence, paramName)];
+  }
+
+  // Multipolygon
+  return geofence.map((polygon, index) => validatePolygon(polygon, `${paramName}[${index}]`));
+}
+
+/**
+ * Validates and normalizes which side of a geofence ring counts as its interior
+ * @param {string} interior - Interior string to validate
+ * @returns {string} Normalized interior
+ * @throws {Error} If interior is invalid
+ */
+function validateInterior(interior) {
+  if (!interior) return 'smaller';
+
+  if (typeof interior !== 'string') {
+    throw new Error('Interior must be a string');
+  }
+
+  const validInteriors = ['smaller', 'winding', 'left', 'right'];
+  const normalizedInterior = interior.toLowerCase();
+  if (!validInteriors.includes(normalizedInterior)) {
+    throw new Error(`Invalid interior: ${interior}. Valid interiors are: ${validInteriors.join(', ')}`);
+  }
+
+  return normalizedInterior;
+}
+
+/**
+ * Measure the two regions a ring divides the sphere into, on a sphere of radius 6371 km.
+ * Sides are relative to the direction of travel along the ring.
+ * @param {Array<Object>} ring - Array of coordinates [{lat: number, lng: number}, ...]
+ * @returns {Object} {leftArea, rightArea} in square kilometers, and northPoleOnLeft
+ */
+function analyzeRing(ring) {
+  // Earth's radius in kilometers
+  const R = 6371;
+  const sphereArea = 4 * Math.PI * R * R;
+
+  // Sum over the edges of the exact area between each great-circle edge and the
+  // South Pole: the strip of the edge's longitude span from the equator to the
+  // pole, plus the spherical excess of the quadrilateral between the edge and the
+  // equator. Edges are taken the short way around, so edges crossing the
+  // antimeridian contribute their true longitude span. A closing edge back to the
+  // first vertex is implied.
+  let excess = 0;
+  let totalDeltaLng = 0;
+
+  for (let i = 0; i < ring.length; i++) {
+    const j = (i + 1) % ring.length;
+    const tan1 = Math.tan(toRadians(ring[i].lat) / 2);
+    const tan2 = Math.tan(toRadians(ring[j].lat) / 2);
+    const deltaLng = longitudeDelta(ring[i].lng, ring[j].lng);
+    const halfDelta = toRadians(deltaLng) / 2;
+
+    excess +=
+      2 * halfDelta + 2 * Math.atan2(Math.sin(halfDelta) * (tan1 + tan2), Math.cos(halfDelta) * (1 + tan1 * tan2));
+    totalDeltaLng += deltaLng;
+  }
+
+  // The sum is the area to the right of the ring, modulo the area of the sphere.
+  // The left area is reduced from its own sign so small rings keep full precision.
+  const signedArea = excess * R * R;
+  const rightArea = ((signedArea % sphereArea) + sphereArea) % sphereArea;
+  const leftArea = ((-signedArea % sphereArea) + sphereArea) % sphereArea;
+
+  // A ring circling the pole eastward has the North Pole on its left, one circling
+  // westward has it on its right. Otherwise both poles share a side, which is the
+  // left side exactly when the area to the right excludes the South Pole.
+  const windings = Math.round(totalDeltaLng / 360);
+  const northPoleOnLeft = windings === 0 ? signedArea > 0 : windings > 0;
+
+  return { leftArea, rightArea, northPoleOnLeft };
+}
+
+/**
+ * Decide which side of a ring is the region it encloses
+ * @param {Object} analysis - Result of analyzeRing
+ * @param {string} interior - Normalized interior ('smaller', 'winding', 'left', 'right')
+ * @param {boolean} isHole - Whether the ring is a hole of its polygon
+ * @returns {string} 'left' or 'right'
+ */
+function getEnclosedSide(analysis, interior, isHole) {
+  switch (interior) {
+    case 'left':
+    case 'right':
+      return interior;
+    case 'winding':
+      // GeoJSON right-hand rule: outer rings counter-clockwise, holes clockwise
+      return isHole ? 'right' : 'left';
+    default:
+      return analysis.leftArea <= analysis.rightArea ? 'left' : 'right';
+  }
+}
+
+/**
+ * Calculate the area enclosed by a single ring
+ * @param {Array<Object>} ring - Array of coordinates [{lat: number, lng: number}, ...]
+ * @param {string} interior - Normalized interior ('smaller', 'winding', 'left', 'right')
+ * @param {boolean} isHole - Whether the ring is a hole of its polygon
+ * @returns {number} Area in square kilometers
+ */
+function calculateRingArea(ring, interior, isHole) {
+  const analysis = analyzeRing(ring);
+  return getEnclosedSide(analysis, interior, isHole) === 'left' ? analysis.leftArea : analysis.rightArea;
+}
+
+/**
+ * Calculate the area of a geofence polygon using spherical geometry
+ *
+ * Accepts a single ring, a polygon with holes [[outer], [hole], ...], a multipolygon
+ * [[[outer], [hole], ...], ...] or a circle {center, radius, unit}. Holes are subtracted
+ * from the area of their polygon, and a circle's area is its exact spherical cap.
+ *
+ * A ring divides the globe into two regions. By default the smaller one is its interior,
+ * which suits everything up to a hemisphere, including rings around a pole. Pass interior
+ * 'winding' to follow the GeoJSON right-hand rule (outer rings counter-clockwise, holes
+ * clockwise), or 'left' / 'right' to choose the side of travel along every ring.
+ *
+ * @param {Array|Object} coordinates - Geofence ring [{lat: number, lng: number}, ...], polygon with holes, multipolygon or circle
+ * @param {string} [unit='km2'] - Area unit ('km2', 'miles2', 'meters2')
+ * @param {string} [interior='smaller'] - Side of each ring enclosed ('smaller', 'winding', 'left', 'right')
+ * @returns {number} Area in specified unit
+ * @throws {Error} If coordinates are invalid or unit or interior is not supported
+ *
+ * @example
+ * const area = calculateGeofenceArea([
+ *   {lat: 40.7128, lng: -74.0060},
+ *   {lat: 40.7614, lng: -73.9776},
+ *   {lat: 40.7505, lng: -73.9934},
+ *   {lat: 40.7128, lng: -74.0060} // Close the polygon
+ * ], 'km2');
+ * console.log(`Area: ${area.toFixed(2)} km²`);
+ *
+ * @example
+ * // City zone with the airport cut out
+ * const zoneArea = calculateGeofenceArea([cityRing, airportRing], 'km2');
+ *
+ * @example
+ * // Around the South Pole inside a ring on 60°S, running westward so the pole is on its left.
+ * // Edges follow great circles, which bend south of the parallel between vertices.
+ * const southernOcean = calculateGeofenceArea([
+ *   {lat: -60, lng: 0},
+ *   {lat: -60, lng: -90},
+ *   {lat: -60, lng: 180},
+ *   {lat: -60, lng: 90}
+ * ], 'km2', 'left');
+ */
+function calculateGeofenceArea(coordinates, unit = 'km2', interior = 'smaller') {
+  // Validate inputs
+  if (isCircleGeofence(coordinates)) {
+    const { radiusKm } = validateCircle(coordinates, 'coordinates');
+    const validUnits = ['km2', 'miles2', 'meters2'];
+    validateInterior(interior);
+
+    // Spherical cap area, capped at the whole sphere
+    const R = 6371;
+    const angle = Math.min(radiusKm / R, Math.PI);
+    return convertArea(2 * Math.PI * R * R * (1 - Math.cos(angle)), validateUnit(unit, validUnits, 'km2'));
+  }
+
+  const polygons = normalizeGeofence(
+    coordinates,
+    'coordinates',
+    'Coordinates must be an array',
+    'At least 3 coordinates are required to form a polygon'
+  );
+
+  const validUnits = ['km2', 'miles2', 'meters2'];
+  const normalizedUnit = validateUnit(unit, validUnits, 'km2');
+  const normalizedInterior = validateInterior(interior);
+
+  // Outer ring area minus the area of each hole
+  let area = 0;
+  polygons.forEach(([outer, ...holes]) => {
+    area += calculateRingArea(outer, normalizedInterior, false);
+    holes.forEach((hole) => {
+      area -= calculateRingArea(hole, normalizedInterior, true);
+    });
+  });
+
+  return convertArea(Math.max(0, area), normalizedUnit);
+}
+
+/**
+ * Calculate the perimeter of a geofence
+ *
+ * The perimeter is the total length of every ring's boundary, holes included, with each
+ * ring closed back to its first vertex. A circle's perimeter is the circumference of its
+ * spherical cap, measured on the sphere whatever the method.
+ *
+ * @param {Array|Object} geofence - Geofence ring [{lat: number, lng: number}, ...], polygon with holes, multipolygon or circle
+ * @param {string} [unit='km'] - Distance unit ('km', 'miles', 'meters')
+ * @param {string} [method='haversine'] - Distance method ('haversine', 'vincenty')
+ * @returns {number} Perimeter in specified unit
+ * @throws {Error} If the geofence is invalid or unit or method is not supported
+ *
+ * @example
+ * const fenceLength = calculateGeofencePerimeter(paddock, 'meters');
+ */
+function calculateGeofencePerimeter(geofence, unit = 'km', method = 'haversine') {
+  // Validate inputs
+  const { circle, polygons } = prepareGeofence(geofence, 'geofence');
+
+  const validUnits = ['km', 'miles', 'meters'];
+  const normalizedUnit = validateUnit(unit, validUnits, 'km');
+  const normalizedMethod = validateMethod(method);
+
+  if (circle) {
+    const R = 6371;
+    const angle = Math.min(circle.radiusKm / R, Math.PI);
+    return convertDistance(2 * Math.PI * R * Math.sin(angle), normalizedUnit);
+  }
+
+  let perimeter = 0;
+  polygons.forEach((rings) => {
+    rings.forEach((ring) => {
+      ring.forEach((coord, i) => {
+        perimeter += calculateDistance(coord, ring[(i + 1) % ring.length], normalizedUnit, normalizedMethod);
+      });
+    });
+  });
+
+  return perimeter;
+}
+
+/**
+ * Calculate the centroid of a geofence on the sphere
+ *
+ * The centroid is the center of mass of the enclosed surface, projected back onto the sphere.
+ * Unlike the average of the vertices it does not depend on how densely the boundary is drawn,
+ * and it stays correct across the antimeridian and around the poles. It may lie outside a
+ * concave geofence; use getPoleOfInaccessibility for a point guaranteed to be inside.
+ *
+ * @param {Array|Object} geofence - Geofence ring [{lat: number, lng: number}, ...], polygon with holes, multipolygon or circle
+ * @param {string} [interior='smaller'] - Side of each ring enclosed ('smaller', 'winding', 'left', 'right')
+ * @returns {Object|null} Centroid {lat, lng}, or null if the enclosed surface is balanced around Earth's center
+ * @throws {Error} If the geofence is invalid or interior is not supported
+ *
+ * @example
+ * const { lat, lng } = getGeofenceCentroid(deliveryZone);
+ */
+function getGeofenceCentroid(geofence, interior = 'smaller') {
+  // Validate inputs
+  const { circle, polygons } = prepareGeofence(geofence, 'geofence');
+  const normalizedInterior = validateInterior(interior);
+
+  if (circle) {
+    return { lat: circle.center.lat, lng: circle.center.lng };
+  }
+
+  // By Stokes' theorem, the integral of the position vector over the surface to the left of
+  // a ring is half the sum over its edges of the edge's length times its unit pole
+  const sum = [0, 0, 0];
+  let scale = 0;
+
+  polygons.forEach(([outer, ...holes]) => {
+    [outer, ...holes].forEach((ring, ringIndex) => {
+      const isHole = ringIndex > 0;
+      const enclosedSide = getEnclosedSide(analyzeRing(ring), normalizedInterior, isHole);
+      const sign = (enclosedSide === 'left' ? 1 : -1) * (isHole ? -1 : 1);
+      const vectors = ring.map(toUnitVector);
+
+      vectors.forEach((start, i) => {
+        const pole = crossProduct(start, vectors[(i + 1) % vectors.length]);
+        const sine = vectorLength(pole);
+        if (sine === 0) return;
+
+        const angle = Math.atan2(sine, dotProduct(start, vectors[(i + 1) % vectors.length]));
+        pole.forEach((component, axis) => {
+          sum[axis] += (sign * angle * component) / sine;
+        });
+        scale += angle;
+      });
+    });
+  });
+
+  if (vectorLength(sum) <= scale * 1e-12) {
+    return null;
+  }
+
+  return fromUnitVector(sum.map((component) => component / vectorLength(sum)));
+}
+
+/**
+ * Check if a coordinate is inside the region enclosed by a single ring on the sphere
+ * @param {Object} coord - Coordinate to check {lat: number, lng: number}
+ * @param {Array<Object>} ring - Array of coordinates defining the ring [{lat: number, lng: number}, ...]
+ * @param {string} interior - Normalized interior ('smaller', 'winding', 'left', 'right')
+ * @param {boolean} isHole - Whether the ring is a hole of its polygon
+ * @returns {boolean} True if coordinate is inside the ring, false otherwise
+ */
+function isCoordinateInRing(coord, ring, interior, isHole) {
+  // Ray casting along the meridian from the point to the North Pole
+  // Count how many great-circle edges the ray crosses
+  // Even number of crossings = same side of the ring as the North Pole
+
+  const latP = toRadians(coord.lat);
+  let crossings = 0;
+
+  for (let i = 0; i < ring.length; i++) {
+    const j = (i + 1) % ring.length;
+
+    // Edge longitudes relative to the point's meridian
+    const deltaA = longitudeDelta(coord.lng, ring[i].lng);
+    const deltaB = deltaA + longitudeDelta(ring[i].lng, ring[j].lng);
+
+    // Check if the edge crosses the point's meridian
+    if ((deltaA <= 0) === (deltaB <= 0)) {
+      continue;
+    }
+
+    // Latitude where the edge's great circle meets the meridian
+    const latA = toRadians(ring[i].lat);
+    const latB = toRadians(ring[j].lat);
+    const lngA = toRadians(deltaA);
+    const lngB = toRadians(deltaB);
+    const crossingLat = Math.atan(
+      (Math.sin(latA) * Math.cos(latB) * Math.sin(lngB) - Math.sin(latB) * Math.cos(latA) * Math.sin(lngA)) /
+        (Math.cos(latA) * Math.cos(latB) * Math.sin(lngB - lngA))
+    );
+
+    if (crossingLat > latP) {
+      crossings++;
+    }
+  }
+
+  const analysis = analyzeRing(ring);
+  const onLeft = crossings % 2 === 0 ? analysis.northPoleOnLeft : !analysis.northPoleOnLeft;
+
+  return (getEnclosedSide(analysis, interior, isHole) === 'left') === onLeft;
+}
+
+/**
+ * Check if a coordinate is inside any of a list of validated polygons
+ * @param {Object} coord - Coordinate to check {lat: number, lng: number}
+ * @param {Array<Array<Array<Object>>>} polygons - Polygons as returned by normalizeGeofence
+ * @param {string} interior - Normalized interior ('smaller', 'winding', 'left', 'right')
+ * @returns {boolean} True if coordinate is inside, false otherwise
+ */
+function isCoordinateInPolygons(coord, polygons, interior) {
+  // Inside the outer ring of any polygon and outside all of that polygon's holes
+  return polygons.some(
+    ([outer, ...holes]) =>
+      isCoordinateInRing(coord, outer, interior, false) &&
+      !holes.some((hole) => isCoordinateInRing(coord, hole, interior, true))
+  );
+}
+
+/**
+ * Check if a coordinate is inside a geofence polygon
+ *
+ * Edges are great circles, and the test is done on the sphere, so geofences may cross the
+ * antimeridian or enclose a pole.
+ *
+ * Accepts a single ring, a polygon with holes [[outer], [hole], ...], a multipolygon
+ * [[[outer], [hole], ...], ...] or a circle {center, radius, unit}. A coordinate inside a
+ * hole is outside the geofence. The interior option works as in calculateGeofenceArea and
+ * does not apply to circles.
+ *
+ * @param {Object} coord - Coordinate to check {lat: number, lng: number}
+ * @param {Array|Object} geofence - Geofence ring [{lat: number, lng: number}, ...], polygon with holes, multipolygon or circle
+ * @param {string} [interior='smaller'] - Side of each ring enclosed ('smaller', 'winding', 'left', 'right')
+ * @returns {boolean} True if coordinate is inside the geofence, false otherwise
+ * @throws {Error} If coordinates are invalid or interior is not supported
+ *
+ * @example
+ * const isInside = isCoordinateInGeofence(
+ *   {lat: 40.7300, lng: -73.9950}, // Point to check
+ *   [
+ *     {lat: 40.7128, lng: -74.0060},
+ *     {lat: 40.7614, lng: -73.9776},
+ *     {lat: 40.7505, lng: -73.9934},
+ *     {lat: 40.7128, lng: -74.0060}
+ *   ]
+ * );
+ * console.log(`Coordinate is ${isInside ? 'inside' : 'outside'} the geofence`);
+ */
+function isCoordinateInGeofence(coord, geofence, interior = 'smaller') {
+  // Accept GeoJSON input
+  coord = fromGeoJSONCoordinate(coord, 'coord');
+
+  // Validate inputs
+  validateCoordinate(coord, 'coord');
+
+  if (isCircleGeofence(geofence)) {
+    const { center, radiusKm } = validateCircle(geofence, 'geofence');
+    validateInterior(interior);
+    return calculateDistance(coord, center, 'km') <= radiusKm;
+  }
+
+  const polygons = normalizeGeofence(
+    geofence,
+    'geofence',
+    'Geofence must be an array of coordinates',
+    'At least 3 coordinates are required to form a geofence polygon'
+  );
+
+  const normalizedInterior = validateInterior(interior);
+
+  return isCoordinateInPolygons(coord, polygons, normalizedInterior);
+}
+
+/**
+ * Find the closest point on a great-circle segment to a given point
+ * @private
+ * @param {Object} point - Point coordinate {lat: number, lng: number}
+ * @param {Object} lineStart - Line segment start {lat: number, lng: number}
+ * @param {Object} lineEnd - Line segment end {lat: number, lng: number}
+ * @returns {Object} {point: {lat, lng}, fraction} where fraction is how far along the segment the point lies (0 to 1)
+ */
+function closestPointOnSegment(point, lineStart, lineEnd) {
+  const a = toUnitVector(lineStart);
+  const b = toUnitVector(lineEnd);
+  const p = toUnitVector(point);
+
+  // Normal of the segment's great circle
+  const normal = crossProduct(a, b);
+  const normalLength = vectorLength(normal);
+
+  // A zero-length segment (or one between antipodes, which has no unique great circle)
+  if (normalLength < 1e-15) {
+    return { point: { lat: lineStart.lat, lng: lineStart.lng }, fraction: 0 };
+  }
+  const n = normal.map((component) => component / normalLength);
+
+  // Project the point onto the great circle (removing its cross-track component)
+  const crossTrack = dotProduct(p, n);
+  const projected = p.map((component, i) => component - crossTrack * n[i]);
+  const projectedLength = vectorLength(projected);
+
+  // The projection falls within the segment if it is on the forward side of both endpoints
+  if (projectedLength > 1e-15) {
+    const c = projected.map((component) => component / projectedLength);
+
+    if (dotProduct(crossProduct(a, c), n) >= 0 && dotProduct(crossProduct(c, b), n) >= 0) {
+      // Along-track angle from the start, as a fraction of the segment's angle
+      const alongTrack = Math.atan2(dotProduct(crossProduct(a, c), n), dotProduct(a, c));
+      const segmentAngle = Math.atan2(normalLength, dotProduct(a, b));
+
+      return { point: fromUnitVector(c), fraction: Math.min(1, alongTrack / segmentAngle) };
+    }
+  }
+
+  // Otherwise the closest point is one of the endpoints
+  return dotProduct(p, a) >= dotProduct(p, b)
+    ? { point: { lat: lineStart.lat, lng: lineStart.lng }, fraction: 0 }
+    : { point: { lat: lineEnd.lat, lng: lineEnd.lng }, fraction: 1 };
+}
+
+/**
+ * Calculate the point a given angular distance from a start point along an initial bearing
+ * @private
+ * @param {Object} start - Start coordinate {lat: number, lng: number}
+ * @param {number} bearing - Initial bearing in degrees clockwise from north
+ * @param {number} angle - Angular distance in radians
+ * @returns {Object} Destination coordinate {lat, lng}
+ */
+function destinationPoint(start, bearing, angle) {
+  const lat1 = toRadians(start.lat);
+  const lng1 = toRadians(start.lng);
+  const theta = toRadians(bearing);
+
+  const sinLat2 = Math.sin(lat1) * Math.cos(angle) + Math.cos(lat1) * Math.sin(angle) * Math.cos(theta);
+  const lat2 = Math.asin(Math.max(-1, Math.min(1, sinLat2)));
+  const lng2 =
+    lng1 +
+    Math.atan2(Math.sin(theta) * Math.sin(angle) * Math.cos(lat1), Math.cos(angle) - Math.sin(lat1) * sinLat2);
+
+  return { lat: toDegrees(lat2), lng: wrapLongitude(toDegrees(lng2)) };
+}
+
+/**
+ * Calculate the initial bearing from one coordinate to another along the great circle
+ * @private
+ * @param {Object} from - Start coordinate {lat: number, lng: number}
+ * @param {Object} to - End coordinate {lat: number, lng: number}
+ * @returns {number} Bearing in degrees clockwise from north (0 to 360)
+ */
+function initialBearing(from, to) {
+  const lat1 = toRadians(from.lat);
+  const lat2 = toRadians(to.lat);
+  const deltaLng = toRadians(longitudeDelta(from.lng, to.lng));
+
+  const y = Math.sin(deltaLng) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(deltaLng);
+
+  return (toDegrees(Math.atan2(y, x)) + 360) % 360;
+}
+
+/**
+ * Calculate the point a given fraction of the way along the great circle between two coordinates
+ * @private
+ * @param {Object} start - Start coordinate {lat: number, lng: number}
+ * @param {Object} end - End coordinate {lat: number, lng: number}
+ * @param {number} fraction - Fraction of the way from start to end (0 to 1)
+ * @returns {Object} Interpolated coordinate {lat, lng}
+ */
+function interpolateOnGreatCircle(start, end, fraction) {
+  if (fraction <= 0) return { lat: start.lat, lng: start.lng };
+  if (fraction >= 1) return { lat: end.lat, lng: end.lng };
+
+  const a = toUnitVector(start);
+  const b = toUnitVector(end);
+  const angle = Math.atan2(vectorLength(crossProduct(a, b)), dotProduct(a, b));
+
+  return destinationPoint(start, initialBearing(start, end), fraction * angle);
+}
+
+/**
+ * Width in degrees of a bounding box's longitude range, measured eastward from its west edge
+ * @param {Object} box - Bounding box {south, west, north, east}
+ * @returns {number} Width from 0 to 360
+ */
+function boxWidth(box) {
+  if (box.west === -180 && box.east === 180) return 360;
+  return (((box.east - box.west) % 360) + 360) % 360;
+}
+
+/**
+ * Returns true if a bounding box contains a coordinate
+ * @param {Object} box - Bounding box {south, west, north, east}
+ * @param {Object} coord - Coordinate {lat: number, lng: number}
+ * @returns {boolean} True if the coordinate is inside or on the edge of the box
+ */
+function boxContainsCoordinate(box, coord) {
+  if (coord.lat < box.south || coord.lat > box.north) return false;
+  return (((coord.lng - box.west) % 360) + 360) % 360 <= boxWidth(box);
+}
+
+/**
+ * Grows a bounding box by an angular distance in every direction, so that it contains every
+ * point within that distance of the original box. Reaching a pole covers every longitude.
+ * @param {Object} box - Bounding box {south, west, north, east}
+ * @param {number} angle - Angular distance in radians
+ * @returns {Object} Expanded bounding box
+ */
+function expandBox(box, angle) {
+  const degrees = toDegrees(angle);
+  const south = box.south - degrees;
+  const north = box.north + degrees;
+
+  if (south <= -90 || north >= 90) {
+    return { south: Math.max(-90, south), west: -180, north: Math.min(90, north), east: 180 };
+  }
+
+  // A circle around a point at latitude lat reaches asin(sin(angle) / cos(lat)) east and west;
+  // the box's most poleward edge gives the widest reach
+  const lat = toRadians(Math.max(Math.abs(box.south), Math.abs(box.north)));
+  const reach = toDegrees(Math.asin(Math.min(1, Math.sin(angle) / Math.cos(lat))));
+  const width = boxWidth(box) + 2 * reach;
+
+  if (width >= 360) {
+    return { south, west: -180, north, east: 180 };
+  }
+
+  return { south, west: wrapLongitude(box.west - reach), north, east: wrapLongitude(box.east + reach) };
+}
+
+/**
+ * Returns the degenerate bounding box of a single coordinate
+ * @param {Object} coord - Coordinate {lat: number, lng: number}
+ * @returns {Object} Bounding box {south, west, north, east}
+ */
+function coordinateBox(coord) {
+  return { south: coord.lat, west: coord.lng, north: coord.lat, east: coord.lng };
+}
+
+/**
+ * Grows a bounding box to contain every coordinate within a distance of it under a distance
+ * method, with slack for rounding and for the ellipsoid
+ * @param {Object} box - Bounding box {south, west, north, east}
+ * @param {number} distanceKm - Distance in kilometers
+ * @param {string} method - Normalized distance method
+ * @returns {Object} Expanded bounding box
+ */
+function expandBoxByDistance(box, distanceKm, method) {
+  const slack = method === 'vincenty' ? ELLIPSOID_TOLERANCE : 1e-9;
+  return expandBox(box, Math.min(Math.PI, (distanceKm * (1 + slack)) / 6371));
+}
+
+/**
+ * Finds the narrowest longitude range covering a set of longitude intervals, each taken
+ * eastward from its start
+ * @param {Array<Array<number>>} intervals - Intervals as [start, width] in degrees, with start from -180 to 180
+ * @returns {Object} {west, east}; {-180, 180} if the intervals cover every longitude
+ */
+function coverLongitudes(intervals) {
+  const sorted = intervals
+    .map(([start, width]) => [start >= 180 ? start - 360 : start, width])
+    .sort((a, b) => a[0] - b[0]);
+
+  // Sweep eastward once around the circle, tracking the largest uncovered gap
+  const first = sorted[0][0];
+  let end = first + sorted[0][1];
+  let gap = { size: -1, west: -180, east: 180 };
+
+  sorted.slice(1).forEach(([start, width]) => {
+    if (start - end > gap.size) gap = { size: start - end, west: start, east: end };
+    end = Math.max(end, start + width);
+  });
+
+  if (first + 360 - end > gap.size) gap = { size: first + 360 - end, west: first, east: end };
+
+  if (gap.size <= 0) {
+    return { west: -180, east: 180 };
+  }
+
+  // Report an east edge on the antimeridian as 180 unless the range is a single meridian there
+  const west = wrapLongitude(gap.west);
+  const east = wrapLongitude(gap.east);
+  return { west, east: east === -180 && west !== -180 ? 180 : east };
+}
+
+/**
+ * Calculates the bounding box of a prepared geofence, including the poleward bulge of its
+ * great-circle edges and any pole it encloses
+ * @param {Object} prepared - Geofence as returned by prepareGeofence
+ * @param {string} interior - Normalized interior
+ * @returns {Object} Bounding box {south, west, north, east}
+ */
+function geofenceBox(prepared, interior) {
+  const { circle, polygons } = prepared;
+
+  if (circle) {
+    const { lat, lng } = circle.center;
+    return expandBox({ south: lat, west: lng, north: lat, east: lng }, circle.radiusKm / 6371);
+  }
+
+  const northPole = { lat: 90, lng: 0 };
+  const southPole = { lat: -90, lng: 0 };
+  let south = 90;
+  let north = -90;
+  const intervals = [];
+
+  polygons.forEach((rings) => {
+    rings.forEach((ring) => {
+      ring.forEach((start, i) => {
+        const end = ring[(i + 1) % ring.length];
+        const delta = longitudeDelta(start.lng, end.lng);
+        intervals.push(delta >= 0 ? [start.lng, delta] : [end.lng, -delta]);
+
+        north = Math.max(north, closestPointOnSegment(northPole, start, end).point.lat);
+        south = Math.min(south, closestPointOnSegment(southPole, start, end).point.lat);
+      });
+    });
+  });
+
+  const enclosesNorthPole = isCoordinateInPolygons(northPole, polygons, interior);
+  const enclosesSouthPole = isCoordinateInPolygons(southPole, polygons, interior);
+
+  if (enclosesNorthPole || enclosesSouthPole) {
+    return { south: enclosesSouthPole ? -90 : south, west: -180, north: enclosesNorthPole ? 90 : north, east: 180 };
+  }
+
+  const { west, east } = coverLongitudes(intervals);
+  return { south, west, north, east };
+}
+
+/**
+ * Validates a geofence of any shape for the boundary distance functions
+ * @param {Array|Object} geofence - Geofence ring, polygon with holes, multipolygon or circle
+ * @param {string} paramName - Parameter name for error messages
+ * @returns {Object} {circle, polygons}, where circle is null for polygon geofences
+ * @throws {Error} If the geofence is invalid
+ */
+function prepareGeofence(geofence, paramName) {
+  const circle = isCircleGeofence(geofence) ? validateCircle(geofence, paramName) : null;
+  const polygons = circle
+    ? []
+    : normalizeGeofence(
+        geofence,
+        paramName,
+        'Geofence must be an array of coordinates',
+        'At least 3 coordinates are required to form a geofence polygon'
+      );
+
+  return { circle, polygons };
+}
+
+/**
+ * Find the nearest point on a validated geofence's boundary
+ * @param {Object} coord - Coordinate to measure from {lat: number, lng: number}
+ * @param {Object|null} circle - Circle as returned by validateCircle, or null for polygons
+ * @param {Array<Array<Array<Object>>>} polygons - Polygons as returned by normalizeGeofence
+ * @param {string} unit - Normalized distance unit
+ * @param {string} method - Normalized distance method
+ * @returns {Object} {distance, closestPoint, closestEdge}
+ */
+function measureBoundaryDistance(coord, circle, polygons, unit, method) {
+  if (circle) {
+    // The nearest boundary point lies on the great circle through the center. Any boundary
+    // point is closest to the center itself; use the one due north
+    const bearing = calculateDistance(coord, circle.center) === 0 ? 0 : initialBearing(circle.center, coord);
+    const closestPoint = destinationPoint(circle.center, bearing, circle.radiusKm / 6371);
+
+    // Measure to that point, as for polygons, so the radius is never compared with an
+    // ellipsoidal distance to the center
+    return {
+      distance: calculateDistance(coord, closestPoint, unit, method),
+      closestPoint: closestPoint,
+      closestEdge: null,
+    };
+  }
+
+  // Find the minimum distance from the point to any edge of the polygon
+  let minDistance = Infinity;
+  let closestPoint = null;
+  let closestEdge = null;
+
+  // Check distance to each edge of every ring, holes included
+  polygons.forEach((rings, polygonIndex) => {
+    rings.forEach((ring, ringIndex) => {
+      for (let i = 0; i < ring.length; i++) {
+        const j = (i + 1) % ring.length;
+        const segmentStart = ring[i];
+        const segmentEnd = ring[j];
+
+        // Calculate distance to the nearest point of this edge
+        const nearest = closestPointOnSegment(coord, segmentStart, segmentEnd);
+        const distance = calculateDistance(coord, nearest.point, unit, method);
+
+        if (distance < minDistance) {
+          minDistance = distance;
+          closestPoint = nearest.point;
+
+          // Store the closest edge and where along it the closest point lies
+          closestEdge = {
+            edgeStart: { ...segmentStart },
+            edgeEnd: { ...segmentEnd },
+            polygonIndex: polygonIndex,
+            ringIndex: ringIndex,
+            edgeIndex: i,
+            fraction: nearest.fraction,
+          };
+        }
+      }
+    });
+  });
+
+  return { distance: minDistance, closestPoint, closestEdge };
+}
+
+/**
+ * Measure the signed distance from a coordinate to a prepared geofence's boundary
+ * @param {Object} coord - Coordinate to measure from {lat: number, lng: number}
+ * @param {Object} prepared - Geofence as returned by prepareGeofence
+ * @param {string} unit - Normalized distance unit
+ * @param {string} method - Normalized distance method
+ * @param {string} interior - Normalized interior
+ * @returns {Object} {distance, isInside, closestPoint, closestEdge}
+ */
+function measureSignedDistance(coord, prepared, unit, method, interior) {
+  const { circle, polygons } = prepared;
+  const isInside = circle
+    ? calculateDistance(coord, circle.center, 'km') <= circle.radiusKm
+    : isCoordinateInPolygons(coord, polygons, interior);
+  const nearest = measureBoundaryDistance(coord, circle, polygons, unit, method);
+
+  return {
+    distance: isInside ? -nearest.distance : nearest.distance,
+    isInside: isInside,
+    closestPoint: nearest.closestPoint,
+    closestEdge: nearest.closestEdge,
+  };
+}
+
+/**
+ * Check if a coordinate is within a specified distance from a geofence polygon's perimeter
+ *
+ * Accepts a single ring, a polygon with holes [[outer], [hole], ...], a multipolygon
+ * [[[outer], [hole], ...], ...] or a circle {center, radius, unit}. The perimeter includes
+ * the boundary of every ring. For a circle the distance to its boundary is exact and
+ * closestEdge is null.
+ *
+ * Edges are great circles. The closest point is found by cross-track projection onto
+ * each edge, so it is exact at every latitude and can be used to draw snap lines.
+ *
+ * @param {Object} coord - Coordinate to check {lat: number, lng: number}
+ * @param {Array|Object} geofence - Geofence ring [{lat: number, lng: number}, ...], polygon with holes, multipolygon or circle
+ * @param {number} maxDistance - Maximum distance from geofence perimeter
+ * @param {string} [unit='km'] - Distance unit ('km', 'miles', 'meters')
+ * @param {string} [method='haversine'] - Distance method ('haversine', 'vincenty')
+ * @returns {Object} Object with {isNear: boolean, distance: number, closestPoint: {lat, lng}, closestEdge: {edgeStart, edgeEnd, polygonIndex, ringIndex, edgeIndex, fraction}}
+ * @throws {Error} If coordinates are invalid or unit or method is not supported
+ *
+ * @example
+ * const result = isCoordinateNearGeofence(
+ *   {lat: 40.7300, lng: -73.9950}, // Point to check
+ *   [
+ *     {lat: 40.7128, lng: -74.0060},
+ *     {lat: 40.7614, lng: -73.9776},
+ *     {lat: 40.7505, lng: -73.9934}
+ *   ],
+ *   5, // Within 5 km of the geofence
+ *   'km'
+ * );
+ * console.log(`Point is ${result.isNear ? 'near' : 'not near'} the geofence`);
+ * console.log(`Distance to geofence: ${result.distance.toFixed(2)} km`);
+ */
+function isCoordinateNearGeofence(coord, geofence, maxDistance, unit = 'km', method = 'haversine') {
+  // Accept GeoJSON input
+  coord = fromGeoJSONCoordinate(coord, 'coord');
+
+  // Validate inputs
+  validateCoordinate(coord, 'coord');
+
+  const { circle, polygons } = prepareGeofence(geofence, 'geofence');
+
+  if (typeof maxDistance !== 'number' || maxDistance < 0) {
+    throw new Error('Max distance must be a non-negative number');
+  }
+
+  const validUnits = ['km', 'miles', 'meters'];
+  const normalizedUnit = validateUnit(unit, validUnits, 'km');
+  const normalizedMethod = validateMethod(method);
+
+  const nearest = measureBoundaryDistance(coord, circle, polygons, normalizedUnit, normalizedMethod);
+
+  return {
+    isNear: nearest.distance <= maxDistance,
+    distance: nearest.distance,
+    closestPoint: nearest.closestPoint,
+    closestEdge: nearest.closestEdge,
+  };
+}
+
+/**
+ * Calculate the signed distance from a coordinate to a geofence boundary
+ *
+ * The distance is negative inside the geofence and positive outside, so a single value
+ * tells both which side of the border a coordinate is on and how far from it. Accepts
+ * every geofence shape that isCoordinateInGeofence does.
+ *
+ * @param {Object} coord - Coordinate to check {lat: number, lng: number}
+ * @param {Array|Object} geofence - Geofence ring [{lat: number, lng: number}, ...], polygon with holes, multipolygon or circle
+ * @param {string} [unit='km'] - Distance unit ('km', 'miles', 'meters')
+ * @param {string} [method='haversine'] - Distance method ('haversine', 'vincenty')
+ * @param {string} [interior='smaller'] - Side of each ring enclosed ('smaller', 'winding', 'left', 'right')
+ * @returns {Object} Object with {distance: number, isInside: boolean, closestPoint: {lat, lng}, closestEdge: Object|null}
+ * @throws {Error} If coordinates are invalid or unit, method or interior is not supported
+ *
+ * @example
+ * const result = getSignedDistanceToGeofence(courierPosition, deliveryZone, 'meters');
+ * if (result.distance < 0 && result.distance > -200) {
+ *   console.log('Courier is within 200 m of leaving the zone');
+ * }
+ */
+function getSignedDistanceToGeofence(coord, geofence, unit = 'km', method = 'haversine', interior = 'smaller') {
+  // Accept GeoJSON input
+  coord = fromGeoJSONCoordinate(coord, 'coord');
+
+  // Validate inputs
+  validateCoordinate(coord, 'coord');
+
+  const { circle, polygons } = prepareGeofence(geofence, 'geofence');
+
+  const validUnits = ['km', 'miles', 'meters'];
+  const normalizedUnit = validateUnit(unit, validUnits, 'km');
+  const normalizedMethod = validateMethod(method);
+  const normalizedInterior = validateInterior(interior);
+
+  return measureSignedDistance(coord, { circle, polygons }, normalizedUnit, normalizedMethod, normalizedInterior);
+}
+
+/**
+ * Find the point inside a geofence that is furthest from its boundary
+ *
+ * This pole of inaccessibility is always inside the geofence, which makes it the natural place
+ * for a map label even when the centroid falls outside a concave shape. The search refines a
+ * grid of cells over the geofence's bounding box, discarding cells that cannot beat the best
+ * point found, until no remaining cell can improve on it by more than the precision. For a
+ * multipolygon the point lies in whichever polygon has room for the largest inscribed circle.
+ *
+ * @param {Array|Object} geofence - Geofence ring [{lat: number, lng: number}, ...], polygon with holes, multipolygon or circle
+ * @param {Object} [options={}] - Search options
+ * @param {number} [options.precision] - Largest acceptable shortfall from the true furthest distance;
+ * defaults to a thousandth of the larger side of the geofence's bounding box
+ * @param {string} [options.unit='km'] - Unit of precision and of the returned distance ('km', 'miles', 'meters')
+ * @param {string} [options.interior='smaller'] - Side of each ring enclosed ('smaller', 'winding', 'left', 'right')
+ * @returns {Object} {lat, lng, distance}, where distance is the distance from the point to the nearest boundary
+ * @throws {Error} If the geofence or options are invalid
+ *
+ * @example
+ * const label = getPoleOfInaccessibility(zone, {precision: 10, unit: 'meters'});
+ * map.addLabel(label.lat, label.lng, 'Zone A');
+ */
+function getPoleOfInaccessibility(geofence, options = {}) {
+  // Validate inputs
+  const prepared = prepareGeofence(geofence, 'geofence');
+
+  if (!options || typeof options !== 'object') {
+    throw new Error('Options must be an object');
+  }
+
+  const { precision, unit = 'km', interior = 'smaller' } = options;
+
+  if (precision !== undefined && (typeof precision !== 'number' || !(precision > 0))) {
+    throw new Error('Precision must be a positive number');
+  }
+
+  const validUnits = ['km', 'miles', 'meters'];
+  const normalizedUnit = validateUnit(unit, validUnits, 'km');
+  const normalizedInterior = validateInterior(interior);
+
+  if (prepared.circle) {
+    const { center, radiusKm } = prepared.circle;
+    return { lat: center.lat, lng: center.lng, distance: convertDistance(radiusKm, normalizedUnit) };
+  }
+
+  const box = geofenceBox(prepared, normalizedInterior);
+  const height = box.north - box.south;
+  const width = boxWidth(box);
+
+  const kmPerDegree = (Math.PI * 6371) / 180;
+  const extentKm = Math.max(height, width * Math.cos(toRadians((box.south + box.north) / 2))) * kmPerDegree;
+  const precisionKm = precision !== undefined ? toKilometers(precision, normalizedUnit) : extentKm / 1000 || 1e-9;
+
+  // Cells are centered at (lat, lng) with longitudes unwrapped east of the box's west edge.
+  // No point in a cell can be further inside than its center's distance plus the distance
+  // to its furthest corner.
+  const createCell = (lat, lng, halfHeight, halfWidth) => {
+    const center = { lat, lng: wrapLongitude(lng) };
+    const distance = -measureSignedDistance(center, prepared, 'km', 'haversine', normalizedInterior).distance;
+    const radius = Math.max(
+      ...[-1, 1].flatMap((latSign) =>
+        [-1, 1].map((lngSign) =>
+          calculateDistance(center, {
+            lat: Math.max(-90, Math.min(90, lat + latSign * halfHeight)),
+            lng: wrapLongitude(lng + lngSign * halfWidth),
+          })
+        )
+      )
+    );
+    return { key: -(distance + radius), lat, lng, halfHeight, halfWidth, distance };
+  };
+
+  const heap = createMinHeap();
+  const cellSize = Math.min(height, width);
+  let best = createCell(box.south + height / 2, box.west + width / 2, 0, 0);
+
+  // Start from the centroid when it is inside, as it often is
+  const centroid = getGeofenceCentroid(prepared.polygons, normalizedInterior);
+  if (centroid) {
+    const centroidCell = createCell(centroid.lat, centroid.lng, 0, 0);
+    if (centroidCell.distance > best.distance) best = centroidCell;
+  }
+
+  if (cellSize > 0) {
+    for (let lat = box.south; lat < box.north; lat += cellSize) {
+      for (let lng = box.west; lng < box.west + width; lng += cellSize) {
+        const halfHeight = Math.min(cellSize, box.north - lat) / 2;
+        const halfWidth = Math.min(cellSize, box.west + width - lng) / 2;
+        heap.push(createCell(lat + halfHeight, lng + halfWidth, halfHeight, halfWidth));
+      }
+    }
+  }
+
+  while (heap.size() > 0) {
+    const cell = heap.pop();
+    if (cell.distance > best.distance) best = cell;
+
+    // The heap is ordered by potential, so no later cell can do better either
+    if (-cell.key - best.distance <= precisionKm) break;
+
+    const halfHeight = cell.halfHeight / 2;
+    const halfWidth = cell.halfWidth / 2;
+    [-1, 1].forEach((latSign) => {
+      [-1, 1].forEach((lngSign) => {
+        heap.push(createCell(cell.lat + latSign * halfHeight, cell.lng + lngSign * halfWidth, halfHeight, halfWidth));
+      });
+    });
+  }
+
+  return {
+    lat: best.lat,
+    lng: wrapLongitude(best.lng),
+    distance: convertDistance(Math.max(0, best.distance), normalizedUnit),
+  };
+}
+
+/**
+ * Find the convex hull of a set of coordinates on the sphere
+ *
+ * The hull is the smallest convex region with great-circle edges that contains every
+ * coordinate. It is returned as a ring that follows the GeoJSON right-hand rule, ready to use
+ * as a geofence, so it can turn a cluster of addresses into a service area. Coordinates on
+ * an edge of the hull are left out. The coordinates must all lie within 90 degrees of their
+ * average position; sets that spread further have no well-defined hull.
+ *
+ * @param {Array<Object>} coordinates - Array of coordinates [{lat: number, lng: number}, ...]
+ * @returns {Array<Object>} Copies of the hull's vertices in counter-clockwise order; fewer than 3
+ * if the coordinates are all on one great circle
+ * @throws {Error} If coordinates are invalid or spread too far to have a hull
+ *
+ * @example
+ * const serviceArea = getConvexHull(customerAddresses);
+ * const coverage = calculateGeofenceArea(serviceArea, 'km2');
+ */
+function getConvexHull(coordinates) {
+  // Accept GeoJSON input
+  coordinates = fromGeoJSONCoordinates(coordinates);
+
+  // Validate inputs
+  if (!Array.isArray(coordinates)) {
+    throw new Error('Coordinates must be an array');
+  }
+
+  coordinates.forEach((coord, index) => {
+    validateCoordinate(coord, `coordinates[${index}]`);
+  });
+
+  if (coordinates.length === 0) {
+    return [];
+  }
+
+  const vectors = coordinates.map(toUnitVector);
+  const mean = vectors.reduce((sum, vector) => sum.map((component, axis) => component + vector[axis]), [0, 0, 0]);
+  const meanLength = vectorLength(mean);
+  const center = mean.map((component) => component / meanLength);
+
+  if (!(meanLength > 1e-12 * vectors.length) || vectors.some((vector) => dotProduct(vector, center) <= 1e-12)) {
+    throw new Error('Coordinates must all lie within 90 degrees of their average position');
+  }
+
+  // The gnomonic projection about the center maps great circles to straight lines, so the
+  // planar hull of the projected points is the spherical hull
+  const axis = Math.abs(center[2]) < 0.9 ? [0, 0, 1] : [1, 0, 0];
+  const eastAxis = crossProduct(axis, center).map((component, _, vector) => component / vectorLength(vector));
+  const northAxis = crossProduct(center, eastAxis);
+
+  const points = vectors
+    .map((vector, index) => {
+      const depth = dotProduct(vector, center);
+      return { x: dotProduct(vector, eastAxis) / depth, y: dotProduct(vector, northAxis) / depth, index };
+    })
+    .sort((a, b) => a.x - b.x || a.y - b.y)
+    .filter((point, i, sorted) => i === 0 || point.x !== sorted[i - 1].x || point.y !== sorted[i - 1].y);
+
+  if (points.length < 3) {
+    return points.map((point) => ({ ...coordinates[point.index] }));
+  }
+
+  // Andrew's monotone chain; turns that are not strictly counter-clockwise are dropped
+  const turn = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+  const buildChain = (ordered) => {
+    const chain = [];
+    ordered.forEach((point) => {
+      while (chain.length >= 2 && turn(chain[chain.length - 2], chain[chain.length - 1], point) <= 0) {
+        chain.pop();
+      }
+      chain.push(point);
+    });
+    return chain.slice(0, -1);
+  };
+
+  const hull = [...buildChain(points), ...buildChain([...points].reverse())];
+  return hull.map((point) => ({ ...coordinates[point.index] }));
+}
+
+/**
+ * Validates the number of vertices used to approximate a full circle in a buffer
+ * @param {number} steps - Vertices per full circle
+ * @throws {Error} If steps is invalid
+ */
+function validateBufferSteps(steps) {
+  if (!Number.isInteger(steps) || steps < 3) {
+    throw new Error('Steps must be an integer of at least 3');
+  }
+}
+
+/**
+ * Trace the raw offset curve of a closed ring at a fixed angular distance to one side
+ *
+ * Edges are offset perpendicularly along their whole length and densified, since the offset
+ * of a great circle is a small circle. Where the ring turns away from the offset side the gap
+ * is filled with an arc around the vertex; where it turns towards it the curve passes back
+ * through the vertex itself, leaving loops that bufferLoopFilter discards. U-turns count
+ * as turns away from the right side, so a path traced out and back gets rounded caps.
+ *
+ * Each edge of the curve records what it was generated from, so points on it can be moved
+ * exactly onto the true offset: {pole, direction} for an offset ring edge, {center, direction}
+ * for an arc around a vertex, or null for a pass through a vertex.
+ *
+ * @param {number[][]} ring - Unit vectors of the ring's distinct vertices
+ * @param {number} angle - Offset distance in radians
+ * @param {number} side - 1 to offset to the left of the direction of travel, -1 to the right
+ * @param {number} steps - Vertices per full circle for arcs
+ * @returns {Object} {points, generators}: unit vectors of the closed curve, and the generator of the edge leaving each
+ */
+function offsetRing(ring, angle, side, steps) {
+  const cosAngle = Math.cos(angle);
+  const sinAngle = Math.sin(angle);
+  const offset = (point, direction) =>
+    point.map((component, axis) => component * cosAngle + direction[axis] * sinAngle);
+
+  const poles = ring.map((start, i) => {
+    const pole = crossProduct(start, ring[(i + 1) % ring.length]);
+    const length = vectorLength(pole);
+    return pole.map((component) => component / length);
+  });
+
+  const points = [];
+  const generators = [];
+  ring.forEach((start, i) => {
+    const end = ring[(i + 1) % ring.length];
+    const pole = poles[i];
+    const normal = pole.map((component) => side * component);
+
+    // Points along the edge, no more than about 300 km apart, moved sideways
+    const edgeAngle = Math.atan2(vectorLength(crossProduct(start, end)), dotProduct(start, end));
+    const pieces = Math.max(1, Math.ceil(edgeAngle / 0.05));
+    for (let k = 0; k <= pieces; k++) {
+      const t = k / pieces;
+      const a = Math.sin((1 - t) * edgeAngle) / Math.sin(edgeAngle);
+      const b = Math.sin(t * edgeAngle) / Math.sin(edgeAngle);
+      points.push(offset(start.map((component, axis) => a * component + b * end[axis]), normal));
+      generators.push({ pole, direction: side });
+    }
+
+    // Signed turn at the end vertex, positive to the left
+    const nextNormal = poles[(i + 1) % ring.length].map((component) => side * component);
+    let turn = Math.atan2(dotProduct(crossProduct(normal, nextNormal), end), dotProduct(normal, nextNormal));
+    if (Math.abs(turn) > Math.PI - 1e-9) turn = Math.PI;
+
+    // Turning away from the offset side opens a gap to fill with an arc; a negligible turn needs neither
+    if (Math.abs(turn) < 1e-9) return;
+    if (side * turn > 0) {
+      generators[generators.length - 1] = null;
+      points.push(end);
+      generators.push(null);
+      return;
+    }
+
+    generators[generators.length - 1] = { center: end };
+    const tangent = crossProduct(end, normal);
+    const arcSteps = Math.ceil(Math.abs(turn) / ((2 * Math.PI) / steps));
+    for (let k = 1; k < arcSteps; k++) {
+      const rotation = (turn * k) / arcSteps;
+      points.push(
+        offset(
+          end,
+          normal.map((component, axis) => component * Math.cos(rotation) + tangent[axis] * Math.sin(rotation))
+        )
+      );
+      generators.push({ center: end });
+    }
+  });
+
+  return { points, generators };
+}
+
+/**
+ * Split a set of closed curves at every point where their edges cross and trace the
+ * resulting loops
+ *
+ * At each crossing the curves are reconnected the way that keeps their direction, so every
+ * loop is simple and the region to its left is the same all the way round. The boundary of a
+ * buffer or of a boolean operation is then made of whole loops, chosen by keepLoop.
+ *
+ * @param {Array<Object>} curves - Closed curves {points, generators, coords}, with a generator per edge and
+ * optionally the original coordinate of each point
+ * @param {Function} keepLoop - Called with a loop's edges [{start, end, generator}]; returns true to keep the loop
+ * @returns {Array<Array<Object>>} Kept loops as arrays of coordinates {lat, lng}
+ */
+function traceLoops(curves, keepLoop) {
+  // Edges with 3D bounding boxes, widened by how far a great-circle arc strays from its chord
+  const edges = [];
+  curves.forEach(({ points, generators, coords }, c) => {
+    points.forEach((start, i) => {
+      const end = points[(i + 1) % points.length];
+      const bulge = 1 - Math.sqrt(Math.max(0, (1 + dotProduct(start, end)) / 2));
+      edges.push({
+        curve: c,
+        index: i,
+        start,
+        end,
+        generator: generators[i],
+        coord: coords ? coords[i] : null,
+        min: start.map((component, axis) => Math.min(component, end[axis]) - bulge),
+        max: start.map((component, axis) => Math.max(component, end[axis]) + bulge),
+        crossings: [],
+      });
+    });
+  });
+
+  const samePoint = (a, b) => a[0] === b[0] && a[1] === b[1] && a[2] === b[2];
+  let crossingCount = 0;
+  const addCrossing = (edge, other, point) => {
+    // Order crossings by their angle from the edge's start, which stays precise when they are close together
+    const id = crossingCount++;
+    [edge, other].forEach((crossed) => {
+      const along = Math.atan2(vectorLength(crossProduct(crossed.start, point)), dotProduct(crossed.start, point));
+      crossed.crossings.push({ id, point, along });
+    });
+  };
+
+  // Sweep along x, testing only edges whose boxes overlap
+  const sorted = [...edges].sort((a, b) => a.min[0] - b.min[0]);
+  let active = [];
+  sorted.forEach((edge) => {
+    active = active.filter((other) => other.max[0] >= edge.min[0]);
+    active.forEach((other) => {
+      if (other.max[1] < edge.min[1] || other.min[1] > edge.max[1]) return;
+      if (other.max[2] < edge.min[2] || other.min[2] > edge.max[2]) return;
+
+      // Edges that share a vertex meet only there, which is handled below
+      if ([other.start, other.end].some((a) => samePoint(a, edge.start) || samePoint(a, edge.end))) return;
+
+      const point = segmentIntersection(edge.start, edge.end, other.start, other.end);
+      if (point) addCrossing(edge, other, point);
+    });
+    active.push(edge);
+  });
+
+  // Where curves pass through the same vertex, reconnect each arrival to a departure so that
+  // the passes no longer cross: around the vertex clockwise, arrivals and departures pair up
+  // like brackets. Where passes share an edge, later curves are taken to run just to the left
+  // of earlier ones.
+  const incoming = edges.map((edge, e) => (edge.index === 0 ? e + curves[edge.curve].points.length - 1 : e - 1));
+  const byVertex = new Map();
+  edges.forEach((edge, e) => {
+    const key = edge.start.join(',');
+    if (!byVertex.has(key)) byVertex.set(key, []);
+    byVertex.get(key).push(e);
+  });
+
+  const departureFor = new Map();
+  byVertex.forEach((passes) => {
+    if (passes.length < 2) return;
+
+    const vertex = edges[passes[0]].start;
+    const reference = edges[passes[0]].end;
+    const axis = reference.map((component, k) => component - dotProduct(reference, vertex) * vertex[k]);
+    const normal = crossProduct(vertex, axis);
+
+    const ports = passes.flatMap((e) => [
+      { pass: e, arriving: true, towards: edges[incoming[e]].start, curve: edges[e].curve },
+      { pass: e, arriving: false, towards: edges[e].end, curve: edges[e].curve },
+    ]);
+    ports.forEach((port) => {
+      const angle = Math.atan2(dotProduct(port.towards, normal), dotProduct(port.towards, axis));
+      port.angle = angle < 0 ? angle + 2 * Math.PI : angle;
+      port.offset = 0;
+    });
+
+    // Left of a departing edge is counter-clockwise from it; left of an arriving edge is clockwise
+    const byDirection = new Map();
+    ports.forEach((port) => {
+      const key = port.towards.join(',');
+      if (!byDirection.has(key)) byDirection.set(key, []);
+      byDirection.get(key).push(port);
+    });
+    byDirection.forEach((shared) => {
+      shared.sort((a, b) => a.curve - b.curve || a.pass - b.pass);
+      const side = shared[0].arriving ? -1 : 1;
+      shared.forEach((port, position) => {
+        port.offset = side * position;
+      });
+    });
+
+    ports.sort((a, b) => b.angle - a.angle || b.offset - a.offset);
+    const open = [];
+    const departed = new Set();
+    [...ports, ...ports].forEach((port) => {
+      if (port.arriving) {
+        if (!departureFor.has(port.pass) && !open.includes(port)) open.push(port);
+      } else if (open.length > 0 && !departed.has(port.pass)) {
+        departed.add(port.pass);
+        departureFor.set(open.pop().pass, port.pass);
+      }
+    });
+  });
+
+  // Number every vertex and crossing along each curve; a crossing appears once on each edge
+  // it lies on, and each occurrence keeps the generator of the edge it leaves along
+  const points = [];
+  const coordinates = [];
+  const generators = [];
+  const next = [];
+  const partnerOf = [];
+  const firstSeen = new Map();
+
+  const vertexOccurrence = [];
+  let edgeIndex = 0;
+  curves.forEach((curve) => {
+    const first = points.length;
+    curve.points.forEach(() => {
+      vertexOccurrence.push(points.length);
+      const edge = edges[edgeIndex++];
+      points.push(edge.start);
+      coordinates.push(edge.coord);
+      generators.push(edge.generator);
+      partnerOf.push(-1);
+
+      edge.crossings
+        .sort((a, b) => a.along - b.along)
+        .forEach(({ id, point }) => {
+          const occurrence = points.length;
+          points.push(point);
+          coordinates.push(null);
+          generators.push(edge.generator);
+          partnerOf.push(-1);
+          if (firstSeen.has(id)) {
+            partnerOf[occurrence] = firstSeen.get(id);
+            partnerOf[firstSeen.get(id)] = occurrence;
+          } else {
+            firstSeen.set(id, occurrence);
+          }
+        });
+    });
+
+    for (let k = first; k < points.length; k++) {
+      next.push(k + 1 < points.length ? k + 1 : first);
+    }
+  });
+
+  const redirect = points.map((_, k) => k);
+  departureFor.forEach((departure, arrival) => {
+    redirect[vertexOccurrence[arrival]] = vertexOccurrence[departure];
+  });
+
+  // Follow each curve, switching to the other curve at every crossing
+  const visited = new Uint8Array(points.length);
+  const loops = [];
+  for (let start = 0; start < points.length; start++) {
+    if (visited[start]) continue;
+
+    const loop = [];
+    let k = start;
+    do {
+      visited[k] = 1;
+      loop.push(k);
+      const arrival = next[k];
+      k = partnerOf[arrival] === -1 ? redirect[arrival] : partnerOf[arrival];
+    } while (k !== start);
+
+    const loopEdges = loop.map((occurrence) => ({
+      start: points[occurrence],
+      end: points[next[occurrence]],
+      generator: generators[occurrence],
+    }));
+    if (!keepLoop(loopEdges)) continue;
+
+    const coords = loop.map((occurrence) =>
+      coordinates[occurrence] ? { ...coordinates[occurrence] } : fromUnitVector(points[occurrence])
+    );
+    const { kept } = findDistinctVertices(coords);
+    if (kept.length >= 3) {
+      loops.push(kept.map((index) => coords[index]));
+    }
+  }
+
+  return loops;
+}
+
+/**
+ * Build a traceLoops filter for buffer boundaries
+ *
+ * A loop is kept if it never passes through a vertex of the original geometry and isBoundary
+ * accepts points on its longest edges, moved exactly onto the offset they were generated from.
+ *
+ * @param {number} angle - Offset distance in radians
+ * @param {Function} isBoundary - Called with sample points {lat, lng} of a loop; returns true to keep the loop
+ * @returns {Function} Loop filter for traceLoops
+ */
+function bufferLoopFilter(angle, isBoundary) {
+  // Move a point on an edge exactly onto the offset of what generated it
+  const lift = (point, generator) => {
+    const axis = generator.pole || generator.center;
+    const along = point.map((component, i) => component - dotProduct(point, axis) * axis[i]);
+    const length = vectorLength(along);
+    const base = generator.pole ? along.map((component) => component / length) : generator.center;
+    const direction = generator.pole
+      ? generator.pole.map((component) => generator.direction * component)
+      : along.map((component) => component / length);
+    return base.map((component, i) => component * Math.cos(angle) + direction[i] * Math.sin(angle));
+  };
+
+  return (edges) => {
+    if (edges.some(({ generator }) => generator === null)) return false;
+
+    // Sample the middle of the longest edges, furthest from any crossing
+    const samples = edges
+      .map(({ start, end, generator }) => ({
+        length: -dotProduct(start, end),
+        chord: start.map((component, i) => component + end[i]),
+        generator,
+      }))
+      .sort((a, b) => b.length - a.length)
+      .slice(0, 8)
+      .filter(({ chord }) => vectorLength(chord) > 0)
+      .map(({ chord, generator }) => fromUnitVector(lift(chord, generator)));
+
+    return samples.length > 0 && isBoundary(samples);
+  };
+}
+
+/**
+ * Arrange boundary loops, each with its region on the left, into a multipolygon
+ * @param {Array<Array<Object>>} loops - Loops from traceLoops
+ * @returns {Array<Array<Array<Object>>>|null} Multipolygon, or null if there are no loops
+ * @throws {Error} If a hole is not inside any outer ring
+ */
+function assembleLoops(loops) {
+  if (loops.length === 0) return null;
+
+  // A loop around the smaller side is an outer ring; around the larger side it is a hole
+  const analyzed = loops.map((ring) => ({ ring, analysis: analyzeRing(ring) }));
+  const outers = analyzed.filter(({ analysis }) => analysis.leftArea <= analysis.rightArea);
+  const polygons = outers.map(({ ring }) => [ring]);
+
+  analyzed
+    .filter(({ analysis }) => analysis.leftArea > analysis.rightArea)
+    .forEach(({ ring }) => {
+      // Test the middle of the hole's longest edge, since a vertex can touch an outer ring
+      const vectors = ring.map(toUnitVector);
+      const longest = vectors.reduce((best, start, i) => {
+        const end = vectors[(i + 1) % vectors.length];
+        return dotProduct(start, end) < dotProduct(best[0], best[1]) ? [start, end] : best;
+      }, [vectors[0], vectors[1]]);
+      const sample = fromUnitVector(longest[0].map((component, i) => component + longest[1][i]));
+
+      // Each hole belongs to the smallest outer ring around it
+      let owner = -1;
+      outers.forEach(({ ring: outer, analysis }, index) => {
+        if (
+          isCoordinateInRing(sample, outer, 'left', false) &&
+          (owner === -1 || analysis.leftArea < outers[owner].analysis.leftArea)
+        ) {
+          owner = index;
+        }
+      });
+
+      if (owner === -1) {
+        throw new Error('Result is larger than a hemisphere');
+      }
+
+      polygons[owner].push(ring);
+    });
+
+  return polygons;
+}
+
+/**
+ * Wind every ring of validated polygons by the right-hand rule, so the geofence is on the left of each
+ * @param {Array<Array<Array<Object>>>} polygons - Polygons as returned by normalizeGeofence
+ * @param {string} interior - Normalized interior
+ * @returns {Array<Array<Array<Object>>>} Oriented polygons without repeated vertices
+ */
+function orientPolygons(polygons, interior) {
+  return polygons.map((rings) =>
+    rings
+      .map((ring, ringIndex) => {
+        const { kept } = findDistinctVertices(ring);
+        const coords = kept.map((index) => ring[index]);
+        const isHole = ringIndex > 0;
+        const enclosedSide = getEnclosedSide(analyzeRing(coords), interior, isHole);
+        return enclosedSide === (isHole ? 'right' : 'left') ? coords : [...coords].reverse();
+      })
+      .filter((ring) => ring.length >= 3)
+  );
+}
+
+/**
+ * Create a geofence ring around a point, with every vertex a fixed ground distance from it
+ *
+ * The ring is a geodesic circle, so it stays round on the ground at any latitude and can be
+ * used anywhere a polygon geofence is accepted. For a true circle geofence use {center, radius}.
+ *
+ * @param {Object} center - Center coordinate {lat: number, lng: number}
+ * @param {number} distance - Buffer distance
+ * @param {string} [unit='km'] - Distance unit ('km', 'miles', 'meters')
+ * @param {Object} [options={}] - Buffer options
+ * @param {number} [options.steps=64] - Number of vertices
+ * @returns {Array<Object>} Ring of coordinates, counter-clockwise
+ * @throws {Error} If the center, distance or options are invalid or unit is not supported
+ *
+ * @example
+ * const exclusionZone = bufferPoint({lat: 51.47, lng: -0.4543}, 5, 'km');
+ */
+function bufferPoint(center, distance, unit = 'km', options = {}) {
+  // Accept GeoJSON input
+  center = fromGeoJSONCoordinate(center, 'center');
+
+  // Validate inputs
+  validateCoordinate(center, 'center');
+
+  if (typeof distance !== 'number' || !(distance > 0) || distance === Infinity) {
+    throw new Error('Distance must be a positive number');
+  }
+
+  if (!options || typeof options !== 'object') {
+    throw new Error('Options must be an object');
+  }
+
+  const { steps = 64 } = options;
+  validateBufferSteps(steps);
+
+  const validUnits = ['km', 'miles', 'meters'];
+  const normalizedUnit = validateUnit(unit, validUnits, 'km');
+  const angle = toKilometers(distance, normalizedUnit) / 6371;
+
+  // Bearings decrease so the ring runs counter-clockwise
+  return Array.from({ length: steps }, (_, k) => destinationPoint(center, (360 - (k * 360) / steps) % 360, angle));
+}
+
+/**
+ * Create a corridor geofence around a path, covering every point within a ground distance of it
+ *
+ * The corridor is computed on the sphere, so its width stays accurate at high latitudes and
+ * across the antimeridian. Its ends and outside corners are rounded. A path that crosses
+ * itself gives a corridor with holes wherever it encloses land further than distance away.
+ *
+ * @param {Array<Object>} path - Path vertices in order [{lat: number, lng: number}, ...]
+ * @param {number} distance - Buffer distance either side of the path
+ * @param {string} [unit='km'] - Distance unit ('km', 'miles', 'meters')
+ * @param {Object} [options={}] - Buffer options
+ * @param {number} [options.steps=64] - Vertices per full circle of rounding
+ * @returns {Array<Array<Array<Object>>>} Corridor as a multipolygon
+ * @throws {Error} If the path, distance or options are invalid or unit is not supported
+ *
+ * @example
+ * const corridor = bufferPath(route, 500, 'meters');
+ * const onRoute = isCoordinateInGeofence(vehiclePosition, corridor);
+ */
+function bufferPath(path, distance, unit = 'km', options = {}) {
+  // Accept GeoJSON input
+  path = fromGeoJSONCoordinates(path, 'path');
+
+  // Validate inputs
+  if (!Array.isArray(path) || path.length === 0) {
+    throw new Error('Path must be a non-empty array');
+  }
+
+  path.forEach((coord, index) => {
+    validateCoordinate(coord, `path[${index}]`);
+  });
+
+  if (typeof distance !== 'number' || !(distance > 0) || distance === Infinity) {
+    throw new Error('Distance must be a positive number');
+  }
+
+  if (!options || typeof options !== 'object') {
+    throw new Error('Options must be an object');
+  }
+
+  const { steps = 64 } = options;
+  validateBufferSteps(steps);
+
+  const validUnits = ['km', 'miles', 'meters'];
+  const normalizedUnit = validateUnit(unit, validUnits, 'km');
+  const distanceKm = toKilometers(distance, normalizedUnit);
+
+  // Drop repeated positions; a path that never moves is buffered as a point
+  const vertices = path.filter(
+    (coord, i) => i === 0 || coord.lat !== path[i - 1].lat || coord.lng !== path[i - 1].lng
+  );
+  if (vertices.length === 1) {
+    return [[bufferPoint(vertices[0], distanceKm, 'km', { steps })]];
+  }
+
+  // Out along the path and back again encloses nothing, and its right side covers both sides
+  const vectors = vertices.map(toUnitVector);
+  const outAndBack = [...vectors, ...vectors.slice(1, -1).reverse()];
+  const angle = distanceKm / 6371;
+  const curve = offsetRing(outAndBack, angle, -1, steps);
+
+  const tolerance = Math.max(distanceKm * 1e-6, 1e-9);
+  const loops = traceLoops(
+    [curve],
+    bufferLoopFilter(angle, (samples) =>
+      samples.every((coord) =>
+        vertices.slice(1).every(
+          (end, i) =>
+            calculateDistance(coord, closestPointOnSegment(coord, vertices[i], end).point) >= distanceKm - tolerance
+        )
+      )
+    )
+  );
+
+  return assembleLoops(loops);
+}
+
+/**
+ * Grow or shrink a geofence by a ground distance
+ *
+ * A positive distance adds every point within distance of the geofence, rounding its outside
+ * corners; a negative distance removes every point within distance of its boundary, which can
+ * split it into several polygons or remove it entirely. Holes shrink as the geofence grows and
+ * grow as it shrinks. The buffer is computed on the sphere, so widths stay accurate at high
+ * latitudes and across the antimeridian. Circles stay circles with an adjusted radius.
+ *
+ * The geofence should be valid (see validateGeofence), and the result is expected to stay
+ * within a hemisphere.
+ *
+ * @param {Array|Object} geofence - Geofence ring [{lat: number, lng: number}, ...], polygon with holes, multipolygon or circle
+ * @param {number} distance - Buffer distance; negative to shrink
+ * @param {string} [unit='km'] - Distance unit ('km', 'miles', 'meters')
+ * @param {Object} [options={}] - Buffer options
+ * @param {number} [options.steps=64] - Vertices per full circle of rounding
+ * @param {string} [options.interior='smaller'] - Side of each ring enclosed ('smaller', 'winding', 'left', 'right')
+ * @returns {Array|Object|null} Buffered multipolygon, following the GeoJSON right-hand rule, or a circle
+ * {center, radius, unit} for a circle; null if shrinking removes the whole geofence
+ * @throws {Error} If the geofence, distance or options are invalid or unit is not supported
+ *
+ * @example
+ * // Alert zone 200 m beyond the site boundary, and a safe zone 50 m inside it
+ * const alertZone = bufferGeofence(site, 200, 'meters');
+ * const safeZone = bufferGeofence(site, -50, 'meters');
+ */
+function bufferGeofence(geofence, distance, unit = 'km', options = {}) {
+  // Validate inputs
+  const { circle, polygons } = prepareGeofence(geofence, 'geofence');
+
+  if (typeof distance !== 'number' || !Number.isFinite(distance)) {
+    throw new Error('Distance must be a finite number');
+  }
+
+  if (!options || typeof options !== 'object') {
+    throw new Error('Options must be an object');
+  }
+
+  const { steps = 64, interior = 'smaller' } = options;
+  validateBufferSteps(steps);
+
+  const validUnits = ['km', 'miles', 'meters'];
+  const normalizedUnit = validateUnit(unit, validUnits, 'km');
+  const normalizedInterior = validateInterior(interior);
+  const distanceKm = toKilometers(distance, normalizedUnit);
+
+  if (circle) {
+    const radiusKm = circle.radiusKm + distanceKm;
+    if (radiusKm < 0) return null;
+    return { center: { ...circle.center }, radius: convertDistance(radiusKm, normalizedUnit), unit: normalizedUnit };
+  }
+
+  const oriented = orientPolygons(polygons, normalizedInterior);
+
+  if (distanceKm === 0) {
+    return oriented.map((rings) => rings.map((ring) => ring.map((coord) => ({ ...coord }))));
+  }
+
+  // Growing offsets every ring outwards, to its right; shrinking offsets inwards, to its left
+  const grow = distanceKm > 0;
+  const angle = Math.abs(distanceKm) / 6371;
+  const curves = oriented.flatMap((rings) =>
+    rings.map((ring) => offsetRing(ring.map(toUnitVector), angle, grow ? -1 : 1, steps))
+  );
+
+  const tolerance = Math.max(Math.abs(distanceKm) * 1e-6, 1e-9);
+  const loops = traceLoops(
+    curves,
+    bufferLoopFilter(angle, (samples) =>
+      samples.every(
+        (coord) =>
+          isCoordinateInPolygons(coord, oriented, 'winding') !== grow &&
+          measureBoundaryDistance(coord, null, oriented, 'km', 'haversine').distance >= Math.abs(distanceKm) - tolerance
+      )
+    )
+  );
+
+  return assembleLoops(loops);
+}
+
+/**
+ * Validates two geofences and the options for a boolean operation
+ *
+ * Each geofence is returned as polygons wound by the right-hand rule. A circle is replaced by
+ * a ring of steps vertices, and a circle of zero radius has no polygons.
+ *
+ * @param {Array|Object} geofence1 - First geofence
+ * @param {Array|Object} geofence2 - Second geofence
+ * @param {Object} options - Boolean operation options
+ * @returns {Array<Array<Array<Array<Object>>>>} Both geofences as oriented polygons
+ * @throws {Error} If either geofence or the options are invalid
+ */
+function prepareBooleanOperands(geofence1, geofence2, options) {
+  const prepared = [prepareGeofence(geofence1, 'geofence1'), prepareGeofence(geofence2, 'geofence2')];
+
+  if (!options || typeof options !== 'object') {
+    throw new Error('Options must be an object');
+  }
+
+  const { steps = 64, interior = 'smaller' } = options;
+  validateBufferSteps(steps);
+  const normalizedInterior = validateInterior(interior);
+
+  return prepared.map(({ circle, polygons }) => {
+    if (!circle) return orientPolygons(polygons, normalizedInterior);
+    return circle.radiusKm > 0 ? [[bufferPoint(circle.center, circle.radiusKm, 'km', { steps })]] : [];
+  });
+}
+
+/**
+ * Make the boundaries of two sets of oriented polygons meet exactly where they touch
+ *
+ * Vertices within a few millimetres of each other are merged into the first of them, then
+ * every vertex that lies on an edge is added to that edge. Boundaries that touch or run
+ * together then share their vertices.
+ *
+ * @param {Array<Array<Array<Object>>>} first - Polygons as returned by prepareBooleanOperands
+ * @param {Array<Array<Array<Object>>>} second - Polygons as returned by prepareBooleanOperands
+ * @returns {Array<Array<Array<Array<Object>>>>} Both sets of polygons, snapped
+ */
+function snapPolygons(first, second) {
+  const tolerance = 1e-9;
+  const isNear = (a, b) => dotProduct(a, b) > 0 && vectorLength(crossProduct(a, b)) < tolerance;
+
+  // Every vertex, sorted along x so that nearby ones can be found by a sweep
+  const vertices = [first, second].flatMap((polygons) =>
+    polygons.flat(2).map((coord) => ({ coord, vector: toUnitVector(coord) }))
+  );
+  vertices.forEach((vertex, order) => {
+    vertex.order = order;
+  });
+  const sorted = [...vertices].sort((a, b) => a.vector[0] - b.vector[0]);
+  const firstWithin = (x) => {
+    let low = 0;
+    let high = sorted.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (sorted[middle].vector[0] < x) low = middle + 1;
+      else high = middle;
+    }
+    return low;
+  };
+
+  // Group nearby vertices, each group led by its earliest vertex
+  const leader = (vertex) => {
+    while (vertex.parent !== vertex) {
+      vertex.parent = vertex.parent.parent;
+      vertex = vertex.parent;
+    }
+    return vertex;
+  };
+  vertices.forEach((vertex) => {
+    vertex.parent = vertex;
+  });
+  sorted.forEach((vertex, index) => {
+    for (let k = firstWithin(vertex.vector[0] - tolerance); k < index; k++) {
+      if (!isNear(sorted[k].vector, vertex.vector)) continue;
+      const [a, b] = [leader(sorted[k]), leader(vertex)].sort((x, y) => x.order - y.order);
+      b.parent = a;
+    }
+  });
+  vertices.forEach((vertex) => {
+    vertex.merged = leader(vertex);
+  });
+
+  let position = 0;
+  const merge = (polygons) =>
+    polygons.map((rings) => rings.map((ring) => ring.map(() => vertices[position++].merged)));
+  const merged = [merge(first), merge(second)];
+
+  const addVerticesOnEdges = (polygons) =>
+    polygons.map((rings) =>
+      rings
+        .map((ring) => {
+          const withVertices = ring.flatMap(({ coord, vector: start }, i) => {
+            const end = ring[(i + 1) % ring.length].vector;
+            const pole = crossProduct(start, end);
+            const poleLength = vectorLength(pole);
+            const bulge = 1 - Math.sqrt(Math.max(0, (1 + dotProduct(start, end)) / 2)) + tolerance;
+            const onEdge = [];
+            for (let k = firstWithin(Math.min(start[0], end[0]) - bulge); k < sorted.length; k++) {
+              const { merged: candidate } = sorted[k];
+              if (sorted[k].vector[0] > Math.max(start[0], end[0]) + bulge) break;
+              if (
+                candidate === sorted[k] &&
+                Math.abs(dotProduct(candidate.vector, pole)) < tolerance * poleLength &&
+                dotProduct(crossProduct(start, candidate.vector), pole) > 0 &&
+                dotProduct(crossProduct(candidate.vector, end), pole) > 0 &&
+                !isNear(candidate.vector, start) &&
+                !isNear(candidate.vector, end)
+              ) {
+                onEdge.push(candidate);
+              }
+            }
+            onEdge.sort((a, b) => dotProduct(b.vector, start) - dotProduct(a.vector, start));
+            return [coord, ...onEdge.map((vertex) => vertex.coord)];
+          });
+          const { kept } = findDistinctVertices(withVertices);
+          return kept.map((index) => withVertices[index]);
+        })
+        .filter((ring) => ring.length >= 3)
+    );
+
+  return merged.map(addVerticesOnEdges);
+}
+
+/**
+ * Split loops that pass through a vertex more than once into simple rings
+ *
+ * traceLoops already separates passes that share an edge, so a loop only revisits a vertex
+ * where parts of a result touch at a point. Splitting there gives separate polygons that touch
+ * or a hole that touches its outer ring.
+ *
+ * @param {Array<Array<Object>>} loops - Loops from traceLoops
+ * @returns {Array<Array<Object>>} Simple loops, each with its region on the left
+ */
+function splitLoops(loops) {
+  const key = (coord) => `${coord.lat},${coord.lng}`;
+
+  // Cut out the part of a loop between two visits to the same vertex
+  const simple = [];
+  loops.forEach((loop) => {
+    const path = [];
+    const position = new Map();
+    loop.forEach((coord) => {
+      if (position.has(key(coord))) {
+        const piece = path.splice(position.get(key(coord)));
+        piece.forEach((visited) => position.delete(key(visited)));
+        simple.push(piece);
+      }
+      position.set(key(coord), path.length);
+      path.push(coord);
+    });
+    simple.push(path);
+  });
+
+  return simple
+    .map((loop) => findDistinctVertices(loop).kept.map((index) => loop[index]))
+    .filter((loop) => loop.length >= 3);
+}
+
+/**
+ * Intersect or unite two sets of oriented polygons
+ *
+ * Both boundaries are split where they cross. Each resulting loop runs either inside or
+ * outside the other geofence all the way round: the loops inside bound the intersection and
+ * the loops outside bound the union. Loops are classified by the middle of their longest
+ * edges, ignoring edges that lie along the other boundary. A loop that lies entirely along
+ * the other boundary is kept once if both geofences are on the same side of it.
+ *
+ * @param {Array<Array<Array<Object>>>} first - Polygons as returned by prepareBooleanOperands
+ * @param {Array<Array<Array<Object>>>} second - Polygons as returned by prepareBooleanOperands
+ * @param {boolean} keepInside - True for the intersection, false for the union
+ * @param {boolean} [complementSecond=false] - Use everything outside the second geofence instead
+ * @returns {Array<Array<Array<Object>>>|null} Multipolygon, or null if the result is empty
+ */
+function combinePolygons(first, second, keepInside, complementSecond = false) {
+  const operands = snapPolygons(first, second);
+  const curves = operands.flatMap((polygons, source) =>
+    polygons.flatMap((rings) =>
+      rings.map((ring) => {
+        const coords = source === 1 && complementSecond ? [...ring].reverse() : ring;
+        const points = coords.map(toUnitVector);
+        return { points, generators: points.map(() => source), coords };
+      })
+    )
+  );
 
-  if (typeof unit !== 'string') {
-    throw new Error('Unit must be a string');
-  }
+  // Whether a point on one geofence's boundary is inside, or on the boundary of, the other
+  const isInsideOther = (coord, source) =>
+    source === 0
+      ? isCoordinateInPolygons(coord, operands[1], 'winding') !== complementSecond
+      : isCoordinateInPolygons(coord, operands[0], 'winding');
+  const isOnOtherBoundary = (coord, source) =>
+    measureBoundaryDistance(coord, null, operands[1 - source], 'km', 'haversine').distance < 1e-6;
 
-  const normalizedUnit = unit.toLowerCase();
-  if (!validUnits.includes(normalizedUnit)) {
-    throw new Error(`Invalid unit: ${unit}. Valid units are: ${validUnits.join(', ')}`);
-  }
+  const loops = traceLoops(curves, (edges) => {
+    const candidates = edges
+      .map(({ start, end, generator }) => ({
+        start,
+        end,
+        source: generator,
+        length: -dotProduct(start, end),
+        chord: start.map((component, i) => component + end[i]),
+      }))
+      .filter(({ chord }) => vectorLength(chord) > 0)
+      .sort((a, b) => b.length - a.length);
+    if (candidates.length === 0) return false;
 
-  return normalizedUnit;
+    // Vote with the longest edges that are clear of the other boundary
+    let inside = 0;
+    let outside = 0;
+    for (const { chord, source } of candidates) {
+      const coord = fromUnitVector(chord);
+      if (isOnOtherBoundary(coord, source)) continue;
+      if (isInsideOther(coord, source)) inside++;
+      else outside++;
+      if (inside + outside === 3) break;
+    }
+
+    if (inside + outside > 0) {
+      return inside > outside === keepInside;
+    }
+
+    // The loop coincides with the other boundary; keep the first geofence's copy if the
+    // region just to its left is inside both
+    const { start, end, chord, source } = candidates[0];
+    if (source !== 0) return false;
+
+    const pole = crossProduct(start, end);
+    const poleLength = vectorLength(pole);
+    const middle = chord.map((component) => component / vectorLength(chord));
+    const left = middle.map((component, i) => component + (1e-8 * pole[i]) / poleLength);
+    return isInsideOther(fromUnitVector(left), 0);
+  });
+
+  return assembleLoops(splitLoops(loops));
 }
 
 /**
- * Converts degrees to radians
- * @param {number} degrees - Degrees to convert
- * @returns {number} Radians
+ * Find the area covered by both of two geofences
+ *
+ * Accepts any geofence shape: a single ring, a polygon with holes, a multipolygon or a
+ * circle. Boundaries are great circles and the result is exact up to floating point; circles
+ * are first replaced by a ring of options.steps vertices. Vertices within a few millimetres of
+ * each other are treated as the same point, so geofences drawn against a shared boundary
+ * combine cleanly. Geofences that only touch along their boundaries have no intersection.
+ * Use calculateGeofenceArea on the result to measure the overlap.
+ *
+ * @param {Array|Object} geofence1 - First geofence ring [{lat: number, lng: number}, ...], polygon with holes, multipolygon or circle
+ * @param {Array|Object} geofence2 - Second geofence, in any of the same shapes
+ * @param {Object} [options={}] - Boolean operation options
+ * @param {number} [options.steps=64] - Vertices used for a circle
+ * @param {string} [options.interior='smaller'] - Side of each ring enclosed ('smaller', 'winding', 'left', 'right')
+ * @returns {Array<Array<Array<Object>>>|null} Intersection as a multipolygon following the GeoJSON
+ * right-hand rule, or null if the geofences do not overlap
+ * @throws {Error} If either geofence or the options are invalid
+ *
+ * @example
+ * // Which part of a delivery zone lies in a franchise territory, and how large is it?
+ * const shared = getGeofenceIntersection(deliveryZone, territory);
+ * const sharedArea = shared ? calculateGeofenceArea(shared, 'km2') : 0;
  */
-function toRadians(degrees) {
-  return degrees * (Math.PI / 180);
+function getGeofenceIntersection(geofence1, geofence2, options = {}) {
+  // Validate inputs
+  const [first, second] = prepareBooleanOperands(geofence1, geofence2, options);
+
+  return combinePolygons(first, second, true);
 }
 
 /**
- * Converts radians to degrees
- * @param {number} radians - Radians to convert
- * @returns {number} Degrees
+ * Find the area covered by either of two geofences
+ *
+ * Accepts any geofence shape, as for getGeofenceIntersection. Geofences that share an edge
+ * are merged into one polygon.
+ *
+ * @param {Array|Object} geofence1 - First geofence ring [{lat: number, lng: number}, ...], polygon with holes, multipolygon or circle
+ * @param {Array|Object} geofence2 - Second geofence, in any of the same shapes
+ * @param {Object} [options={}] - Boolean operation options
+ * @param {number} [options.steps=64] - Vertices used for a circle
+ * @param {string} [options.interior='smaller'] - Side of each ring enclosed ('smaller', 'winding', 'left', 'right')
+ * @returns {Array<Array<Array<Object>>>|null} Union as a multipolygon following the GeoJSON right-hand
+ * rule, or null if both geofences are empty
+ * @throws {Error} If either geofence or the options are invalid, or the union is larger than a hemisphere
+ *
+ * @example
+ * const serviceArea = getGeofenceUnion(northZone, southZone);
  */
-function toDegrees(radians) {
-  return radians * (180 / Math.PI);
+function getGeofenceUnion(geofence1, geofence2, options = {}) {
+  // Validate inputs
+  const [first, second] = prepareBooleanOperands(geofence1, geofence2, options);
+
+  return combinePolygons(first, second, false);
 }
 
 /**
- * Calculate the distance between two coordinate points using the Haversine formula
- * @param {Object} coord1 - First coordinate {lat: number, lng: number}
- * @param {Object} coord2 - Second coordinate {lat: number, lng: number}
- * @param {string} [unit='km'] - Distance unit ('km', 'miles', 'meters')
- * @returns {number} Distance in specified unit
- * @throws {Error} If coordinates are invalid or unit is not supported
+ * Find the area covered by the first geofence but not the second
+ *
+ * Accepts any geofence shape, as for getGeofenceIntersection. Removing a zone inside the
+ * first geofence leaves a hole; removing one along its boundary cuts a notch.
+ *
+ * @param {Array|Object} geofence1 - Geofence to subtract from, as a ring [{lat: number, lng: number}, ...], polygon with holes, multipolygon or circle
+ * @param {Array|Object} geofence2 - Geofence to remove, in any of the same shapes
+ * @param {Object} [options={}] - Boolean operation options
+ * @param {number} [options.steps=64] - Vertices used for a circle
+ * @param {string} [options.interior='smaller'] - Side of each ring enclosed ('smaller', 'winding', 'left', 'right')
+ * @returns {Array<Array<Array<Object>>>|null} Difference as a multipolygon following the GeoJSON
+ * right-hand rule, or null if the second geofence covers the first
+ * @throws {Error} If either geofence or the options are invalid
  *
  * @example
- * const distance = calculateDistance(
- *   {lat: 40.7128, lng: -74.0060}, // New York City
- *   {lat: 34.0522, lng: -118.2437}, // Los Angeles
- *   'km'
+ * // Delivery zone with the no-go zones removed
+ * const deliverable = noGoZones.reduce(
+ *   (zone, noGo) => zone && getGeofenceDifference(zone, noGo),
+ *   deliveryZone
  * );
- * console.log(`Distance: ${distance.toFixed(2)} km`);
  */
-function calculateDistance(coord1, coord2, unit = 'km') {
+function getGeofenceDifference(geofence1, geofence2, options = {}) {
   // Validate inputs
-  validateCoordinate(coord1, 'coord1');
-  validateCoordinate(coord2, 'coord2');
+  const [first, second] = prepareBooleanOperands(geofence1, geofence2, options);
 
-  const validUnits = ['km', 'miles', 'meters'];
-  const normalizedUnit = validateUnit(unit, validUnits, 'km');
+  return combinePolygons(first, second, true, true);
+}
 
-  // Earth's radius in kilometers
-  const R = 6371;
+/**
+ * Find the area covered by exactly one of two geofences (XOR)
+ *
+ * Accepts any geofence shape, as for getGeofenceIntersection. The result is both differences
+ * together, so its polygons can touch where the geofences' boundaries cross.
+ *
+ * @param {Array|Object} geofence1 - First geofence ring [{lat: number, lng: number}, ...], polygon with holes, multipolygon or circle
+ * @param {Array|Object} geofence2 - Second geofence, in any of the same shapes
+ * @param {Object} [options={}] - Boolean operation options
+ * @param {number} [options.steps=64] - Vertices used for a circle
+ * @param {string} [options.interior='smaller'] - Side of each ring enclosed ('smaller', 'winding', 'left', 'right')
+ * @returns {Array<Array<Array<Object>>>|null} Symmetric difference as a multipolygon following the
+ * GeoJSON right-hand rule, or null if the geofences cover the same area
+ * @throws {Error} If either geofence or the options are invalid
+ *
+ * @example
+ * // Area that changes hands when a territory is redrawn
+ * const changed = getGeofenceSymmetricDifference(oldTerritory, newTerritory);
+ */
+function getGeofenceSymmetricDifference(geofence1, geofence2, options = {}) {
+  // Validate inputs
+  const [first, second] = prepareBooleanOperands(geofence1, geofence2, options);
 
-  // Convert coordinates to radians
-  const lat1Rad = toRadians(coord1.lat);
-  const lat2Rad = toRadians(coord2.lat);
-  const deltaLatRad = toRadians(coord2.lat - coord1.lat);
-  const deltaLngRad = toRadians(coord2.lng - coord1.lng);
+  // Where the two differences touch, make them share exactly the same vertices
+  const [firstOnly, secondOnly] = snapPolygons(
+    combinePolygons(first, second, true, true) || [],
+    combinePolygons(second, first, true, true) || []
+  );
+  const polygons = [...firstOnly, ...secondOnly];
+  return polygons.length > 0 ? polygons : null;
+}
 
-  // Haversine formula
-  const a =
-    Math.sin(deltaLatRad / 2) * Math.sin(deltaLatRad / 2) +
-    Math.cos(lat1Rad) * Math.cos(lat2Rad) * Math.sin(deltaLngRad / 2) * Math.sin(deltaLngRad / 2);
+/**
+ * Check whether two geofences share any area
+ *
+ * Circles are compared exactly. Geofences that only touch along their boundaries do not
+ * intersect.
+ *
+ * @param {Array|Object} geofence1 - First geofence ring [{lat: number, lng: number}, ...], polygon with holes, multipolygon or circle
+ * @param {Array|Object} geofence2 - Second geofence, in any of the same shapes
+ * @param {string} [interior='smaller'] - Side of each ring enclosed ('smaller', 'winding', 'left', 'right')
+ * @returns {boolean} True if the geofences overlap
+ * @throws {Error} If either geofence or interior is invalid
+ *
+ * @example
+ * const conflicting = geofencesIntersect(franchiseA, franchiseB);
+ */
+function geofencesIntersect(geofence1, geofence2, interior = 'smaller') {
+  // Validate inputs
+  const first = prepareGeofence(geofence1, 'geofence1');
+  const second = prepareGeofence(geofence2, 'geofence2');
+  const normalizedInterior = validateInterior(interior);
 
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  // A circle overlaps anything whose boundary comes closer to its center than its radius
+  if (first.circle || second.circle) {
+    const [circle, other] = first.circle ? [first.circle, second] : [second.circle, first];
+    const { distance } = measureSignedDistance(circle.center, other, 'km', 'haversine', normalizedInterior);
+    return distance < circle.radiusKm;
+  }
 
-  // Distance in kilometers
-  let distance = R * c;
+  const polygons1 = orientPolygons(first.polygons, normalizedInterior);
+  const polygons2 = orientPolygons(second.polygons, normalizedInterior);
+  return combinePolygons(polygons1, polygons2, true) !== null;
+}
 
-  // Convert to requested unit
-  switch (normalizedUnit) {
-    case 'miles':
-      distance *= 0.621371; // km to miles
-      break;
-    case 'meters':
-      distance *= 1000; // km to meters
-      break;
-    // 'km' is already in kilometers
+/**
+ * Check whether a geofence covers the whole of another
+ *
+ * Circles are compared exactly. A target that touches the geofence's boundary from inside is
+ * still contained.
+ *
+ * @param {Array|Object} geofence - Containing geofence ring [{lat: number, lng: number}, ...], polygon with holes, multipolygon or circle
+ * @param {Array|Object} target - Geofence to test, in any of the same shapes
+ * @param {string} [interior='smaller'] - Side of each ring enclosed ('smaller', 'winding', 'left', 'right')
+ * @returns {boolean} True if every point of target is inside geofence
+ * @throws {Error} If either geofence or interior is invalid
+ *
+ * @example
+ * const withinTerritory = geofenceContains(franchiseTerritory, deliveryZone);
+ */
+function geofenceContains(geofence, target, interior = 'smaller') {
+  // Validate inputs
+  const container = prepareGeofence(geofence, 'geofence');
+  const contained = prepareGeofence(target, 'target');
+  const normalizedInterior = validateInterior(interior);
+
+  // A circle fits if its center is at least its radius inside the boundary
+  if (contained.circle) {
+    const { center, radiusKm } = contained.circle;
+    const { distance } = measureSignedDistance(center, container, 'km', 'haversine', normalizedInterior);
+    return distance <= -radiusKm + 1e-9;
+  }
+
+  const polygons = orientPolygons(contained.polygons, normalizedInterior);
+
+  // A polygon fits in a circle if its outer rings enclose their smaller side and every
+  // vertex of them is inside the circle
+  if (container.circle) {
+    const { center, radiusKm } = container.circle;
+    return polygons.every(([outer]) => {
+      const { leftArea, rightArea } = analyzeRing(outer);
+      return leftArea <= rightArea && outer.every((coord) => calculateDistance(coord, center) <= radiusKm + 1e-9);
+    });
   }
 
-  return distance;
+  return combinePolygons(polygons, orientPolygons(container.polygons, normalizedInterior), true, true) === null;
 }
 
 /**
- * Find coordinates within a specified distance from a reference point
- * @param {Object} fromCoord - Reference coordinate {lat: number, lng: number}
- * @param {Array<Object>} coordinates - Array of coordinates to check [{lat: number, lng: number}, ...]
- * @param {number} maxDistance - Maximum distance to filter by
- * @param {string} [unit='km'] - Distance unit ('km', 'miles', 'meters')
- * @returns {Array<Object>} Array of coordinates within the specified distance, with distance property added
- * @throws {Error} If coordinates are invalid or unit is not supported
+ * Check whether two geofences share no area
+ *
+ * The opposite of geofencesIntersect; geofences that only touch along their boundaries are
+ * disjoint.
+ *
+ * @param {Array|Object} geofence1 - First geofence ring [{lat: number, lng: number}, ...], polygon with holes, multipolygon or circle
+ * @param {Array|Object} geofence2 - Second geofence, in any of the same shapes
+ * @param {string} [interior='smaller'] - Side of each ring enclosed ('smaller', 'winding', 'left', 'right')
+ * @returns {boolean} True if the geofences do not overlap
+ * @throws {Error} If either geofence or interior is invalid
  *
  * @example
- * const nearby = getCoordinatesWithinDistance(
- *   {lat: 40.7128, lng: -74.0060}, // New York City
- *   [
- *     {lat: 40.7614, lng: -73.9776, name: 'Central Park'},
- *     {lat: 34.0522, lng: -118.2437, name: 'Los Angeles'}
- *   ],
- *   50, // 50 km radius
- *   'km'
- * );
- * console.log(`Found ${nearby.length} locations within 50km`);
+ * const canAssign = geofencesDisjoint(newZone, existingZone);
  */
-function getCoordinatesWithinDistance(fromCoord, coordinates, maxDistance, unit = 'km') {
-  // Validate inputs
-  validateCoordinate(fromCoord, 'fromCoord');
+function geofencesDisjoint(geofence1, geofence2, interior = 'smaller') {
+  return !geofencesIntersect(geofence1, geofence2, interior);
+}
 
-  if (!Array.isArray(coordinates)) {
-    throw new Error('Coordinates must be an array');
+/**
+ * Validates and normalizes a simplification algorithm
+ * @param {string} algorithm - Algorithm string to validate
+ * @returns {string} Normalized algorithm
+ * @throws {Error} If algorithm is invalid
+ */
+function validateSimplification(algorithm) {
+  if (!algorithm) return 'douglas-peucker';
+
+  if (typeof algorithm !== 'string') {
+    throw new Error('Algorithm must be a string');
   }
 
-  if (typeof maxDistance !== 'number' || maxDistance < 0) {
-    throw new Error('Max distance must be a non-negative number');
+  const normalizedAlgorithm = algorithm.toLowerCase();
+  const validAlgorithms = ['douglas-peucker', 'visvalingam'];
+
+  if (!validAlgorithms.includes(normalizedAlgorithm)) {
+    throw new Error(`Invalid algorithm: ${algorithm}. Valid algorithms are: ${validAlgorithms.join(', ')}`);
   }
 
-  const validUnits = ['km', 'miles', 'meters'];
-  const normalizedUnit = validateUnit(unit, validUnits, 'km');
+  return normalizedAlgorithm;
+}
 
-  // Validate each coordinate and calculate distances
-  const results = [];
+/**
+ * Find where two great-circle segments cross at a point interior to both.
+ * Segments that only touch, or that share an endpoint, do not cross.
+ * @param {number[]} a1 - Unit vector of the first segment's start
+ * @param {number[]} a2 - Unit vector of the first segment's end
+ * @param {number[]} b1 - Unit vector of the second segment's start
+ * @param {number[]} b2 - Unit vector of the second segment's end
+ * @returns {number[]|null} Unit vector of the crossing, or null if the segments do not cross
+ */
+function segmentIntersection(a1, a2, b1, b2) {
+  const n1 = crossProduct(a1, a2);
+  const n2 = crossProduct(b1, b2);
 
-  coordinates.forEach((coord, index) => {
-    validateCoordinate(coord, `coordinates[${index}]`);
+  // Each segment's endpoints must lie on opposite sides of the other's great circle
+  const side1 = dotProduct(b1, n1);
+  const side2 = dotProduct(b2, n1);
+  if ((side1 > 0 && side2 > 0) || (side1 < 0 && side2 < 0)) return null;
 
-    const distance = calculateDistance(fromCoord, coord, normalizedUnit);
+  const side3 = dotProduct(a1, n2);
+  const side4 = dotProduct(a2, n2);
+  if ((side3 > 0 && side4 > 0) || (side3 < 0 && side4 < 0)) return null;
 
-    if (distance <= maxDistance) {
-      results.push({
-        ...coord,
-        distance: distance,
+  // The great circles meet at a pair of antipodal points; one must be on both segments
+  const meet = crossProduct(n1, n2);
+  const length = vectorLength(meet);
+  if (length < 1e-15) return null;
+
+  const onSegment = (start, end, normal, point) =>
+    dotProduct(crossProduct(start, point), normal) > 0 && dotProduct(crossProduct(point, end), normal) > 0;
+
+  const crossing = [meet, meet.map((component) => -component)].find(
+    (point) => onSegment(a1, a2, n1, point) && onSegment(b1, b2, n2, point)
+  );
+
+  return crossing ? crossing.map((component) => component / length) : null;
+}
+
+/**
+ * Returns true if two great-circle segments cross at a point interior to both
+ * @param {number[]} a1 - Unit vector of the first segment's start
+ * @param {number[]} a2 - Unit vector of the first segment's end
+ * @param {number[]} b1 - Unit vector of the second segment's start
+ * @param {number[]} b2 - Unit vector of the second segment's end
+ * @returns {boolean} True if the segments cross
+ */
+function segmentsCross(a1, a2, b1, b2) {
+  return segmentIntersection(a1, a2, b1, b2) !== null;
+}
+
+/**
+ * Create a binary min-heap of entries ordered by their key property
+ * @returns {Object} Heap with push, pop and size methods
+ */
+function createMinHeap() {
+  const items = [];
+
+  return {
+    size: () => items.length,
+
+    push(item) {
+      items.push(item);
+      let i = items.length - 1;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (items[parent].key <= items[i].key) break;
+        [items[parent], items[i]] = [items[i], items[parent]];
+        i = parent;
+      }
+    },
+
+    pop() {
+      const top = items[0];
+      const last = items.pop();
+      if (items.length > 0) {
+        items[0] = last;
+        let i = 0;
+        for (;;) {
+          const left = 2 * i + 1;
+          const right = left + 1;
+          let smallest = i;
+          if (left < items.length && items[left].key < items[smallest].key) smallest = left;
+          if (right < items.length && items[right].key < items[smallest].key) smallest = right;
+          if (smallest === i) break;
+          [items[smallest], items[i]] = [items[i], items[smallest]];
+          i = smallest;
+        }
+      }
+      return top;
+    },
+  };
+}
+
+/**
+ * Simplify a set of vertex chains so that every removed vertex stays within a tolerance of
+ * the simplified chain
+ *
+ * Open chains keep their endpoints. Closed chains (rings) keep at least 3 vertices and, when
+ * preventCrossings is set, never gain an edge that crosses another edge of any chain.
+ *
+ * @param {Array<Object>} chains - Chains to simplify [{points: [{lat, lng}, ...], closed: boolean}, ...]
+ * @param {number} toleranceKm - Maximum distance in kilometers from a removed vertex to the simplified chain
+ * @param {string} algorithm - Normalized algorithm ('douglas-peucker', 'visvalingam')
+ * @param {boolean} preventCrossings - Whether to keep edges from crossing
+ * @returns {Array<Array<number>>} Indices of the kept vertices of each chain, in order
+ */
+function simplifyChains(chains, toleranceKm, algorithm, preventCrossings) {
+  const state = chains.map(({ points, closed }) => {
+    const count = points.length;
+    return {
+      points,
+      closed,
+      vectors: points.map(toUnitVector),
+      next: points.map((_, i) => (i + 1 < count ? i + 1 : closed ? 0 : -1)),
+      prev: points.map((_, i) => (i > 0 ? i - 1 : closed ? count - 1 : -1)),
+      removed: points.map(() => false),
+      version: points.map(() => 0),
+      size: count,
+    };
+  });
+
+  const segmentDistance = (point, start, end) =>
+    calculateDistance(point, closestPointOnSegment(point, start, end).point);
+
+  // Original vertices strictly between from and to, following the chain's direction
+  const between = (chain, from, to) => {
+    const indices = [];
+    for (let j = (from + 1) % chain.points.length; j !== to; j = (j + 1) % chain.points.length) {
+      indices.push(j);
+    }
+    return indices;
+  };
+
+  const farthestBetween = (chain, from, to) =>
+    between(chain, from, to).reduce(
+      (farthest, j) => {
+        const distance = segmentDistance(chain.points[j], chain.points[from], chain.points[to]);
+        return distance > farthest.distance ? { index: j, distance } : farthest;
+      },
+      { index: -1, distance: -1 }
+    );
+
+  const crossesOtherEdge = (chainIndex, from, to) => {
+    const a = state[chainIndex].vectors[from];
+    const b = state[chainIndex].vectors[to];
+    const normal = crossProduct(a, b);
+
+    for (let s = 0; s < state.length; s++) {
+      const { vectors, next, removed } = state[s];
+      for (let v = 0; v < next.length; v++) {
+        const w = next[v];
+        if (removed[v] || w === -1) continue;
+        if (s === chainIndex && (v === from || v === to || w === from || w === to)) continue;
+
+        // Cheap rejection: both endpoints on the same side of this edge's great circle
+        const side1 = dotProduct(vectors[v], normal);
+        const side2 = dotProduct(vectors[w], normal);
+        if ((side1 > 0 && side2 > 0) || (side1 < 0 && side2 < 0)) continue;
+
+        if (segmentsCross(a, b, vectors[v], vectors[w])) return true;
+      }
+    }
+
+    return false;
+  };
+
+  const keepVertex = (chain, index) => {
+    chain.removed[index] = false;
+    chain.size++;
+  };
+
+  const relink = (chain) => {
+    const kept = chain.points.map((_, i) => i).filter((i) => !chain.removed[i]);
+    kept.forEach((index, k) => {
+      chain.next[index] = k + 1 < kept.length ? kept[k + 1] : chain.closed ? kept[0] : -1;
+      chain.prev[index] = k > 0 ? kept[k - 1] : chain.closed ? kept[kept.length - 1] : -1;
+    });
+  };
+
+  if (algorithm === 'douglas-peucker') {
+    state.forEach((chain) => {
+      const count = chain.points.length;
+      if (count <= (chain.closed ? 3 : 2)) return;
+
+      chain.removed = chain.points.map(() => true);
+      chain.size = 0;
+
+      // Rings are split at the vertex farthest from their first vertex
+      let spans;
+      keepVertex(chain, 0);
+      if (chain.closed) {
+        const anchor = chain.points.reduce(
+          (farthest, point, j) => {
+            const distance = calculateDistance(chain.points[0], point);
+            return distance > farthest.distance ? { index: j, distance } : farthest;
+          },
+          { index: 0, distance: -1 }
+        ).index;
+        // Every vertex coincides with the first, so any three will do
+        if (anchor === 0) {
+          keepVertex(chain, 1);
+          keepVertex(chain, 2);
+          relink(chain);
+          return;
+        }
+        keepVertex(chain, anchor);
+        spans = [
+          [0, anchor],
+          [anchor, 0],
+        ];
+      } else {
+        keepVertex(chain, count - 1);
+        spans = [[0, count - 1]];
+      }
+
+      while (spans.length > 0) {
+        const [from, to] = spans.pop();
+        const farthest = farthestBetween(chain, from, to);
+        if (farthest.index !== -1 && farthest.distance > toleranceKm) {
+          keepVertex(chain, farthest.index);
+          spans.push([from, farthest.index], [farthest.index, to]);
+        }
+      }
+
+      // A ring needs a third vertex even if everything is within tolerance
+      if (chain.closed && chain.size < 3) {
+        const [first, second] = chain.points.map((_, i) => i).filter((i) => !chain.removed[i]);
+        const candidates = [farthestBetween(chain, first, second), farthestBetween(chain, second, first)];
+        keepVertex(chain, candidates[0].distance >= candidates[1].distance ? candidates[0].index : candidates[1].index);
+      }
+
+      relink(chain);
+    });
+
+    // Split any edge that crosses another at its farthest vertex until none do
+    let changed = preventCrossings;
+    while (changed) {
+      changed = false;
+      state.forEach((chain, c) => {
+        chain.next.forEach((to, from) => {
+          if (changed || chain.removed[from] || to === -1 || !crossesOtherEdge(c, from, to)) return;
+          const farthest = farthestBetween(chain, from, to);
+          if (farthest.index !== -1) {
+            keepVertex(chain, farthest.index);
+            relink(chain);
+            changed = true;
+          }
+        });
       });
     }
+  } else {
+    // Visvalingam: remove vertices in order of the area of the triangle they form with their
+    // neighbours, as long as every vertex removed so far stays within tolerance
+    const heap = createMinHeap();
+
+    const push = (c, i) => {
+      const chain = state[c];
+      const from = chain.prev[i];
+      const to = chain.next[i];
+      if (from === -1 || to === -1 || (chain.closed && chain.size <= 3)) return;
+
+      const base = calculateDistance(chain.points[from], chain.points[to]);
+      const height = segmentDistance(chain.points[i], chain.points[from], chain.points[to]);
+      chain.version[i]++;
+      heap.push({ key: (base * height) / 2, chain: c, index: i, version: chain.version[i] });
+    };
+
+    state.forEach((chain, c) => chain.points.forEach((_, i) => push(c, i)));
+
+    while (heap.size() > 0) {
+      const { chain: c, index: i, version } = heap.pop();
+      const chain = state[c];
+      if (chain.removed[i] || version !== chain.version[i] || (chain.closed && chain.size <= 3)) continue;
+
+      const from = chain.prev[i];
+      const to = chain.next[i];
+      const withinTolerance = between(chain, from, to).every(
+        (j) => segmentDistance(chain.points[j], chain.points[from], chain.points[to]) <= toleranceKm
+      );
+      if (!withinTolerance || (preventCrossings && crossesOtherEdge(c, from, to))) continue;
+
+      chain.removed[i] = true;
+      chain.size--;
+      chain.next[from] = to;
+      chain.prev[to] = from;
+      push(c, from);
+      push(c, to);
+    }
+  }
+
+  return state.map((chain) => chain.points.map((_, i) => i).filter((i) => !chain.removed[i]));
+}
+
+/**
+ * Simplify a path (polyline) by removing vertices that lie within a ground distance of the result
+ *
+ * Every removed vertex lies within tolerance of the simplified path, and the first and last
+ * vertices are always kept.
+ *
+ * @param {Array<Object>} coordinates - Path vertices in order [{lat: number, lng: number}, ...]
+ * @param {number} tolerance - Maximum distance from any removed vertex to the simplified path
+ * @param {Object} [options={}] - Simplification options
+ * @param {string} [options.unit='km'] - Unit of tolerance ('km', 'miles', 'meters')
+ * @param {string} [options.algorithm='douglas-peucker'] - Algorithm ('douglas-peucker', 'visvalingam')
+ * @returns {Array<Object>} Copies of the kept coordinates, in order
+ * @throws {Error} If coordinates, tolerance or options are invalid
+ *
+ * @example
+ * const track = simplifyPath(gpsTrack, 5, {unit: 'meters'});
+ * console.log(`Kept ${track.length} of ${gpsTrack.length} points`);
+ */
+function simplifyPath(coordinates, tolerance, options = {}) {
+  // Accept GeoJSON input
+  coordinates = fromGeoJSONCoordinates(coordinates);
+
+  // Validate inputs
+  if (!Array.isArray(coordinates)) {
+    throw new Error('Coordinates must be an array');
+  }
+
+  coordinates.forEach((coord, index) => {
+    validateCoordinate(coord, `coordinates[${index}]`);
   });
 
-  // Sort by distance (closest first)
-  results.sort((a, b) => a.distance - b.distance);
+  if (typeof tolerance !== 'number' || !(tolerance >= 0)) {
+    throw new Error('Tolerance must be a non-negative number');
+  }
 
-  return results;
+  if (!options || typeof options !== 'object') {
+    throw new Error('Options must be an object');
+  }
+
+  const { unit = 'km', algorithm = 'douglas-peucker' } = options;
+
+  const validUnits = ['km', 'miles', 'meters'];
+  const normalizedUnit = validateUnit(unit, validUnits, 'km');
+  const normalizedAlgorithm = validateSimplification(algorithm);
+
+  const [kept] = simplifyChains(
+    [{ points: coordinates, closed: false }],
+    toKilometers(tolerance, normalizedUnit),
+    normalizedAlgorithm,
+    false
+  );
+
+  return kept.map((index) => ({ ...coordinates[index] }));
 }
 
 /**
- * Find the closest coordinate from an array of coordinates
- * @param {Object} fromCoord - Reference coordinate {lat: number, lng: number}
- * @param {Array<Object>} coordinates - Array of coordinates to check [{lat: number, lng: number}, ...]
- * @param {string} [unit='km'] - Distance unit ('km', 'miles', 'meters')
- * @returns {Object|null} Closest coordinate with distance property, or null if array is empty
- * @throws {Error} If coordinates are invalid or unit is not supported
+ * Simplify a geofence by removing vertices that lie within a ground distance of the result
+ *
+ * Every removed vertex lies within tolerance of its simplified ring. Each ring keeps at least
+ * 3 vertices, and no simplified edge crosses another edge of the geofence, so a valid geofence
+ * stays valid. With maxAreaChange set, the tolerance is reduced as far as needed to keep
+ * calculateGeofenceArea within that fraction of the original area.
+ *
+ * @param {Array} geofence - Geofence ring [{lat: number, lng: number}, ...], polygon with holes or multipolygon
+ * @param {number} tolerance - Maximum distance from any removed vertex to its simplified ring
+ * @param {Object} [options={}] - Simplification options
+ * @param {string} [options.unit='km'] - Unit of tolerance ('km', 'miles', 'meters')
+ * @param {string} [options.algorithm='douglas-peucker'] - Algorithm ('douglas-peucker', 'visvalingam')
+ * @param {number} [options.maxAreaChange] - Largest allowed change in area, as a fraction of the original area
+ * @param {string} [options.interior='smaller'] - Side of each ring enclosed, for the area check ('smaller', 'winding', 'left', 'right')
+ * @returns {Array} Simplified geofence, nested like the input (GeoJSON input gives a multipolygon)
+ * @throws {Error} If the geofence, tolerance or options are invalid, or the geofence is a circle
  *
  * @example
- * const closest = getClosestCoordinate(
- *   {lat: 40.7128, lng: -74.0060}, // New York City
- *   [
- *     {lat: 40.7614, lng: -73.9776, name: 'Central Park'},
- *     {lat: 34.0522, lng: -118.2437, name: 'Los Angeles'},
- *     {lat: 41.8781, lng: -87.6298, name: 'Chicago'}
- *   ],
- *   'km'
- * );
- * console.log(`Closest: ${closest.name} at ${closest.distance.toFixed(2)} km`);
+ * const zone = simplifyGeofence(handDrawnZone, 20, {unit: 'meters', maxAreaChange: 0.01});
  */
-function getClosestCoordinate(fromCoord, coordinates, unit = 'km') {
+function simplifyGeofence(geofence, tolerance, options = {}) {
   // Validate inputs
-  validateCoordinate(fromCoord, 'fromCoord');
+  if (isCircleGeofence(geofence)) {
+    throw new Error('Circle geofences cannot be simplified');
+  }
+
+  const input = fromGeoJSONGeofence(geofence, 'geofence');
+  const polygons = normalizeGeofence(
+    input,
+    'geofence',
+    'Geofence must be an array of coordinates',
+    'At least 3 coordinates are required to form a geofence polygon'
+  );
+
+  if (typeof tolerance !== 'number' || !(tolerance >= 0)) {
+    throw new Error('Tolerance must be a non-negative number');
+  }
+
+  if (!options || typeof options !== 'object') {
+    throw new Error('Options must be an object');
+  }
+
+  const { unit = 'km', algorithm = 'douglas-peucker', maxAreaChange, interior = 'smaller' } = options;
+
+  if (maxAreaChange !== undefined && (typeof maxAreaChange !== 'number' || !(maxAreaChange >= 0))) {
+    throw new Error('Max area change must be a non-negative number');
+  }
+
+  const validUnits = ['km', 'miles', 'meters'];
+  const normalizedUnit = validateUnit(unit, validUnits, 'km');
+  const normalizedAlgorithm = validateSimplification(algorithm);
+  const normalizedInterior = validateInterior(interior);
+
+  const chains = polygons.flatMap((rings) => rings.map((ring) => ({ points: ring, closed: true })));
 
-  if (!Array.isArray(coordinates)) {
-    throw new Error('Coordinates must be an array');
+  const simplify = (toleranceKm) => {
+    const kept = simplifyChains(chains, toleranceKm, normalizedAlgorithm, true);
+    let chainIndex = 0;
+    return polygons.map((rings) =>
+      rings.map((ring) => kept[chainIndex++].map((index) => ({ ...ring[index] })))
+    );
+  };
+
+  const toleranceKm = toKilometers(tolerance, normalizedUnit);
+  let result = simplify(toleranceKm);
+
+  if (maxAreaChange !== undefined) {
+    const originalArea = calculateGeofenceArea(polygons, 'km2', normalizedInterior);
+    const withinAreaChange = (simplified) =>
+      Math.abs(calculateGeofenceArea(simplified, 'km2', normalizedInterior) - originalArea) <=
+      maxAreaChange * originalArea;
+
+    // Search for the largest tolerance that keeps the area within bounds; a zero tolerance
+    // only drops vertices on straight runs, so it always does
+    if (!withinAreaChange(result)) {
+      let low = 0;
+      let high = toleranceKm;
+      result = simplify(0);
+      while (high - low > toleranceKm * 1e-2) {
+        const middle = (low + high) / 2;
+        const candidate = simplify(middle);
+        if (withinAreaChange(candidate)) {
+          low = middle;
+          result = candidate;
+        } else {
+          high = middle;
+        }
+      }
+    }
   }
 
-  if (coordinates.length === 0) {
-    return null;
+  // Match the nesting of the input
+  if (!Array.isArray(input[0])) return result[0][0];
+  if (!Array.isArray(input[0][0])) return result[0];
+  return result;
+}
+
+/**
+ * Find the pairs of edges of one or two closed rings that cross each other
+ * @param {number[][]} vectorsA - Unit vectors of the first ring's vertices
+ * @param {number[][]} vectorsB - Unit vectors of the second ring's vertices, or vectorsA itself for self-crossings
+ * @param {boolean} firstOnly - Stop at the first crossing found
+ * @returns {Array<Object>} Crossings {edgeA, edgeB, point}; edge i runs from vertex i to the next, point is a unit vector
+ */
+function findEdgeCrossings(vectorsA, vectorsB, firstOnly) {
+  const crossings = [];
+  const sameRing = vectorsA === vectorsB;
+
+  for (let i = 0; i < vectorsA.length; i++) {
+    const a1 = vectorsA[i];
+    const a2 = vectorsA[(i + 1) % vectorsA.length];
+
+    for (let j = sameRing ? i + 2 : 0; j < vectorsB.length; j++) {
+      // Neighbouring edges of the same ring share a vertex and never cross
+      if (sameRing && i === 0 && j === vectorsB.length - 1) continue;
+
+      // Rings may touch at a vertex they share
+      const b1 = vectorsB[j];
+      const b2 = vectorsB[(j + 1) % vectorsB.length];
+      if (!sameRing && [b1, b2].some((b) => [a1, a2].some((a) => a.every((component, k) => component === b[k])))) {
+        continue;
+      }
+
+      const point = segmentIntersection(a1, a2, b1, b2);
+      if (point) {
+        crossings.push({ edgeA: i, edgeB: j, point });
+        if (firstOnly) return crossings;
+      }
+    }
   }
 
-  const validUnits = ['km', 'miles', 'meters'];
-  const normalizedUnit = validateUnit(unit, validUnits, 'km');
+  return crossings;
+}
 
-  let closestCoord = null;
-  let minDistance = Infinity;
+/**
+ * Returns true if a ring doubles back on itself at vertex b, enclosing no area
+ * @param {number[]} a - Unit vector of the previous vertex
+ * @param {number[]} b - Unit vector of the vertex
+ * @param {number[]} c - Unit vector of the next vertex
+ * @returns {boolean} True if the edges into and out of b run along the same great circle in opposite directions
+ */
+function isSpike(a, b, c) {
+  const toA = a.map((component, index) => component - b[index]);
+  const toC = c.map((component, index) => component - b[index]);
 
-  coordinates.forEach((coord, index) => {
-    validateCoordinate(coord, `coordinates[${index}]`);
+  // Sine of the turn at b, and whether both neighbours lie in the same direction from it
+  const sine = dotProduct(crossProduct(toA, toC), b) / (vectorLength(toA) * vectorLength(toC));
+  return Math.abs(sine) < 1e-8 && dotProduct(toA, toC) > 0;
+}
 
-    const distance = calculateDistance(fromCoord, coord, normalizedUnit);
+/**
+ * Find the vertices of a ring that remain once an explicit closing vertex and consecutive
+ * duplicates are dropped
+ * @param {Array<Object>} ring - Array of coordinates [{lat: number, lng: number}, ...]
+ * @returns {Object} {kept: indices of the remaining vertices, duplicates: [[index, duplicateIndex], ...]}
+ */
+function findDistinctVertices(ring) {
+  const same = (a, b) => a.lat === b.lat && a.lng === b.lng;
+  const closed = ring.length > 1 && same(ring[0], ring[ring.length - 1]);
+  const last = closed ? ring.length - 2 : ring.length - 1;
 
-    if (distance < minDistance) {
-      minDistance = distance;
-      closestCoord = {
-        ...coord,
-        distance: distance,
-      };
+  const kept = [];
+  const duplicates = [];
+  for (let i = 0; i <= last; i++) {
+    if (kept.length > 0 && same(ring[kept[kept.length - 1]], ring[i])) {
+      duplicates.push([kept[kept.length - 1], i]);
+    } else {
+      kept.push(i);
     }
-  });
+  }
 
-  return closestCoord;
+  // Duplicates of the first vertex at the end of the ring
+  while (kept.length > 1 && same(ring[kept[kept.length - 1]], ring[kept[0]])) {
+    duplicates.push([kept.pop(), kept[0]]);
+  }
+
+  return { kept, duplicates };
 }
 
 /**
- * Find the furthest coordinate from an array of coordinates
- * @param {Object} fromCoord - Reference coordinate {lat: number, lng: number}
- * @param {Array<Object>} coordinates - Array of coordinates to check [{lat: number, lng: number}, ...]
- * @param {string} [unit='km'] - Distance unit ('km', 'miles', 'meters')
- * @returns {Object|null} Furthest coordinate with distance property, or null if array is empty
- * @throws {Error} If coordinates are invalid or unit is not supported
+ * Check a geofence for problems that make containment and area results unreliable
+ *
+ * Each ring is checked for consecutive duplicate vertices, fewer than 3 distinct vertices,
+ * zero-area spikes where the ring doubles back on itself, edges that cross each other and
+ * winding that does not follow the GeoJSON right-hand rule (outer rings counter-clockwise,
+ * holes clockwise) around the region the ring encloses. Edges of different rings must not
+ * cross, and every hole must lie inside its outer ring. An explicit closing vertex repeating
+ * the first is not a problem.
+ *
+ * Problems give the polygon and ring they were found in, as indices into the geofence
+ * normalized to a multipolygon, and the indices of the vertices involved in that ring.
+ *
+ * @param {Array|Object} geofence - Geofence ring [{lat: number, lng: number}, ...], polygon with holes, multipolygon or circle
+ * @param {string} [interior='smaller'] - Side of each ring enclosed ('smaller', 'winding', 'left', 'right')
+ * @returns {Object} {valid, problems}: each problem is {type, message, polygon, ring, vertices}, with the
+ * crossing point for 'self-intersection' and 'ring-intersection' and the other ring {polygon, ring, vertices}
+ * for 'ring-intersection'. Types are 'duplicate-vertex', 'too-few-vertices', 'spike', 'self-intersection',
+ * 'winding', 'ring-intersection' and 'hole-outside'.
+ * @throws {Error} If the geofence is not a geofence shape, a coordinate is invalid or interior is not supported
  *
  * @example
- * const furthest = getFurthestCoordinate(
- *   {lat: 40.7128, lng: -74.0060}, // New York City
- *   [
- *     {lat: 40.7614, lng: -73.9776, name: 'Central Park'},
- *     {lat: 34.0522, lng: -118.2437, name: 'Los Angeles'},
- *     {lat: 41.8781, lng: -87.6298, name: 'Chicago'}
- *   ],
- *   'km'
- * );
- * console.log(`Furthest: ${furthest.name} at ${furthest.distance.toFixed(2)} km`);
+ * const { valid, problems } = validateGeofence([
+ *   {lat: 0, lng: 0},
+ *   {lat: 1, lng: 1},
+ *   {lat: 1, lng: 0},
+ *   {lat: 0, lng: 1}
+ * ]);
+ * // valid === false, problems[0].type === 'self-intersection', problems[0].vertices === [0, 1, 2, 3]
  */
-function getFurthestCoordinate(fromCoord, coordinates, unit = 'km') {
+function validateGeofence(geofence, interior = 'smaller') {
   // Validate inputs
-  validateCoordinate(fromCoord, 'fromCoord');
-
-  if (!Array.isArray(coordinates)) {
-    throw new Error('Coordinates must be an array');
+  if (isCircleGeofence(geofence)) {
+    validateCircle(geofence, 'geofence');
+    validateInterior(interior);
+    return { valid: true, problems: [] };
   }
 
-  if (coordinates.length === 0) {
-    return null;
-  }
+  const polygons = normalizeGeofence(
+    geofence,
+    'geofence',
+    'Geofence must be an array of coordinates',
+    'At least 3 coordinates are required to form a geofence polygon'
+  );
 
-  const validUnits = ['km', 'miles', 'meters'];
-  const normalizedUnit = validateUnit(unit, validUnits, 'km');
+  const normalizedInterior = validateInterior(interior);
 
-  let furthestCoord = null;
-  let maxDistance = -1;
+  const problems = [];
+  const rings = [];
 
-  coordinates.forEach((coord, index) => {
-    validateCoordinate(coord, `coordinates[${index}]`);
+  polygons.forEach((polygonRings, polygon) => {
+    polygonRings.forEach((ring, ringIndex) => {
+      const location = { polygon, ring: ringIndex };
+      const { kept, duplicates } = findDistinctVertices(ring);
 
-    const distance = calculateDistance(fromCoord, coord, normalizedUnit);
+      duplicates.forEach(([first, second]) => {
+        problems.push({
+          type: 'duplicate-vertex',
+          message: `Vertices ${first} and ${second} are identical`,
+          ...location,
+          vertices: [first, second],
+        });
+      });
 
-    if (distance > maxDistance) {
-      maxDistance = distance;
-      furthestCoord = {
-        ...coord,
-        distance: distance,
-      };
-    }
+      if (kept.length < 3) {
+        problems.push({
+          type: 'too-few-vertices',
+          message: `Ring has ${kept.length} distinct vertices; at least 3 are required`,
+          ...location,
+          vertices: kept,
+        });
+        return;
+      }
+
+      const vectors = kept.map((index) => toUnitVector(ring[index]));
+      const edge = (i) => [kept[i], kept[(i + 1) % kept.length]];
+
+      kept.forEach((index, i) => {
+        const previous = (i + kept.length - 1) % kept.length;
+        const next = (i + 1) % kept.length;
+        if (isSpike(vectors[previous], vectors[i], vectors[next])) {
+          problems.push({
+            type: 'spike',
+            message: `Vertex ${index} doubles back along the edge from vertex ${kept[previous]}`,
+            ...location,
+            vertices: [kept[previous], index, kept[next]],
+          });
+        }
+      });
+
+      const crossings = findEdgeCrossings(vectors, vectors, false);
+      crossings.forEach(({ edgeA, edgeB, point }) => {
+        problems.push({
+          type: 'self-intersection',
+          message: `Edges ${edge(edgeA).join('-')} and ${edge(edgeB).join('-')} cross`,
+          ...location,
+          vertices: [...edge(edgeA), ...edge(edgeB)],
+          point: fromUnitVector(point),
+        });
+      });
+
+      // Winding only means something for a ring that does not cross itself
+      const coords = kept.map((index) => ring[index]);
+      const isHole = ringIndex > 0;
+      if (crossings.length === 0) {
+        const enclosedSide = getEnclosedSide(analyzeRing(coords), normalizedInterior, isHole);
+        if (enclosedSide !== (isHole ? 'right' : 'left')) {
+          problems.push({
+            type: 'winding',
+            message: isHole
+              ? 'Hole runs counter-clockwise around the region it encloses; holes should run clockwise'
+              : 'Ring runs clockwise around the region it encloses; outer rings should run counter-clockwise',
+            ...location,
+            vertices: kept,
+          });
+        }
+      }
+
+      rings.push({ ...location, kept, vectors, coords, edge, isHole, crossesItself: crossings.length > 0 });
+    });
   });
 
-  return furthestCoord;
+  // Crossings between rings
+  const crossesOuter = new Set();
+  rings.forEach((ringA, a) => {
+    rings.slice(a + 1).forEach((ringB) => {
+      findEdgeCrossings(ringA.vectors, ringB.vectors, false).forEach(({ edgeA, edgeB, point }) => {
+        const vertices = ringB.edge(edgeB);
+        problems.push({
+          type: 'ring-intersection',
+          message:
+            `Edge ${ringA.edge(edgeA).join('-')} crosses edge ${vertices.join('-')} ` +
+            `of polygon ${ringB.polygon} ring ${ringB.ring}`,
+          polygon: ringA.polygon,
+          ring: ringA.ring,
+          vertices: ringA.edge(edgeA),
+          point: fromUnitVector(point),
+          other: { polygon: ringB.polygon, ring: ringB.ring, vertices },
+        });
+
+        if (ringA.polygon === ringB.polygon && ringA.ring === 0) {
+          crossesOuter.add(ringB);
+        }
+      });
+    });
+  });
+
+  // Holes that neither cross nor lie inside their outer ring
+  rings
+    .filter((hole) => hole.isHole && !crossesOuter.has(hole))
+    .forEach((hole) => {
+      const outer = rings.find((ring) => ring.polygon === hole.polygon && ring.ring === 0);
+      if (!outer || outer.crossesItself) return;
+
+      // A hole may touch its outer ring at a shared vertex, so test one it does not share
+      const isShared = (coord) => outer.coords.some((other) => other.lat === coord.lat && other.lng === coord.lng);
+      const sample = hole.coords.find((coord) => !isShared(coord)) || hole.coords[0];
+      if (!isCoordinateInRing(sample, outer.coords, normalizedInterior, false)) {
+        problems.push({
+          type: 'hole-outside',
+          message: 'Hole is not inside its outer ring',
+          polygon: hole.polygon,
+          ring: hole.ring,
+          vertices: hole.kept,
+        });
+      }
+    });
+
+  return { valid: problems.length === 0, problems };
 }
 
 /**
- * Calculate the area of a geofence polygon using spherical geometry
- * @param {Array<Object>} coordinates - Array of coordinates [{lat: number, lng: number}, ...]
- * @param {string} [unit='km2'] - Area unit ('km2', 'miles2', 'meters2')
- * @returns {number} Area in specified unit
- * @throws {Error} If coordinates are invalid or unit is not supported
+ * Repair the problems validateGeofence finds within each ring of a geofence
+ *
+ * Consecutive duplicate vertices and zero-area spikes are removed, and rings left with fewer
+ * than 3 vertices are dropped along with the holes of a dropped outer ring. A ring that
+ * crosses itself is split at each crossing into simple rings, each enclosing its smaller side,
+ * so a bow-tie outer ring becomes two polygons. Every ring is then wound by the GeoJSON
+ * right-hand rule around the region it encloses, and each hole is kept with the first outer
+ * ring it reaches into; holes entirely outside every outer ring exclude nothing and are dropped.
+ *
+ * Crossings between different rings are left as they are; validateGeofence still reports them.
+ * Since splitting a ring can turn one polygon into several, the result is always a multipolygon.
+ *
+ * @param {Array} geofence - Geofence ring [{lat: number, lng: number}, ...], polygon with holes or multipolygon
+ * @param {string} [interior='smaller'] - Side of each ring enclosed ('smaller', 'winding', 'left', 'right')
+ * @returns {Array<Array<Array<Object>>>} Repaired multipolygon, without closing vertices
+ * @throws {Error} If the geofence or interior is invalid, the geofence is a circle or no ring survives repair
  *
  * @example
- * const area = calculateGeofenceArea([
- *   {lat: 40.7128, lng: -74.0060},
- *   {lat: 40.7614, lng: -73.9776},
- *   {lat: 40.7505, lng: -73.9934},
- *   {lat: 40.7128, lng: -74.0060} // Close the polygon
- * ], 'km2');
- * console.log(`Area: ${area.toFixed(2)} km²`);
+ * const zone = repairGeofence(userDrawnRing);
+ * validateGeofence(zone).valid; // true unless separate rings cross each other
  */
-function calculateGeofenceArea(coordinates, unit = 'km2') {
+function repairGeofence(geofence, interior = 'smaller') {
   // Validate inputs
-  if (!Array.isArray(coordinates)) {
-    throw new Error('Coordinates must be an array');
+  if (isCircleGeofence(geofence)) {
+    throw new Error('Circle geofences cannot be repaired');
   }
 
-  if (coordinates.length < 3) {
-    throw new Error('At least 3 coordinates are required to form a polygon');
-  }
+  const polygons = normalizeGeofence(
+    geofence,
+    'geofence',
+    'Geofence must be an array of coordinates',
+    'At least 3 coordinates are required to form a geofence polygon'
+  );
 
-  // Validate each coordinate
-  coordinates.forEach((coord, index) => {
-    validateCoordinate(coord, `coordinates[${index}]`);
-  });
+  const normalizedInterior = validateInterior(interior);
 
-  const validUnits = ['km2', 'miles2', 'meters2'];
-  const normalizedUnit = validateUnit(unit, validUnits, 'km2');
+  // Drop duplicates and spikes until neither is left; removing one can expose another
+  const cleanRing = (ring) => {
+    let coords = ring;
+    let changed = true;
+    while (changed && coords.length >= 3) {
+      coords = findDistinctVertices(coords).kept.map((index) => coords[index]);
+      const vectors = coords.map(toUnitVector);
+      const spike = coords.findIndex(
+        (coord, i) =>
+          coords.length >= 3 &&
+          isSpike(vectors[(i + coords.length - 1) % coords.length], vectors[i], vectors[(i + 1) % coords.length])
+      );
+      changed = spike !== -1;
+      if (changed) coords = coords.filter((coord, i) => i !== spike);
+    }
+    return coords.length >= 3 ? coords : null;
+  };
 
-  // Earth's radius in kilometers
-  const R = 6371;
+  // Split a ring at its first crossing into the loops either side of it, then split those
+  const splitRing = (ring) => {
+    const coords = cleanRing(ring);
+    if (!coords) return [];
 
-  // Ensure polygon is closed (first and last points are the same)
-  const coords = [...coordinates];
-  const firstCoord = coords[0];
-  const lastCoord = coords[coords.length - 1];
+    const vectors = coords.map(toUnitVector);
+    const [crossing] = findEdgeCrossings(vectors, vectors, true);
+    if (!crossing) return [coords];
 
-  if (firstCoord.lat !== lastCoord.lat || firstCoord.lng !== lastCoord.lng) {
-    coords.push({ ...firstCoord }); // Close the polygon
-  }
+    const { edgeA, edgeB, point } = crossing;
+    const meet = fromUnitVector(point);
+    return [
+      ...splitRing([...coords.slice(0, edgeA + 1), meet, ...coords.slice(edgeB + 1)]),
+      ...splitRing([meet, ...coords.slice(edgeA + 1, edgeB + 1)]),
+    ];
+  };
 
-  // Calculate area using spherical excess formula
-  let area = 0;
-  const n = coords.length - 1; // Subtract 1 because we added closing point
+  // Wind a ring so the region it encloses is on its left (outer rings) or right (holes)
+  const orient = (coords, isHole, ringInterior) => {
+    const enclosedSide = getEnclosedSide(analyzeRing(coords), ringInterior, isHole);
+    const wound = enclosedSide === (isHole ? 'right' : 'left') ? coords : [...coords].reverse();
+    return wound.map((coord) => ({ ...coord }));
+  };
 
-  for (let i = 0; i < n; i++) {
-    const j = (i + 1) % n;
-    const lat1 = toRadians(coords[i].lat);
-    const lat2 = toRadians(coords[j].lat);
-    const deltaLng = toRadians(coords[j].lng - coords[i].lng);
+  const orientPieces = (pieces, isHole) =>
+    pieces.map((piece) => orient(piece, isHole, pieces.length > 1 ? 'smaller' : normalizedInterior));
 
-    area += deltaLng * (2 + Math.sin(lat1) + Math.sin(lat2));
-  }
+  const result = [];
+  polygons.forEach(([outer, ...holes]) => {
+    const outers = orientPieces(splitRing(outer), false).map((ring) => [ring]);
 
-  area = (Math.abs(area) * R * R) / 2;
+    holes.forEach((hole) => {
+      orientPieces(splitRing(hole), true).forEach((ring) => {
+        const owner = outers.find(([outerRing]) =>
+          ring.some((coord) => isCoordinateInRing(coord, outerRing, 'left', false))
+        );
+        if (owner) owner.push(ring);
+      });
+    });
 
-  // Convert to requested unit
-  switch (normalizedUnit) {
-    case 'miles2':
-      area *= 0.386102; // km² to miles²
-      break;
-    case 'meters2':
-      area *= 1000000; // km² to m²
-      break;
-    // 'km2' is already in square kilometers
+    result.push(...outers);
+  });
+
+  if (result.length === 0) {
+    throw new Error('Geofence has no rings left after repair');
   }
 
-  return area;
+  return result;
 }
 
 /**
- * Check if a coordinate is inside a geofence polygon using ray casting algorithm
- * @param {Object} coord - Coordinate to check {lat: number, lng: number}
- * @param {Array<Object>} geofence - Array of coordinates defining the polygon [{lat: number, lng: number}, ...]
- * @returns {boolean} True if coordinate is inside the geofence, false otherwise
- * @throws {Error} If coordinates are invalid
+ * Create a stateful monitor that turns position updates into geofence events
+ *
+ * The monitor holds a set of named geofences and, for every tracked entity, whether it is
+ * inside each of them. Each position update is compared with that state and produces
+ * 'enter' and 'exit' events on transitions, and a 'dwell' event once an entity has stayed
+ * inside a geofence for dwellTime. Events are both returned from update and passed to
+ * listeners registered with on.
+ *
+ * A buffer adds hysteresis at the border: an entity only enters once it is more than buffer
+ * inside a geofence and only exits once it is more than buffer outside, so GPS jitter near the
+ * boundary does not fire repeated events. The first update for an entity uses plain containment.
+ *
+ * @param {Object} [geofences={}] - Geofences keyed by name; each may be any geofence shape
+ * @param {Object} [options={}] - Monitor options
+ * @param {number} [options.buffer=0] - Hysteresis distance either side of each boundary
+ * @param {string} [options.unit='km'] - Unit of buffer and of event distances ('km', 'miles', 'meters')
+ * @param {number} [options.dwellTime] - Time inside a geofence, in milliseconds, before a dwell event; no dwell events if omitted
+ * @param {string} [options.method='haversine'] - Distance method ('haversine', 'vincenty')
+ * @param {string} [options.interior='smaller'] - Side of each ring enclosed ('smaller', 'winding', 'left', 'right')
+ * @returns {Object} Monitor with addGeofence, removeGeofence, on, update, getGeofencesContaining, removeEntity, saveState and restoreState methods
+ * @throws {Error} If a geofence or option is invalid
  *
  * @example
- * const isInside = isCoordinateInGeofence(
- *   {lat: 40.7300, lng: -73.9950}, // Point to check
- *   [
- *     {lat: 40.7128, lng: -74.0060},
- *     {lat: 40.7614, lng: -73.9776},
- *     {lat: 40.7505, lng: -73.9934},
- *     {lat: 40.7128, lng: -74.0060}
- *   ]
+ * const monitor = createGeofenceMonitor(
+ *   {depot: depotPolygon, city: cityPolygon},
+ *   {buffer: 25, unit: 'meters', dwellTime: 5 * 60 * 1000}
  * );
- * console.log(`Coordinate is ${isInside ? 'inside' : 'outside'} the geofence`);
+ * monitor.on('enter', (event) => console.log(`${event.entityId} entered ${event.geofence}`));
+ * monitor.update('van-7', {lat: 40.7128, lng: -74.0060}, Date.now());
  */
-function isCoordinateInGeofence(coord, geofence) {
+function createGeofenceMonitor(geofences = {}, options = {}) {
   // Validate inputs
-  validateCoordinate(coord, 'coord');
+  if (!geofences || typeof geofences !== 'object' || Array.isArray(geofences)) {
+    throw new Error('Geofences must be an object keyed by name');
+  }
 
-  if (!Array.isArray(geofence)) {
-    throw new Error('Geofence must be an array of coordinates');
+  if (!options || typeof options !== 'object') {
+    throw new Error('Options must be an object');
   }
 
-  if (geofence.length < 3) {
-    throw new Error('At least 3 coordinates are required to form a geofence polygon');
+  const { buffer = 0, unit = 'km', dwellTime, method = 'haversine', interior = 'smaller' } = options;
+
+  if (typeof buffer !== 'number' || !(buffer >= 0)) {
+    throw new Error('Buffer must be a non-negative number');
   }
 
-  // Validate each geofence coordinate
-  geofence.forEach((fenceCoord, index) => {
-    validateCoordinate(fenceCoord, `geofence[${index}]`);
-  });
+  if (dwellTime !== undefined && (typeof dwellTime !== 'number' || !(dwellTime >= 0))) {
+    throw new Error('Dwell time must be a non-negative number');
+  }
+
+  const validUnits = ['km', 'miles', 'meters'];
+  const normalizedUnit = validateUnit(unit, validUnits, 'km');
+  const normalizedMethod = validateMethod(method);
+  const normalizedInterior = validateInterior(interior);
 
-  // Ray casting algorithm (point-in-polygon test)
-  // Cast a ray from the point to infinity (horizontally to the right)
-  // Count how many times it intersects with polygon edges
-  // Odd number of intersections = inside, even = outside
+  const eventTypes = ['enter', 'exit', 'dwell'];
 
-  const lat = coord.lat;
-  const lng = coord.lng;
-  let inside = false;
+  // Prepared geofences by name, in insertion order, each with its box grown by the buffer
+  const fences = new Map();
 
-  for (let i = 0, j = geofence.length - 1; i < geofence.length; j = i++) {
-    const lat1 = geofence[i].lat;
-    const lng1 = geofence[i].lng;
-    const lat2 = geofence[j].lat;
-    const lng2 = geofence[j].lng;
+  // Per entity: {timestamp, fences: Map<name, {inside, enteredAt, dwelled}>}
+  const entities = new Map();
 
-    // Check if point's latitude is within the edge's latitude range
-    // and if a horizontal ray from the point intersects the edge
-    const intersect =
-      lat1 > lat !== lat2 > lat && lng < ((lng2 - lng1) * (lat - lat1)) / (lat2 - lat1) + lng1;
+  const listeners = { enter: [], exit: [], dwell: [] };
 
-    if (intersect) {
-      inside = !inside;
+  const addFence = (name, geofence) => {
+    if (typeof name !== 'string' || name === '') {
+      throw new Error('Geofence name must be a non-empty string');
     }
-  }
 
-  return inside;
-}
+    if (fences.has(name)) {
+      throw new Error(`Geofence already exists: ${name}`);
+    }
 
-/**
- * Calculate the minimum distance from a point to a line segment
- * @private
- * @param {Object} point - Point coordinate {lat: number, lng: number}
- * @param {Object} lineStart - Line segment start {lat: number, lng: number}
- * @param {Object} lineEnd - Line segment end {lat: number, lng: number}
- * @param {string} unit - Distance unit
- * @returns {number} Minimum distance from point to line segment
- */
-function pointToSegmentDistance(point, lineStart, lineEnd, unit) {
-  // Calculate distances
-  const d1 = calculateDistance(point, lineStart, unit);
-  const d2 = calculateDistance(point, lineEnd, unit);
-  const d3 = calculateDistance(lineStart, lineEnd, unit);
+    const prepared = prepareGeofence(geofence, `geofences.${name}`);
 
-  // If the line segment has zero length, return distance to either endpoint
-  if (d3 === 0) {
-    return d1;
-  }
+    // Beyond the geofence's box grown by the buffer, an entity is outside by more than the buffer
+    const reach = expandBoxByDistance(
+      geofenceBox(prepared, normalizedInterior),
+      toKilometers(buffer, normalizedUnit),
+      normalizedMethod
+    );
+
+    fences.set(name, { ...prepared, reach });
+  };
 
-  // Calculate the projection of the point onto the line segment using dot product
-  // Convert to Cartesian coordinates for accurate calculation
-  const lat1 = toRadians(lineStart.lat);
-  const lng1 = toRadians(lineStart.lng);
-  const lat2 = toRadians(lineEnd.lat);
-  const lng2 = toRadians(lineEnd.lng);
-  const latP = toRadians(point.lat);
-  const lngP = toRadians(point.lng);
+  Object.keys(geofences).forEach((name) => addFence(name, geofences[name]));
 
-  // Vector from lineStart to lineEnd
-  const dx = lng2 - lng1;
-  const dy = lat2 - lat1;
+  const toTimestamp = (timestamp, paramName) => {
+    const time = timestamp instanceof Date ? timestamp.getTime() : timestamp;
+    if (typeof time !== 'number' || !Number.isFinite(time)) {
+      throw new Error(`${paramName} must be a finite number or Date`);
+    }
+    return time;
+  };
 
-  // Vector from lineStart to point
-  const dpx = lngP - lng1;
-  const dpy = latP - lat1;
+  return {
+    /**
+     * Add a named geofence. Entities are evaluated against it from their next update.
+     * @param {string} name - Unique geofence name
+     * @param {Array|Object} geofence - Any geofence shape
+     * @throws {Error} If the name is taken or the geofence is invalid
+     */
+    addGeofence(name, geofence) {
+      addFence(name, geofence);
+    },
 
-  // Calculate projection parameter t
-  const t = (dpx * dx + dpy * dy) / (dx * dx + dy * dy);
+    /**
+     * Remove a named geofence and forget every entity's state for it, without exit events
+     * @param {string} name - Geofence name
+     * @returns {boolean} True if the geofence existed
+     */
+    removeGeofence(name) {
+      entities.forEach((entity) => entity.fences.delete(name));
+      return fences.delete(name);
+    },
 
-  // If t is outside [0,1], the closest point is one of the endpoints
-  if (t < 0) {
-    return d1; // Closest to lineStart
-  }
-  if (t > 1) {
-    return d2; // Closest to lineEnd
-  }
+    /**
+     * Register a listener for an event type
+     * @param {string} type - Event type ('enter', 'exit', 'dwell')
+     * @param {Function} listener - Called with each event object
+     * @returns {Function} Function that removes the listener
+     * @throws {Error} If the event type or listener is invalid
+     */
+    on(type, listener) {
+      if (!eventTypes.includes(type)) {
+        throw new Error(`Invalid event type: ${type}. Valid event types are: ${eventTypes.join(', ')}`);
+      }
+
+      if (typeof listener !== 'function') {
+        throw new Error('Listener must be a function');
+      }
+
+      listeners[type].push(listener);
+      return () => {
+        const index = listeners[type].indexOf(listener);
+        if (index !== -1) listeners[type].splice(index, 1);
+      };
+    },
+
+    /**
+     * Process a position update for an entity
+     *
+     * Each event is {type, entityId, geofence, timestamp, coord, distance}, where distance is
+     * the signed distance to the geofence boundary (negative inside). Dwell events also carry
+     * duration, the time since the entity entered.
+     *
+     * @param {string|number} entityId - Tracked entity identifier
+     * @param {Object} coord - Current position {lat: number, lng: number}
+     * @param {number|Date} timestamp - Time of the position, in milliseconds since the epoch or as a Date
+     * @returns {Array<Object>} Events fired by this update, in geofence order
+     * @throws {Error} If the coordinate or timestamp is invalid, or the timestamp is earlier than the entity's previous update
+     */
+    update(entityId, coord, timestamp) {
+      coord = fromGeoJSONCoordinate(coord, 'coord');
+      validateCoordinate(coord, 'coord');
+      const time = toTimestamp(timestamp, 'Timestamp');
+
+      let entity = entities.get(entityId);
+      if (entity && time < entity.timestamp) {
+        throw new Error(`Timestamp for entity ${entityId} is earlier than its previous update`);
+      }
+      if (!entity) {
+        entity = { timestamp: time, fences: new Map() };
+        entities.set(entityId, entity);
+      }
+      entity.timestamp = time;
+
+      const events = [];
+      const emit = (type, name, distance, extra) => {
+        events.push({ type, entityId, geofence: name, timestamp: time, coord: { ...coord }, distance, ...extra });
+      };
+
+      fences.forEach((fence, name) => {
+        const state = entity.fences.get(name);
+
+        // Measure only when the answer is not already known from the box
+        let signed = null;
+        const measure = () => {
+          if (!signed) {
+            signed = measureSignedDistance(coord, fence, normalizedUnit, normalizedMethod, normalizedInterior);
+          }
+          return signed;
+        };
+
+        // Inside the buffer band the previous state holds
+        let inside;
+        if (!boxContainsCoordinate(fence.reach, coord)) inside = false;
+        else if (!state) inside = measure().isInside;
+        else if (measure().distance < -buffer) inside = true;
+        else if (measure().distance > buffer) inside = false;
+        else inside = state.inside;
+
+        if (!state || inside !== state.inside) {
+          entity.fences.set(name, { inside, enteredAt: inside ? time : null, dwelled: false });
+          if (inside) emit('enter', name, measure().distance);
+          else if (state) emit('exit', name, measure().distance);
+        }
+
+        const current = entity.fences.get(name);
+        if (current.inside && !current.dwelled && dwellTime !== undefined && time - current.enteredAt >= dwellTime) {
+          current.dwelled = true;
+          emit('dwell', name, measure().distance, { duration: time - current.enteredAt });
+        }
+      });
+
+      events.forEach((event) => {
+        listeners[event.type].slice().forEach((listener) => listener(event));
+      });
+
+      return events;
+    },
+
+    /**
+     * Get the names of the geofences an entity is currently inside
+     * @param {string|number} entityId - Tracked entity identifier
+     * @returns {Array<string>} Geofence names, in geofence order; empty for unknown entities
+     */
+    getGeofencesContaining(entityId) {
+      const entity = entities.get(entityId);
+      if (!entity) return [];
+
+      return [...fences.keys()].filter((name) => {
+        const state = entity.fences.get(name);
+        return !!state && state.inside;
+      });
+    },
 
-  // Calculate the projected point on the line segment
-  const projLat = toDegrees(lat1 + t * dy);
-  const projLng = toDegrees(lng1 + t * dx);
+    /**
+     * Forget an entity's state, without exit events
+     * @param {string|number} entityId - Tracked entity identifier
+     * @returns {boolean} True if the entity was tracked
+     */
+    removeEntity(entityId) {
+      return entities.delete(entityId);
+    },
 
-  // Return distance to the projected point
-  return calculateDistance(point, { lat: projLat, lng: projLng }, unit);
+    /**
+     * Save the tracking state of every entity as a JSON-serializable object.
+     * Geofences, options and listeners are not included.
+     * @returns {Object} State for restoreState
+     */
+    saveState() {
+      return {
+        entities: [...entities].map(([id, entity]) => ({
+          id,
+          timestamp: entity.timestamp,
+          geofences: [...entity.fences].map(([name, state]) => ({ name, ...state })),
+        })),
+      };
+    },
+
+    /**
+     * Replace the tracking state with one returned by saveState. State for geofences the
+     * monitor does not have is dropped.
+     * @param {Object} state - State returned by saveState
+     * @throws {Error} If the state is malformed
+     */
+    restoreState(state) {
+      if (!state || typeof state !== 'object' || !Array.isArray(state.entities)) {
+        throw new Error('State must be an object with an entities array');
+      }
+
+      const restored = new Map();
+      state.entities.forEach((saved, index) => {
+        if (!saved || typeof saved !== 'object' || !Array.isArray(saved.geofences)) {
+          throw new Error(`state.entities[${index}] must be an object with a geofences array`);
+        }
+
+        const entity = {
+          timestamp: toTimestamp(saved.timestamp, `state.entities[${index}].timestamp`),
+          fences: new Map(),
+        };
+        saved.geofences.forEach(({ name, inside, enteredAt, dwelled }) => {
+          if (fences.has(name)) {
+            entity.fences.set(name, { inside: !!inside, enteredAt: inside ? enteredAt : null, dwelled: !!dwelled });
+          }
+        });
+        restored.set(saved.id, entity);
+      });
+
+      entities.clear();
+      restored.forEach((entity, id) => entities.set(id, entity));
+    },
+  };
 }
 
 /**
- * Check if a coordinate is within a specified distance from a geofence polygon's perimeter
- * @param {Object} coord - Coordinate to check {lat: number, lng: number}
- * @param {Array<Object>} geofence - Array of coordinates defining the polygon [{lat: number, lng: number}, ...]
- * @param {number} maxDistance - Maximum distance from geofence perimeter
- * @param {string} [unit='km'] - Distance unit ('km', 'miles', 'meters')
- * @returns {Object} Object with {isNear: boolean, distance: number, closestPoint: {lat, lng}}
- * @throws {Error} If coordinates are invalid or unit is not supported
+ * Convert a coordinate to a GeoJSON Point Feature
+ *
+ * Every property other than lat and lng becomes a Feature property, so results such as
+ * {lat, lng, name, distance} keep their extra fields. Coordinates that came from a GeoJSON
+ * Feature get their original properties and id back.
+ *
+ * @param {Object} coord - Coordinate {lat: number, lng: number, ...}
+ * @returns {Object} GeoJSON Feature with a Point geometry
+ * @throws {Error} If the coordinate is invalid
  *
  * @example
- * const result = isCoordinateNearGeofence(
- *   {lat: 40.7300, lng: -73.9950}, // Point to check
- *   [
- *     {lat: 40.7128, lng: -74.0060},
- *     {lat: 40.7614, lng: -73.9776},
- *     {lat: 40.7505, lng: -73.9934}
- *   ],
- *   5, // Within 5 km of the geofence
- *   'km'
- * );
- * console.log(`Point is ${result.isNear ? 'near' : 'not near'} the geofence`);
- * console.log(`Distance to geofence: ${result.distance.toFixed(2)} km`);
+ * const feature = toGeoJSONFeature({lat: 40.7614, lng: -73.9776, name: 'Central Park'});
+ * // {type: 'Feature', geometry: {type: 'Point', coordinates: [-73.9776, 40.7614]}, properties: {name: 'Central Park'}}
  */
-function isCoordinateNearGeofence(coord, geofence, maxDistance, unit = 'km') {
+function toGeoJSONFeature(coord) {
   // Validate inputs
+  coord = normalizeCoordinate(coord, 'coord');
   validateCoordinate(coord, 'coord');
 
-  if (!Array.isArray(geofence)) {
-    throw new Error('Geofence must be an array of coordinates');
-  }
+  const { lat, lng, properties, id, ...rest } = coord;
+  const feature = {
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [lng, lat] },
+    properties: { ...properties, ...rest },
+  };
 
-  if (geofence.length < 3) {
-    throw new Error('At least 3 coordinates are required to form a geofence polygon');
+  if (id !== undefined) {
+    feature.id = id;
   }
 
-  if (typeof maxDistance !== 'number' || maxDistance < 0) {
-    throw new Error('Max distance must be a non-negative number');
+  return feature;
+}
+
+/**
+ * Convert an array of coordinates to a GeoJSON FeatureCollection of Points
+ * @param {Array<Object>} coordinates - Array of coordinates [{lat: number, lng: number, ...}, ...]
+ * @returns {Object} GeoJSON FeatureCollection
+ * @throws {Error} If coordinates are invalid
+ *
+ * @example
+ * const nearby = getCoordinatesWithinDistance(depot, storesFeatureCollection, 10, 'km');
+ * const output = toGeoJSONFeatureCollection(nearby);
+ * // Each Feature keeps its original properties and gains a distance property
+ */
+function toGeoJSONFeatureCollection(coordinates) {
+  // Validate inputs
+  if (!Array.isArray(coordinates)) {
+    throw new Error('Coordinates must be an array');
   }
 
-  const validUnits = ['km', 'miles', 'meters'];
-  const normalizedUnit = validateUnit(unit, validUnits, 'km');
+  coordinates = coordinates.map((coord, index) => normalizeCoordinate(coord, `coordinates[${index}]`));
 
-  // Validate each geofence coordinate
-  geofence.forEach((fenceCoord, index) => {
-    validateCoordinate(fenceCoord, `geofence[${index}]`);
+  coordinates.forEach((coord, index) => {
+    validateCoordinate(coord, `coordinates[${index}]`);
   });
 
-  // Find the minimum distance from the point to any edge of the polygon
-  let minDistance = Infinity;
-  let closestPoint = null;
+  return {
+    type: 'FeatureCollection',
+    features: coordinates.map(toGeoJSONFeature),
+  };
+}
 
-  // Check distance to each edge of the polygon
-  for (let i = 0; i < geofence.length; i++) {
-    const j = (i + 1) % geofence.length;
-    const segmentStart = geofence[i];
-    const segmentEnd = geofence[j];
+/**
+ * Convert a geofence to a GeoJSON geometry
+ *
+ * A geofence with a single polygon becomes a Polygon and one with several becomes a
+ * MultiPolygon. Rings are closed by repeating their first position, as GeoJSON requires.
+ *
+ * @param {Array|Object} geofence - Geofence ring [{lat: number, lng: number}, ...], polygon with holes or multipolygon
+ * @returns {Object} GeoJSON Polygon or MultiPolygon geometry
+ * @throws {Error} If the geofence is invalid or is a circle, which GeoJSON cannot represent
+ *
+ * @example
+ * const geometry = toGeoJSONGeometry([
+ *   {lat: 40.7, lng: -74.0},
+ *   {lat: 40.7, lng: -73.9},
+ *   {lat: 40.8, lng: -73.9}
+ * ]);
+ * // {type: 'Polygon', coordinates: [[[-74, 40.7], [-73.9, 40.7], [-73.9, 40.8], [-74, 40.7]]]}
+ */
+function toGeoJSONGeometry(geofence) {
+  // Validate inputs
+  if (isCircleGeofence(geofence)) {
+    throw new Error('Circle geofences cannot be converted to GeoJSON');
+  }
 
-    // Calculate distance to this edge
-    const distance = pointToSegmentDistance(coord, segmentStart, segmentEnd, normalizedUnit);
+  const polygons = normalizeGeofence(
+    geofence,
+    'geofence',
+    'Geofence must be an array of coordinates',
+    'At least 3 coordinates are required to form a geofence polygon'
+  );
 
-    if (distance < minDistance) {
-      minDistance = distance;
+  const toPositions = (rings) =>
+    rings.map((ring) => [...ring, ring[0]].map((coord) => [coord.lng, coord.lat]));
 
-      // Store the closest edge endpoints for reference
-      closestPoint = {
-        edgeStart: { ...segmentStart },
-        edgeEnd: { ...segmentEnd },
-      };
-    }
+  if (polygons.length === 1) {
+    return { type: 'Polygon', coordinates: toPositions(polygons[0]) };
   }
 
-  return {
-    isNear: minDistance <= maxDistance,
-    distance: minDistance,
-    closestEdge: closestPoint,
-  };
+  return { type: 'MultiPolygon', coordinates: polygons.map(toPositions) };
 }
 
 // CommonJS exports
 module.exports = {
+  boundingBoxContains,
+  boundingBoxesIntersect,
+  bufferGeofence,
+  bufferPath,
+  bufferPoint,
+  calculateBearing,
   calculateDistance,
   calculateGeofenceArea,
+  calculateGeofencePerimeter,
+  calculatePathLength,
+  clusterCoordinates,
+  coordinateToPixel,
+  coordinateToTile,
+  createGeofenceMonitor,
+  createSpatialIndex,
+  decodeGeohash,
+  decodeMGRS,
+  encodeGeohash,
+  encodeMGRS,
+  formatCoordinate,
+  formatDistance,
+  fromUTM,
+  fromWebMercator,
+  geofenceContains,
+  geofencesDisjoint,
+  geofencesIntersect,
   getCoordinatesWithinDistance,
   getClosestCoordinate,
   getFurthestCoordinate,
+  getKNearestCoordinates,
+  getBoundingBox,
+  getBoundingBoxAroundPoint,
+  getConvexHull,
+  getCumulativeDistances,
+  getDestinationPoint,
+  getGeofenceBoundingBox,
+  getGeofenceCentroid,
+  getGeofenceDifference,
+  getGeofenceIntersection,
+  getGeofenceSymmetricDifference,
+  getGeofenceUnion,
+  getGeohashesCoveringRadius,
+  getGeohashNeighbors,
+  getMidpoint,
+  getPointAlongPath,
+  getPoleOfInaccessibility,
+  getSignedDistanceToGeofence,
+  getTilesCoveringGeofence,
+  interpolateGreatCircle,
   isCoordinateInGeofence,
-  isCoordinateNearGeofence
+  isCoordinateNearGeofence,
+  parseCoordinate,
+  pixelToCoordinate,
+  repairGeofence,
+  simplifyGeofence,
+  simplifyPath,
+  tileToBoundingBox,
+  toGeoJSONFeature,
+  toGeoJSONFeatureCollection,
+  toGeoJSONGeometry,
+  toUTM,
+  toWebMercator,
+  validateGeofence,
+  withCoordinateParsing
 };
 
 // ES Module exports (for environments that support it)
 if (typeof exports !== 'undefined') {
   exports.calculateDistance = calculateDistance;
+  exports.formatDistance = formatDistance;
+  exports.calculateBearing = calculateBearing;
+  exports.getDestinationPoint = getDestinationPoint;
+  exports.getMidpoint = getMidpoint;
+  exports.interpolateGreatCircle = interpolateGreatCircle;
+  exports.getBoundingBox = getBoundingBox;
+  exports.getGeofenceBoundingBox = getGeofenceBoundingBox;
+  exports.getBoundingBoxAroundPoint = getBoundingBoxAroundPoint;
+  exports.boundingBoxContains = boundingBoxContains;
+  exports.boundingBoxesIntersect = boundingBoxesIntersect;
+  exports.encodeGeohash = encodeGeohash;
+  exports.decodeGeohash = decodeGeohash;
+  exports.getGeohashNeighbors = getGeohashNeighbors;
+  exports.getGeohashesCoveringRadius = getGeohashesCoveringRadius;
+  exports.toUTM = toUTM;
+  exports.fromUTM = fromUTM;
+  exports.encodeMGRS = encodeMGRS;
+  exports.decodeMGRS = decodeMGRS;
+  exports.toWebMercator = toWebMercator;
+  exports.fromWebMercator = fromWebMercator;
+  exports.coordinateToPixel = coordinateToPixel;
+  exports.pixelToCoordinate = pixelToCoordinate;
+  exports.coordinateToTile = coordinateToTile;
+  exports.tileToBoundingBox = tileToBoundingBox;
+  exports.getTilesCoveringGeofence = getTilesCoveringGeofence;
   exports.isCoordinateInGeofence = isCoordinateInGeofence;
   exports.isCoordinateNearGeofence = isCoordinateNearGeofence;
   exports.calculateGeofenceArea = calculateGeofenceArea;
+  exports.calculateGeofencePerimeter = calculateGeofencePerimeter;
+  exports.getGeofenceCentroid = getGeofenceCentroid;
+  exports.createSpatialIndex = createSpatialIndex;
+  exports.createGeofenceMonitor = createGeofenceMonitor;
   exports.getCoordinatesWithinDistance = getCoordinatesWithinDistance;
   exports.getClosestCoordinate = getClosestCoordinate;
   exports.getFurthestCoordinate = getFurthestCoordinate;
+  exports.getKNearestCoordinates = getKNearestCoordinates;
+  exports.clusterCoordinates = clusterCoordinates;
+  exports.calculatePathLength = calculatePathLength;
+  exports.getCumulativeDistances = getCumulativeDistances;
+  exports.getPointAlongPath = getPointAlongPath;
+  exports.getSignedDistanceToGeofence = getSignedDistanceToGeofence;
+  exports.getPoleOfInaccessibility = getPoleOfInaccessibility;
+  exports.getConvexHull = getConvexHull;
+  exports.bufferPoint = bufferPoint;
+  exports.bufferPath = bufferPath;
+  exports.bufferGeofence = bufferGeofence;
+  exports.getGeofenceIntersection = getGeofenceIntersection;
+  exports.getGeofenceUnion = getGeofenceUnion;
+  exports.getGeofenceDifference = getGeofenceDifference;
+  exports.getGeofenceSymmetricDifference = getGeofenceSymmetricDifference;
+  exports.geofencesIntersect = geofencesIntersect;
+  exports.geofenceContains = geofenceContains;
+  exports.geofencesDisjoint = geofencesDisjoint;
+  exports.simplifyPath = simplifyPath;
+  exports.simplifyGeofence = simplifyGeofence;
+  exports.validateGeofence = validateGeofence;
+  exports.repairGeofence = repairGeofence;
+  exports.toGeoJSONFeature = toGeoJSONFeature;
+  exports.toGeoJSONFeatureCollection = toGeoJSONFeatureCollection;
+  exports.toGeoJSONGeometry = toGeoJSONGeometry;
+  exports.parseCoordinate = parseCoordinate;
+  exports.formatCoordinate = formatCoordinate;
+  exports.withCoordinateParsing = withCoordinateParsing;
 }
@@ -4,11 +4,70 @@
  */
 
 const {
+    boundingBoxContains,
+    boundingBoxesIntersect,
+    bufferGeofence,
+    bufferPath,
+    bufferPoint,
+    calculateBearing,
     calculateDistance,
     calculateGeofenceArea,
+    calculateGeofencePerimeter,
+    calculatePathLength,
+    clusterCoordinates,
+    coordinateToPixel,
+    coordinateToTile,
+    createGeofenceMonitor,
+    createSpatialIndex,
+    decodeGeohash,
+    decodeMGRS,
+    encodeGeohash,
+    encodeMGRS,
+    formatCoordinate,
+    formatDistance,
+    fromUTM,
+    fromWebMercator,
+    geofenceContains,
+    geofencesDisjoint,
+    geofencesIntersect,
     getCoordinatesWithinDistance,
     getClosestCoordinate,
-    getFurthestCoordinate
+    getFurthestCoordinate,
+    getGeofenceBoundingBox,
+    getKNearestCoordinates,
+    getBoundingBox,
+    getBoundingBoxAroundPoint,
+    getConvexHull,
+    getCumulativeDistances,
+    getDestinationPoint,
+    getGeofenceCentroid,
+    getGeofenceDifference,
+    getGeofenceIntersection,
+    getGeofenceSymmetricDifference,
+    getGeofenceUnion,
+    getGeohashesCoveringRadius,
+    getGeohashNeighbors,
+    getMidpoint,
+    getPointAlongPath,
+    getPoleOfInaccessibility,
+    getSignedDistanceToGeofence,
+    getTilesCoveringGeofence,
+    interpolateGreatCircle,
+    isCoordinateInGeofence,
+    isCoordinateNearGeofence,
+    parseCoordinate,
+    pixelToCoordinate,
+    repairGeofence,
+    simplifyGeofence,
+    simplifyPath,
+    toGeoJSONFeature,
+    toGeoJSONFeatureCollection,
+    toGeoJSONGeometry,
+    tileToBoundingBox,
+    toUTM,
+    toWebMercator,
+    validateGeofence,
+    withCoordinateParsing
   } = require('./index.js');
   
   describe('vertibit-cords', () => {
@@ -117,6 +176,79 @@ const {
       });
     });
   
+    describe('calculateDistance - Vincenty (WGS84)', () => {
+      test('should match reference geodesic distance between New York and Los Angeles', () => {
+        const distance = calculateDistance(newYork, losAngeles, 'meters', 'vincenty');
+        expect(distance).toBeCloseTo(3944422.232, 2);
+      });
+
+      test('should differ from the spherical distance by less than 0.5%', () => {
+        const spherical = calculateDistance(london, paris, 'km');
+        const ellipsoidal = calculateDistance(london, paris, 'km', 'vincenty');
+        expect(Math.abs(ellipsoidal - spherical) / ellipsoidal).toBeLessThan(0.005);
+        expect(ellipsoidal).not.toBe(spherical);
+      });
+
+      test('should return zero for coincident points', () => {
+        expect(calculateDistance(london, london, 'meters', 'vincenty')).toBe(0);
+      });
+
+      test('should handle nearly antipodal points where Vincenty does not converge', () => {
+        const distance = calculateDistance({ lat: 0, lng: 0 }, { lat: 0.5, lng: 179.7 }, 'meters', 'vincenty');
+        expect(distance).toBeCloseTo(19944127.421, 2);
+      });
+
+      test('should handle antipodal points on the equator', () => {
+        const distance = calculateDistance({ lat: 0, lng: 0 }, { lat: 0, lng: 180 }, 'meters', 'vincenty');
+        expect(distance).toBeCloseTo(20003931.459, 2); // Half a meridian, over the pole
+      });
+
+      test('should convert units', () => {
+        const distKm = calculateDistance(newYork, losAngeles, 'km', 'vincenty');
+        const distMiles = calculateDistance(newYork, losAngeles, 'miles', 'vincenty');
+        expect(distMiles).toBeCloseTo(distKm * 0.621371, 6);
+      });
+
+      test('should accept the method case-insensitively', () => {
+        expect(calculateDistance(newYork, losAngeles, 'km', 'Vincenty')).toBe(
+          calculateDistance(newYork, losAngeles, 'km', 'vincenty')
+        );
+      });
+
+      test('should throw error for invalid method', () => {
+        expect(() => {
+          calculateDistance(newYork, losAngeles, 'km', 'flat');
+        }).toThrow('Invalid method: flat');
+      });
+
+      test('should carry the method through to array helpers', () => {
+        const locations = [
+          { lat: 40.7614, lng: -73.9776, name: 'Central Park' },
+          { lat: 40.6892, lng: -74.0445, name: 'Statue of Liberty' }
+        ];
+
+        const nearby = getCoordinatesWithinDistance(newYork, locations, 50, 'km', 'vincenty');
+        const closest = getClosestCoordinate(newYork, locations, 'km', 'vincenty');
+        const furthest = getFurthestCoordinate(newYork, locations, 'km', 'vincenty');
+
+        expect(nearby[0].distance).toBe(calculateDistance(newYork, nearby[0], 'km', 'vincenty'));
+        expect(closest.distance).toBe(calculateDistance(newYork, closest, 'km', 'vincenty'));
+        expect(furthest.distance).toBe(calculateDistance(newYork, furthest, 'km', 'vincenty'));
+      });
+
+      test('should carry the method through to isCoordinateNearGeofence', () => {
+        const fence = [
+          { lat: 40.7128, lng: -74.0060 },
+          { lat: 40.7614, lng: -73.9776 },
+          { lat: 40.7505, lng: -73.9934 }
+        ];
+        const spherical = isCoordinateNearGeofence(london, fence, 10, 'km');
+        const ellipsoidal = isCoordinateNearGeofence(london, fence, 10, 'km', 'vincenty');
+        expect(ellipsoidal.distance).not.toBe(spherical.distance);
+        expect(ellipsoidal.distance).toBeCloseTo(spherical.distance, -2);
+      });
+    });
+
     describe('calculateGeofenceArea', () => {
       test('should calculate triangle area', () => {
         const area = calculateGeofenceArea(triangleCoords, 'km2');
@@ -128,72 +260,3127 @@ const {
         const area = calculateGeofenceArea(centralParkCoords, 'km2');
         expect(area).toBeCloseTo(2.80, 0.2); // Our rectangular approximation
       });
-  
-      test('should calculate area in different units', () => {
-        const areaKm2 = calculateGeofenceArea(triangleCoords, 'km2');
-        const areaMiles2 = calculateGeofenceArea(triangleCoords, 'miles2');
-        const areaMeters2 = calculateGeofenceArea(triangleCoords, 'meters2');
-  
-        expect(areaMiles2).toBeCloseTo(areaKm2 * 0.386102, 4);
-        expect(areaMeters2).toBeCloseTo(areaKm2 * 1000000, 0);
+  
+      test('should calculate area in different units', () => {
+        const areaKm2 = calculateGeofenceArea(triangleCoords, 'km2');
+        const areaMiles2 = calculateGeofenceArea(triangleCoords, 'miles2');
+        const areaMeters2 = calculateGeofenceArea(triangleCoords, 'meters2');
+  
+        expect(areaMiles2).toBeCloseTo(areaKm2 * 0.386102, 4);
+        expect(areaMeters2).toBeCloseTo(areaKm2 * 1000000, 0);
+      });
+  
+      test('should auto-close polygon if not closed', () => {
+        const openPolygon = [
+          { lat: 40.7831, lng: -73.9712 },
+          { lat: 40.7890, lng: -73.9446 },
+          { lat: 40.7735, lng: -73.9580 }
+          // Not closed
+        ];
+        const area = calculateGeofenceArea(openPolygon, 'km2');
+        expect(area).toBeGreaterThan(0);
+      });
+  
+      test('should handle large circular polygon', () => {
+        const circularPolygon = [];
+        const centerLat = 40.7128;
+        const centerLng = -74.0060;
+        const radius = 0.01;
+  
+        for (let i = 0; i < 100; i++) {
+          const angle = (i / 100) * 2 * Math.PI;
+          circularPolygon.push({
+            lat: centerLat + radius * Math.cos(angle),
+            lng: centerLng + radius * Math.sin(angle)
+          });
+        }
+        circularPolygon.push(circularPolygon[0]);
+  
+        const area = calculateGeofenceArea(circularPolygon, 'km2');
+        expect(area).toBeGreaterThan(0);
+        expect(area).toBeLessThan(10); // Should be reasonable size
+      });
+    });
+  
+    describe('calculateGeofenceArea - Error Handling', () => {
+      test('should throw error for non-array coordinates', () => {
+        expect(() => {
+          calculateGeofenceArea('not an array');
+        }).toThrow('Coordinates must be an array');
+      });
+  
+      test('should throw error for too few coordinates', () => {
+        expect(() => {
+          calculateGeofenceArea([{ lat: 0, lng: 0 }, { lat: 1, lng: 1 }]);
+        }).toThrow('At least 3 coordinates are required to form a polygon');
+      });
+  
+      test('should throw error for invalid coordinates in array', () => {
+        expect(() => {
+          calculateGeofenceArea([
+            { lat: 0, lng: 0 },
+            { lat: 91, lng: 0 }, // Invalid latitude
+            { lat: 1, lng: 1 }
+          ]);
+        }).toThrow('coordinates[1] latitude must be between -90 and 90 degrees');
+      });
+    });
+  
+    describe('Geofences with holes and multipolygons', () => {
+      // 0.2° square city zone with a 0.05° square airport cut out of the middle
+      const cityZone = [
+        { lat: 40.0, lng: -74.0 },
+        { lat: 40.0, lng: -73.8 },
+        { lat: 40.2, lng: -73.8 },
+        { lat: 40.2, lng: -74.0 }
+      ];
+      const airport = [
+        { lat: 40.075, lng: -73.925 },
+        { lat: 40.075, lng: -73.875 },
+        { lat: 40.125, lng: -73.875 },
+        { lat: 40.125, lng: -73.925 }
+      ];
+      const island = [
+        { lat: 41.0, lng: -74.0 },
+        { lat: 41.0, lng: -73.9 },
+        { lat: 41.1, lng: -73.9 },
+        { lat: 41.1, lng: -74.0 }
+      ];
+      const zoneWithHole = [cityZone, airport];
+      const multiZone = [[cityZone, airport], [island]];
+
+      test('should treat coordinates inside a hole as outside the geofence', () => {
+        const inAirport = { lat: 40.1, lng: -73.9 };
+        const inCity = { lat: 40.05, lng: -73.95 };
+
+        expect(isCoordinateInGeofence(inAirport, cityZone)).toBe(true);
+        expect(isCoordinateInGeofence(inAirport, zoneWithHole)).toBe(false);
+        expect(isCoordinateInGeofence(inCity, zoneWithHole)).toBe(true);
+      });
+
+      test('should check containment against every polygon of a multipolygon', () => {
+        expect(isCoordinateInGeofence({ lat: 41.05, lng: -73.95 }, multiZone)).toBe(true);
+        expect(isCoordinateInGeofence({ lat: 40.05, lng: -73.95 }, multiZone)).toBe(true);
+        expect(isCoordinateInGeofence({ lat: 40.1, lng: -73.9 }, multiZone)).toBe(false);
+        expect(isCoordinateInGeofence({ lat: 40.5, lng: -73.9 }, multiZone)).toBe(false);
+      });
+
+      test('should subtract holes from the area', () => {
+        const outerArea = calculateGeofenceArea(cityZone, 'km2');
+        const holeArea = calculateGeofenceArea(airport, 'km2');
+        expect(calculateGeofenceArea(zoneWithHole, 'km2')).toBeCloseTo(outerArea - holeArea, 10);
+      });
+
+      test('should sum the area of every polygon in a multipolygon', () => {
+        const expected =
+          calculateGeofenceArea(cityZone) - calculateGeofenceArea(airport) + calculateGeofenceArea(island);
+        expect(calculateGeofenceArea(multiZone)).toBeCloseTo(expected, 10);
+      });
+
+      test('should measure perimeter distance to hole boundaries', () => {
+        const inAirport = { lat: 40.1, lng: -73.9 };
+        const outerOnly = isCoordinateNearGeofence(inAirport, cityZone, 1, 'km');
+        const withHole = isCoordinateNearGeofence(inAirport, zoneWithHole, 1, 'km');
+
+        expect(outerOnly.isNear).toBe(false);
+        expect(withHole.isNear).toBe(false);
+        expect(withHole.distance).toBeLessThan(outerOnly.distance);
+        expect(withHole.distance).toBeCloseTo(calculateDistance(inAirport, { lat: 40.1, lng: -73.875 }), 1);
+      });
+
+      test('should measure perimeter distance to the nearest polygon of a multipolygon', () => {
+        const nearIsland = { lat: 41.05, lng: -73.89 };
+        const result = isCoordinateNearGeofence(nearIsland, multiZone, 1, 'km');
+        expect(result.isNear).toBe(true);
+        expect(result.closestEdge.edgeStart.lng).toBe(-73.9);
+      });
+
+      test('should throw error for a ring with too few coordinates', () => {
+        expect(() => {
+          isCoordinateInGeofence({ lat: 40.1, lng: -73.9 }, [cityZone, airport.slice(0, 2)]);
+        }).toThrow('At least 3 coordinates are required to form a geofence polygon');
+      });
+
+      test('should name nested coordinates in errors', () => {
+        expect(() => {
+          calculateGeofenceArea([[cityZone], [[{ lat: 0, lng: 0 }, { lat: 95, lng: 0 }, { lat: 1, lng: 1 }]]]);
+        }).toThrow('coordinates[1][0][1] latitude must be between -90 and 90 degrees');
+      });
+    });
+
+    describe('Antimeridian handling', () => {
+      // Box around Fiji crossing the 180° meridian, and the same box moved to 7°E-12°E
+      const fiji = [
+        { lat: -16, lng: 177 },
+        { lat: -16, lng: -178 },
+        { lat: -19, lng: -178 },
+        { lat: -19, lng: 177 }
+      ];
+      const sameShape = [
+        { lat: -16, lng: 7 },
+        { lat: -16, lng: 12 },
+        { lat: -19, lng: 12 },
+        { lat: -19, lng: 7 }
+      ];
+
+      test('should calculate the area of a geofence crossing the antimeridian', () => {
+        expect(calculateGeofenceArea(fiji, 'km2')).toBeCloseTo(calculateGeofenceArea(sameShape, 'km2'), 6);
+      });
+
+      test('should detect coordinates inside a geofence on either side of the antimeridian', () => {
+        expect(isCoordinateInGeofence({ lat: -17.5, lng: 179.5 }, fiji)).toBe(true);
+        expect(isCoordinateInGeofence({ lat: -17.5, lng: -179.5 }, fiji)).toBe(true);
+        expect(isCoordinateInGeofence({ lat: -17.5, lng: 180 }, fiji)).toBe(true);
+      });
+
+      test('should detect coordinates outside a geofence crossing the antimeridian', () => {
+        expect(isCoordinateInGeofence({ lat: -17.5, lng: 0 }, fiji)).toBe(false);
+        expect(isCoordinateInGeofence({ lat: -17.5, lng: 176 }, fiji)).toBe(false);
+        expect(isCoordinateInGeofence({ lat: -17.5, lng: -177 }, fiji)).toBe(false);
+      });
+
+      test('should measure perimeter distance across the antimeridian', () => {
+        const crossing = isCoordinateNearGeofence({ lat: -17.5, lng: -177.9 }, fiji, 20, 'km');
+        const reference = isCoordinateNearGeofence({ lat: -17.5, lng: 12.1 }, sameShape, 20, 'km');
+
+        expect(crossing.isNear).toBe(true);
+        expect(crossing.distance).toBeCloseTo(reference.distance, 6);
+      });
+
+      test('should project onto edges that cross the antimeridian', () => {
+        // Bering Strait box with edges running across the 180° meridian
+        const bering = [
+          { lat: 64, lng: 178 },
+          { lat: 64, lng: -172 },
+          { lat: 67, lng: -172 },
+          { lat: 67, lng: 178 }
+        ];
+        const point = { lat: 63.9, lng: -179 };
+        const result = isCoordinateNearGeofence(point, bering, 50, 'km');
+
+        // The great-circle edge bulges north of 64° between its endpoints
+        expect(result.isNear).toBe(true);
+        expect(result.distance).toBeGreaterThan(calculateDistance(point, { lat: 64, lng: -179 }));
+        expect(result.distance).toBeCloseTo(calculateDistance(point, result.closestPoint), 9);
+        expect(result.closestPoint.lng).toBeCloseTo(-179, 1);
+        expect(result.closestEdge.edgeStart).toEqual({ lat: 64, lng: 178 });
+      });
+
+      test('should calculate short distances across the antimeridian with vincenty', () => {
+        const distance = calculateDistance({ lat: 10, lng: 179.9 }, { lat: 10, lng: -179.9 }, 'km', 'vincenty');
+        expect(distance).toBeCloseTo(calculateDistance({ lat: 10, lng: 0.1 }, { lat: 10, lng: -0.1 }, 'km', 'vincenty'), 9);
+      });
+    });
+
+    describe('Geofences enclosing a pole', () => {
+      const R = 6371;
+      const sphereArea = 4 * Math.PI * R * R;
+
+      // Ring along 80°N running eastward, and along 60°S running westward
+      const arctic = [
+        { lat: 80, lng: 0 },
+        { lat: 80, lng: 90 },
+        { lat: 80, lng: 180 },
+        { lat: 80, lng: -90 }
+      ];
+      const southernOcean = [
+        { lat: -60, lng: 0 },
+        { lat: -60, lng: -90 },
+        { lat: -60, lng: 180 },
+        { lat: -60, lng: 90 }
+      ];
+      const square = [
+        { lat: 0, lng: 0 },
+        { lat: 0, lng: 1 },
+        { lat: 1, lng: 1 },
+        { lat: 1, lng: 0 }
+      ];
+
+      test('should calculate the area of a ring around a pole', () => {
+        // Four right spherical triangles meeting at the pole, with 10° legs
+        const baseAngle = Math.atan(1 / Math.cos((10 * Math.PI) / 180));
+        const area = 4 * R * R * (2 * baseAngle - Math.PI / 2);
+        expect(calculateGeofenceArea(arctic, 'km2')).toBeCloseTo(area, 3);
+
+        // Great-circle edges cut inside the parallel, so the ring encloses less than the 80°N cap
+        const capArea = 2 * Math.PI * R * R * (1 - Math.sin((80 * Math.PI) / 180));
+        expect(calculateGeofenceArea(arctic, 'km2')).toBeLessThan(capArea);
+      });
+
+      test('should agree with containment about great-circle edges', () => {
+        expect(calculateGeofenceArea(southernOcean, 'km2', 'left')).toBeCloseTo(23273705.44, 1);
+        expect(isCoordinateInGeofence({ lat: -66, lng: 45 }, southernOcean, 'left')).toBe(false);
+        expect(isCoordinateInGeofence({ lat: -70, lng: 45 }, southernOcean, 'left')).toBe(true);
+
+        // An octant of the sphere, bounded by the equator and two meridians
+        const octant = [
+          { lat: 0, lng: 0 },
+          { lat: 0, lng: 90 },
+          { lat: 90, lng: 0 }
+        ];
+        expect(calculateGeofenceArea(octant, 'km2')).toBeCloseTo(sphereArea / 8, 3);
+      });
+
+      test('should detect coordinates around and at the pole', () => {
+        expect(isCoordinateInGeofence({ lat: 90, lng: 0 }, arctic)).toBe(true);
+        expect(isCoordinateInGeofence({ lat: 89.9, lng: -120 }, arctic)).toBe(true);
+        expect(isCoordinateInGeofence({ lat: 85, lng: 45 }, arctic)).toBe(true);
+        expect(isCoordinateInGeofence({ lat: 75, lng: 0 }, arctic)).toBe(false);
+        expect(isCoordinateInGeofence({ lat: -90, lng: 0 }, arctic)).toBe(false);
+      });
+
+      test('should detect coordinates around the South Pole', () => {
+        expect(isCoordinateInGeofence({ lat: -90, lng: 0 }, southernOcean)).toBe(true);
+        expect(isCoordinateInGeofence({ lat: -70, lng: 123 }, southernOcean)).toBe(true);
+        expect(isCoordinateInGeofence({ lat: -50, lng: 0 }, southernOcean)).toBe(false);
+      });
+
+      test('should follow an explicit interior side', () => {
+        // Eastward along 80°N, the pole is on the left
+        expect(isCoordinateInGeofence({ lat: 90, lng: 0 }, arctic, 'left')).toBe(true);
+        expect(isCoordinateInGeofence({ lat: 90, lng: 0 }, arctic, 'right')).toBe(false);
+        expect(isCoordinateInGeofence({ lat: 0, lng: 0 }, arctic, 'right')).toBe(true);
+
+        const left = calculateGeofenceArea(southernOcean, 'km2', 'left');
+        const right = calculateGeofenceArea(southernOcean, 'km2', 'right');
+        expect(left).toBeLessThan(right);
+        expect(left + right).toBeCloseTo(sphereArea, 3);
+      });
+
+      test('should infer the interior from the winding order', () => {
+        const clockwise = [...square].reverse();
+        const inside = { lat: 0.5, lng: 0.5 };
+
+        expect(calculateGeofenceArea(square, 'km2', 'winding')).toBeCloseTo(calculateGeofenceArea(square), 6);
+        expect(calculateGeofenceArea(clockwise, 'km2', 'winding')).toBeCloseTo(sphereArea - calculateGeofenceArea(square), 3);
+        expect(isCoordinateInGeofence(inside, square, 'winding')).toBe(true);
+        expect(isCoordinateInGeofence(inside, clockwise, 'winding')).toBe(false);
+      });
+
+      test('should treat clockwise holes as holes when inferring from winding', () => {
+        const outer = [
+          { lat: -1, lng: -1 },
+          { lat: -1, lng: 2 },
+          { lat: 2, lng: 2 },
+          { lat: 2, lng: -1 }
+        ];
+        const hole = [...square].reverse();
+
+        expect(isCoordinateInGeofence({ lat: 0.5, lng: 0.5 }, [outer, hole], 'winding')).toBe(false);
+        expect(isCoordinateInGeofence({ lat: 1.5, lng: -0.5 }, [outer, hole], 'winding')).toBe(true);
+        expect(calculateGeofenceArea([outer, hole], 'km2', 'winding')).toBeCloseTo(
+          calculateGeofenceArea(outer) - calculateGeofenceArea(square),
+          6
+        );
+      });
+
+      test('should throw error for invalid interior', () => {
+        expect(() => calculateGeofenceArea(square, 'km2', 'inside')).toThrow('Invalid interior: inside');
+        expect(() => isCoordinateInGeofence({ lat: 0, lng: 0 }, square, 'outside')).toThrow('Invalid interior: outside');
+      });
+    });
+
+    describe('Circular geofences', () => {
+      const R = 6371;
+      const circle = { center: { lat: 40.7128, lng: -74.0060 }, radius: 5, unit: 'km' };
+
+      test('should detect coordinates inside and outside a circle', () => {
+        expect(isCoordinateInGeofence({ lat: 40.7300, lng: -73.9950 }, circle)).toBe(true);
+        expect(isCoordinateInGeofence({ lat: 40.7831, lng: -73.9712 }, circle)).toBe(false);
+      });
+
+      test('should honour the radius unit', () => {
+        const inMeters = { center: circle.center, radius: 5000, unit: 'meters' };
+        const inMiles = { center: circle.center, radius: 5 / 1.609344, unit: 'miles' };
+        const point = { lat: 40.7500, lng: -74.0060 }; // ~4.1 km north
+
+        expect(isCoordinateInGeofence(point, inMeters)).toBe(true);
+        expect(isCoordinateInGeofence(point, { center: circle.center, radius: 4 })).toBe(false);
+        expect(calculateGeofenceArea(inMiles)).toBeCloseTo(calculateGeofenceArea(circle), 2);
+      });
+
+      test('should calculate the exact spherical cap area', () => {
+        const capArea = 2 * Math.PI * R * R * (1 - Math.cos(5 / R));
+        expect(calculateGeofenceArea(circle, 'km2')).toBeCloseTo(capArea, 10);
+        expect(calculateGeofenceArea(circle, 'meters2')).toBeCloseTo(capArea * 1000000, 2);
+        expect(calculateGeofenceArea(circle, 'km2')).toBeCloseTo(Math.PI * 25, 2); // Flat at this scale
+      });
+
+      test('should cap the area at the whole sphere', () => {
+        const huge = { center: { lat: 0, lng: 0 }, radius: 50000 };
+        expect(calculateGeofenceArea(huge, 'km2')).toBeCloseTo(4 * Math.PI * R * R, 3);
+      });
+
+      test('should measure exact distance to the circle boundary', () => {
+        const outside = { lat: 40.8128, lng: -74.0060 };
+        const inside = { lat: 40.7228, lng: -74.0060 };
+        const outsideResult = isCoordinateNearGeofence(outside, circle, 10, 'km');
+        const insideResult = isCoordinateNearGeofence(inside, circle, 1, 'km');
+
+        expect(outsideResult.distance).toBeCloseTo(calculateDistance(outside, circle.center) - 5, 10);
+        expect(outsideResult.isNear).toBe(true);
+        expect(outsideResult.closestEdge).toBeNull();
+        expect(insideResult.distance).toBeCloseTo(5 - calculateDistance(inside, circle.center), 10);
+        expect(insideResult.isNear).toBe(false);
+      });
+
+      test('should measure vincenty distance to the circle boundary consistently', () => {
+        const ring = { center: { lat: 40, lng: -74 }, radius: 10 };
+        const lats = [40.0895, 40.0899, 40.0901, 40.0905];
+        const results = lats.map(lat => getSignedDistanceToGeofence({ lat, lng: -74 }, ring, 'km', 'vincenty'));
+
+        expect(results.map(result => result.isInside)).toEqual([true, true, false, false]);
+        results.forEach((result, i) => {
+          expect(Math.sign(result.distance)).toBe(result.isInside ? -1 : 1);
+          expect(Math.abs(result.distance)).toBeCloseTo(
+            calculateDistance({ lat: lats[i], lng: -74 }, result.closestPoint, 'km', 'vincenty'),
+            10
+          );
+          if (i > 0) expect(result.distance).toBeGreaterThan(results[i - 1].distance);
+        });
+      });
+
+      test('should convert boundary distance to the requested unit', () => {
+        const point = { lat: 40.8128, lng: -74.0060 };
+        const km = isCoordinateNearGeofence(point, circle, 10, 'km');
+        const meters = isCoordinateNearGeofence(point, circle, 10000, 'meters');
+        expect(meters.distance).toBeCloseTo(km.distance * 1000, 6);
+      });
+
+      test('should query a spatial index with a circle', () => {
+        const locations = [
+          { lat: 40.7614, lng: -73.9776, name: 'Central Park' },
+          { lat: 40.6892, lng: -74.0445, name: 'Statue of Liberty' },
+          { lat: 40.7505, lng: -73.9934, name: 'Times Square' },
+          { lat: 34.0522, lng: -118.2437, name: 'Los Angeles' }
+        ];
+        const index = createSpatialIndex(locations);
+
+        expect(index.getCoordinatesInGeofence(circle)).toEqual(
+          locations.filter(location => isCoordinateInGeofence(location, circle))
+        );
+      });
+
+      test('should query a spatial index with polygons', () => {
+        const points = [];
+        for (let lat = -85; lat <= 85; lat += 5) {
+          for (let lng = -180; lng < 180; lng += 5) {
+            points.push({ lat, lng });
+          }
+        }
+        const index = createSpatialIndex(points);
+        const fences = [
+          [{ lat: 0, lng: 0 }, { lat: 0, lng: 40 }, { lat: 40, lng: 40 }, { lat: 40, lng: 0 }],
+          [{ lat: -16, lng: 170 }, { lat: -16, lng: -170 }, { lat: -30, lng: -170 }, { lat: -30, lng: 170 }],
+          [{ lat: 70, lng: 0 }, { lat: 70, lng: 90 }, { lat: 70, lng: 180 }, { lat: 70, lng: -90 }]
+        ];
+
+        fences.forEach(fence => {
+          expect(index.getCoordinatesInGeofence(fence)).toEqual(points.filter(p => isCoordinateInGeofence(p, fence)));
+        });
+      });
+
+      test('should check every point for large or explicitly wound polygons', () => {
+        const points = [];
+        for (let lat = -85; lat <= 85; lat += 5) {
+          for (let lng = -180; lng < 180; lng += 5) {
+            points.push({ lat, lng });
+          }
+        }
+        const index = createSpatialIndex(points);
+        const square = [{ lat: 30, lng: -100 }, { lat: 30, lng: -80 }, { lat: 45, lng: -80 }, { lat: 45, lng: -100 }];
+
+        ['left', 'right', 'winding'].forEach(interior => {
+          expect(index.getCoordinatesInGeofence(square, interior)).toEqual(
+            points.filter(p => isCoordinateInGeofence(p, square, interior))
+          );
+        });
+        expect(index.getCoordinatesInGeofence(square, 'right').length).toBeGreaterThan(points.length / 2);
+      });
+
+      test('should throw error for invalid circles', () => {
+        expect(() => isCoordinateInGeofence({ lat: 0, lng: 0 }, { center: { lat: 100, lng: 0 }, radius: 1 })).toThrow(
+          'geofence.center latitude must be between -90 and 90 degrees'
+        );
+        expect(() => calculateGeofenceArea({ center: { lat: 0, lng: 0 }, radius: -1 })).toThrow(
+          'coordinates.radius must be a non-negative number'
+        );
+        expect(() => isCoordinateNearGeofence({ lat: 0, lng: 0 }, { center: { lat: 0, lng: 0 }, radius: 1, unit: 'feet' }, 1)).toThrow(
+          'Invalid unit: feet'
+        );
+      });
+    });
+
+    describe('isCoordinateNearGeofence - Closest Point', () => {
+      const square = [
+        { lat: 0, lng: 0 },
+        { lat: 0, lng: 10 },
+        { lat: 10, lng: 10 },
+        { lat: 10, lng: 0 }
+      ];
+
+      test('should return the nearest point on the boundary with its edge and fraction', () => {
+        const result = isCoordinateNearGeofence({ lat: -1, lng: 5 }, square, 200, 'km');
+
+        expect(result.closestPoint.lat).toBeCloseTo(0, 9);
+        expect(result.closestPoint.lng).toBeCloseTo(5, 9);
+        expect(result.closestEdge.edgeIndex).toBe(0);
+        expect(result.closestEdge.fraction).toBeCloseTo(0.5, 9);
+        expect(result.closestEdge.edgeStart).toEqual({ lat: 0, lng: 0 });
+        expect(result.closestEdge.edgeEnd).toEqual({ lat: 0, lng: 10 });
+        expect(result.distance).toBeCloseTo(calculateDistance({ lat: -1, lng: 5 }, { lat: 0, lng: 5 }), 9);
+      });
+
+      test('should snap to a vertex when the projection falls outside every edge', () => {
+        const result = isCoordinateNearGeofence({ lat: -1, lng: -1 }, square, 500, 'km');
+
+        expect(result.closestPoint).toEqual({ lat: 0, lng: 0 });
+        expect([0, 1]).toContain(result.closestEdge.fraction);
+      });
+
+      test('should identify the closing edge', () => {
+        const result = isCoordinateNearGeofence({ lat: 5, lng: -0.5 }, square, 100, 'km');
+
+        expect(result.closestEdge.edgeIndex).toBe(3);
+        expect(result.closestEdge.edgeEnd).toEqual({ lat: 0, lng: 0 });
+        expect(result.closestPoint.lng).toBeCloseTo(0, 9);
+        expect(result.closestEdge.fraction).toBeGreaterThan(0.45);
+        expect(result.closestEdge.fraction).toBeLessThan(0.55);
+      });
+
+      test('should follow the great circle at high latitudes', () => {
+        // The edge between 80°N 0°E and 80°N 90°E peaks near 82.9°N at 45°E
+        const ring = [
+          { lat: 80, lng: 0 },
+          { lat: 80, lng: 90 },
+          { lat: 70, lng: 45 }
+        ];
+        const result = isCoordinateNearGeofence({ lat: 89, lng: 45 }, ring, 1000, 'km');
+
+        expect(result.closestEdge.edgeIndex).toBe(0);
+        expect(result.closestEdge.fraction).toBeCloseTo(0.5, 9);
+        expect(result.closestPoint.lng).toBeCloseTo(45, 9);
+        expect(result.closestPoint.lat).toBeCloseTo(82.9, 1);
+      });
+
+      test('should report the polygon and ring of the closest edge', () => {
+        const hole = [
+          { lat: 4, lng: 4 },
+          { lat: 4, lng: 6 },
+          { lat: 6, lng: 6 },
+          { lat: 6, lng: 4 }
+        ];
+        const result = isCoordinateNearGeofence({ lat: 5, lng: 5.5 }, [[square], [[...square], hole]], 100, 'km');
+
+        expect(result.closestEdge.polygonIndex).toBe(1);
+        expect(result.closestEdge.ringIndex).toBe(1);
+        expect(result.closestEdge.edgeIndex).toBe(1);
+        expect(result.closestPoint.lng).toBeCloseTo(6, 9);
+      });
+
+      test('should return the nearest point on a circle boundary', () => {
+        const circle = { center: { lat: 40, lng: -74 }, radius: 10, unit: 'km' };
+        const point = { lat: 40.3, lng: -73.8 };
+        const result = isCoordinateNearGeofence(point, circle, 50, 'km');
+
+        expect(calculateDistance(circle.center, result.closestPoint)).toBeCloseTo(10, 9);
+        expect(calculateDistance(point, result.closestPoint)).toBeCloseTo(result.distance, 9);
+      });
+    });
+
+    describe('getSignedDistanceToGeofence', () => {
+      const square = [
+        { lat: 0, lng: 0 },
+        { lat: 0, lng: 10 },
+        { lat: 10, lng: 10 },
+        { lat: 10, lng: 0 }
+      ];
+
+      test('should return a negative distance inside the geofence', () => {
+        const result = getSignedDistanceToGeofence({ lat: 1, lng: 5 }, square, 'km');
+
+        expect(result.isInside).toBe(true);
+        expect(result.distance).toBeLessThan(0);
+        expect(result.distance).toBeCloseTo(-calculateDistance({ lat: 1, lng: 5 }, { lat: 0, lng: 5 }), 9);
+        expect(result.closestPoint.lat).toBeCloseTo(0, 9);
+        expect(result.closestEdge.edgeIndex).toBe(0);
+      });
+
+      test('should return a positive distance outside the geofence', () => {
+        const result = getSignedDistanceToGeofence({ lat: -1, lng: 5 }, square, 'km');
+
+        expect(result.isInside).toBe(false);
+        expect(result.distance).toBeCloseTo(calculateDistance({ lat: -1, lng: 5 }, { lat: 0, lng: 5 }), 9);
+      });
+
+      test('should tell points just inside from points just outside', () => {
+        const inside = getSignedDistanceToGeofence({ lat: 0.00045, lng: 5 }, square, 'meters');
+        const outside = getSignedDistanceToGeofence({ lat: -0.00045, lng: 5 }, square, 'meters');
+
+        expect(inside.distance).toBeCloseTo(-50, 0);
+        expect(outside.distance).toBeCloseTo(50, 0);
+      });
+
+      test('should treat points inside a hole as outside', () => {
+        const hole = [
+          { lat: 4, lng: 4 },
+          { lat: 4, lng: 6 },
+          { lat: 6, lng: 6 },
+          { lat: 6, lng: 4 }
+        ];
+        const result = getSignedDistanceToGeofence({ lat: 5, lng: 5.5 }, [square, hole], 'km');
+
+        expect(result.isInside).toBe(false);
+        expect(result.distance).toBeGreaterThan(0);
+        expect(result.closestEdge.ringIndex).toBe(1);
+      });
+
+      test('should measure signed distance to a circle', () => {
+        const circle = { center: { lat: 40, lng: -74 }, radius: 10, unit: 'km' };
+        const inside = getSignedDistanceToGeofence({ lat: 40, lng: -74 }, circle, 'km');
+        const outside = getSignedDistanceToGeofence({ lat: 40.3, lng: -74 }, circle, 'km');
+
+        expect(inside.distance).toBeCloseTo(-10, 9);
+        expect(inside.closestEdge).toBeNull();
+        expect(outside.distance).toBeCloseTo(calculateDistance({ lat: 40.3, lng: -74 }, circle.center) - 10, 9);
+      });
+
+      test('should honour the interior side', () => {
+        const result = getSignedDistanceToGeofence({ lat: 5, lng: 5 }, square, 'km', 'haversine', 'right');
+
+        expect(result.isInside).toBe(false);
+        expect(result.distance).toBeGreaterThan(0);
+      });
+    });
+
+    describe('getSignedDistanceToGeofence - Error Handling', () => {
+      const triangle = [
+        { lat: 0, lng: 0 },
+        { lat: 0, lng: 1 },
+        { lat: 1, lng: 0 }
+      ];
+
+      test('should throw error for invalid coordinate', () => {
+        expect(() => getSignedDistanceToGeofence({ lat: 91, lng: 0 }, triangle)).toThrow('coord latitude must be between -90 and 90 degrees');
+      });
+
+      test('should throw error for too few coordinates', () => {
+        expect(() => getSignedDistanceToGeofence({ lat: 0, lng: 0 }, triangle.slice(0, 2))).toThrow(
+          'At least 3 coordinates are required to form a geofence polygon'
+        );
+      });
+
+      test('should throw error for invalid unit', () => {
+        expect(() => getSignedDistanceToGeofence({ lat: 0, lng: 0 }, triangle, 'feet')).toThrow('Invalid unit: feet');
+      });
+
+      test('should throw error for invalid interior', () => {
+        expect(() => getSignedDistanceToGeofence({ lat: 0, lng: 0 }, triangle, 'km', 'haversine', 'inside')).toThrow(
+          'Invalid interior: inside'
+        );
+      });
+    });
+
+    describe('calculateBearing', () => {
+      const london = { lat: 51.5074, lng: -0.1278 };
+
+      test('should calculate the initial bearing', () => {
+        expect(calculateBearing(newYork, london)).toBeCloseTo(51.2, 1);
+        expect(calculateBearing({ lat: 0, lng: 0 }, { lat: 10, lng: 0 })).toBeCloseTo(0, 9);
+        expect(calculateBearing({ lat: 0, lng: 0 }, { lat: 0, lng: 10 })).toBeCloseTo(90, 9);
+        expect(calculateBearing({ lat: 10, lng: 0 }, { lat: 0, lng: 0 })).toBeCloseTo(180, 9);
+        expect(calculateBearing({ lat: 0, lng: 10 }, { lat: 0, lng: 0 })).toBeCloseTo(270, 9);
+      });
+
+      test('should calculate the final bearing', () => {
+        expect(calculateBearing(newYork, london, 'final')).toBeCloseTo(108.3, 1);
+        expect(calculateBearing(newYork, london, 'FINAL')).toBeCloseTo(
+          (calculateBearing(london, newYork) + 180) % 360,
+          9
+        );
+      });
+
+      test('should take the short way across the antimeridian', () => {
+        expect(calculateBearing({ lat: 0, lng: 179 }, { lat: 0, lng: -179 })).toBeCloseTo(90, 9);
+      });
+
+      test('should return 0 for identical coordinates', () => {
+        expect(calculateBearing(newYork, newYork)).toBe(0);
+        expect(calculateBearing(newYork, newYork, 'final')).toBe(0);
+      });
+    });
+
+    describe('calculateBearing - Error Handling', () => {
+      test('should throw error for invalid coordinates', () => {
+        expect(() => calculateBearing({ lat: 95, lng: 0 }, newYork)).toThrow(
+          'coord1 latitude must be between -90 and 90 degrees'
+        );
+      });
+
+      test('should throw error for invalid type', () => {
+        expect(() => calculateBearing(newYork, losAngeles, 'average')).toThrow(
+          'Invalid bearing type: average. Valid bearing types are: initial, final'
+        );
+        expect(() => calculateBearing(newYork, losAngeles, true)).toThrow('Bearing type must be a string');
+      });
+    });
+
+    describe('getDestinationPoint', () => {
+      test('should round-trip with calculateDistance and calculateBearing', () => {
+        const destination = getDestinationPoint(newYork, 75, 250, 'km');
+
+        expect(calculateDistance(newYork, destination)).toBeCloseTo(250, 9);
+        expect(calculateBearing(newYork, destination)).toBeCloseTo(75, 9);
+      });
+
+      test('should respect the unit', () => {
+        const destination = getDestinationPoint(newYork, 10, 5000, 'meters');
+
+        expect(calculateDistance(newYork, destination, 'meters')).toBeCloseTo(5000, 6);
+      });
+
+      test('should travel along meridians and the equator', () => {
+        const north = getDestinationPoint({ lat: 0, lng: 0 }, 0, (6371 * Math.PI) / 18);
+        expect(north.lat).toBeCloseTo(10, 9);
+        expect(north.lng).toBeCloseTo(0, 9);
+
+        const west = getDestinationPoint({ lat: 0, lng: -175 }, 270, (6371 * Math.PI) / 18);
+        expect(west.lat).toBeCloseTo(0, 9);
+        expect(west.lng).toBeCloseTo(175, 9);
+      });
+
+      test('should return the start for zero distance', () => {
+        const destination = getDestinationPoint(newYork, 123, 0);
+
+        expect(destination.lat).toBeCloseTo(newYork.lat, 12);
+        expect(destination.lng).toBeCloseTo(newYork.lng, 12);
+      });
+    });
+
+    describe('getDestinationPoint - Error Handling', () => {
+      test('should throw error for invalid start', () => {
+        expect(() => getDestinationPoint({ lat: 0 }, 0, 1)).toThrow('start must have numeric lat and lng properties');
+      });
+
+      test('should throw error for invalid bearing', () => {
+        expect(() => getDestinationPoint(newYork, NaN, 1)).toThrow('Bearing must be a finite number');
+      });
+
+      test('should throw error for invalid distance', () => {
+        expect(() => getDestinationPoint(newYork, 0, -1)).toThrow('Distance must be a non-negative number');
+      });
+
+      test('should throw error for invalid unit', () => {
+        expect(() => getDestinationPoint(newYork, 0, 1, 'feet')).toThrow('Invalid unit: feet');
+      });
+    });
+
+    describe('getMidpoint and interpolateGreatCircle', () => {
+      test('should find the midpoint on the great circle', () => {
+        const midpoint = getMidpoint({ lat: 60, lng: 0 }, { lat: 60, lng: 90 });
+
+        expect(midpoint.lng).toBeCloseTo(45, 9);
+        expect(midpoint.lat).toBeGreaterThan(67);
+        expect(calculateDistance({ lat: 60, lng: 0 }, midpoint)).toBeCloseTo(
+          calculateDistance(midpoint, { lat: 60, lng: 90 }),
+          9
+        );
+      });
+
+      test('should interpolate by fraction of the distance', () => {
+        const point = interpolateGreatCircle(newYork, losAngeles, 0.25);
+        const total = calculateDistance(newYork, losAngeles);
+
+        expect(calculateDistance(newYork, point)).toBeCloseTo(total / 4, 9);
+        expect(calculateDistance(point, losAngeles)).toBeCloseTo((total * 3) / 4, 9);
+      });
+
+      test('should return the endpoints at fractions 0 and 1', () => {
+        expect(interpolateGreatCircle(newYork, losAngeles, 0)).toEqual(newYork);
+        expect(interpolateGreatCircle(newYork, losAngeles, 1)).toEqual(losAngeles);
+      });
+
+      test('should cross the antimeridian the short way', () => {
+        const midpoint = getMidpoint({ lat: 0, lng: 170 }, { lat: 0, lng: -170 });
+
+        expect(Math.abs(midpoint.lng)).toBeCloseTo(180, 9);
+      });
+    });
+
+    describe('getMidpoint and interpolateGreatCircle - Error Handling', () => {
+      test('should throw error for invalid coordinates', () => {
+        expect(() => getMidpoint(newYork, null)).toThrow('coord2 must be an object with lat and lng properties');
+      });
+
+      test('should throw error for invalid fraction', () => {
+        expect(() => interpolateGreatCircle(newYork, losAngeles, 1.5)).toThrow('Fraction must be a number between 0 and 1');
+        expect(() => interpolateGreatCircle(newYork, losAngeles, '0.5')).toThrow(
+          'Fraction must be a number between 0 and 1'
+        );
+      });
+    });
+
+    describe('getBoundingBox', () => {
+      test('should bound a set of coordinates', () => {
+        expect(getBoundingBox([newYork, losAngeles])).toEqual({
+          south: 34.0522,
+          west: -118.2437,
+          north: 40.7128,
+          east: -74.0060
+        });
+      });
+
+      test('should take the narrow way across the antimeridian', () => {
+        expect(getBoundingBox([{ lat: -16.5, lng: 179.2 }, { lat: -17.8, lng: -178.9 }])).toEqual({
+          south: -17.8,
+          west: 179.2,
+          north: -16.5,
+          east: -178.9
+        });
+      });
+
+      test('should return null for no coordinates', () => {
+        expect(getBoundingBox([])).toBeNull();
+      });
+
+      test('should include the poleward bulge of geofence edges', () => {
+        const ring = [
+          { lat: 80, lng: 0 },
+          { lat: 80, lng: 90 },
+          { lat: 70, lng: 45 }
+        ];
+
+        expect(getBoundingBox(ring).north).toBe(80);
+
+        const box = getBoundingBox([ring]);
+        expect(box.north).toBeCloseTo(82.9, 1);
+        expect(box.south).toBe(70);
+        expect(box.west).toBe(0);
+        expect(box.east).toBe(90);
+      });
+
+      test('should span every longitude for geofences enclosing a pole', () => {
+        const arctic = [
+          { lat: 70, lng: 0 },
+          { lat: 70, lng: 120 },
+          { lat: 70, lng: -120 }
+        ];
+
+        expect(getBoundingBox([arctic])).toEqual({ south: 70, west: -180, north: 90, east: 180 });
+      });
+
+      test('should bound circles and GeoJSON polygons', () => {
+        const circleBox = getBoundingBox({ center: { lat: 0, lng: 0 }, radius: 100 });
+        expect(circleBox.north).toBeCloseTo(0.8993, 4);
+        expect(circleBox.west).toBeCloseTo(-0.8993, 4);
+
+        const box = getBoundingBox({
+          type: 'Polygon',
+          coordinates: [[[170, 0], [-170, 0], [-170, 10], [170, 10], [170, 0]]]
+        });
+        expect(box.west).toBe(170);
+        expect(box.east).toBe(-170);
+        expect(box.north).toBeGreaterThan(10);
+      });
+    });
+
+    describe('getBoundingBox - Error Handling', () => {
+      test('should throw error for invalid input', () => {
+        expect(() => getBoundingBox('not an array')).toThrow('Input must be an array of coordinates or a geofence');
+        expect(() => getBoundingBox([{ lat: 95, lng: 0 }])).toThrow('input[0] latitude must be between -90 and 90 degrees');
+      });
+
+      test('should throw error for invalid interior', () => {
+        expect(() => getBoundingBox([newYork], 'inside')).toThrow('Invalid interior: inside');
+      });
+    });
+
+    describe('getGeofenceBoundingBox', () => {
+      test('should read a flat array as a ring', () => {
+        const ring = [
+          { lat: 60, lng: 0 },
+          { lat: 60, lng: 90 },
+          { lat: 55, lng: 45 }
+        ];
+
+        const box = getGeofenceBoundingBox(ring);
+        expect(box.north).toBeCloseTo(67.79, 2);
+        expect(box.south).toBe(55);
+        expect(box.west).toBe(0);
+        expect(box.east).toBe(90);
+        expect(isCoordinateInGeofence({ lat: 64, lng: 45 }, ring)).toBe(true);
+        expect(boundingBoxContains(box, { lat: 64, lng: 45 })).toBe(true);
+
+        expect(getGeofenceBoundingBox([ring])).toEqual(box);
+      });
+
+      test('should span every longitude for rings enclosing a pole', () => {
+        const antarctic = [
+          { lat: -70, lng: 0 },
+          { lat: -70, lng: 120 },
+          { lat: -70, lng: -120 }
+        ];
+
+        expect(getGeofenceBoundingBox(antarctic)).toEqual({ south: -90, west: -180, north: -70, east: 180 });
+      });
+
+      test('should bound circles', () => {
+        const circle = { center: { lat: 0, lng: 0 }, radius: 100 };
+        expect(getGeofenceBoundingBox(circle)).toEqual(getBoundingBoxAroundPoint(circle.center, 100));
+      });
+    });
+
+    describe('getGeofenceBoundingBox - Error Handling', () => {
+      test('should throw error for invalid geofences', () => {
+        expect(() => getGeofenceBoundingBox('not a geofence')).toThrow('Geofence must be an array of coordinates');
+        expect(() => getGeofenceBoundingBox([newYork, losAngeles])).toThrow(
+          'At least 3 coordinates are required to form a geofence polygon'
+        );
+      });
+
+      test('should throw error for invalid interior', () => {
+        expect(() => getGeofenceBoundingBox([newYork, losAngeles, london], 'inside')).toThrow(
+          'Invalid interior: inside'
+        );
+      });
+    });
+
+    describe('getBoundingBoxAroundPoint', () => {
+      test('should contain every point within the radius', () => {
+        const box = getBoundingBoxAroundPoint(newYork, 50, 'km');
+
+        [0, 45, 90, 135, 180, 225, 270, 315].forEach((bearing) => {
+          expect(boundingBoxContains(box, getDestinationPoint(newYork, bearing, 50))).toBe(true);
+        });
+        expect(box.north - newYork.lat).toBeCloseTo(50 / 111.195, 4);
+        expect(boundingBoxContains(box, losAngeles)).toBe(false);
+      });
+
+      test('should touch the circle where it is widest', () => {
+        const box = getBoundingBoxAroundPoint({ lat: 60, lng: 0 }, 1000, 'km');
+        const widest = getDestinationPoint({ lat: 60, lng: 0 }, 90, 1000);
+
+        expect(box.east).toBeGreaterThan(widest.lng);
+        expect(boundingBoxContains(box, { lat: 60, lng: box.east + 0.01 })).toBe(false);
+      });
+
+      test('should cross the antimeridian', () => {
+        const box = getBoundingBoxAroundPoint({ lat: 0, lng: 179.95 }, 10, 'km');
+
+        expect(box.west).toBeCloseTo(179.86, 2);
+        expect(box.east).toBeCloseTo(-179.96, 2);
+        expect(boundingBoxContains(box, { lat: 0, lng: -179.99 })).toBe(true);
+      });
+
+      test('should span every longitude when the circle reaches a pole', () => {
+        expect(getBoundingBoxAroundPoint({ lat: 89.95, lng: 0 }, 10, 'km')).toEqual({
+          south: expect.any(Number),
+          west: -180,
+          north: 90,
+          east: 180
+        });
+      });
+    });
+
+    describe('getBoundingBoxAroundPoint - Error Handling', () => {
+      test('should throw error for invalid center', () => {
+        expect(() => getBoundingBoxAroundPoint(null, 1)).toThrow('center must be an object with lat and lng properties');
+      });
+
+      test('should throw error for invalid radius', () => {
+        expect(() => getBoundingBoxAroundPoint(newYork, -1)).toThrow('Radius must be a non-negative number');
+      });
+    });
+
+    describe('Geohash', () => {
+      test('should encode coordinates', () => {
+        expect(encodeGeohash(newYork, 7)).toBe('dr5regw');
+        expect(encodeGeohash({ lat: 57.64911, lng: 10.40744 }, 11)).toBe('u4pruydqqvj');
+        expect(encodeGeohash(newYork)).toHaveLength(9);
+        expect(encodeGeohash({ type: 'Point', coordinates: [-74.006, 40.7128] }, 7)).toBe('dr5regw');
+      });
+
+      test('should decode to the cell center and bounds', () => {
+        const { lat, lng, bounds } = decodeGeohash('U4PRUYDQQVJ');
+        expect(lat).toBeCloseTo(57.64911, 5);
+        expect(lng).toBeCloseTo(10.40744, 5);
+        expect(bounds.south).toBeLessThan(lat);
+        expect(bounds.north).toBeGreaterThan(lat);
+        expect(boundingBoxContains(bounds, { lat: 57.64911, lng: 10.40744 })).toBe(true);
+      });
+
+      test('should round-trip cell centers', () => {
+        const { lat, lng } = decodeGeohash('dr5regw');
+        expect(encodeGeohash({ lat, lng }, 7)).toBe('dr5regw');
+      });
+
+      test('should find neighbors', () => {
+        expect(getGeohashNeighbors('dr5regw')).toEqual({
+          north: 'dr5regy',
+          northeast: 'dr5regz',
+          east: 'dr5regx',
+          southeast: 'dr5regr',
+          south: 'dr5regq',
+          southwest: 'dr5regm',
+          west: 'dr5regt',
+          northwest: 'dr5regv',
+        });
+      });
+
+      test('should wrap neighbors around the antimeridian and stop at the poles', () => {
+        const neighbors = getGeohashNeighbors('b');
+        expect(neighbors.north).toBeNull();
+        expect(neighbors.northwest).toBeNull();
+        expect(neighbors.west).toBe('z');
+        expect(neighbors.south).toBe('8');
+        expect(getGeohashNeighbors('0').south).toBeNull();
+      });
+
+      test('should cover a radius with cells that reach it', () => {
+        const hashes = getGeohashesCoveringRadius(newYork, 2, 'km');
+        expect(hashes).toEqual(['dr5re', 'dr5rs']);
+
+        // Every point on the circle falls in a returned cell
+        for (let bearing = 0; bearing < 360; bearing += 15) {
+          const point = getDestinationPoint(newYork, bearing, 2, 'km');
+          expect(hashes.some((hash) => encodeGeohash(point, 5).startsWith(hash))).toBe(true);
+        }
+      });
+
+      test('should cover a radius across the antimeridian at a given precision', () => {
+        const hashes = getGeohashesCoveringRadius({ lat: 0, lng: 179.99 }, 5, 'km', 5);
+        expect(hashes).toContain('rzzzz');
+        expect(hashes).toContain('2pbpb');
+        expect(hashes.every((hash) => hash.length === 5)).toBe(true);
+      });
+
+      test('should cover the whole world with a large radius', () => {
+        expect(getGeohashesCoveringRadius({ lat: 0, lng: 0 }, 20000)).toHaveLength(32);
+      });
+    });
+
+    describe('Geohash - Error Handling', () => {
+      test('should throw error for invalid precision', () => {
+        expect(() => encodeGeohash(newYork, 0)).toThrow('Precision must be an integer between 1 and 12');
+        expect(() => encodeGeohash(newYork, 13)).toThrow('Precision must be an integer between 1 and 12');
+        expect(() => getGeohashesCoveringRadius(newYork, 1, 'km', 1.5)).toThrow(
+          'Precision must be an integer between 1 and 12'
+        );
+      });
+
+      test('should throw error for invalid geohashes', () => {
+        expect(() => decodeGeohash('')).toThrow('Geohash must be a non-empty string');
+        expect(() => decodeGeohash(42)).toThrow('Geohash must be a non-empty string');
+        expect(() => getGeohashNeighbors('dr5a')).toThrow('Invalid geohash character: a in dr5a');
+      });
+
+      test('should throw error for invalid coordinates and radius', () => {
+        expect(() => encodeGeohash({ lat: 91, lng: 0 })).toThrow('coord latitude must be between -90 and 90 degrees');
+        expect(() => getGeohashesCoveringRadius(newYork, -1)).toThrow('Radius must be a non-negative number');
+        expect(() => getGeohashesCoveringRadius(newYork, 1, 'feet')).toThrow('Invalid unit: feet');
+      });
+    });
+
+    describe('UTM and MGRS', () => {
+      test('should convert coordinates to UTM', () => {
+        // Reference values from GeographicLib
+        const utm = toUTM({ lat: 33.3, lng: 44.4 });
+        expect(utm.zone).toBe(38);
+        expect(utm.band).toBe('S');
+        expect(utm.hemisphere).toBe('N');
+        expect(utm.easting).toBeCloseTo(444140.54, 2);
+        expect(utm.northing).toBeCloseTo(3684706.36, 2);
+
+        const sydney = toUTM({ lat: -33.8688, lng: 151.2093 });
+        expect(sydney).toMatchObject({ zone: 56, band: 'H', hemisphere: 'S' });
+        expect(sydney.northing).toBeGreaterThan(6000000);
+      });
+
+      test('should apply the Norway and Svalbard zone exceptions', () => {
+        expect(toUTM({ lat: 60.39, lng: 5.32 }).zone).toBe(32); // Bergen
+        expect(toUTM({ lat: 55, lng: 5.32 }).zone).toBe(31);
+        expect(toUTM({ lat: 78.22, lng: 15.65 }).zone).toBe(33); // Longyearbyen
+        expect(toUTM({ lat: 78.22, lng: 8 }).zone).toBe(31);
+        expect(toUTM({ lat: 78.22, lng: 22 }).zone).toBe(35);
+        expect(toUTM({ lat: 78.22, lng: 40 }).zone).toBe(37);
+      });
+
+      test('should use UPS near the poles', () => {
+        expect(toUTM({ lat: 90, lng: 0 })).toEqual({
+          zone: 0,
+          band: 'Z',
+          hemisphere: 'N',
+          easting: 2000000,
+          northing: 2000000
+        });
+        expect(toUTM({ lat: 85, lng: -60 })).toMatchObject({ zone: 0, band: 'Y', hemisphere: 'N' });
+        expect(toUTM({ lat: -82, lng: 100 })).toMatchObject({ zone: 0, band: 'B', hemisphere: 'S' });
+        expect(toUTM({ lat: 83.9, lng: 0 }).zone).toBe(31);
+        expect(toUTM({ lat: -80, lng: 0 }).band).toBe('C');
+      });
+
+      test('should convert UTM and UPS back to coordinates', () => {
+        const places = [
+          newYork,
+          losAngeles,
+          london,
+          paris,
+          { lat: -33.8688, lng: 151.2093 },
+          { lat: 86, lng: 120 },
+          { lat: -88, lng: -45 }
+        ];
+
+        places.forEach(place => {
+          const back = fromUTM(toUTM(place));
+          expect(back.lat).toBeCloseTo(place.lat, 9);
+          expect(back.lng).toBeCloseTo(place.lng, 9);
+        });
+
+        const parsed = fromUTM('38S 444140.54 3684706.36');
+        expect(parsed.lat).toBeCloseTo(33.3, 6);
+        expect(parsed.lng).toBeCloseTo(44.4, 6);
+        const position = { zone: 38, hemisphere: 'N', easting: 444140.54, northing: 3684706.36 };
+        expect(fromUTM(position)).toEqual(parsed);
+        expect(fromUTM('Z 2000000 2000000').lat).toBe(90);
+      });
+
+      test('should encode MGRS references at any precision', () => {
+        expect(encodeMGRS({ lat: 33.3, lng: 44.4 })).toBe('38SMB4414084706');
+        expect(encodeMGRS({ lat: 33.3, lng: 44.4 }, 3)).toBe('38SMB441847');
+        expect(encodeMGRS({ lat: 33.3, lng: 44.4 }, 0)).toBe('38SMB');
+        expect(encodeMGRS({ lat: 90, lng: 0 })).toBe('ZAH0000000000');
+        expect(encodeMGRS({ lat: -90, lng: 0 })).toBe('BAN0000000000');
+      });
+
+      test('should decode MGRS references to the center of their square', () => {
+        const honolulu = decodeMGRS('4QFJ12345678');
+        expect(honolulu.lat).toBeCloseTo(21.3095, 3);
+        expect(honolulu.lng).toBeCloseTo(-157.9168, 3);
+
+        expect(decodeMGRS('38s mb 44140 84706')).toEqual(decodeMGRS('38SMB4414084706'));
+        const point = { lat: 33.3, lng: 44.4 };
+        expect(calculateDistance(decodeMGRS('38SMB4414084706'), point, 'meters')).toBeLessThan(1);
+        expect(calculateDistance(decodeMGRS('38SMB'), point, 'km')).toBeLessThan(71);
+      });
+
+      test('should round-trip MGRS references around the globe', () => {
+        let seed = 11;
+        const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+
+        for (let i = 0; i < 500; i++) {
+          const place = { lat: random() * 180 - 90, lng: random() * 360 - 180 };
+          const reference = encodeMGRS(place, 4);
+          expect(encodeMGRS(decodeMGRS(reference), 4)).toBe(reference);
+          expect(calculateDistance(decodeMGRS(reference), place, 'meters')).toBeLessThan(7.1);
+        }
+      });
+
+      test('should plug converted points into the distance and geofence functions', () => {
+        const zone = { center: fromUTM('18T 583960 4507523'), radius: 2, unit: 'km' };
+        expect(isCoordinateInGeofence(decodeMGRS('18TWL8396007523'), zone)).toBe(true);
+        expect(calculateDistance(fromUTM('18T 583960 4507523'), newYork, 'km')).toBeLessThan(1);
+      });
+    });
+
+    describe('UTM and MGRS - Error Handling', () => {
+      test('should throw error for invalid coordinates and precision', () => {
+        expect(() => toUTM({ lat: 95, lng: 0 })).toThrow('coord latitude must be between -90 and 90 degrees');
+        expect(() => encodeMGRS(newYork, 6)).toThrow('Precision must be an integer between 0 and 5');
+      });
+
+      test('should throw error for invalid UTM positions', () => {
+        expect(() => fromUTM('18S 323487')).toThrow('utm must be a UTM position such as "18S 323487 4306483"');
+        expect(() => fromUTM({ zone: 61, band: 'S', easting: 1, northing: 1 })).toThrow(
+          'utm.zone must be an integer from 1 to 60, or 0 for UPS'
+        );
+        expect(() => fromUTM({ zone: 18, easting: 500000, northing: 1 })).toThrow(
+          'utm must have a band or a hemisphere'
+        );
+        expect(() => fromUTM({ zone: 18, band: 'C', hemisphere: 'N', easting: 500000, northing: 1 })).toThrow(
+          'utm band C is not in hemisphere N'
+        );
+        expect(() => fromUTM({ zone: 0, band: 'S', easting: 1, northing: 1 })).toThrow(
+          'utm.band must be one of A, B, Y, Z in zone 0'
+        );
+        expect(() => fromUTM({ zone: 18, band: 'S', easting: -5, northing: 1 })).toThrow(
+          'utm.easting must be a number from 0 to 1000000'
+        );
+      });
+
+      test('should throw error for invalid MGRS references', () => {
+        expect(() => decodeMGRS(42)).toThrow('MGRS reference must be a string');
+        expect(() => decodeMGRS('18S')).toThrow('Invalid MGRS reference: 18S');
+        expect(() => decodeMGRS('18SUJ123')).toThrow('must have the same number of easting and northing digits');
+        expect(() => decodeMGRS('18IUJ')).toThrow('Invalid MGRS reference: 18IUJ has no zone 18I');
+        expect(() => decodeMGRS('18SZZ')).toThrow(
+          'Invalid MGRS reference: 18SZZ has no 100 km square ZZ in zone 18'
+        );
+      });
+    });
+
+    describe('Web Mercator and Tiles', () => {
+      test('should convert coordinates to and from Web Mercator meters', () => {
+        const { x, y } = toWebMercator(newYork);
+        expect(x).toBeCloseTo(-8238310.24, 2);
+        expect(y).toBeCloseTo(4970071.58, 2);
+        expect(toWebMercator({ lat: 0, lng: 180 }).x).toBeCloseTo(20037508.34, 2);
+
+        const back = fromWebMercator({ x, y });
+        expect(back.lat).toBeCloseTo(newYork.lat, 10);
+        expect(back.lng).toBeCloseTo(newYork.lng, 10);
+      });
+
+      test('should clamp latitudes to the edge of the Web Mercator map', () => {
+        const edge = toWebMercator({ lat: 85.0511287798066, lng: 0 }).y;
+        expect(edge).toBeCloseTo(20037508.34, 2);
+        expect(toWebMercator({ lat: 90, lng: 0 }).y).toBe(edge);
+        expect(toWebMercator({ lat: -89, lng: 0 }).y).toBeCloseTo(-edge, 6);
+      });
+
+      test('should convert coordinates to and from pixels', () => {
+        const pixel = coordinateToPixel(newYork, 10);
+        expect(pixel.x).toBeCloseTo(77182.475, 3);
+        expect(pixel.y).toBeCloseTo(98561.110, 3);
+        expect(coordinateToPixel(newYork, 10, 512).x).toBeCloseTo(2 * pixel.x, 6);
+        expect(coordinateToPixel({ lat: 0, lng: 0 }, 0)).toEqual({ x: 128, y: 128 });
+
+        const back = pixelToCoordinate(pixel, 10);
+        expect(back.lat).toBeCloseTo(newYork.lat, 10);
+        expect(back.lng).toBeCloseTo(newYork.lng, 10);
+
+        const fractional = coordinateToPixel(london, 9.5);
+        expect(pixelToCoordinate(fractional, 9.5).lat).toBeCloseTo(london.lat, 10);
+      });
+
+      test('should find the tile containing a coordinate', () => {
+        expect(coordinateToTile(newYork, 12)).toEqual({ x: 1205, y: 1540, z: 12 });
+        expect(coordinateToTile(london, 0)).toEqual({ x: 0, y: 0, z: 0 });
+        expect(coordinateToTile({ lat: 89, lng: 180 }, 3)).toEqual({ x: 0, y: 0, z: 3 });
+        expect(coordinateToTile({ lat: -90, lng: 179.9 }, 3)).toEqual({ x: 7, y: 7, z: 3 });
+      });
+
+      test('should calculate tile bounding boxes', () => {
+        const tile = coordinateToTile(newYork, 12);
+        const box = tileToBoundingBox(tile);
+        expect(boundingBoxContains(box, newYork)).toBe(true);
+        expect(box.east - box.west).toBeCloseTo(360 / 4096, 10);
+
+        expect(tileToBoundingBox({ x: 0, y: 0, z: 0 })).toEqual({
+          south: -85.0511287798066,
+          west: -180,
+          north: 85.0511287798066,
+          east: 180
+        });
+        expect(tileToBoundingBox({ x: 1, y: 0, z: 1 })).toMatchObject({ south: 0, west: 0, east: 180 });
+      });
+
+      test('should find the tiles covering a geofence', () => {
+        const zone = [
+          { lat: 40.7128, lng: -74.0060 },
+          { lat: 40.7614, lng: -73.9776 },
+          { lat: 40.7505, lng: -73.9934 }
+        ];
+        const tiles = getTilesCoveringGeofence(zone, 14);
+
+        expect(tiles).toEqual([
+          { x: 4824, y: 6157, z: 14 },
+          { x: 4825, y: 6157, z: 14 },
+          { x: 4824, y: 6158, z: 14 },
+          { x: 4823, y: 6159, z: 14 },
+          { x: 4824, y: 6159, z: 14 },
+          { x: 4823, y: 6160, z: 14 }
+        ]);
+        zone.forEach((coord) => {
+          expect(tiles).toContainEqual(coordinateToTile(coord, 14));
+        });
+      });
+
+      test('should cover the inside of large geofences and leave out holes', () => {
+        const outer = [
+          { lat: 0, lng: 0 },
+          { lat: 0, lng: 90 },
+          { lat: 60, lng: 90 },
+          { lat: 60, lng: 0 }
+        ];
+        const hole = [
+          { lat: 10, lng: 20 },
+          { lat: 10, lng: 70 },
+          { lat: 50, lng: 70 },
+          { lat: 50, lng: 20 }
+        ];
+        const tiles = getTilesCoveringGeofence([outer, hole], 4, { interior: 'smaller' });
+
+        expect(tiles).toContainEqual(coordinateToTile({ lat: 5, lng: 45 }, 4));
+        expect(tiles).not.toContainEqual(coordinateToTile({ lat: 30, lng: 45 }, 4));
+        expect(tiles).not.toContainEqual(coordinateToTile({ lat: -30, lng: 45 }, 4));
+      });
+
+      test('should cover circles, the antimeridian and the poles', () => {
+        const circleTiles = getTilesCoveringGeofence({ center: newYork, radius: 50, unit: 'km' }, 9);
+        expect(circleTiles).toContainEqual(coordinateToTile(newYork, 9));
+        circleTiles.forEach((tile) => {
+          const box = tileToBoundingBox(tile);
+          expect(box.south).toBeLessThan(41.2);
+          expect(box.north).toBeGreaterThan(40.2);
+        });
+
+        const pacific = [
+          { lat: 10, lng: 170 },
+          { lat: 10, lng: -170 },
+          { lat: -10, lng: -170 },
+          { lat: -10, lng: 170 }
+        ];
+        expect(getTilesCoveringGeofence(pacific, 1)).toEqual([
+          { x: 0, y: 0, z: 1 },
+          { x: 1, y: 0, z: 1 },
+          { x: 0, y: 1, z: 1 },
+          { x: 1, y: 1, z: 1 }
+        ]);
+
+        const arctic = [
+          { lat: 88, lng: 0 },
+          { lat: 88, lng: 120 },
+          { lat: 88, lng: -120 }
+        ];
+        expect(getTilesCoveringGeofence(arctic, 2)).toEqual([
+          { x: 0, y: 0, z: 2 },
+          { x: 1, y: 0, z: 2 },
+          { x: 2, y: 0, z: 2 },
+          { x: 3, y: 0, z: 2 }
+        ]);
+      });
+    });
+
+    describe('Web Mercator and Tiles - Error Handling', () => {
+      test('should throw error for invalid coordinates and points', () => {
+        expect(() => toWebMercator({ lat: 95, lng: 0 })).toThrow('coord latitude must be between -90 and 90 degrees');
+        expect(() => fromWebMercator({ x: 'a', y: 0 })).toThrow('point must be an object with numeric x and y');
+        expect(() => pixelToCoordinate(null, 3)).toThrow('pixel must be an object with numeric x and y');
+      });
+
+      test('should throw error for invalid zoom levels and tile sizes', () => {
+        expect(() => coordinateToPixel(newYork, -1)).toThrow('Zoom must be a number from 0 to 30');
+        expect(() => coordinateToTile(newYork, 2.5)).toThrow('Zoom must be an integer from 0 to 30');
+        expect(() => getTilesCoveringGeofence({ center: newYork, radius: 1 }, 31)).toThrow(
+          'Zoom must be an integer from 0 to 30'
+        );
+        expect(() => coordinateToPixel(newYork, 3, 0)).toThrow('Tile size must be a positive number');
+      });
+
+      test('should throw error for invalid tiles', () => {
+        expect(() => tileToBoundingBox('1/2/3')).toThrow('tile must be an object {x, y, z}');
+        expect(() => tileToBoundingBox({ x: 0, y: 0, z: -1 })).toThrow('tile.z must be an integer from 0 to 30');
+        expect(() => tileToBoundingBox({ x: 4, y: 0, z: 2 })).toThrow(
+          'tile.x must be an integer from 0 to 3 at zoom 2'
+        );
+      });
+
+      test('should throw error for invalid geofences', () => {
+        expect(() => getTilesCoveringGeofence([newYork, london], 3)).toThrow(
+          'At least 3 coordinates are required to form a geofence polygon'
+        );
+      });
+
+      test('should throw error for invalid options and oversized coverings', () => {
+        const region = [
+          { lat: 30, lng: -100 },
+          { lat: 30, lng: -80 },
+          { lat: 45, lng: -80 },
+          { lat: 45, lng: -100 }
+        ];
+        expect(() => getTilesCoveringGeofence(region, 18)).toThrow(
+          'Geofence is covered by more than 100000 tiles at zoom 18'
+        );
+        expect(() => getTilesCoveringGeofence(region, 6, { maxTiles: 10 })).toThrow(
+          'Geofence is covered by more than 10 tiles at zoom 6'
+        );
+        expect(getTilesCoveringGeofence(region, 3, { maxTiles: 10 })).toHaveLength(4);
+        expect(() => getTilesCoveringGeofence(region, 3, { maxTiles: 0 })).toThrow(
+          'Max tiles must be a positive integer'
+        );
+        expect(() => getTilesCoveringGeofence(region, 3, 'left')).toThrow('Options must be an object');
+        expect(() => getTilesCoveringGeofence(region, 3, { interior: 'inside' })).toThrow('Invalid interior: inside');
+      });
+    });
+
+    describe('Bounding Box Helpers', () => {
+      const box = { south: 0, west: 0, north: 10, east: 10 };
+      const pacific = { south: -20, west: 170, north: -10, east: -170 };
+
+      test('should check whether a box contains coordinates and boxes', () => {
+        expect(boundingBoxContains(box, { lat: 5, lng: 5 })).toBe(true);
+        expect(boundingBoxContains(box, { lat: 10, lng: 0 })).toBe(true);
+        expect(boundingBoxContains(box, { lat: 5, lng: 11 })).toBe(false);
+        expect(boundingBoxContains(box, { south: 1, west: 1, north: 9, east: 9 })).toBe(true);
+        expect(boundingBoxContains(box, { south: 1, west: 1, north: 9, east: 11 })).toBe(false);
+      });
+
+      test('should handle boxes across the antimeridian', () => {
+        expect(boundingBoxContains(pacific, { lat: -15, lng: 180 })).toBe(true);
+        expect(boundingBoxContains(pacific, { lat: -15, lng: -175 })).toBe(true);
+        expect(boundingBoxContains(pacific, { lat: -15, lng: 0 })).toBe(false);
+        expect(boundingBoxContains(pacific, { south: -15, west: 175, north: -12, east: -175 })).toBe(true);
+        expect(boundingBoxesIntersect(pacific, { south: -30, west: -175, north: 0, east: -160 })).toBe(true);
+        expect(boundingBoxesIntersect(pacific, { south: -30, west: 0, north: 0, east: 160 })).toBe(false);
+      });
+
+      test('should check whether boxes intersect', () => {
+        expect(boundingBoxesIntersect(box, { south: 5, west: 5, north: 15, east: 15 })).toBe(true);
+        expect(boundingBoxesIntersect(box, { south: 10, west: 10, north: 15, east: 15 })).toBe(true);
+        expect(boundingBoxesIntersect(box, { south: 11, west: 0, north: 15, east: 10 })).toBe(false);
+        expect(boundingBoxesIntersect({ south: -90, west: -180, north: 90, east: 180 }, pacific)).toBe(true);
+      });
+    });
+
+    describe('Bounding Box Helpers - Error Handling', () => {
+      test('should throw error for invalid boxes', () => {
+        expect(() => boundingBoxContains(null, newYork)).toThrow(
+          'box must be an object with south, west, north and east properties'
+        );
+        expect(() =>
+          boundingBoxesIntersect({ south: 0, west: 0, north: 1 }, { south: 0, west: 0, north: 1, east: 1 })
+        ).toThrow('box1 must have numeric south, west, north and east properties');
+        expect(() => boundingBoxContains({ south: 10, west: 0, north: 0, east: 1 }, newYork)).toThrow(
+          'box latitudes must be between -90 and 90 degrees with south not above north'
+        );
+        expect(() => boundingBoxContains({ south: 0, west: 0, north: 1, east: 190 }, newYork)).toThrow(
+          'box longitudes must be between -180 and 180 degrees'
+        );
+      });
+    });
+
+    describe('Bounding Box Prefilter', () => {
+      test('should find coordinates across the antimeridian', () => {
+        const fiji = { lat: -17, lng: 179.9 };
+        const points = [
+          { lat: -17, lng: -179.9, name: 'east' },
+          { lat: -17, lng: 179.5, name: 'west' },
+          { lat: -17, lng: 0, name: 'far' }
+        ];
+
+        expect(getCoordinatesWithinDistance(fiji, points, 50).map((point) => point.name)).toEqual(['east', 'west']);
+        expect(getClosestCoordinate(fiji, points).name).toBe('east');
+        expect(getKNearestCoordinates(fiji, points, 3, { maxDistance: 50 })).toHaveLength(2);
+      });
+
+      test('should find coordinates across a pole', () => {
+        const nearPole = { lat: 89.9, lng: 0 };
+        const points = [
+          { lat: 89.9, lng: 180, name: 'across' },
+          { lat: 85, lng: 0, name: 'south' }
+        ];
+
+        expect(getCoordinatesWithinDistance(nearPole, points, 30).map((point) => point.name)).toEqual(['across']);
+        expect(getClosestCoordinate(nearPole, points).name).toBe('across');
+      });
+
+      test('should include coordinates exactly at the maximum distance', () => {
+        const edge = getDestinationPoint(newYork, 0, 25);
+        const distance = calculateDistance(newYork, edge);
+
+        expect(getCoordinatesWithinDistance(newYork, [edge], distance)).toHaveLength(1);
+        expect(getCoordinatesWithinDistance(newYork, [edge], distance, 'km', 'vincenty')).toHaveLength(
+          calculateDistance(newYork, edge, 'km', 'vincenty') <= distance ? 1 : 0
+        );
+      });
+    });
+
+    describe('Path Length', () => {
+      const route = [
+        { lat: 40.7128, lng: -74.0060, name: 'New York' },
+        { lat: 39.9526, lng: -75.1652, name: 'Philadelphia' },
+        { lat: 38.9072, lng: -77.0369, name: 'Washington' }
+      ];
+      const firstLeg = calculateDistance(route[0], route[1]);
+      const secondLeg = calculateDistance(route[1], route[2]);
+
+      test('should sum the legs of a path', () => {
+        expect(calculatePathLength(route)).toBeCloseTo(firstLeg + secondLeg, 9);
+        expect(calculatePathLength(route, 'miles')).toBeCloseTo(
+          calculateDistance(route[0], route[1], 'miles') + calculateDistance(route[1], route[2], 'miles'),
+          9
+        );
+        expect(calculatePathLength(route, 'km', 'vincenty')).toBeCloseTo(
+          calculateDistance(route[0], route[1], 'km', 'vincenty') + calculateDistance(route[1], route[2], 'km', 'vincenty'),
+          9
+        );
+      });
+
+      test('should return 0 for paths with fewer than 2 coordinates', () => {
+        expect(calculatePathLength([])).toBe(0);
+        expect(calculatePathLength([newYork])).toBe(0);
+      });
+
+      test('should return cumulative distances at each vertex', () => {
+        const stops = getCumulativeDistances(route);
+
+        expect(stops.map((stop) => stop.name)).toEqual(['New York', 'Philadelphia', 'Washington']);
+        expect(stops[0].distance).toBe(0);
+        expect(stops[1].distance).toBeCloseTo(firstLeg, 9);
+        expect(stops[2].distance).toBeCloseTo(firstLeg + secondLeg, 9);
+        expect(route[0].distance).toBeUndefined();
+      });
+
+      test('should accept a GeoJSON LineString', () => {
+        const lineString = {
+          type: 'Feature',
+          geometry: { type: 'LineString', coordinates: route.map((coord) => [coord.lng, coord.lat]) },
+          properties: {}
+        };
+
+        expect(calculatePathLength(lineString)).toBeCloseTo(firstLeg + secondLeg, 9);
+      });
+    });
+
+    describe('Path Length - Error Handling', () => {
+      test('should throw error for non-array input', () => {
+        expect(() => calculatePathLength('not an array')).toThrow('Coordinates must be an array');
+        expect(() => getCumulativeDistances(null)).toThrow('Coordinates must be an array');
+      });
+
+      test('should throw error for invalid coordinates', () => {
+        expect(() => calculatePathLength([newYork, { lat: 95, lng: 0 }])).toThrow(
+          'coordinates[1] latitude must be between -90 and 90 degrees'
+        );
+      });
+
+      test('should throw error for invalid unit', () => {
+        expect(() => calculatePathLength([newYork, losAngeles], 'feet')).toThrow('Invalid unit: feet');
+      });
+    });
+
+    describe('getPointAlongPath', () => {
+      const path = [
+        { lat: 0, lng: 0 },
+        { lat: 0, lng: 10 },
+        { lat: 10, lng: 10 }
+      ];
+      const firstLeg = calculateDistance(path[0], path[1]);
+      const secondLeg = calculateDistance(path[1], path[2]);
+
+      test('should interpolate within a leg', () => {
+        const point = getPointAlongPath(path, firstLeg / 2);
+
+        expect(point.lat).toBeCloseTo(0, 9);
+        expect(point.lng).toBeCloseTo(5, 9);
+        expect(point.segmentIndex).toBe(0);
+        expect(point.fraction).toBeCloseTo(0.5, 9);
+      });
+
+      test('should continue into later legs', () => {
+        const point = getPointAlongPath(path, firstLeg + secondLeg / 4);
+
+        expect(point.segmentIndex).toBe(1);
+        expect(point.lat).toBeCloseTo(2.5, 6);
+        expect(point.lng).toBeCloseTo(10, 9);
+      });
+
+      test('should follow the great circle', () => {
+        // The great circle from 60°N 0°E to 60°N 90°E passes north of the parallel
+        const arc = [{ lat: 60, lng: 0 }, { lat: 60, lng: 90 }];
+        const point = getPointAlongPath(arc, calculatePathLength(arc) / 2);
+
+        expect(point.lng).toBeCloseTo(45, 9);
+        expect(point.lat).toBeGreaterThan(67);
+      });
+
+      test('should return the endpoints at distance 0 and the full length', () => {
+        expect(getPointAlongPath(path, 0)).toEqual({ lat: 0, lng: 0, segmentIndex: 0, fraction: 0 });
+
+        const end = getPointAlongPath(path, calculatePathLength(path));
+        expect(end.lat).toBeCloseTo(10, 9);
+        expect(end.lng).toBeCloseTo(10, 9);
+        expect(end.segmentIndex).toBe(1);
+      });
+
+      test('should return null beyond the end of the path or for an empty path', () => {
+        expect(getPointAlongPath(path, firstLeg + secondLeg + 1)).toBeNull();
+        expect(getPointAlongPath([], 0)).toBeNull();
+      });
+
+      test('should respect the unit', () => {
+        const point = getPointAlongPath(path, (firstLeg / 2) * 1000, 'meters');
+
+        expect(point.lng).toBeCloseTo(5, 9);
+      });
+    });
+
+    describe('getPointAlongPath - Error Handling', () => {
+      test('should throw error for non-array path', () => {
+        expect(() => getPointAlongPath('not an array', 1)).toThrow('Path must be an array');
+      });
+
+      test('should throw error for invalid distance', () => {
+        expect(() => getPointAlongPath([newYork, losAngeles], -1)).toThrow('Distance must be a non-negative number');
+        expect(() => getPointAlongPath([newYork, losAngeles], '1')).toThrow('Distance must be a non-negative number');
+      });
+
+      test('should throw error for invalid coordinates', () => {
+        expect(() => getPointAlongPath([newYork, { lat: 0, lng: 200 }], 1)).toThrow(
+          'path[1] longitude must be between -180 and 180 degrees'
+        );
+      });
+    });
+
+    describe('simplifyPath', () => {
+      // A track heading east with about 11 m of zig-zag jitter
+      const track = Array.from({ length: 101 }, (_, i) => ({ lat: i % 2 === 0 ? 0 : 0.0001, lng: i * 0.01, index: i }));
+
+      test('should remove jitter within the tolerance and keep the endpoints', () => {
+        ['douglas-peucker', 'visvalingam'].forEach((algorithm) => {
+          const simplified = simplifyPath(track, 50, { unit: 'meters', algorithm });
+
+          expect(simplified).toHaveLength(2);
+          expect(simplified[0]).toEqual(track[0]);
+          expect(simplified[1]).toEqual(track[100]);
+          expect(simplified[0]).not.toBe(track[0]);
+        });
+      });
+
+      test('should keep vertices beyond the tolerance', () => {
+        ['douglas-peucker', 'visvalingam'].forEach((algorithm) => {
+          expect(simplifyPath(track, 5, { unit: 'meters', algorithm })).toHaveLength(101);
+        });
+      });
+
+      test('should keep corners', () => {
+        const corner = [
+          { lat: 0, lng: 0 },
+          { lat: 0, lng: 0.5 },
+          { lat: 0.00001, lng: 1 },
+          { lat: 0.5, lng: 1 },
+          { lat: 1, lng: 1 }
+        ];
+
+        expect(simplifyPath(corner, 1)).toEqual([corner[0], corner[2], corner[4]]);
+        expect(simplifyPath(corner, 1, { algorithm: 'visvalingam' })).toEqual([corner[0], corner[2], corner[4]]);
+      });
+
+      test('should return short paths unchanged', () => {
+        expect(simplifyPath([], 1)).toEqual([]);
+        expect(simplifyPath([newYork, losAngeles], 1000)).toEqual([newYork, losAngeles]);
+      });
+    });
+
+    describe('simplifyPath - Error Handling', () => {
+      test('should throw error for invalid coordinates', () => {
+        expect(() => simplifyPath('not an array', 1)).toThrow('Coordinates must be an array');
+        expect(() => simplifyPath([newYork, { lat: 95, lng: 0 }], 1)).toThrow(
+          'coordinates[1] latitude must be between -90 and 90 degrees'
+        );
+      });
+
+      test('should throw error for invalid tolerance', () => {
+        expect(() => simplifyPath([newYork, losAngeles], -1)).toThrow('Tolerance must be a non-negative number');
+      });
+
+      test('should throw error for invalid algorithm', () => {
+        expect(() => simplifyPath([newYork, losAngeles], 1, { algorithm: 'radial' })).toThrow(
+          'Invalid algorithm: radial. Valid algorithms are: douglas-peucker, visvalingam'
+        );
+        expect(() => simplifyPath([newYork, losAngeles], 1, { algorithm: 1 })).toThrow('Algorithm must be a string');
+      });
+    });
+
+    describe('simplifyGeofence', () => {
+      // A 10 km circle-like ring with a few hundred metres of wobble
+      const wobbly = Array.from({ length: 720 }, (_, i) => {
+        const angle = (i * Math.PI) / 360;
+        const radius = 0.09 * (1 + 0.02 * Math.sin(13 * angle) + 0.002 * Math.sin(180 * angle));
+        return { lat: 40 + radius * Math.sin(angle), lng: -74 + (radius * Math.cos(angle)) / Math.cos((40 * Math.PI) / 180) };
+      });
+
+      test('should keep every removed vertex within the tolerance', () => {
+        ['douglas-peucker', 'visvalingam'].forEach((algorithm) => {
+          const simplified = simplifyGeofence(wobbly, 100, { unit: 'meters', algorithm });
+
+          expect(simplified.length).toBeLessThan(wobbly.length / 4);
+          wobbly.forEach((vertex) => {
+            expect(isCoordinateNearGeofence(vertex, simplified, 100.001, 'meters').isNear).toBe(true);
+          });
+        });
+      });
+
+      test('should keep at least 3 vertices in every ring', () => {
+        const hole = wobbly.map((vertex) => ({ lat: 40 + (vertex.lat - 40) / 10, lng: -74 + (vertex.lng + 74) / 10 }));
+        const [outer, simplifiedHole] = simplifyGeofence([wobbly, hole], 100, { unit: 'km' });
+
+        expect(outer).toHaveLength(3);
+        expect(simplifiedHole).toHaveLength(3);
+      });
+
+      test('should not let an edge cross a hole', () => {
+        // The bulge below the southern edge holds part of the hole
+        const outer = [
+          { lat: 0, lng: 0 },
+          { lat: -0.005, lng: 0.5 },
+          { lat: 0, lng: 1 },
+          { lat: 1, lng: 1 },
+          { lat: 1, lng: 0 }
+        ];
+        const hole = [
+          { lat: -0.003, lng: 0.45 },
+          { lat: -0.003, lng: 0.55 },
+          { lat: 0.002, lng: 0.5 }
+        ];
+
+        expect(simplifyGeofence(outer, 1)).toHaveLength(4);
+        ['douglas-peucker', 'visvalingam'].forEach((algorithm) => {
+          const [simplifiedOuter] = simplifyGeofence([outer, hole], 1, { algorithm });
+          expect(simplifiedOuter).toContainEqual({ lat: -0.005, lng: 0.5 });
+        });
+      });
+
+      test('should stay within the maximum area change', () => {
+        const area = calculateGeofenceArea(wobbly);
+        const loose = simplifyGeofence(wobbly, 2, { unit: 'km' });
+        const limited = simplifyGeofence(wobbly, 2, { unit: 'km', maxAreaChange: 0.01 });
+
+        expect(Math.abs(calculateGeofenceArea(loose) - area) / area).toBeGreaterThan(0.01);
+        expect(Math.abs(calculateGeofenceArea(limited) - area) / area).toBeLessThanOrEqual(0.01);
+        expect(limited.length).toBeLessThan(wobbly.length / 4);
+      });
+
+      test('should match the nesting of the input', () => {
+        const square = [
+          { lat: 0, lng: 0 },
+          { lat: 0, lng: 1 },
+          { lat: 1, lng: 1 },
+          { lat: 1, lng: 0 }
+        ];
+
+        expect(simplifyGeofence(square, 1)).toEqual(square);
+        expect(simplifyGeofence([square], 1)).toEqual([square]);
+        expect(simplifyGeofence([[square]], 1)).toEqual([[square]]);
+        expect(
+          simplifyGeofence({ type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]] }, 1)
+        ).toEqual([[square]]);
+      });
+
+      test('should reduce rings whose vertices all coincide to three', () => {
+        const point = [0, 1, 2, 3].map(() => ({ lat: 10, lng: 20 }));
+        ['douglas-peucker', 'visvalingam'].forEach(algorithm => {
+          expect(simplifyGeofence(point, 1, { algorithm })).toEqual(point.slice(0, 3));
+        });
+      });
+    });
+
+    describe('simplifyGeofence - Error Handling', () => {
+      const square = [
+        { lat: 0, lng: 0 },
+        { lat: 0, lng: 1 },
+        { lat: 1, lng: 1 },
+        { lat: 1, lng: 0 }
+      ];
+
+      test('should throw error for circles', () => {
+        expect(() => simplifyGeofence({ center: newYork, radius: 5 }, 1)).toThrow('Circle geofences cannot be simplified');
+      });
+
+      test('should throw error for invalid geofences', () => {
+        expect(() => simplifyGeofence(square.slice(0, 2), 1)).toThrow(
+          'At least 3 coordinates are required to form a geofence polygon'
+        );
+      });
+
+      test('should throw error for invalid tolerance and options', () => {
+        expect(() => simplifyGeofence(square, 'far')).toThrow('Tolerance must be a non-negative number');
+        expect(() => simplifyGeofence(square, 1, { maxAreaChange: -0.1 })).toThrow(
+          'Max area change must be a non-negative number'
+        );
+        expect(() => simplifyGeofence(square, 1, { interior: 'inside' })).toThrow('Invalid interior: inside');
+      });
+    });
+
+    describe('Geofence Measurements', () => {
+      const square = [
+        { lat: 0, lng: 0 },
+        { lat: 0, lng: 1 },
+        { lat: 1, lng: 1 },
+        { lat: 1, lng: 0 }
+      ];
+      const uShape = [
+        { lat: 0, lng: 0 },
+        { lat: 0, lng: 3 },
+        { lat: 3, lng: 3 },
+        { lat: 3, lng: 2 },
+        { lat: 1, lng: 2 },
+        { lat: 1, lng: 1 },
+        { lat: 3, lng: 1 },
+        { lat: 3, lng: 0 }
+      ];
+
+      test('should calculate the perimeter of rings, holes and circles', () => {
+        const side = calculateDistance({ lat: 0, lng: 0 }, { lat: 0, lng: 1 });
+        const top = calculateDistance({ lat: 1, lng: 0 }, { lat: 1, lng: 1 });
+        expect(calculateGeofencePerimeter(square)).toBeCloseTo(3 * side + top, 9);
+        expect(calculateGeofencePerimeter([...square, square[0]])).toBeCloseTo(3 * side + top, 9);
+        expect(calculateGeofencePerimeter(square, 'meters')).toBeCloseTo((3 * side + top) * 1000, 6);
+
+        const hole = [
+          { lat: 0.25, lng: 0.25 },
+          { lat: 0.75, lng: 0.25 },
+          { lat: 0.75, lng: 0.75 },
+          { lat: 0.25, lng: 0.75 }
+        ];
+        expect(calculateGeofencePerimeter([square, hole])).toBeCloseTo(
+          calculateGeofencePerimeter(square) + calculateGeofencePerimeter(hole),
+          9
+        );
+
+        expect(calculateGeofencePerimeter({ center: newYork, radius: 1 })).toBeCloseTo(2 * Math.PI, 5);
+        expect(calculateGeofencePerimeter(square, 'km', 'vincenty')).toBeCloseTo(calculateGeofencePerimeter(square), -1);
+      });
+
+      test('should calculate the spherical centroid', () => {
+        const centroid = getGeofenceCentroid(square);
+        expect(centroid.lat).toBeCloseTo(0.5, 4);
+        expect(centroid.lng).toBeCloseTo(0.5, 9);
+        expect(getGeofenceCentroid([...square].reverse())).toEqual(centroid);
+        expect(getGeofenceCentroid({ center: newYork, radius: 5 })).toEqual(newYork);
+      });
+
+      test('should place the centroid correctly across the antimeridian and around a pole', () => {
+        const dateLine = getGeofenceCentroid([
+          { lat: 0, lng: 179 },
+          { lat: 0, lng: -179 },
+          { lat: 2, lng: -179 },
+          { lat: 2, lng: 179 }
+        ]);
+        expect(dateLine.lat).toBeCloseTo(1, 3);
+        expect(Math.abs(dateLine.lng)).toBeCloseTo(180, 9);
+
+        const arctic = [];
+        for (let lng = -180; lng < 180; lng += 10) arctic.push({ lat: 80, lng });
+        expect(getGeofenceCentroid(arctic).lat).toBeCloseTo(90, 9);
+      });
+
+      test('should weight the centroid by area, not vertices', () => {
+        const dense = [{ lat: 0, lng: 0 }];
+        for (let i = 1; i < 100; i++) dense.push({ lat: 0, lng: i / 100 });
+        dense.push({ lat: 0, lng: 1 }, { lat: 1, lng: 1 }, { lat: 1, lng: 0 });
+        expect(getGeofenceCentroid(dense).lng).toBeCloseTo(0.5, 9);
+      });
+
+      test('should find an interior label point for concave geofences', () => {
+        const centroid = getGeofenceCentroid(uShape);
+        expect(isCoordinateInGeofence(centroid, uShape)).toBe(false);
+
+        const label = getPoleOfInaccessibility(uShape, { precision: 10, unit: 'meters' });
+        expect(isCoordinateInGeofence(label, uShape)).toBe(true);
+        expect(label.distance).toBeCloseTo(
+          -getSignedDistanceToGeofence(label, uShape, 'meters').distance,
+          6
+        );
+
+        // The largest inscribed circle fits in a corner of the U, about 0.59 degrees from each side
+        expect(label.distance).toBeGreaterThan(65000);
+        expect(label.distance).toBeLessThan(65200);
+      });
+
+      test('should find the pole of inaccessibility of circles, polar caps and antimeridian geofences', () => {
+        expect(getPoleOfInaccessibility({ center: newYork, radius: 5 })).toEqual({ ...newYork, distance: 5 });
+
+        const arctic = [];
+        for (let lng = -180; lng < 180; lng += 10) arctic.push({ lat: 80, lng });
+        expect(getPoleOfInaccessibility(arctic).lat).toBeCloseTo(90, 3);
+
+        const dateLine = getPoleOfInaccessibility([
+          { lat: 0, lng: 179 },
+          { lat: 0, lng: -179 },
+          { lat: 2, lng: -179 },
+          { lat: 2, lng: 179 }
+        ]);
+        expect(Math.abs(dateLine.lng)).toBeCloseTo(180, 1);
+        expect(dateLine.distance).toBeGreaterThan(110);
+      });
+    });
+
+    describe('Geofence Measurements - Error Handling', () => {
+      test('should throw error for invalid geofences', () => {
+        expect(() => calculateGeofencePerimeter('zone')).toThrow('Geofence must be an array of coordinates');
+        expect(() => getGeofenceCentroid([{ lat: 0, lng: 0 }])).toThrow(
+          'At least 3 coordinates are required to form a geofence polygon'
+        );
+        expect(() => getPoleOfInaccessibility({ center: newYork, radius: -1 })).toThrow(
+          'geofence.radius must be a non-negative number'
+        );
+      });
+
+      test('should throw error for invalid options', () => {
+        const triangle = [newYork, losAngeles, london];
+        expect(() => calculateGeofencePerimeter(triangle, 'feet')).toThrow('Invalid unit: feet');
+        expect(() => calculateGeofencePerimeter(triangle, 'km', 'flat')).toThrow('Invalid method: flat');
+        expect(() => getGeofenceCentroid(triangle, 'inside')).toThrow('Invalid interior: inside');
+        expect(() => getPoleOfInaccessibility(triangle, { precision: 0 })).toThrow('Precision must be a positive number');
+        expect(() => getPoleOfInaccessibility(triangle, null)).toThrow('Options must be an object');
+      });
+    });
+
+    describe('getConvexHull', () => {
+      test('should return the hull counter-clockwise without interior or edge points', () => {
+        const hull = getConvexHull([
+          { lat: 0, lng: 0 },
+          { lat: 1, lng: 1 },
+          { lat: 0.5, lng: 0.5 },
+          { lat: 0, lng: 2 },
+          { lat: 2, lng: 1, name: 'north' },
+          { lat: 0, lng: 0 }
+        ]);
+        expect(hull).toEqual([
+          { lat: 0, lng: 0 },
+          { lat: 0, lng: 2 },
+          { lat: 2, lng: 1, name: 'north' }
+        ]);
+        expect(validateGeofence(hull).valid).toBe(true);
+      });
+
+      test('should contain every input coordinate', () => {
+        const customers = [];
+        for (let i = 0; i < 50; i++) {
+          customers.push({ lat: 40.7 + Math.sin(i * 1.7) * 0.1, lng: -74 + Math.cos(i * 2.3) * 0.1 });
+        }
+        const hull = getConvexHull(customers);
+        expect(hull.length).toBeGreaterThanOrEqual(3);
+        customers
+          .filter((customer) => !hull.some((vertex) => vertex.lat === customer.lat && vertex.lng === customer.lng))
+          .forEach((customer) => {
+            expect(isCoordinateInGeofence(customer, hull)).toBe(true);
+          });
+      });
+
+      test('should handle the antimeridian, poles and degenerate sets', () => {
+        expect(getConvexHull([{ lat: 0, lng: 179 }, { lat: 0, lng: -179 }, { lat: 1, lng: 180 }])).toHaveLength(3);
+        expect(getConvexHull([{ lat: 89, lng: 0 }, { lat: 89, lng: 120 }, { lat: 89, lng: -120 }, { lat: 90, lng: 0 }])).toHaveLength(3);
+        expect(getConvexHull([])).toEqual([]);
+        expect(getConvexHull([newYork, newYork])).toEqual([newYork]);
+        expect(getConvexHull([{ lat: 0, lng: 0 }, { lat: 0, lng: 1 }, { lat: 0, lng: 2 }])).toEqual([
+          { lat: 0, lng: 0 },
+          { lat: 0, lng: 2 }
+        ]);
+      });
+    });
+
+    describe('getConvexHull - Error Handling', () => {
+      test('should throw error for invalid coordinates', () => {
+        expect(() => getConvexHull('points')).toThrow('Coordinates must be an array');
+        expect(() => getConvexHull([newYork, { lat: 91, lng: 0 }])).toThrow(
+          'coordinates[1] latitude must be between -90 and 90 degrees'
+        );
+      });
+
+      test('should throw error for coordinates spread over more than a hemisphere', () => {
+        expect(() => getConvexHull([{ lat: 0, lng: 0 }, { lat: 0, lng: 180 }])).toThrow(
+          'Coordinates must all lie within 90 degrees of their average position'
+        );
+      });
+    });
+
+    describe('Buffers', () => {
+      const square = [
+        { lat: 0, lng: 0 },
+        { lat: 0, lng: 1 },
+        { lat: 1, lng: 1 },
+        { lat: 1, lng: 0 }
+      ];
+
+      test('should buffer a point with every vertex at the distance', () => {
+        const ring = bufferPoint({ lat: 60, lng: 10 }, 2, 'km', { steps: 8 });
+        expect(ring).toHaveLength(8);
+        ring.forEach((vertex) => {
+          expect(calculateDistance({ lat: 60, lng: 10 }, vertex)).toBeCloseTo(2, 9);
+        });
+        expect(validateGeofence(ring).valid).toBe(true);
+        expect(bufferPoint(newYork, 500, 'meters')).toHaveLength(64);
+      });
+
+      test('should buffer a path into a corridor with rounded ends', () => {
+        const path = [{ lat: 0, lng: 0 }, { lat: 0, lng: 1 }];
+        const corridor = bufferPath(path, 10);
+        expect(corridor).toHaveLength(1);
+        expect(corridor[0]).toHaveLength(1);
+
+        const length = calculatePathLength(path);
+        expect(calculateGeofenceArea(corridor)).toBeCloseTo(2 * 10 * length + Math.PI * 100, -1);
+        expect(isCoordinateInGeofence({ lat: 0.089, lng: 0.5 }, corridor)).toBe(true);
+        expect(isCoordinateInGeofence({ lat: 0.091, lng: 0.5 }, corridor)).toBe(false);
+        expect(isCoordinateInGeofence({ lat: 0, lng: 1.089 }, corridor)).toBe(true);
+      });
+
+      test('should keep corridor widths accurate at high latitudes', () => {
+        const path = [{ lat: 80, lng: 0 }, { lat: 80, lng: 40 }];
+        const corridor = bufferPath(path, 10);
+        const middle = getMidpoint(path[0], path[1]);
+        const bearing = calculateBearing(middle, path[1]);
+        expect(isCoordinateInGeofence(getDestinationPoint(middle, bearing + 90, 9.9), corridor)).toBe(true);
+        expect(isCoordinateInGeofence(getDestinationPoint(middle, bearing + 90, 10.1), corridor)).toBe(false);
+        expect(isCoordinateInGeofence(getDestinationPoint(middle, bearing - 90, 9.9), corridor)).toBe(true);
+        expect(isCoordinateInGeofence(getDestinationPoint(middle, bearing - 90, 10.1), corridor)).toBe(false);
+      });
+
+      test('should leave a hole inside a looping path', () => {
+        const loop = [
+          { lat: 0, lng: 0 },
+          { lat: 0, lng: 2 },
+          { lat: 2, lng: 2 },
+          { lat: 2, lng: 0 },
+          { lat: -0.5, lng: 0 }
+        ];
+        const corridor = bufferPath(loop, 20);
+        expect(corridor).toHaveLength(1);
+        expect(corridor[0]).toHaveLength(2);
+        expect(isCoordinateInGeofence({ lat: 1, lng: 1 }, corridor)).toBe(false);
+        expect(isCoordinateInGeofence({ lat: 1, lng: 0.1 }, corridor)).toBe(true);
+        expect(validateGeofence(corridor).valid).toBe(true);
+      });
+
+      test('should buffer a path that never moves as a point', () => {
+        expect(bufferPath([newYork, newYork], 1)).toEqual([[bufferPoint(newYork, 1)]]);
+      });
+
+      test('should grow a geofence', () => {
+        const grown = bufferGeofence(square, 10);
+        const area = calculateGeofenceArea(square);
+        const perimeter = calculateGeofencePerimeter(square);
+        expect(calculateGeofenceArea(grown)).toBeCloseTo(area + perimeter * 10 + Math.PI * 100, -1);
+        expect(validateGeofence(grown).valid).toBe(true);
+        expect(isCoordinateInGeofence({ lat: -0.089, lng: 0.5 }, grown)).toBe(true);
+        expect(isCoordinateInGeofence({ lat: -0.091, lng: 0.5 }, grown)).toBe(false);
+      });
+
+      test('should shrink a geofence, splitting or removing it', () => {
+        const shrunk = bufferGeofence(square, -10);
+        expect(shrunk).toHaveLength(1);
+        expect(calculateGeofenceArea(shrunk)).toBeCloseTo((Math.sqrt(calculateGeofenceArea(square)) - 20) ** 2, -1);
+        expect(isCoordinateInGeofence({ lat: 0.091, lng: 0.5 }, shrunk)).toBe(true);
+        expect(isCoordinateInGeofence({ lat: 0.089, lng: 0.5 }, shrunk)).toBe(false);
+
+        const dumbbell = [
+          { lat: 0, lng: 0 },
+          { lat: 0, lng: 1 },
+          { lat: 0.45, lng: 1 },
+          { lat: 0.45, lng: 2 },
+          { lat: 0, lng: 2 },
+          { lat: 0, lng: 3 },
+          { lat: 1, lng: 3 },
+          { lat: 1, lng: 2 },
+          { lat: 0.55, lng: 2 },
+          { lat: 0.55, lng: 1 },
+          { lat: 1, lng: 1 },
+          { lat: 1, lng: 0 }
+        ];
+        expect(bufferGeofence(dumbbell, -10)).toHaveLength(2);
+        expect(bufferGeofence(square, -60)).toBeNull();
+      });
+
+      test('should merge nearby polygons and fill holes as a geofence grows', () => {
+        const neighbor = [
+          { lat: 0, lng: 1.1 },
+          { lat: 0, lng: 2 },
+          { lat: 1, lng: 2 },
+          { lat: 1, lng: 1.1 }
+        ];
+        expect(bufferGeofence([[square], [neighbor]], 10)).toHaveLength(1);
+
+        const hole = [
+          { lat: 0.3, lng: 0.3 },
+          { lat: 0.7, lng: 0.3 },
+          { lat: 0.7, lng: 0.7 },
+          { lat: 0.3, lng: 0.7 }
+        ];
+        expect(bufferGeofence([square, hole], 5)[0]).toHaveLength(2);
+        expect(bufferGeofence([square, hole], 30)[0]).toHaveLength(1);
+        expect(isCoordinateInGeofence({ lat: 0.5, lng: 0.5 }, bufferGeofence([square, hole], -5))).toBe(false);
+      });
+
+      test('should buffer across the antimeridian and around a pole', () => {
+        const dateLine = bufferGeofence(
+          [
+            { lat: 0, lng: 179.5 },
+            { lat: 0, lng: -179.5 },
+            { lat: 1, lng: -179.5 },
+            { lat: 1, lng: 179.5 }
+          ],
+          10
+        );
+        expect(isCoordinateInGeofence({ lat: 1.05, lng: 180 }, dateLine)).toBe(true);
+        expect(isCoordinateInGeofence({ lat: 1.1, lng: 180 }, dateLine)).toBe(false);
+
+        const arctic = [];
+        for (let lng = -180; lng < 180; lng += 10) arctic.push({ lat: 80, lng });
+        const grown = bufferGeofence(arctic, 100);
+        expect(isCoordinateInGeofence({ lat: 79.2, lng: 5 }, grown)).toBe(true);
+        expect(isCoordinateInGeofence({ lat: 78.9, lng: 5 }, grown)).toBe(false);
+      });
+
+      test('should adjust the radius of circles and copy other geofences for a zero distance', () => {
+        expect(bufferGeofence({ center: newYork, radius: 5, unit: 'miles' }, 1000, 'meters')).toEqual({
+          center: newYork,
+          radius: expect.closeTo(9046.72, 2),
+          unit: 'meters'
+        });
+        expect(bufferGeofence({ center: newYork, radius: 1 }, -2)).toBeNull();
+        expect(bufferGeofence(square, 0)).toEqual([[square]]);
+      });
+    });
+
+    describe('Buffers - Error Handling', () => {
+      test('should throw error for invalid inputs', () => {
+        expect(() => bufferPoint({ lat: 91, lng: 0 }, 1)).toThrow('center latitude must be between -90 and 90 degrees');
+        expect(() => bufferPath([], 1)).toThrow('Path must be a non-empty array');
+        expect(() => bufferGeofence('zone', 1)).toThrow('Geofence must be an array of coordinates');
+      });
+
+      test('should throw error for invalid distances', () => {
+        expect(() => bufferPoint(newYork, 0)).toThrow('Distance must be a positive number');
+        expect(() => bufferPath([newYork, losAngeles], -1)).toThrow('Distance must be a positive number');
+        expect(() => bufferGeofence([newYork, losAngeles, london], NaN)).toThrow('Distance must be a finite number');
+      });
+
+      test('should throw error for invalid options', () => {
+        expect(() => bufferPoint(newYork, 1, 'feet')).toThrow('Invalid unit: feet');
+        expect(() => bufferPoint(newYork, 1, 'km', { steps: 2 })).toThrow('Steps must be an integer of at least 3');
+        expect(() => bufferPath([newYork, losAngeles], 1, 'km', null)).toThrow('Options must be an object');
+        expect(() => bufferGeofence([newYork, losAngeles, london], 1, 'km', { interior: 'inside' })).toThrow(
+          'Invalid interior: inside'
+        );
+      });
+    });
+
+    describe('Boolean Operations', () => {
+      const square = (lat, lng, size) => [
+        { lat: lat, lng: lng },
+        { lat: lat, lng: lng + size },
+        { lat: lat + size, lng: lng + size },
+        { lat: lat + size, lng: lng }
+      ];
+      const zoneA = square(0, 0, 2);
+      const zoneB = square(1, 1, 2);
+      const areaA = calculateGeofenceArea(zoneA);
+      const areaB = calculateGeofenceArea(zoneB);
+
+      test('should find the intersection of overlapping geofences', () => {
+        const overlap = getGeofenceIntersection(zoneA, zoneB);
+        expect(overlap).toHaveLength(1);
+        expect(overlap[0]).toHaveLength(1);
+        expect(overlap[0][0]).toHaveLength(4);
+        expect(overlap[0][0]).toContainEqual({ lat: 2, lng: 2 });
+        expect(overlap[0][0]).toContainEqual({ lat: 1, lng: 1 });
+        expect(isCoordinateInGeofence({ lat: 1.5, lng: 1.5 }, overlap)).toBe(true);
+        expect(isCoordinateInGeofence({ lat: 0.5, lng: 0.5 }, overlap)).toBe(false);
+        expect(validateGeofence(overlap).valid).toBe(true);
+      });
+
+      test('should report overlap area through calculateGeofenceArea', () => {
+        const overlapArea = calculateGeofenceArea(getGeofenceIntersection(zoneA, zoneB));
+        const union = getGeofenceUnion(zoneA, zoneB);
+        const difference = getGeofenceDifference(zoneA, zoneB);
+        const symmetric = getGeofenceSymmetricDifference(zoneA, zoneB);
+
+        expect(overlapArea).toBeGreaterThan(0);
+        expect(calculateGeofenceArea(union)).toBeCloseTo(areaA + areaB - overlapArea, 6);
+        expect(calculateGeofenceArea(difference)).toBeCloseTo(areaA - overlapArea, -1);
+        expect(calculateGeofenceArea(symmetric)).toBeCloseTo(areaA + areaB - 2 * overlapArea, -1);
+        expect(symmetric).toHaveLength(2);
+      });
+
+      test('should combine geofences into shapes the other functions accept', () => {
+        const union = getGeofenceUnion(zoneA, zoneB);
+        expect(union).toHaveLength(1);
+        expect(union[0][0]).toHaveLength(8);
+        expect(isCoordinateInGeofence({ lat: 0.5, lng: 0.5 }, union)).toBe(true);
+        expect(isCoordinateInGeofence({ lat: 2.5, lng: 2.5 }, union)).toBe(true);
+        expect(isCoordinateInGeofence({ lat: 0.5, lng: 2.5 }, union)).toBe(false);
+        expect(validateGeofence(union).valid).toBe(true);
+        expect(toGeoJSONGeometry(union).type).toBe('Polygon');
+      });
+
+      test('should remove no-go zones as holes or notches', () => {
+        const noGo = square(0.5, 0.5, 0.5);
+        const withHole = getGeofenceDifference(zoneA, noGo);
+        expect(withHole).toHaveLength(1);
+        expect(withHole[0]).toHaveLength(2);
+        expect(isCoordinateInGeofence({ lat: 0.75, lng: 0.75 }, withHole)).toBe(false);
+        expect(isCoordinateInGeofence({ lat: 1.5, lng: 1.5 }, withHole)).toBe(true);
+
+        // A no-go zone along the boundary cuts a notch instead of leaving a hole
+        const notched = getGeofenceDifference(zoneA, square(0, 0.5, 0.5));
+        expect(notched).toHaveLength(1);
+        expect(notched[0]).toHaveLength(1);
+        expect(notched[0][0]).toHaveLength(8);
+        expect(validateGeofence(notched).valid).toBe(true);
+      });
+
+      test('should split results that touch themselves at a point', () => {
+        // A no-go zone touching the boundary at one point leaves a hole touching the outer ring
+        const touching = getGeofenceDifference(zoneA, [
+          { lat: 0, lng: 1 },
+          { lat: 1, lng: 1.5 },
+          { lat: 1, lng: 0.5 }
+        ]);
+        expect(touching).toHaveLength(1);
+        expect(touching[0]).toHaveLength(2);
+        expect(touching[0][0]).toContainEqual({ lat: 0, lng: 1 });
+        expect(touching[0][1]).toHaveLength(3);
+        expect(isCoordinateInGeofence({ lat: 0.5, lng: 1 }, touching)).toBe(false);
+        expect(isCoordinateInGeofence({ lat: 0.1, lng: 0.5 }, touching)).toBe(true);
+        expect(validateGeofence(touching).valid).toBe(true);
+
+        // Two no-go zones touching at a corner leave two holes
+        const holes = getGeofenceDifference(square(0, 0, 4), [[square(1, 1, 1)], [square(2, 2, 1)]]);
+        expect(holes).toHaveLength(1);
+        expect(holes[0]).toHaveLength(3);
+        expect(holes[0][1]).toHaveLength(4);
+        expect(holes[0][2]).toHaveLength(4);
+        expect(calculateGeofenceArea(holes)).toBeCloseTo(
+          calculateGeofenceArea(square(0, 0, 4)) -
+            calculateGeofenceArea(square(1, 1, 1)) -
+            calculateGeofenceArea(square(2, 2, 1)),
+          6
+        );
+        expect(validateGeofence(holes).valid).toBe(true);
+      });
+
+      test('should keep geofences that only share a corner apart', () => {
+        const union = getGeofenceUnion(square(0, 0, 1), square(1, 1, 1));
+        expect(union).toHaveLength(2);
+        expect(union[0][0]).toHaveLength(4);
+        expect(union[1][0]).toHaveLength(4);
+        expect(getGeofenceIntersection(square(0, 0, 1), square(1, 1, 1))).toBeNull();
+      });
+
+      test('should merge geofences that share an edge', () => {
+        const neighbour = square(0, 2, 2);
+        const union = getGeofenceUnion(zoneA, neighbour);
+        expect(union).toHaveLength(1);
+        expect(union[0]).toHaveLength(1);
+        expect(calculateGeofenceArea(union)).toBeCloseTo(areaA + calculateGeofenceArea(neighbour), 3);
+        expect(getGeofenceIntersection(zoneA, neighbour)).toBeNull();
+        expect(getGeofenceDifference(zoneA, neighbour)).toEqual([[zoneA]]);
+      });
+
+      test('should handle identical, nested and separate geofences', () => {
+        const inner = square(0.5, 0.5, 1);
+        const far = square(10, 10, 1);
+        expect(getGeofenceIntersection(zoneA, zoneA)).toEqual([[zoneA]]);
+        expect(getGeofenceUnion(zoneA, zoneA)).toEqual([[zoneA]]);
+        expect(getGeofenceDifference(zoneA, zoneA)).toBeNull();
+        expect(getGeofenceSymmetricDifference(zoneA, zoneA)).toBeNull();
+        expect(getGeofenceIntersection(zoneA, inner)).toEqual([[inner]]);
+        expect(getGeofenceDifference(inner, zoneA)).toBeNull();
+        expect(getGeofenceIntersection(zoneA, far)).toBeNull();
+        expect(getGeofenceUnion(zoneA, far)).toHaveLength(2);
+      });
+
+      test('should accept circles, GeoJSON and either winding', () => {
+        const circle = { center: { lat: 1, lng: 1 }, radius: 50, unit: 'km' };
+        const overlap = getGeofenceIntersection(zoneA, circle, { steps: 32 });
+        expect(overlap[0][0]).toHaveLength(32);
+
+        const geoJSON = toGeoJSONGeometry(zoneB);
+        const clockwise = [...zoneB].reverse();
+        const expected = calculateGeofenceArea(getGeofenceIntersection(zoneA, zoneB));
+        expect(calculateGeofenceArea(getGeofenceIntersection(zoneA, geoJSON))).toBeCloseTo(expected, 6);
+        expect(calculateGeofenceArea(getGeofenceIntersection(zoneA, clockwise))).toBeCloseTo(expected, 6);
+      });
+
+      test('should check whether geofences intersect, contain or are disjoint', () => {
+        const inner = square(0.5, 0.5, 1);
+        const neighbour = square(0, 2, 2);
+        expect(geofencesIntersect(zoneA, zoneB)).toBe(true);
+        expect(geofencesIntersect(zoneA, neighbour)).toBe(false);
+        expect(geofencesDisjoint(zoneA, neighbour)).toBe(true);
+        expect(geofencesDisjoint(zoneA, zoneB)).toBe(false);
+        expect(geofenceContains(zoneA, inner)).toBe(true);
+        expect(geofenceContains(zoneA, square(0, 0, 1))).toBe(true);
+        expect(geofenceContains(zoneA, zoneB)).toBe(false);
+        expect(geofenceContains(inner, zoneA)).toBe(false);
+      });
+
+      test('should compare circles exactly', () => {
+        const circle = { center: { lat: 0, lng: 0 }, radius: 100, unit: 'km' };
+        const apart = calculateDistance({ lat: 0, lng: 0 }, { lat: 0, lng: 1.8 });
+        expect(geofencesIntersect(circle, { center: { lat: 0, lng: 1.8 }, radius: apart - 99 })).toBe(true);
+        expect(geofencesIntersect(circle, { center: { lat: 0, lng: 1.8 }, radius: apart - 101 })).toBe(false);
+        expect(geofenceContains(circle, { center: { lat: 0, lng: 0.1 }, radius: 80 })).toBe(true);
+        expect(geofenceContains(circle, { center: { lat: 0, lng: 0.5 }, radius: 80 })).toBe(false);
+        expect(geofenceContains(zoneA, { center: { lat: 1, lng: 1 }, radius: 100 })).toBe(true);
+        expect(geofenceContains(zoneA, { center: { lat: 1, lng: 1 }, radius: 120 })).toBe(false);
+        expect(geofenceContains({ center: { lat: 1, lng: 1 }, radius: 200 }, square(0.5, 0.5, 1))).toBe(true);
+        expect(geofencesIntersect(zoneA, { center: { lat: 2.5, lng: 1 }, radius: 56 })).toBe(true);
+        expect(geofencesIntersect(zoneA, { center: { lat: 2.5, lng: 1 }, radius: 55 })).toBe(false);
+      });
+    });
+
+    describe('Boolean Operations - Error Handling', () => {
+      const zone = [newYork, losAngeles, london];
+
+      test('should throw error for invalid geofences', () => {
+        expect(() => getGeofenceIntersection('zone', zone)).toThrow('Geofence must be an array of coordinates');
+        expect(() => getGeofenceUnion(zone, [newYork])).toThrow(
+          'At least 3 coordinates are required to form a geofence polygon'
+        );
+        expect(() => geofencesIntersect(zone, null)).toThrow('Geofence must be an array of coordinates');
+        expect(() => geofenceContains(zone, { center: newYork, radius: -1 })).toThrow();
+      });
+
+      test('should throw error for invalid options', () => {
+        expect(() => getGeofenceDifference(zone, zone, null)).toThrow('Options must be an object');
+        expect(() => getGeofenceSymmetricDifference(zone, zone, { steps: 2 })).toThrow(
+          'Steps must be an integer of at least 3'
+        );
+        expect(() => getGeofenceUnion(zone, zone, { interior: 'inside' })).toThrow('Invalid interior: inside');
+        expect(() => geofencesDisjoint(zone, zone, 'inside')).toThrow('Invalid interior: inside');
+      });
+    });
+
+    describe('validateGeofence', () => {
+      const square = [
+        { lat: 0, lng: 0 },
+        { lat: 0, lng: 1 },
+        { lat: 1, lng: 1 },
+        { lat: 1, lng: 0 }
+      ];
+      const bowTie = [
+        { lat: 0, lng: 0 },
+        { lat: 1, lng: 1 },
+        { lat: 1, lng: 0 },
+        { lat: 0, lng: 1 }
+      ];
+
+      test('should accept a valid geofence, with or without a closing vertex', () => {
+        expect(validateGeofence(square)).toEqual({ valid: true, problems: [] });
+        expect(validateGeofence([...square, square[0]]).valid).toBe(true);
+        expect(validateGeofence({ center: newYork, radius: 5 }).valid).toBe(true);
+      });
+
+      test('should report self-intersections with their edges and crossing point', () => {
+        const { valid, problems } = validateGeofence(bowTie);
+        expect(valid).toBe(false);
+        expect(problems).toHaveLength(1);
+        expect(problems[0]).toMatchObject({ type: 'self-intersection', polygon: 0, ring: 0, vertices: [0, 1, 2, 3] });
+        expect(problems[0].point.lat).toBeCloseTo(0.5, 3);
+        expect(problems[0].point.lng).toBeCloseTo(0.5, 6);
+      });
+
+      test('should report duplicate vertices and spikes', () => {
+        const { problems } = validateGeofence([
+          { lat: 0, lng: 0 },
+          { lat: 0, lng: 0 },
+          { lat: 0, lng: 2 },
+          { lat: 0, lng: 3 },
+          { lat: 0, lng: 2.5 },
+          { lat: 2, lng: 2 },
+          { lat: 2, lng: 0 }
+        ]);
+        expect(problems.map((problem) => [problem.type, problem.vertices])).toEqual([
+          ['duplicate-vertex', [0, 1]],
+          ['spike', [2, 3, 4]]
+        ]);
+      });
+
+      test('should report rings with too few distinct vertices', () => {
+        const { problems } = validateGeofence([{ lat: 0, lng: 0 }, { lat: 0, lng: 1 }, { lat: 0, lng: 0 }]);
+        expect(problems).toEqual([
+          expect.objectContaining({ type: 'too-few-vertices', vertices: [0, 1] })
+        ]);
+      });
+
+      test('should report winding against the right-hand rule', () => {
+        const clockwise = [...square].reverse();
+        expect(validateGeofence(clockwise).problems.map((problem) => problem.type)).toEqual(['winding']);
+        expect(validateGeofence(clockwise, 'winding').valid).toBe(true);
+
+        const hole = [
+          { lat: 0.25, lng: 0.25 },
+          { lat: 0.75, lng: 0.25 },
+          { lat: 0.75, lng: 0.75 },
+          { lat: 0.25, lng: 0.75 }
+        ];
+        expect(validateGeofence([square, hole]).valid).toBe(true);
+        expect(validateGeofence([square, [...hole].reverse()]).problems).toEqual([
+          expect.objectContaining({ type: 'winding', polygon: 0, ring: 1 })
+        ]);
+      });
+
+      test('should report crossing rings and holes outside their outer ring', () => {
+        const crossingHole = [
+          { lat: 0.5, lng: 0.5 },
+          { lat: 0.6, lng: 0.5 },
+          { lat: 0.6, lng: 1.5 }
+        ];
+        const farHole = [
+          { lat: 5, lng: 5 },
+          { lat: 5, lng: 6 },
+          { lat: 6, lng: 6 }
+        ];
+        const { problems } = validateGeofence([square, crossingHole, farHole]);
+        const types = problems.map((problem) => problem.type);
+        expect(types.filter((type) => type === 'ring-intersection')).toHaveLength(2);
+        expect(problems.find((problem) => problem.type === 'ring-intersection')).toMatchObject({
+          polygon: 0,
+          ring: 0,
+          vertices: [1, 2],
+          other: { polygon: 0, ring: 1 }
+        });
+        expect(problems.find((problem) => problem.type === 'hole-outside')).toMatchObject({ ring: 2 });
+      });
+    });
+
+    describe('validateGeofence - Error Handling', () => {
+      test('should throw error for invalid geofences and interiors', () => {
+        expect(() => validateGeofence('zone')).toThrow('Geofence must be an array of coordinates');
+        expect(() => validateGeofence([{ lat: 0, lng: 0 }, { lat: 95, lng: 0 }, { lat: 0, lng: 1 }])).toThrow(
+          'geofence[1] latitude must be between -90 and 90 degrees'
+        );
+        expect(() => validateGeofence([newYork, losAngeles, london], 'inside')).toThrow('Invalid interior: inside');
+      });
+    });
+
+    describe('repairGeofence', () => {
+      const bowTie = [
+        { lat: 0, lng: 0 },
+        { lat: 1, lng: 1 },
+        { lat: 1, lng: 0 },
+        { lat: 0, lng: 1 }
+      ];
+
+      test('should split a bow-tie into two valid polygons', () => {
+        const repaired = repairGeofence(bowTie);
+        expect(repaired).toHaveLength(2);
+        expect(repaired.every((polygon) => polygon.length === 1 && polygon[0].length === 3)).toBe(true);
+        expect(validateGeofence(repaired).valid).toBe(true);
+        expect(isCoordinateInGeofence({ lat: 0.2, lng: 0.5 }, repaired)).toBe(true);
+        expect(isCoordinateInGeofence({ lat: 0.8, lng: 0.5 }, repaired)).toBe(true);
+        expect(isCoordinateInGeofence({ lat: 0.5, lng: 0.2 }, repaired)).toBe(false);
+      });
+
+      test('should remove duplicates and spikes', () => {
+        const repaired = repairGeofence([
+          { lat: 0, lng: 0 },
+          { lat: 0, lng: 0 },
+          { lat: 0, lng: 2 },
+          { lat: 0, lng: 3 },
+          { lat: 0, lng: 2.5 },
+          { lat: 2, lng: 2 },
+          { lat: 2, lng: 0 },
+          { lat: 0, lng: 0 }
+        ]);
+        expect(repaired).toEqual([
+          [
+            [
+              { lat: 0, lng: 0 },
+              { lat: 0, lng: 2 },
+              { lat: 0, lng: 2.5 },
+              { lat: 2, lng: 2 },
+              { lat: 2, lng: 0 }
+            ]
+          ]
+        ]);
+      });
+
+      test('should fix winding and keep holes with their outer ring', () => {
+        const outer = [
+          { lat: 0, lng: 0 },
+          { lat: 1, lng: 0 },
+          { lat: 1, lng: 1 },
+          { lat: 0, lng: 1 }
+        ];
+        const hole = [
+          { lat: 0.25, lng: 0.25 },
+          { lat: 0.25, lng: 0.75 },
+          { lat: 0.75, lng: 0.75 }
+        ];
+        const farHole = [
+          { lat: 5, lng: 5 },
+          { lat: 5, lng: 6 },
+          { lat: 6, lng: 6 }
+        ];
+        const repaired = repairGeofence([outer, hole, farHole]);
+        expect(repaired).toHaveLength(1);
+        expect(repaired[0]).toHaveLength(2);
+        expect(repaired[0][0]).toEqual([...outer].reverse());
+        expect(repaired[0][1]).toEqual([...hole].reverse());
+        expect(validateGeofence(repaired).valid).toBe(true);
+        expect(calculateGeofenceArea(repaired)).toBeCloseTo(calculateGeofenceArea([outer, hole]), 6);
+      });
+
+      test('should split rings with several crossings', () => {
+        const figure = [];
+        for (let i = 0; i < 200; i++) {
+          const angle = (i / 200) * 2 * Math.PI;
+          figure.push({ lat: Math.sin(2 * angle), lng: Math.sin(angle) });
+        }
+        expect(validateGeofence(figure).valid).toBe(false);
+
+        const repaired = repairGeofence(figure);
+        expect(repaired).toHaveLength(2);
+        expect(validateGeofence(repaired).valid).toBe(true);
+      });
+    });
+
+    describe('repairGeofence - Error Handling', () => {
+      test('should throw error for circles', () => {
+        expect(() => repairGeofence({ center: newYork, radius: 5 })).toThrow('Circle geofences cannot be repaired');
+      });
+
+      test('should throw error when nothing is left', () => {
+        expect(() => repairGeofence([{ lat: 0, lng: 0 }, { lat: 0, lng: 1 }, { lat: 0, lng: 0 }])).toThrow(
+          'Geofence has no rings left after repair'
+        );
+      });
+    });
+
+    describe('createGeofenceMonitor', () => {
+      const square = [
+        { lat: 0, lng: 0 },
+        { lat: 0, lng: 1 },
+        { lat: 1, lng: 1 },
+        { lat: 1, lng: 0 }
+      ];
+      const outside = { lat: 0.5, lng: -0.5 };
+      const inside = { lat: 0.5, lng: 0.5 };
+      // About 11 m either side of the western edge
+      const justInside = { lat: 0.5, lng: 0.0001 };
+      const justOutside = { lat: 0.5, lng: -0.0001 };
+
+      test('should fire enter and exit events on transitions', () => {
+        const monitor = createGeofenceMonitor({ square });
+
+        expect(monitor.update('van', outside, 0)).toEqual([]);
+
+        const [enter] = monitor.update('van', inside, 1000);
+        expect(enter.type).toBe('enter');
+        expect(enter.entityId).toBe('van');
+        expect(enter.geofence).toBe('square');
+        expect(enter.timestamp).toBe(1000);
+        expect(enter.coord).toEqual(inside);
+        expect(enter.distance).toBeLessThan(0);
+
+        expect(monitor.update('van', inside, 2000)).toEqual([]);
+        expect(monitor.update('van', outside, 3000).map((event) => event.type)).toEqual(['exit']);
+      });
+
+      test('should fire enter on the first update inside a geofence', () => {
+        const monitor = createGeofenceMonitor({ square });
+
+        expect(monitor.update('van', inside, 0).map((event) => event.type)).toEqual(['enter']);
+        expect(monitor.getGeofencesContaining('van')).toEqual(['square']);
+      });
+
+      test('should ignore jitter within the buffer', () => {
+        const monitor = createGeofenceMonitor({ square }, { buffer: 50, unit: 'meters' });
+
+        monitor.update('van', inside, 0);
+        expect(monitor.update('van', justOutside, 1000)).toEqual([]);
+        expect(monitor.update('van', justInside, 2000)).toEqual([]);
+        expect(monitor.update('van', justOutside, 3000)).toEqual([]);
+        expect(monitor.update('van', outside, 4000).map((event) => event.type)).toEqual(['exit']);
+        expect(monitor.update('van', justInside, 5000)).toEqual([]);
+        expect(monitor.getGeofencesContaining('van')).toEqual([]);
+      });
+
+      test('should fire without a buffer on every crossing', () => {
+        const monitor = createGeofenceMonitor({ square });
+
+        monitor.update('van', inside, 0);
+        expect(monitor.update('van', justOutside, 1000).map((event) => event.type)).toEqual(['exit']);
+        expect(monitor.update('van', justInside, 2000).map((event) => event.type)).toEqual(['enter']);
+      });
+
+      test('should fire a single dwell event after the dwell time', () => {
+        const monitor = createGeofenceMonitor({ square }, { dwellTime: 60000 });
+
+        monitor.update('van', inside, new Date(0));
+        expect(monitor.update('van', inside, 30000)).toEqual([]);
+
+        const [dwell] = monitor.update('van', inside, 61000);
+        expect(dwell.type).toBe('dwell');
+        expect(dwell.duration).toBe(61000);
+        expect(monitor.update('van', inside, 120000)).toEqual([]);
+
+        monitor.update('van', outside, 130000);
+        monitor.update('van', inside, 140000);
+        expect(monitor.update('van', inside, 200000).map((event) => event.type)).toEqual(['dwell']);
+      });
+
+      test('should track entities and geofences independently', () => {
+        const circle = { center: { lat: 0.5, lng: 0.5 }, radius: 10 };
+        const monitor = createGeofenceMonitor({ square, circle });
+
+        const events = monitor.update('van', inside, 0);
+        expect(events.map((event) => event.geofence)).toEqual(['square', 'circle']);
+        expect(monitor.update('car', outside, 0)).toEqual([]);
+        expect(monitor.getGeofencesContaining('van')).toEqual(['square', 'circle']);
+        expect(monitor.getGeofencesContaining('car')).toEqual([]);
+      });
+
+      test('should notify listeners until they are removed', () => {
+        const monitor = createGeofenceMonitor({ square });
+        const entered = [];
+        const stop = monitor.on('enter', (event) => entered.push(event.entityId));
+
+        monitor.update('van', inside, 0);
+        stop();
+        monitor.update('car', inside, 0);
+
+        expect(entered).toEqual(['van']);
+      });
+
+      test('should add and remove geofences', () => {
+        const monitor = createGeofenceMonitor();
+
+        expect(monitor.update('van', inside, 0)).toEqual([]);
+        monitor.addGeofence('square', square);
+        expect(monitor.update('van', inside, 1000).map((event) => event.type)).toEqual(['enter']);
+        expect(monitor.removeGeofence('square')).toBe(true);
+        expect(monitor.getGeofencesContaining('van')).toEqual([]);
+        expect(monitor.removeGeofence('square')).toBe(false);
+      });
+
+      test('should save and restore state', () => {
+        const monitor = createGeofenceMonitor({ square }, { dwellTime: 60000 });
+        monitor.update('van', inside, 0);
+
+        const state = JSON.parse(JSON.stringify(monitor.saveState()));
+        const restored = createGeofenceMonitor({ square }, { dwellTime: 60000 });
+        restored.restoreState(state);
+
+        expect(restored.getGeofencesContaining('van')).toEqual(['square']);
+        expect(restored.update('van', inside, 61000).map((event) => event.type)).toEqual(['dwell']);
+        expect(restored.update('van', outside, 62000).map((event) => event.type)).toEqual(['exit']);
+      });
+
+      test('should forget removed entities', () => {
+        const monitor = createGeofenceMonitor({ square });
+        monitor.update('van', inside, 0);
+
+        expect(monitor.removeEntity('van')).toBe(true);
+        expect(monitor.getGeofencesContaining('van')).toEqual([]);
+        expect(monitor.update('van', inside, 1000).map((event) => event.type)).toEqual(['enter']);
+      });
+    });
+
+    describe('createGeofenceMonitor - Error Handling', () => {
+      const square = [
+        { lat: 0, lng: 0 },
+        { lat: 0, lng: 1 },
+        { lat: 1, lng: 1 },
+        { lat: 1, lng: 0 }
+      ];
+
+      test('should throw error for invalid geofences', () => {
+        expect(() => createGeofenceMonitor([square])).toThrow('Geofences must be an object keyed by name');
+        expect(() => createGeofenceMonitor({ bad: square.slice(0, 2) })).toThrow(
+          'At least 3 coordinates are required to form a geofence polygon'
+        );
+      });
+
+      test('should throw error for invalid options', () => {
+        expect(() => createGeofenceMonitor({ square }, { buffer: -1 })).toThrow('Buffer must be a non-negative number');
+        expect(() => createGeofenceMonitor({ square }, { dwellTime: 'long' })).toThrow(
+          'Dwell time must be a non-negative number'
+        );
+        expect(() => createGeofenceMonitor({ square }, { unit: 'feet' })).toThrow('Invalid unit: feet');
+      });
+
+      test('should throw error for duplicate geofence names', () => {
+        const monitor = createGeofenceMonitor({ square });
+
+        expect(() => monitor.addGeofence('square', square)).toThrow('Geofence already exists: square');
+      });
+
+      test('should throw error for invalid event types and listeners', () => {
+        const monitor = createGeofenceMonitor({ square });
+
+        expect(() => monitor.on('leave', () => {})).toThrow('Invalid event type: leave');
+        expect(() => monitor.on('enter', 'not a function')).toThrow('Listener must be a function');
+      });
+
+      test('should throw error for invalid updates', () => {
+        const monitor = createGeofenceMonitor({ square });
+        monitor.update('van', { lat: 0.5, lng: 0.5 }, 1000);
+
+        expect(() => monitor.update('van', { lat: 95, lng: 0 }, 2000)).toThrow(
+          'coord latitude must be between -90 and 90 degrees'
+        );
+        expect(() => monitor.update('van', { lat: 0, lng: 0 }, 'now')).toThrow('Timestamp must be a finite number or Date');
+        expect(() => monitor.update('van', { lat: 0, lng: 0 }, 500)).toThrow(
+          'Timestamp for entity van is earlier than its previous update'
+        );
+      });
+
+      test('should throw error for malformed state', () => {
+        const monitor = createGeofenceMonitor({ square });
+
+        expect(() => monitor.restoreState({})).toThrow('State must be an object with an entities array');
+        expect(() => monitor.restoreState({ entities: [{ id: 'van' }] })).toThrow(
+          'state.entities[0] must be an object with a geofences array'
+        );
+      });
+    });
+
+    describe('GeoJSON Input', () => {
+      const point = (lng, lat, properties = {}) => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [lng, lat] },
+        properties
+      });
+      const stores = {
+        type: 'FeatureCollection',
+        features: [
+          point(-73.9776, 40.7614, { name: 'Central Park' }),
+          point(-118.2437, 34.0522, { name: 'Los Angeles' }),
+          point(-74.0445, 40.6892, { name: 'Statue of Liberty' })
+        ]
+      };
+      const polygon = {
+        type: 'Polygon',
+        coordinates: [
+          [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]],
+          [[4, 4], [4, 6], [6, 6], [6, 4], [4, 4]]
+        ]
+      };
+
+      test('should accept Point geometries and Features as coordinates', () => {
+        const expected = calculateDistance(newYork, losAngeles);
+
+        expect(calculateDistance({ type: 'Point', coordinates: [-74.0060, 40.7128] }, losAngeles)).toBeCloseTo(expected, 9);
+        expect(calculateDistance(newYork, point(-118.2437, 34.0522))).toBeCloseTo(expected, 9);
+      });
+
+      test('should accept a FeatureCollection and keep feature properties in results', () => {
+        const nearby = getCoordinatesWithinDistance(newYork, stores, 50, 'km');
+
+        expect(nearby.map((store) => store.properties.name)).toEqual(['Statue of Liberty', 'Central Park']);
+        expect(nearby[0].lat).toBeCloseTo(40.6892, 9);
+        expect(nearby[0].lng).toBeCloseTo(-74.0445, 9);
+        expect(typeof nearby[0].distance).toBe('number');
+      });
+
+      test('should accept GeoJSON in the closest, furthest and nearest searches and the spatial index', () => {
+        expect(getClosestCoordinate(newYork, stores).properties.name).toBe('Statue of Liberty');
+        expect(getFurthestCoordinate(newYork, stores).properties.name).toBe('Los Angeles');
+        expect(getKNearestCoordinates(newYork, stores, 1)[0].properties.name).toBe('Statue of Liberty');
+
+        const index = createSpatialIndex(stores);
+        expect(index.size).toBe(3);
+        expect(index.getClosestCoordinate(point(-74.0060, 40.7128)).properties.name).toBe('Statue of Liberty');
+      });
+
+      test('should accept a MultiPoint geometry', () => {
+        const multiPoint = { type: 'MultiPoint', coordinates: [[-73.9776, 40.7614], [-118.2437, 34.0522]] };
+
+        expect(getCoordinatesWithinDistance(newYork, multiPoint, 50, 'km')).toHaveLength(1);
+      });
+
+      test('should accept Polygon geometries with holes', () => {
+        expect(isCoordinateInGeofence({ lat: 2, lng: 2 }, polygon)).toBe(true);
+        expect(isCoordinateInGeofence({ lat: 5, lng: 5 }, polygon)).toBe(false);
+        expect(calculateGeofenceArea(polygon)).toBeCloseTo(
+          calculateGeofenceArea([
+            [{ lat: 0, lng: 0 }, { lat: 0, lng: 10 }, { lat: 10, lng: 10 }, { lat: 10, lng: 0 }],
+            [{ lat: 4, lng: 4 }, { lat: 6, lng: 4 }, { lat: 6, lng: 6 }, { lat: 4, lng: 6 }]
+          ]),
+          6
+        );
+      });
+
+      test('should accept MultiPolygon Features and drop the closing position', () => {
+        const feature = {
+          type: 'Feature',
+          geometry: {
+            type: 'MultiPolygon',
+            coordinates: [
+              [[[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]],
+              [[[20, 20], [21, 20], [21, 21], [20, 21], [20, 20]]]
+            ]
+          },
+          properties: { name: 'Zones' }
+        };
+
+        expect(isCoordinateInGeofence(point(20.5, 20.5), feature)).toBe(true);
+
+        const result = isCoordinateNearGeofence({ lat: -0.1, lng: 0.5 }, feature, 50, 'km');
+        expect(result.closestEdge.polygonIndex).toBe(0);
+        expect(result.closestEdge.edgeIndex).toBe(0);
+        expect(getSignedDistanceToGeofence({ lat: 0.5, lng: 0.5 }, feature).distance).toBeLessThan(0);
+      });
+
+      test('should accept a GeoJSON Point as a circle center', () => {
+        const circle = { center: { type: 'Point', coordinates: [-74, 40] }, radius: 10 };
+
+        expect(isCoordinateInGeofence({ lat: 40, lng: -74 }, circle)).toBe(true);
+      });
+    });
+
+    describe('GeoJSON Input - Error Handling', () => {
+      test('should throw error for non-Point GeoJSON coordinates', () => {
+        expect(() =>
+          calculateDistance({ type: 'Feature', geometry: { type: 'LineString', coordinates: [] }, properties: {} }, newYork)
+        ).toThrow('coord1 must be a GeoJSON Point');
+      });
+
+      test('should throw error for invalid positions', () => {
+        expect(() => calculateDistance({ type: 'Point', coordinates: [0, 95] }, newYork)).toThrow(
+          'coord1 latitude must be between -90 and 90 degrees'
+        );
+      });
+
+      test('should throw error for non-polygon GeoJSON geofences', () => {
+        expect(() => isCoordinateInGeofence(newYork, { type: 'LineString', coordinates: [[0, 0], [1, 1]] })).toThrow(
+          'geofence must be a GeoJSON Polygon or MultiPolygon'
+        );
+      });
+    });
+
+    describe('GeoJSON Output', () => {
+      test('should convert a coordinate to a Point Feature', () => {
+        expect(toGeoJSONFeature({ lat: 40.7614, lng: -73.9776, name: 'Central Park' })).toEqual({
+          type: 'Feature',
+          geometry: { type: 'Point', coordinates: [-73.9776, 40.7614] },
+          properties: { name: 'Central Park' }
+        });
+      });
+
+      test('should round-trip feature properties and id and add distance', () => {
+        const stores = {
+          type: 'FeatureCollection',
+          features: [
+            {
+              type: 'Feature',
+              id: 'cp',
+              geometry: { type: 'Point', coordinates: [-73.9776, 40.7614] },
+              properties: { name: 'Central Park' }
+            }
+          ]
+        };
+        const output = toGeoJSONFeatureCollection(getCoordinatesWithinDistance(newYork, stores, 50, 'km'));
+
+        expect(output.type).toBe('FeatureCollection');
+        expect(output.features).toHaveLength(1);
+        expect(output.features[0].id).toBe('cp');
+        expect(output.features[0].geometry).toEqual(stores.features[0].geometry);
+        expect(output.features[0].properties.name).toBe('Central Park');
+        expect(output.features[0].properties.distance).toBeCloseTo(
+          calculateDistance(newYork, { lat: 40.7614, lng: -73.9776 }),
+          9
+        );
       });
-  
-      test('should auto-close polygon if not closed', () => {
-        const openPolygon = [
-          { lat: 40.7831, lng: -73.9712 },
-          { lat: 40.7890, lng: -73.9446 },
-          { lat: 40.7735, lng: -73.9580 }
-          // Not closed
+
+      test('should round-trip MultiPoint feature properties and id to each point', () => {
+        const stops = {
+          type: 'Feature',
+          id: 'route-7',
+          geometry: { type: 'MultiPoint', coordinates: [[-73.9776, 40.7614], [-118.2437, 34.0522]] },
+          properties: { route: 7 }
+        };
+        const output = toGeoJSONFeatureCollection(getCoordinatesWithinDistance(newYork, stops, 50, 'km'));
+
+        expect(output.features).toHaveLength(1);
+        expect(output.features[0].id).toBe('route-7');
+        expect(output.features[0].geometry).toEqual({ type: 'Point', coordinates: [-73.9776, 40.7614] });
+        expect(output.features[0].properties.route).toBe(7);
+        expect(output.features[0].properties.distance).toBeCloseTo(
+          calculateDistance(newYork, { lat: 40.7614, lng: -73.9776 }),
+          9
+        );
+        expect(stops.properties).toEqual({ route: 7 });
+      });
+
+      test('should convert a ring to a closed Polygon', () => {
+        const ring = [
+          { lat: 0, lng: 0 },
+          { lat: 0, lng: 1 },
+          { lat: 1, lng: 1 }
         ];
-        const area = calculateGeofenceArea(openPolygon, 'km2');
-        expect(area).toBeGreaterThan(0);
+
+        expect(toGeoJSONGeometry(ring)).toEqual({
+          type: 'Polygon',
+          coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]]
+        });
       });
-  
-      test('should handle large circular polygon', () => {
-        const circularPolygon = [];
-        const centerLat = 40.7128;
-        const centerLng = -74.0060;
-        const radius = 0.01;
-  
-        for (let i = 0; i < 100; i++) {
-          const angle = (i / 100) * 2 * Math.PI;
-          circularPolygon.push({
-            lat: centerLat + radius * Math.cos(angle),
-            lng: centerLng + radius * Math.sin(angle)
+
+      test('should convert a multipolygon to a MultiPolygon and round-trip it', () => {
+        const geometry = {
+          type: 'MultiPolygon',
+          coordinates: [
+            [[[0, 0], [1, 0], [1, 1], [0, 0]]],
+            [[[20, 20], [21, 20], [21, 21], [20, 20]]]
+          ]
+        };
+
+        expect(toGeoJSONGeometry(geometry)).toEqual(geometry);
+      });
+    });
+
+    describe('GeoJSON Output - Error Handling', () => {
+      test('should throw error for invalid coordinates', () => {
+        expect(() => toGeoJSONFeature({ lat: 0 })).toThrow('coord must have numeric lat and lng properties');
+        expect(() => toGeoJSONFeatureCollection('not an array')).toThrow('Coordinates must be an array');
+      });
+
+      test('should throw error for circle geofences', () => {
+        expect(() => toGeoJSONGeometry({ center: newYork, radius: 5 })).toThrow(
+          'Circle geofences cannot be converted to GeoJSON'
+        );
+      });
+    });
+
+    describe('Coordinate Parsing', () => {
+      test('should parse decimal degree strings', () => {
+        expect(parseCoordinate('40.7128,-74.0060')).toEqual({ lat: 40.7128, lng: -74.006 });
+        expect(parseCoordinate(' 40.7128 ; -74.0060 ')).toEqual({ lat: 40.7128, lng: -74.006 });
+        expect(parseCoordinate('40.7128 -74.0060')).toEqual({ lat: 40.7128, lng: -74.006 });
+        expect(parseCoordinate('-74.0060, 40.7128', { order: 'lnglat' })).toEqual({ lat: 40.7128, lng: -74.006 });
+      });
+
+      test('should parse degrees, minutes and seconds with hemispheres', () => {
+        const expected = { lat: 40 + 42 / 60 + 46 / 3600, lng: -(74 + 22 / 3600) };
+
+        expect(parseCoordinate(`40°42'46"N 74°0'22"W`)).toEqual(expected);
+        expect(parseCoordinate('40°42′46″N, 74°0′22″W')).toEqual(expected);
+        expect(parseCoordinate(`N 40°42'46'' W 74°0'22''`)).toEqual(expected);
+
+        // Hemisphere letters decide the axes whatever the order
+        expect(parseCoordinate(`74°0'22"W 40°42'46"N`)).toEqual(expected);
+
+        const minutes = parseCoordinate(`33°52.128'S, 151°12.558'E`);
+        expect(minutes.lat).toBeCloseTo(-33.8688, 4);
+        expect(minutes.lng).toBeCloseTo(151.2093, 4);
+      });
+
+      test('should parse arrays in GeoJSON order', () => {
+        expect(parseCoordinate([-74.006, 40.7128])).toEqual({ lat: 40.7128, lng: -74.006 });
+        expect(parseCoordinate([-74.006, 40.7128, 12])).toEqual({ lat: 40.7128, lng: -74.006 });
+        expect(parseCoordinate([40.7128, -74.006], { order: 'latlng' })).toEqual({ lat: 40.7128, lng: -74.006 });
+      });
+
+      test('should parse objects with alternative keys and keep other properties', () => {
+        expect(parseCoordinate({ latitude: 40.7128, longitude: -74.006, id: 7 })).toEqual({
+          id: 7,
+          lat: 40.7128,
+          lng: -74.006
+        });
+        expect(parseCoordinate({ lat: 40.7128, lon: -74.006 })).toEqual({ lat: 40.7128, lng: -74.006 });
+        expect(parseCoordinate({ lat: '40.7128 N', long: '74.006 W' })).toEqual({ lat: 40.7128, lng: -74.006 });
+        expect(parseCoordinate({ type: 'Point', coordinates: [-74.006, 40.7128] })).toEqual({
+          lat: 40.7128,
+          lng: -74.006
+        });
+      });
+
+      test('should apply parsing to every wrapped function', () => {
+        const parsed = withCoordinateParsing();
+
+        expect(parsed.calculateDistance('40.7128,-74.0060', { latitude: 34.0522, longitude: -118.2437 })).toBeCloseTo(
+          calculateDistance(newYork, losAngeles),
+          10
+        );
+
+        const stores = [{ latitude: 40.7614, lon: -73.9776, id: 'a' }];
+        const nearby = parsed.getCoordinatesWithinDistance([-74.006, 40.7128], stores, 10);
+        expect(nearby).toEqual([expect.objectContaining({ id: 'a', lat: 40.7614, lng: -73.9776 })]);
+
+        expect(parsed.calculateGeofenceArea(['0,0', '0,1', '1,1'])).toBeCloseTo(
+          calculateGeofenceArea([{ lat: 0, lng: 0 }, { lat: 0, lng: 1 }, { lat: 1, lng: 1 }]),
+          6
+        );
+        expect(parsed.isCoordinateInGeofence('40.7128, -74.0060', { center: [-74, 40.71], radius: 5 })).toBe(true);
+      });
+
+      test('should leave the package functions untouched', () => {
+        const parsed = withCoordinateParsing({ order: 'latlng' });
+        expect(parsed.calculateDistance([40.7128, -74.006], newYork)).toBe(0);
+
+        expect(() => calculateDistance('40.7128,-74.0060', newYork)).toThrow(
+          'coord1 must be an object with lat and lng properties'
+        );
+        expect(() => calculateDistance([40.7128, -74.006], newYork)).toThrow(
+          'coord1 must have numeric lat and lng properties'
+        );
+        expect(withCoordinateParsing().calculateDistance([-74.006, 40.7128], newYork)).toBe(0);
+      });
+
+      test('should turn parsing off again after a wrapped function throws', () => {
+        const parsed = withCoordinateParsing();
+        expect(() => parsed.calculateDistance('40 N, 74 S', newYork)).toThrow('coord1 has two latitude values');
+        expect(() => calculateDistance('40.7128,-74.0060', newYork)).toThrow(
+          'coord1 must be an object with lat and lng properties'
+        );
+      });
+
+      test('should wrap methods of spatial indexes and monitors', () => {
+        const parsed = withCoordinateParsing();
+
+        const index = parsed.createSpatialIndex(['40.7128,-74.0060', [-118.2437, 34.0522]]);
+        expect(index.size).toBe(2);
+        expect(index.getClosestCoordinate('51.5074, -0.1278')).toEqual(
+          expect.objectContaining({ lat: 40.7128, lng: -74.006 })
+        );
+
+        const monitor = parsed.createGeofenceMonitor({ city: { center: '40.7128,-74.0060', radius: 5 } });
+        const events = [];
+        monitor.on('enter', (event) => {
+          events.push(event.geofence);
+          // Listeners run with the caller's parsing, which is off here
+          expect(() => calculateDistance('40.7128,-74.0060', newYork)).toThrow(
+            'coord1 must be an object with lat and lng properties'
+          );
+        });
+        monitor.update('car', '40.7128,-74.0060', 0);
+        expect(events).toEqual(['city']);
+      });
+    });
+
+    describe('Coordinate Parsing - Error Handling', () => {
+      test('should reject ambiguous strings', () => {
+        expect(() => parseCoordinate('40 N, 74 S')).toThrow('coordinate has two latitude values');
+        expect(() => parseCoordinate('-40 N, 74 W')).toThrow('coordinate has both a sign and a hemisphere: "-40 N"');
+        expect(() => parseCoordinate('40.7 N 74.0')).toThrow(
+          'coordinate is ambiguous: "40.7 N 74.0" can be split into two values in more than one way'
+        );
+        expect(() => parseCoordinate('N 40.7 W')).toThrow('coordinate could not be read as two values: "N 40.7 W"');
+      });
+
+      test('should reject malformed strings', () => {
+        expect(() => parseCoordinate('')).toThrow('coordinate is an empty string');
+        expect(() => parseCoordinate('40.7128')).toThrow('coordinate must contain exactly two values');
+        expect(() => parseCoordinate('1, 2, 3')).toThrow('coordinate must contain exactly two values');
+        expect(() => parseCoordinate('abc, 4')).toThrow('coordinate has an invalid value: "abc"');
+        expect(() => parseCoordinate(`40°75'N, 74°W`)).toThrow('coordinate has minutes or seconds of 60 or more');
+        expect(() => parseCoordinate(`40.5°30'N, 74°W`)).toThrow(
+          'coordinate has fractional degrees followed by minutes or seconds'
+        );
+      });
+
+      test('should reject ambiguous or malformed objects and arrays', () => {
+        expect(() => parseCoordinate({ lat: 40, latitude: 40, lng: -74 })).toThrow(
+          'coordinate has more than one latitude property (lat, latitude)'
+        );
+        expect(() => parseCoordinate({ lat: '74 W', lng: -74 })).toThrow('coordinate.lat has a longitude hemisphere');
+        expect(() => parseCoordinate({ x: 1, y: 2 })).toThrow('coordinate must have lat and lng properties');
+        expect(() => parseCoordinate([1])).toThrow('coordinate must be an array of two numbers');
+        expect(() => parseCoordinate(42)).toThrow('coordinate must be a coordinate object, array or string');
+      });
+
+      test('should reject out of range coordinates', () => {
+        expect(() => parseCoordinate('120, 40')).toThrow('coordinate latitude must be between -90 and 90 degrees');
+      });
+
+      test('should throw error for invalid options', () => {
+        expect(() => parseCoordinate('1,2', 'latlng')).toThrow('Options must be an object');
+        expect(() => parseCoordinate('1,2', { order: 'xy' })).toThrow(
+          'Invalid order: xy. Valid orders are: latlng, lnglat'
+        );
+        expect(() => parseCoordinate('1,2', { order: 5 })).toThrow('Order must be a string');
+        expect(() => withCoordinateParsing('yes')).toThrow('Options must be true or an object');
+        expect(() => withCoordinateParsing(false)).toThrow('Options must be true or an object');
+        expect(() => withCoordinateParsing({ order: 5 })).toThrow('Order must be a string');
+      });
+
+      test('should name the argument in errors of wrapped functions', () => {
+        const parsed = withCoordinateParsing();
+        expect(() => parsed.calculateDistance(newYork, '40 N, 74 S')).toThrow('coord2 has two latitude values');
+        expect(() => parsed.calculateGeofenceArea(['0,0', '0,1', 'x'])).toThrow(
+          'coordinates[2] must contain exactly two values'
+        );
+      });
+    });
+
+    describe('Coordinate Formatting', () => {
+      test('should format decimal degrees', () => {
+        expect(formatCoordinate(newYork)).toBe('40.712800, -74.006000');
+        expect(formatCoordinate(newYork, { precision: 2 })).toBe('40.71, -74.01');
+        expect(formatCoordinate(newYork, { hemisphere: true, precision: 4 })).toBe('40.7128°N, 74.0060°W');
+      });
+
+      test('should format degrees, minutes and seconds', () => {
+        expect(formatCoordinate(newYork, { format: 'dms' })).toBe(`40°42'46.08"N, 74°00'21.60"W`);
+        expect(formatCoordinate(newYork, { format: 'dms', precision: 0, hemisphere: false })).toBe(
+          `40°42'46", -74°00'22"`
+        );
+        expect(formatCoordinate({ lat: -33.8688, lng: 151.2093 }, { format: 'ddm', precision: 3 })).toBe(
+          `33°52.128'S, 151°12.558'E`
+        );
+      });
+
+      test('should carry rounded seconds and minutes into the next component', () => {
+        expect(formatCoordinate({ lat: 10.99999999, lng: -0.0000001 }, { format: 'dms' })).toBe(
+          `11°00'00.00"N, 0°00'00.00"E`
+        );
+        expect(formatCoordinate({ lat: 0.9999999, lng: 5 }, { format: 'ddm', precision: 0 })).toBe(`1°00'N, 5°00'E`);
+      });
+
+      test('should round-trip with parseCoordinate', () => {
+        const places = [newYork, losAngeles, london, paris, { lat: -89.99, lng: 179.999 }, { lat: 0, lng: -0.5 }];
+
+        places.forEach(place => {
+          ['dd', 'ddm', 'dms'].forEach(format => {
+            [true, false].forEach(hemisphere => {
+              const parsed = parseCoordinate(formatCoordinate(place, { format, hemisphere, precision: 6 }));
+              expect(parsed.lat).toBeCloseTo(place.lat, 6);
+              expect(parsed.lng).toBeCloseTo(place.lng, 6);
+            });
           });
-        }
-        circularPolygon.push(circularPolygon[0]);
-  
-        const area = calculateGeofenceArea(circularPolygon, 'km2');
-        expect(area).toBeGreaterThan(0);
-        expect(area).toBeLessThan(10); // Should be reasonable size
+        });
+      });
+
+      test('should format distances in sensible units', () => {
+        expect(formatDistance(0.85)).toBe('850 m');
+        expect(formatDistance(1.234)).toBe('1.2 km');
+        expect(formatDistance(12.7)).toBe('13 km');
+        expect(formatDistance(1234, { unit: 'meters' })).toBe('1.2 km');
+        expect(formatDistance(0.9996)).toBe('1 km');
+        expect(formatDistance(0.00045)).toBe('0.45 m');
+        expect(formatDistance(-0.25)).toBe('-250 m');
+      });
+
+      test('should format imperial distances in miles', () => {
+        expect(formatDistance(5.5, { system: 'imperial' })).toBe('3.4 miles');
+        expect(formatDistance(3.4, { unit: 'miles' })).toBe('3.4 miles');
+        expect(formatDistance(1, { unit: 'miles' })).toBe('1 mile');
+        expect(formatDistance(0.047, { unit: 'miles' })).toBe('0.047 miles');
+        expect(formatDistance(3.4, { unit: 'miles', system: 'metric' })).toBe('5.5 km');
+      });
+
+      test('should use a fixed precision when given', () => {
+        expect(formatDistance(1.23456, { precision: 3 })).toBe('1.235 km');
+        expect(formatDistance(0.85, { precision: 1 })).toBe('850.0 m');
+        expect(formatDistance(-0.000001, { precision: 2 })).toBe('0.00 m');
       });
     });
-  
-    describe('calculateGeofenceArea - Error Handling', () => {
-      test('should throw error for non-array coordinates', () => {
-        expect(() => {
-          calculateGeofenceArea('not an array');
-        }).toThrow('Coordinates must be an array');
+
+    describe('Coordinate Formatting - Error Handling', () => {
+      test('should throw error for invalid coordinates', () => {
+        expect(() => formatCoordinate({ lat: 91, lng: 0 })).toThrow(
+          'coord latitude must be between -90 and 90 degrees'
+        );
       });
-  
-      test('should throw error for too few coordinates', () => {
-        expect(() => {
-          calculateGeofenceArea([{ lat: 0, lng: 0 }, { lat: 1, lng: 1 }]);
-        }).toThrow('At least 3 coordinates are required to form a polygon');
+
+      test('should throw error for invalid coordinate options', () => {
+        expect(() => formatCoordinate(newYork, 'dms')).toThrow('Options must be an object');
+        expect(() => formatCoordinate(newYork, { format: 'utm' })).toThrow(
+          'Invalid format: utm. Valid formats are: dd, ddm, dms'
+        );
+        expect(() => formatCoordinate(newYork, { format: 1 })).toThrow('Format must be a string');
+        expect(() => formatCoordinate(newYork, { precision: -1 })).toThrow(
+          'Precision must be an integer between 0 and 10'
+        );
+        expect(() => formatCoordinate(newYork, { hemisphere: 'yes' })).toThrow('Hemisphere must be a boolean');
       });
-  
-      test('should throw error for invalid coordinates in array', () => {
-        expect(() => {
-          calculateGeofenceArea([
-            { lat: 0, lng: 0 },
-            { lat: 91, lng: 0 }, // Invalid latitude
-            { lat: 1, lng: 1 }
-          ]);
-        }).toThrow('coordinates[1] latitude must be between -90 and 90 degrees');
+
+      test('should throw error for invalid distances and options', () => {
+        expect(() => formatDistance('5 km')).toThrow('Distance must be a finite number');
+        expect(() => formatDistance(Infinity)).toThrow('Distance must be a finite number');
+        expect(() => formatDistance(5, { unit: 'feet' })).toThrow('Invalid unit: feet');
+        expect(() => formatDistance(5, { system: 'nautical' })).toThrow(
+          'Invalid system: nautical. Valid systems are: metric, imperial'
+        );
+        expect(() => formatDistance(5, { precision: 1.5 })).toThrow('Precision must be an integer between 0 and 10');
       });
     });
-  
+
     describe('getCoordinatesWithinDistance', () => {
       const referencePoint = { lat: 40.7128, lng: -74.0060 }; // NYC
       const locations = [
@@ -398,6 +3585,380 @@ const {
       });
     });
   
+    describe('getKNearestCoordinates', () => {
+      const referencePoint = { lat: 40.7128, lng: -74.0060 }; // NYC
+      const drivers = [
+        { lat: 40.7614, lng: -73.9776, id: 'd1', available: true },
+        { lat: 34.0522, lng: -118.2437, id: 'd2', available: true },
+        { lat: 41.8781, lng: -87.6298, id: 'd3', available: false },
+        { lat: 40.6892, lng: -74.0445, id: 'd4', available: false },
+        { lat: 40.7505, lng: -73.9934, id: 'd5', available: true },
+        { lat: 40.8176, lng: -73.9782, id: 'd6', available: true }
+      ];
+
+      test('should return the k closest coordinates sorted by distance', () => {
+        const nearest = getKNearestCoordinates(referencePoint, drivers, 3);
+        const all = getCoordinatesWithinDistance(referencePoint, drivers, 10000);
+
+        expect(nearest).toEqual(all.slice(0, 3));
+        expect(nearest[0]).toHaveProperty('available');
+      });
+
+      test('should return every coordinate when k exceeds the array length', () => {
+        expect(getKNearestCoordinates(referencePoint, drivers, 50)).toHaveLength(drivers.length);
+      });
+
+      test('should apply the filter predicate', () => {
+        const nearest = getKNearestCoordinates(referencePoint, drivers, 10, { filter: p => p.available });
+        expect(nearest.map(d => d.id)).toEqual(['d5', 'd1', 'd6', 'd2']);
+      });
+
+      test('should respect maxDistance', () => {
+        const nearest = getKNearestCoordinates(referencePoint, drivers, 10, { maxDistance: 20, unit: 'km' });
+        nearest.forEach(driver => expect(driver.distance).toBeLessThanOrEqual(20));
+        expect(nearest.map(d => d.id)).not.toContain('d2');
+      });
+
+      test('should paginate with offset and k as the page size', () => {
+        const all = getKNearestCoordinates(referencePoint, drivers, 6);
+        expect(getKNearestCoordinates(referencePoint, drivers, 2, { offset: 2 })).toEqual(all.slice(2, 4));
+        expect(getKNearestCoordinates(referencePoint, drivers, 3, { offset: 3 })).toEqual(all.slice(3, 6));
+
+        // The second page of 10 holds the 11th to 20th nearest
+        const points = Array.from({ length: 25 }, (_, i) => ({ lat: 40 + i * 0.1, lng: -74, id: i }));
+        const page2 = getKNearestCoordinates({ lat: 40, lng: -74 }, points, 10, { offset: 10 });
+        expect(page2.map(p => p.id)).toEqual([10, 11, 12, 13, 14, 15, 16, 17, 18, 19]);
+        expect(getKNearestCoordinates({ lat: 40, lng: -74 }, points, 10, { offset: 20 })).toHaveLength(5);
+      });
+
+      test('should support units and methods', () => {
+        const km = getKNearestCoordinates(referencePoint, drivers, 1, { unit: 'km', method: 'vincenty' });
+        const miles = getKNearestCoordinates(referencePoint, drivers, 1, { unit: 'miles', method: 'vincenty' });
+        expect(miles[0].distance).toBeCloseTo(km[0].distance * 0.621371, 6);
+      });
+
+      test('should return an empty array for k of zero', () => {
+        expect(getKNearestCoordinates(referencePoint, drivers, 0)).toEqual([]);
+      });
+    });
+
+    describe('getKNearestCoordinates - Error Handling', () => {
+      const referencePoint = { lat: 40.7128, lng: -74.0060 };
+      const drivers = [{ lat: 40.7614, lng: -73.9776 }];
+
+      test('should throw error for invalid k', () => {
+        expect(() => getKNearestCoordinates(referencePoint, drivers, 1.5)).toThrow('k must be a non-negative integer');
+      });
+
+      test('should throw error for invalid options', () => {
+        expect(() => getKNearestCoordinates(referencePoint, drivers, 1, 'km')).toThrow('Options must be an object');
+        expect(() => getKNearestCoordinates(referencePoint, drivers, 1, { filter: true })).toThrow(
+          'Filter must be a function'
+        );
+        expect(() => getKNearestCoordinates(referencePoint, drivers, 1, { offset: -1 })).toThrow(
+          'Offset must be a non-negative integer'
+        );
+        expect(() => getKNearestCoordinates(referencePoint, drivers, 1, { maxDistance: -2 })).toThrow(
+          'Max distance must be a non-negative number'
+        );
+      });
+
+      test('should throw error for non-array coordinates', () => {
+        expect(() => getKNearestCoordinates(referencePoint, 'not an array', 1)).toThrow('Coordinates must be an array');
+      });
+    });
+
+    describe('createSpatialIndex', () => {
+      const referencePoint = { lat: 40.7128, lng: -74.0060 }; // NYC
+      const locations = [
+        { lat: 40.7614, lng: -73.9776, name: 'Central Park', type: 'park' },
+        { lat: 34.0522, lng: -118.2437, name: 'Los Angeles', type: 'city' },
+        { lat: 41.8781, lng: -87.6298, name: 'Chicago', type: 'city' },
+        { lat: 40.6892, lng: -74.0445, name: 'Statue of Liberty', type: 'landmark' },
+        { lat: 40.7505, lng: -73.9934, name: 'Times Square', type: 'landmark' },
+        { lat: -33.8688, lng: 151.2093, name: 'Sydney', type: 'city' }
+      ];
+
+      // Deterministic pseudo-random points spread over the whole globe
+      const globalPoints = [];
+      let seed = 42;
+      const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+      for (let i = 0; i < 2000; i++) {
+        globalPoints.push({ lat: random() * 180 - 90, lng: random() * 360 - 180, id: i });
+      }
+      const globalIndex = createSpatialIndex(globalPoints);
+
+      test('should report the number of indexed coordinates', () => {
+        expect(createSpatialIndex(locations).size).toBe(locations.length);
+      });
+
+      test('should match getCoordinatesWithinDistance', () => {
+        const index = createSpatialIndex(locations);
+        expect(index.getCoordinatesWithinDistance(referencePoint, 50, 'km')).toEqual(
+          getCoordinatesWithinDistance(referencePoint, locations, 50, 'km')
+        );
+      });
+
+      test('should match getClosestCoordinate and getFurthestCoordinate', () => {
+        const index = createSpatialIndex(locations);
+        expect(index.getClosestCoordinate(referencePoint, 'miles')).toEqual(
+          getClosestCoordinate(referencePoint, locations, 'miles')
+        );
+        expect(index.getFurthestCoordinate(referencePoint, 'miles')).toEqual(
+          getFurthestCoordinate(referencePoint, locations, 'miles')
+        );
+      });
+
+      test('should agree with full scans for queries across the globe', () => {
+        const queries = [
+          { lat: 0, lng: 0 },
+          { lat: 89.5, lng: 10 },
+          { lat: -45, lng: 179.9 },
+          { lat: 12.3, lng: -100.4 }
+        ];
+
+        queries.forEach(query => {
+          expect(globalIndex.getCoordinatesWithinDistance(query, 1500, 'km')).toEqual(
+            getCoordinatesWithinDistance(query, globalPoints, 1500, 'km')
+          );
+          expect(globalIndex.getClosestCoordinate(query)).toEqual(getClosestCoordinate(query, globalPoints));
+          expect(globalIndex.getFurthestCoordinate(query)).toEqual(getFurthestCoordinate(query, globalPoints));
+        });
+      });
+
+      test('should agree with full scans on clustered coordinates', () => {
+        // Every point is far from the antipode of a query, as in a furthest search
+        const stores = globalPoints.map(({ lat, lng, id }) => ({
+          lat: 25 + (lat + 90) / 7.5,
+          lng: -124 + (lng + 180) / 6.3,
+          id
+        }));
+        const storeIndex = createSpatialIndex(stores);
+
+        [newYork, london, { lat: -33.9, lng: 151.2 }, { lat: 38, lng: -97 }].forEach(query => {
+          expect(storeIndex.getFurthestCoordinate(query)).toEqual(getFurthestCoordinate(query, stores));
+          expect(storeIndex.getClosestCoordinate(query)).toEqual(getClosestCoordinate(query, stores));
+        });
+      });
+
+      test('should agree with full scans using the vincenty method', () => {
+        const query = { lat: 51.5074, lng: -0.1278 };
+
+        expect(globalIndex.getCoordinatesWithinDistance(query, 800, 'km', 'vincenty')).toEqual(
+          getCoordinatesWithinDistance(query, globalPoints, 800, 'km', 'vincenty')
+        );
+        expect(globalIndex.getClosestCoordinate(query, 'km', 'vincenty')).toEqual(
+          getClosestCoordinate(query, globalPoints, 'km', 'vincenty')
+        );
+        expect(globalIndex.getFurthestCoordinate(query, 'km', 'vincenty')).toEqual(
+          getFurthestCoordinate(query, globalPoints, 'km', 'vincenty')
+        );
+      });
+
+      test('should not be affected by later changes to the source array', () => {
+        const source = [...locations];
+        const index = createSpatialIndex(source);
+        source.length = 0;
+        expect(index.getClosestCoordinate(referencePoint)).toEqual(getClosestCoordinate(referencePoint, locations));
+      });
+
+      test('should return null for an empty index', () => {
+        const index = createSpatialIndex([]);
+        expect(index.getClosestCoordinate(referencePoint)).toBeNull();
+        expect(index.getFurthestCoordinate(referencePoint)).toBeNull();
+        expect(index.getCoordinatesWithinDistance(referencePoint, 10)).toEqual([]);
+      });
+    });
+
+    describe('createSpatialIndex - Error Handling', () => {
+      test('should throw error for non-array coordinates', () => {
+        expect(() => {
+          createSpatialIndex('not an array');
+        }).toThrow('Coordinates must be an array');
+      });
+
+      test('should throw error for invalid coordinate in array', () => {
+        expect(() => {
+          createSpatialIndex([{ lat: 0, lng: 0 }, { lat: 0, lng: 200 }]);
+        }).toThrow('coordinates[1] longitude must be between -180 and 180 degrees');
+      });
+
+      test('should validate query arguments', () => {
+        const index = createSpatialIndex([{ lat: 0, lng: 0 }]);
+        expect(() => index.getClosestCoordinate({ lat: 95, lng: 0 })).toThrow(
+          'fromCoord latitude must be between -90 and 90 degrees'
+        );
+        expect(() => index.getCoordinatesWithinDistance({ lat: 0, lng: 0 }, -1)).toThrow(
+          'Max distance must be a non-negative number'
+        );
+        expect(() => index.getFurthestCoordinate({ lat: 0, lng: 0 }, 'feet')).toThrow('Invalid unit: feet');
+      });
+    });
+
+    describe('clusterCoordinates', () => {
+      const pickups = [
+        { lat: 40.7614, lng: -73.9776, id: 'p1' },
+        { lat: 34.0522, lng: -118.2437, id: 'p2' },
+        { lat: 40.7580, lng: -73.9855, id: 'p3' },
+        { lat: 34.0407, lng: -118.2468, id: 'p4' },
+        { lat: 40.7505, lng: -73.9934, id: 'p5' },
+        { lat: 51.5074, lng: -0.1278, id: 'p6' }
+      ];
+
+      test('should group coordinates within epsilon of each other', () => {
+        const { clusters, noise } = clusterCoordinates(pickups, { epsilon: 2, unit: 'km' });
+
+        expect(clusters.map(cluster => cluster.members.map(member => member.id))).toEqual([
+          ['p1', 'p3', 'p5'],
+          ['p2', 'p4']
+        ]);
+        expect(noise).toEqual([{ lat: 51.5074, lng: -0.1278, id: 'p6' }]);
+      });
+
+      test('should chain clusters through core points', () => {
+        // p1 and p5 are 1.8 km apart, but each is within 1.1 km of p3
+        const chained = clusterCoordinates(pickups, { epsilon: 1.1, minPoints: 2 });
+        expect(chained.clusters[0].members.map(member => member.id)).toEqual(['p1', 'p3', 'p5']);
+
+        // With three points needed only p3 is a core point, and it still reaches both others
+        const bordered = clusterCoordinates(pickups, { epsilon: 1.1, minPoints: 3 });
+        expect(bordered.clusters).toHaveLength(1);
+        expect(bordered.clusters[0].members.map(member => member.id)).toEqual(['p1', 'p3', 'p5']);
+        expect(bordered.noise.map(member => member.id)).toEqual(['p2', 'p4', 'p6']);
+      });
+
+      test('should cluster dense groups of co-located points', () => {
+        const pins = Array.from({ length: 500 }, (_, i) => ({ lat: 40.7614 + (i % 5) * 1e-5, lng: -73.9776, id: i }));
+        const { clusters, noise } = clusterCoordinates([...pins, pickups[5]], { epsilon: 1, minPoints: 3 });
+
+        expect(clusters).toHaveLength(1);
+        expect(clusters[0].members.map(member => member.id)).toEqual(pins.map(pin => pin.id));
+        expect(noise).toEqual([pickups[5]]);
+      });
+
+      test('should report each cluster centroid and radius', () => {
+        const [cluster] = clusterCoordinates(pickups, { epsilon: 2000, unit: 'meters' }).clusters;
+
+        expect(cluster.centroid.lat).toBeCloseTo(40.7566, 3);
+        expect(cluster.centroid.lng).toBeCloseTo(-73.9855, 3);
+
+        const distances = cluster.members.map(member => calculateDistance(cluster.centroid, member, 'meters'));
+        expect(cluster.radius).toBeCloseTo(Math.max(...distances), 6);
+        expect(cluster.radius).toBeGreaterThan(700);
+        expect(cluster.radius).toBeLessThan(1000);
+      });
+
+      test('should keep original properties without sharing objects', () => {
+        const input = [
+          { lat: 10, lng: 10, properties: { name: 'A' } },
+          { lat: 10.001, lng: 10, properties: { name: 'B' } }
+        ];
+        const [cluster] = clusterCoordinates(input, { epsilon: 1 }).clusters;
+
+        expect(cluster.members).toEqual(input);
+        expect(cluster.members[0]).not.toBe(input[0]);
+      });
+
+      test('should cluster across the antimeridian', () => {
+        const { clusters } = clusterCoordinates(
+          [
+            { lat: -17.7, lng: 179.99 },
+            { lat: -17.7, lng: -179.99 }
+          ],
+          { epsilon: 5 }
+        );
+
+        expect(clusters).toHaveLength(1);
+        expect(Math.abs(clusters[0].centroid.lng)).toBeCloseTo(180, 6);
+      });
+
+      test('should agree with a full scan', () => {
+        let seed = 7;
+        const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+        const points = [];
+        for (let i = 0; i < 300; i++) {
+          points.push({ lat: random() * 2 - 1, lng: random() * 2 - 1, id: i });
+        }
+
+        const { clusters, noise } = clusterCoordinates(points, { epsilon: 8, minPoints: 3 });
+        const labels = new Map();
+        clusters.forEach((cluster, label) => cluster.members.forEach(member => labels.set(member.id, label)));
+        const neighbours = points.map(p => points.filter(q => calculateDistance(p, q) <= 8));
+        const isCore = neighbours.map(list => list.length >= 3);
+
+        points.forEach((p, i) => {
+          if (isCore[i]) {
+            // Core points share a cluster with every core point within epsilon
+            neighbours[i].filter(q => isCore[q.id]).forEach(q => expect(labels.get(q.id)).toBe(labels.get(i)));
+          } else if (labels.has(i)) {
+            // Border points are within epsilon of a core point of their cluster
+            expect(neighbours[i].some(q => isCore[q.id] && labels.get(q.id) === labels.get(i))).toBe(true);
+          } else {
+            expect(neighbours[i].some(q => isCore[q.id])).toBe(false);
+          }
+        });
+        expect(clusters.reduce((total, cluster) => total + cluster.members.length, noise.length)).toBe(points.length);
+      });
+
+      test('should group coordinates by map grid cell', () => {
+        // At zoom 10 a 60 pixel cell is about 7 km across in New York
+        const coarse = clusterCoordinates(pickups, { algorithm: 'grid', zoom: 10 });
+        expect(coarse.clusters.map(cluster => cluster.members.map(member => member.id))).toEqual([
+          ['p1', 'p3'],
+          ['p2', 'p4']
+        ]);
+        expect(coarse.noise.map(member => member.id)).toEqual(['p5', 'p6']);
+
+        const world = clusterCoordinates(pickups, { algorithm: 'GRID', zoom: 0, gridSize: 256, minPoints: 1 });
+        expect(world.clusters).toHaveLength(1);
+        expect(world.clusters[0].members).toHaveLength(pickups.length);
+        expect(world.noise).toEqual([]);
+      });
+
+      test('should put both sides of the antimeridian in the same grid cell', () => {
+        const { clusters } = clusterCoordinates(
+          [
+            { lat: 0, lng: 180 },
+            { lat: 0, lng: -179.999 }
+          ],
+          { algorithm: 'grid', zoom: 5 }
+        );
+        expect(clusters).toHaveLength(1);
+      });
+
+      test('should return no clusters for no coordinates', () => {
+        expect(clusterCoordinates([], { epsilon: 1 })).toEqual({ clusters: [], noise: [] });
+      });
+    });
+
+    describe('clusterCoordinates - Error Handling', () => {
+      const points = [{ lat: 0, lng: 0 }];
+
+      test('should throw error for invalid coordinates', () => {
+        expect(() => clusterCoordinates('not an array', { epsilon: 1 })).toThrow('Coordinates must be an array');
+        expect(() => clusterCoordinates([{ lat: 0, lng: 200 }], { epsilon: 1 })).toThrow(
+          'coordinates[0] longitude must be between -180 and 180 degrees'
+        );
+      });
+
+      test('should throw error for invalid options', () => {
+        expect(() => clusterCoordinates(points, 5)).toThrow('Options must be an object');
+        expect(() => clusterCoordinates(points, {})).toThrow('Epsilon must be a non-negative number');
+        expect(() => clusterCoordinates(points, { epsilon: 1, minPoints: 0 })).toThrow(
+          'Min points must be a positive integer'
+        );
+        expect(() => clusterCoordinates(points, { epsilon: 1, algorithm: 'kmeans' })).toThrow(
+          'Invalid algorithm: kmeans. Valid algorithms are: dbscan, grid'
+        );
+        expect(() => clusterCoordinates(points, { epsilon: 1, algorithm: 2 })).toThrow('Algorithm must be a string');
+        expect(() => clusterCoordinates(points, { algorithm: 'grid' })).toThrow('Zoom must be a non-negative number');
+        expect(() => clusterCoordinates(points, { algorithm: 'grid', zoom: 3, gridSize: 0 })).toThrow(
+          'Grid size must be a positive number'
+        );
+        expect(() => clusterCoordinates(points, { epsilon: 1, unit: 'feet' })).toThrow('Invalid unit: feet');
+      });
+    });
+
     describe('Real-world Application Tests', () => {
       test('Restaurant recommendation system', () => {
         const userLocation = { lat: 40.7589, lng: -73.9851 }; // Columbus Circle